@@ -0,0 +1,134 @@
+/**
+ * Session authentication middleware for Monday.com Claude Integration App
+ *
+ * Verifies the monday.com session token sent by the client and exposes the
+ * user and account it was issued for as `req.auth`. User and account IDs in
+ * the request body or path must match that identity.
+ */
+
+const { Logger } = require('@mondaycom/apps-sdk');
+const monetizationHandler = require('./monday-claude-utils/monetizationHandler');
+
+const logger = new Logger('auth-middleware');
+
+// Request fields that name the user or account a request acts on
+const IDENTITY_FIELDS = ['userId', 'accountId'];
+
+/**
+ * Read the user and account from a verified session token payload
+ *
+ * monday.com session tokens carry the identity in `dat`; the subscription
+ * routes were written against top-level `userId`/`accountId`, so both are read.
+ *
+ * @param {Object} payload - Decoded JWT payload
+ * @returns {Object} - Identity ({ userId, accountId, isAdmin }), with null for missing IDs
+ */
+function getIdentityFromPayload(payload) {
+  const dat = payload.dat || {};
+  const userId = dat.user_id ?? payload.userId ?? null;
+  const accountId = dat.account_id ?? payload.accountId ?? null;
+
+  return {
+    userId: userId === null ? null : String(userId),
+    accountId: accountId === null ? null : String(accountId),
+    isAdmin: dat.is_admin === true
+  };
+}
+
+/**
+ * Find a user or account ID in the request that differs from the session
+ *
+ * @param {Object} auth - Authenticated identity
+ * @param {Object} source - Object to check (req.body or req.params)
+ * @returns {string|null} - Name of the mismatching field, or null if all match
+ */
+function findIdentityMismatch(auth, source) {
+  if (!source || typeof source !== 'object') {
+    return null;
+  }
+
+  for (const field of IDENTITY_FIELDS) {
+    const value = source[field];
+    if (value !== undefined && value !== null && String(value) !== auth[field]) {
+      return field;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Middleware that requires a valid session token
+ *
+ * Sets `req.auth` and rejects bodies whose userId/accountId belong to someone else.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function authenticate(req, res, next) {
+  const sessionToken = req.headers['x-monday-session-token'];
+
+  if (!sessionToken) {
+    logger.warn('Missing session token', { requestId: req.id, path: req.path });
+    return res.status(401).json({ error: 'Missing session token' });
+  }
+
+  const payload = monetizationHandler.verifySessionToken(sessionToken);
+
+  if (!payload) {
+    logger.warn('Invalid session token', { requestId: req.id, path: req.path });
+    return res.status(401).json({ error: 'Invalid session token' });
+  }
+
+  req.auth = getIdentityFromPayload(payload);
+
+  if (!req.auth.userId || !req.auth.accountId) {
+    logger.warn('Session token without user or account', { requestId: req.id });
+    return res.status(401).json({ error: 'Invalid session token' });
+  }
+
+  const mismatch = findIdentityMismatch(req.auth, req.body);
+
+  if (mismatch) {
+    logger.warn('Request identity does not match session', {
+      requestId: req.id,
+      field: mismatch,
+      accountId: req.auth.accountId
+    });
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+
+  return next();
+}
+
+/**
+ * Middleware that rejects path parameters naming another user or account
+ *
+ * Route parameters are only known once a route matches, so routes with
+ * `:userId` or `:accountId` add this after `authenticate`.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function requireMatchingParams(req, res, next) {
+  const mismatch = findIdentityMismatch(req.auth, req.params);
+
+  if (mismatch) {
+    logger.warn('Path identity does not match session', {
+      requestId: req.id,
+      field: mismatch,
+      accountId: req.auth.accountId
+    });
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+
+  return next();
+}
+
+module.exports = {
+  authenticate,
+  requireMatchingParams,
+  getIdentityFromPayload
+};
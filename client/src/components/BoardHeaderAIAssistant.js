@@ -1,9 +1,31 @@
 import React, { useState, useEffect } from 'react';
 import mondaySdk from 'monday-sdk-js';
+import useStreamingRequest from '../hooks/useStreamingRequest';
+import useJobRequest from '../hooks/useJobRequest';
+import ResultTable from './ResultTable';
+import PromptLibrary from './PromptLibrary';
 import './BoardHeaderAIAssistant.css';
 
 const monday = mondaySdk();
 
+/**
+ * Create an ID for a new conversation thread
+ * 
+ * @returns {string} - Thread ID
+ */
+const createThreadId = () => `thread_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+
+// Idempotency key for one submitted request
+const createIdempotencyKey = () => `request_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+
+// Progress messages for each server-side processing stage
+const STAGE_LABELS = {
+  queued: 'Waiting to start...',
+  planning: 'Planning your request...',
+  executing: 'Running actions on your board...',
+  explaining: 'Summarizing the result...'
+};
+
 /**
  * Board Header AI Assistant Component
  * 
@@ -22,6 +44,18 @@ function BoardHeaderAIAssistant() {
     accountId: null
   });
   const [subscription, setSubscription] = useState(null);
+  const [undoStatus, setUndoStatus] = useState(null);
+  const [threadId, setThreadId] = useState(createThreadId);
+  const [threadTurns, setThreadTurns] = useState(0);
+  const [reconnectRequired, setReconnectRequired] = useState(false);
+  const [runInBackground, setRunInBackground] = useState(false);
+  const [cancelling, setCancelling] = useState(false);
+  const { stage, progress, streamedText, streamRequest, cancel: cancelStream, reset: resetStream } = useStreamingRequest();
+  const { job, progress: jobProgress, runJob, reset: resetJob } = useJobRequest();
+  
+  // Background jobs report their stage with the rest of the progress details
+  const currentStage = stage || (jobProgress && jobProgress.stage) || (job && job.status === 'queued' ? 'queued' : null);
+  const currentProgress = progress || jobProgress;
 
   // Initialize and get context from monday.com
   useEffect(() => {
@@ -62,21 +96,19 @@ function BoardHeaderAIAssistant() {
     fetchSubscription();
   }, [context.accountId]);
 
-  // Handle form submission
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    
-    if (!userPrompt.trim()) return;
-    
+  // Send a prompt to the backend in the current thread
+  const submitPrompt = async (promptText) => {
     setLoading(true);
     setError(null);
+    setUndoStatus(null);
+    setResponse(null);
+    setReconnectRequired(false);
+    setCancelling(false);
+    resetStream();
+    resetJob();
     
     try {
-      // Get session token
-      const tokenRes = await monday.get('sessionToken');
-      const token = tokenRes.data;
-      
-      // Check subscription status
+      // Check subscription status (the server enforces the limit as well)
       if (subscription && 
           (!subscription.subscription.isActive || 
            subscription.limits.usageCount >= subscription.limits.maxRequests)) {
@@ -85,34 +117,202 @@ function BoardHeaderAIAssistant() {
         return;
       }
       
-      // Increment usage counter
-      await monday.api(`/api/subscription/${context.accountId}/increment`, {
+      const requestBody = {
+        userPrompt: promptText,
+        userId: context.userId,
+        accountId: context.accountId,
+        boardId: context.boardId,
+        threadId
+      };
+      
+      // Long requests run as a job the server keeps working on; others stream progress as they run
+      const idempotencyKey = createIdempotencyKey();
+      const result = runInBackground
+        ? await runJob(requestBody, idempotencyKey)
+        : await streamRequest('/api/process-request/stream', requestBody, idempotencyKey);
+      
+      setResponse(result);
+      if (result.conversationId) {
+        setThreadTurns(turns => turns + 1);
+      }
+      setUserPrompt('');
+    } catch (err) {
+      console.error('Error:', err);
+      if (err.data && err.data.reconnectRequired) {
+        // The account's monday.com authorization expired and could not be refreshed
+        setReconnectRequired(true);
+        setError(err.data.message);
+      } else if (err.data && err.data.plan) {
+        // The server rejected the request because the plan's quota is used up
+        setSubscription(current => current && {
+          ...current,
+          subscription: { ...current.subscription, isActive: err.data.plan.isActive },
+          limits: { ...current.limits, usageCount: err.data.plan.usageCount }
+        });
+        setError(err.data.message);
+      } else if (err.data && err.data.cancelled) {
+        // Cancelled before any step ran, so nothing changed on the board
+        setError('The request was cancelled before any changes were made.');
+      } else {
+        setError('Failed to process your request. Please try again.');
+      }
+    } finally {
+      setLoading(false);
+      setCancelling(false);
+    }
+  };
+
+  // Stop the running request; steps it already ran stay undoable
+  const handleCancel = async () => {
+    setCancelling(true);
+    await cancelStream();
+  };
+
+  // Handle form submission
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    
+    if (!userPrompt.trim()) return;
+    
+    submitPrompt(userPrompt);
+  };
+
+  // Answer a clarifying question with the chosen option
+  const handleClarificationOption = (option) => {
+    submitPrompt(option.value);
+  };
+
+  // Revert the changes made by the current response
+  const handleUndo = async () => {
+    setUndoStatus('undoing');
+    
+    try {
+      const tokenRes = await monday.get('sessionToken');
+      const token = tokenRes.data;
+      
+      const result = await monday.api(`/api/conversations/${response.conversationId}/undo`, {
         method: 'post',
         headers: {
           'x-monday-session-token': token
         }
       });
       
-      // Send the request to our backend service
-      const result = await monday.api('/api/process-request', {
+      setUndoStatus(result.data.success ? 'undone' : 'failed');
+    } catch (err) {
+      console.error('Error undoing changes:', err);
+      setUndoStatus('failed');
+    }
+  };
+
+  // Run actions that were held for confirmation
+  const handleConfirm = async () => {
+    setLoading(true);
+    setError(null);
+    setUndoStatus(null);
+    
+    try {
+      const tokenRes = await monday.get('sessionToken');
+      const token = tokenRes.data;
+      
+      const result = await monday.api('/api/process-request/confirm', {
         method: 'post',
+        headers: {
+          'x-monday-session-token': token,
+          // A plan is confirmed once, so its token identifies the request
+          'Idempotency-Key': response.confirmationToken
+        },
         body: {
-          userPrompt,
-          userId: context.userId,
-          accountId: context.accountId,
-          boardId: context.boardId
+          confirmationToken: response.confirmationToken
         }
       });
       
       setResponse(result.data);
+      if (result.data.conversationId) {
+        setThreadTurns(turns => turns + 1);
+      }
     } catch (err) {
-      console.error('Error:', err);
-      setError('Failed to process your request. Please try again.');
+      console.error('Error confirming actions:', err);
+      setError('Failed to run the confirmed actions. Please submit your request again.');
     } finally {
       setLoading(false);
     }
   };
 
+  // Render the actions waiting for confirmation
+  const renderConfirmation = () => (
+    <div className="confirmation-container">
+      <h3>Please confirm</h3>
+      {response.destructiveFields && response.destructiveFields.length > 0 && (
+        <p className="destructive-warning">
+          This will permanently remove data ({response.destructiveFields.join(', ')}).
+        </p>
+      )}
+      {response.unreviewedFields && response.unreviewedFields.length > 0 && (
+        <p className="destructive-warning">
+          This runs operations the assistant cannot check for safety ({response.unreviewedFields.join(', ')}).
+        </p>
+      )}
+      <p className="confirmation-summary">{response.summary}</p>
+      {response.undoAvailable && (
+        <p className="confirmation-summary">
+          {response.steps.length === 1 ? 'One earlier step has' : `${response.steps.length} earlier steps have`} already changed your board.
+        </p>
+      )}
+      <div className="confirmation-buttons">
+        <button onClick={handleConfirm} className="submit-button" disabled={loading}>
+          Confirm
+        </button>
+        <button onClick={() => setResponse(null)} className="secondary-button" disabled={loading}>
+          Cancel
+        </button>
+        {response.undoAvailable && (
+          <button
+            onClick={handleUndo}
+            className="secondary-button"
+            disabled={loading || undoStatus === 'undoing' || undoStatus === 'undone'}
+          >
+            {undoStatus === 'undoing' ? 'Undoing...' : undoStatus === 'undone' ? 'Undone' : 'Undo earlier steps'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+
+  // Render a clarifying question with its options
+  const renderClarification = () => (
+    <div className="clarification-container">
+      <h3>{response.clarification.question}</h3>
+      {response.clarification.options.length > 0 ? (
+        <div className="clarification-options">
+          {response.clarification.options.map((option, index) => (
+            <button
+              key={`${option.entityId || 'option'}-${index}`}
+              onClick={() => handleClarificationOption(option)}
+              className="secondary-button"
+              disabled={loading}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      ) : (
+        <p className="clarification-hint">Type your answer below to continue.</p>
+      )}
+    </div>
+  );
+
+  // Start a new conversation so follow-ups no longer refer to earlier requests
+  const handleNewConversation = () => {
+    setThreadId(createThreadId());
+    setThreadTurns(0);
+    setResponse(null);
+    setError(null);
+    setUndoStatus(null);
+    setUserPrompt('');
+    resetStream();
+    resetJob();
+  };
+
   // Render welcome content if no response yet
   const renderWelcome = () => (
     <div className="welcome-container">
@@ -135,26 +335,75 @@ function BoardHeaderAIAssistant() {
 
   return (
     <div className="board-header-ai-assistant">
+      {threadTurns > 0 && (
+        <div className="thread-bar">
+          <span>
+            Continuing conversation ({threadTurns} previous {threadTurns === 1 ? 'request' : 'requests'})
+          </span>
+          <button onClick={handleNewConversation} className="secondary-button" disabled={loading}>
+            New conversation
+          </button>
+        </div>
+      )}
+      
+      <PromptLibrary
+        accountId={context.accountId}
+        currentPrompt={userPrompt}
+        onRun={submitPrompt}
+        disabled={loading}
+      />
+      
       <form onSubmit={handleSubmit} className="prompt-form">
         <textarea
           value={userPrompt}
           onChange={(e) => setUserPrompt(e.target.value)}
-          placeholder="Ask Claude to manage your board using natural language..."
+          placeholder={threadTurns > 0
+            ? 'Ask a follow-up, e.g. "Now assign it to Dana"...'
+            : 'Ask Claude to manage your board using natural language...'}
           rows={3}
           className="prompt-input"
         />
-        <button 
-          type="submit" 
-          className="submit-button"
-          disabled={loading || !userPrompt.trim()}
-        >
-          {loading ? 'Processing...' : 'Submit'}
-        </button>
+        <div className="form-actions">
+          <label className="background-option">
+            <input
+              type="checkbox"
+              checked={runInBackground}
+              onChange={(e) => setRunInBackground(e.target.checked)}
+              disabled={loading}
+            />
+            Run in background (for large updates)
+          </label>
+          <button 
+            type="submit" 
+            className="submit-button"
+            disabled={loading || !userPrompt.trim()}
+          >
+            {loading ? 'Processing...' : 'Submit'}
+          </button>
+          {loading && !runInBackground && (
+            <button
+              type="button"
+              onClick={handleCancel}
+              className="secondary-button"
+              disabled={cancelling}
+            >
+              {cancelling ? 'Cancelling...' : 'Cancel'}
+            </button>
+          )}
+        </div>
       </form>
       
       {error && (
         <div className="error-message">
           {error}
+          {reconnectRequired && (
+            <button 
+              onClick={() => window.open('/oauth/auth', '_blank')}
+              className="upgrade-button"
+            >
+              Reconnect
+            </button>
+          )}
           {subscription && !subscription.subscription.isActive && (
             <button 
               onClick={() => monday.execute('openAppBillingSection', { isInPlanSelection: true })}
@@ -168,16 +417,66 @@ function BoardHeaderAIAssistant() {
       
       {!response && !loading && !error && renderWelcome()}
       
+      {loading && (currentStage || streamedText) && (
+        <div className="response-container streaming">
+          {currentStage && (
+            <p className="stage-indicator">
+              {currentProgress && currentProgress.total
+                ? `Updating items (${currentProgress.processed} of ${currentProgress.total})...`
+                : STAGE_LABELS[currentStage] || 'Working...'}
+              {job && job.attempts > 1 && ` (attempt ${job.attempts})`}
+            </p>
+          )}
+          {streamedText && (
+            <div className="explanation">
+              <h3>Result:</h3>
+              <p>{streamedText}</p>
+            </div>
+          )}
+        </div>
+      )}
+      
       {response && (
         <div className="response-container">
-          {response.explanation ? (
+          {response.requiresConfirmation ? (
+            renderConfirmation()
+          ) : response.clarification ? (
+            renderClarification()
+          ) : response.explanation ? (
             <>
               <div className="explanation">
-                <h3>Result:</h3>
+                <div className="explanation-header">
+                  <h3>Result:</h3>
+                  {response.undoAvailable && (
+                    <button
+                      onClick={handleUndo}
+                      className="secondary-button"
+                      disabled={undoStatus === 'undoing' || undoStatus === 'undone'}
+                    >
+                      {undoStatus === 'undoing' ? 'Undoing...' : undoStatus === 'undone' ? 'Undone' : 'Undo'}
+                    </button>
+                  )}
+                </div>
                 <p>{response.explanation}</p>
+                {response.upsell && (
+                  <div className="upsell-message">
+                    <p>{response.upsell.message}</p>
+                    <button 
+                      onClick={() => monday.execute('openAppBillingSection', { isInPlanSelection: true })}
+                      className="upgrade-button"
+                    >
+                      Upgrade Plan
+                    </button>
+                  </div>
+                )}
+                {undoStatus === 'failed' && (
+                  <p className="undo-error">Some changes could not be undone. Please check the board.</p>
+                )}
               </div>
               
-              {response.result && (
+              {response.table && <ResultTable table={response.table} />}
+              
+              {response.result && !response.table && (
                 <div className="technical-details">
                   <h4>Technical Details:</h4>
                   <pre>{JSON.stringify(response.result, null, 2)}</pre>
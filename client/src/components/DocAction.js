@@ -1,9 +1,13 @@
 import React, { useState, useEffect } from 'react';
 import mondaySdk from 'monday-sdk-js';
+import useStreamingRequest from '../hooks/useStreamingRequest';
 import './DocAction.css';
 
 const monday = mondaySdk();
 
+// Idempotency key for one processed document
+const createIdempotencyKey = () => `document_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+
 /**
  * Document Action Component
  * 
@@ -23,6 +27,8 @@ function DocAction({ initialDocument = '', onProcess, onApply, onCancel }) {
   const [isProcessing, setIsProcessing] = useState(false);
   const [error, setError] = useState(null);
   const [result, setResult] = useState(null);
+  const [isCancelling, setIsCancelling] = useState(false);
+  const { streamedText, streamRequest, cancel: cancelStream, reset: resetStream } = useStreamingRequest();
   const [context, setContext] = useState({
     userId: null,
     accountId: null
@@ -76,7 +82,10 @@ function DocAction({ initialDocument = '', onProcess, onApply, onCancel }) {
     }
 
     setIsProcessing(true);
+    setIsCancelling(false);
     setError(null);
+    setResult(null);
+    resetStream();
     
     try {
       // Get session token
@@ -102,40 +111,41 @@ function DocAction({ initialDocument = '', onProcess, onApply, onCancel }) {
         return;
       }
       
-      // Increment usage counter
-      await monday.api(`/api/subscription/${context.accountId}/increment`, {
-        method: 'post',
-        headers: {
-          'x-monday-session-token': token
-        }
-      });
-      
-      // Send the request to our backend service
-      const apiResult = await monday.execute('api', {
-        endpoint: '/api/process-document',
-        method: 'post',
-        body: {
-          document,
-          action,
-          userId: context.userId,
-          accountId: context.accountId
-        }
-      });
+      // Send the request to our backend service, streaming the result as it is written
+      const apiResult = await streamRequest('/api/process-document/stream', {
+        document,
+        action,
+        userId: context.userId,
+        accountId: context.accountId
+      }, createIdempotencyKey());
       
-      setResult(apiResult.data.result);
+      setResult(apiResult.result);
       
       // Call onProcess callback if provided
       if (onProcess) {
-        onProcess(apiResult.data);
+        onProcess(apiResult);
       }
     } catch (err) {
       console.error('Error processing document:', err);
-      setError('Failed to process your document. Please try again.');
+      if (err.data && err.data.plan) {
+        setError(err.data.message);
+      } else if (err.data && err.data.cancelled) {
+        setError('Processing was cancelled.');
+      } else {
+        setError('Failed to process your document. Please try again.');
+      }
     } finally {
       setIsProcessing(false);
+      setIsCancelling(false);
     }
   };
 
+  // Stop processing the document
+  const handleStop = async () => {
+    setIsCancelling(true);
+    await cancelStream();
+  };
+
   // Handle apply button click
   const handleApply = () => {
     if (onApply && result) {
@@ -193,6 +203,16 @@ function DocAction({ initialDocument = '', onProcess, onApply, onCancel }) {
         >
           {isProcessing ? 'Processing...' : 'Process'}
         </button>
+        
+        {isProcessing && (
+          <button
+            className="cancel-button"
+            onClick={handleStop}
+            disabled={isCancelling}
+          >
+            {isCancelling ? 'Cancelling...' : 'Cancel'}
+          </button>
+        )}
       </div>
       
       {error && (
@@ -201,6 +221,15 @@ function DocAction({ initialDocument = '', onProcess, onApply, onCancel }) {
         </div>
       )}
       
+      {isProcessing && streamedText && (
+        <div className="result-section">
+          <h3>Result</h3>
+          <div className="result-content">
+            {streamedText}
+          </div>
+        </div>
+      )}
+      
       {result && (
         <div className="result-section">
           <h3>Result</h3>
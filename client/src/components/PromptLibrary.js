@@ -0,0 +1,194 @@
+import React, { useState } from 'react';
+import usePromptLibrary from '../hooks/usePromptLibrary';
+import './PromptLibrary.css';
+
+/**
+ * Saved prompt picker
+ *
+ * Lists the account's saved prompts, asks for the values of the chosen
+ * prompt's {{variables}} and hands the filled-in text to `onRun`. The prompt
+ * in the main input can be saved to the library from here as well.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.accountId - Monday.com account ID
+ * @param {string} props.currentPrompt - Text in the main prompt input
+ * @param {Function} props.onRun - Called with the filled-in prompt text
+ * @param {boolean} props.disabled - Whether a request is in progress
+ */
+function PromptLibrary({ accountId, currentPrompt, onRun, disabled }) {
+  const { prompts, canPublish, loading, error, savePrompt, deletePrompt, fillPrompt } = usePromptLibrary(accountId);
+  const [open, setOpen] = useState(false);
+  const [selectedId, setSelectedId] = useState('');
+  const [values, setValues] = useState({});
+  const [fillError, setFillError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [saveForm, setSaveForm] = useState({ title: '', description: '', publish: false });
+
+  const selected = prompts.find(prompt => prompt.id === selectedId) || null;
+  const missingValues = selected ? selected.variables.filter(name => !(values[name] || '').trim()) : [];
+
+  // Pick a prompt and clear the values entered for the previous one
+  const handleSelect = (promptId) => {
+    setSelectedId(promptId);
+    setValues({});
+    setFillError(null);
+  };
+
+  // Fill in the variables and submit the prompt
+  const handleRun = async (e) => {
+    e.preventDefault();
+    setFillError(null);
+
+    try {
+      const text = await fillPrompt(selected.id, values);
+      onRun(text);
+    } catch (err) {
+      console.error('Error filling prompt:', err);
+      setFillError('Could not fill in this prompt. Check the values and try again.');
+    }
+  };
+
+  // Remove the selected prompt from the library
+  const handleDelete = async () => {
+    if (await deletePrompt(selected.id)) {
+      handleSelect('');
+    }
+  };
+
+  // Save the text in the main input as a new prompt
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    const saved = await savePrompt({
+      title: saveForm.title.trim(),
+      text: currentPrompt.trim(),
+      description: saveForm.description.trim(),
+      visibility: saveForm.publish ? 'account' : 'private'
+    });
+
+    if (saved) {
+      setSaving(false);
+      setSaveForm({ title: '', description: '', publish: false });
+      handleSelect(saved.id);
+    }
+  };
+
+  if (!open) {
+    return (
+      <div className="prompt-library">
+        <button onClick={() => setOpen(true)} className="secondary-button">
+          Saved prompts{prompts.length > 0 ? ` (${prompts.length})` : ''}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="prompt-library open">
+      <div className="prompt-library-header">
+        <h3>Saved prompts</h3>
+        <button onClick={() => setOpen(false)} className="secondary-button">Close</button>
+      </div>
+
+      {error && <div className="prompt-library-error">{error}</div>}
+
+      {loading ? (
+        <p className="prompt-library-empty">Loading saved prompts...</p>
+      ) : prompts.length === 0 ? (
+        <p className="prompt-library-empty">No saved prompts yet. Type a prompt above and save it here to reuse it.</p>
+      ) : (
+        <select
+          value={selectedId}
+          onChange={(e) => handleSelect(e.target.value)}
+          className="prompt-library-select"
+        >
+          <option value="">Choose a saved prompt...</option>
+          {prompts.map(prompt => (
+            <option key={prompt.id} value={prompt.id}>
+              {prompt.title}{prompt.visibility === 'account' ? ' (shared)' : ''}
+            </option>
+          ))}
+        </select>
+      )}
+
+      {selected && (
+        <form onSubmit={handleRun} className="prompt-library-run">
+          {selected.description && <p className="prompt-library-description">{selected.description}</p>}
+          <p className="prompt-library-text">{selected.text}</p>
+
+          {selected.variables.map(name => (
+            <label key={name} className="prompt-variable">
+              <span>{name}</span>
+              <input
+                type="text"
+                value={values[name] || ''}
+                onChange={(e) => setValues(current => ({ ...current, [name]: e.target.value }))}
+              />
+            </label>
+          ))}
+
+          {fillError && <div className="prompt-library-error">{fillError}</div>}
+
+          <div className="prompt-library-actions">
+            {selected.editable && (
+              <button type="button" onClick={handleDelete} className="secondary-button" disabled={disabled}>
+                Delete
+              </button>
+            )}
+            <button type="submit" className="submit-button" disabled={disabled || missingValues.length > 0}>
+              Run prompt
+            </button>
+          </div>
+        </form>
+      )}
+
+      {saving ? (
+        <form onSubmit={handleSave} className="prompt-library-save">
+          <input
+            type="text"
+            value={saveForm.title}
+            onChange={(e) => setSaveForm(current => ({ ...current, title: e.target.value }))}
+            placeholder="Title"
+            maxLength={100}
+          />
+          <input
+            type="text"
+            value={saveForm.description}
+            onChange={(e) => setSaveForm(current => ({ ...current, description: e.target.value }))}
+            placeholder="Description (optional)"
+            maxLength={500}
+          />
+          {canPublish && (
+            <label className="prompt-library-publish">
+              <input
+                type="checkbox"
+                checked={saveForm.publish}
+                onChange={(e) => setSaveForm(current => ({ ...current, publish: e.target.checked }))}
+              />
+              Share with everyone in the account
+            </label>
+          )}
+          <div className="prompt-library-actions">
+            <button type="button" onClick={() => setSaving(false)} className="secondary-button">
+              Cancel
+            </button>
+            <button type="submit" className="submit-button" disabled={!saveForm.title.trim()}>
+              Save prompt
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button
+          onClick={() => setSaving(true)}
+          className="secondary-button"
+          disabled={!currentPrompt.trim()}
+          title="Use {{name}} in the prompt for values you fill in each time"
+        >
+          Save current prompt
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default PromptLibrary;
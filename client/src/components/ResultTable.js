@@ -0,0 +1,152 @@
+import React, { useState, useMemo } from 'react';
+import mondaySdk from 'monday-sdk-js';
+import './ResultTable.css';
+
+const monday = mondaySdk();
+
+// Column types whose values sort as numbers
+const NUMERIC_TYPES = ['numbers', 'numeric', 'rating', 'progress'];
+
+/**
+ * Quote a value for a CSV cell when needed
+ *
+ * @param {string} value - Cell value
+ * @returns {string} - CSV-safe cell
+ */
+const toCsvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Renders a query result as a sortable table of items
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.table - Table from the server ({ columns, rows, pagination })
+ */
+function ResultTable({ table }) {
+  const [sort, setSort] = useState({ key: null, direction: 'asc' });
+  const [copyStatus, setCopyStatus] = useState(null);
+
+  const hasGroups = table.rows.some(row => row.group);
+
+  // Name and group first, then the monday.com columns
+  const headers = useMemo(() => [
+    { key: 'name', title: 'Name', type: 'name' },
+    ...(hasGroups ? [{ key: 'group', title: 'Group', type: 'group' }] : []),
+    ...table.columns.map(column => ({ key: column.id, title: column.title, type: column.type, isColumn: true }))
+  ], [table.columns, hasGroups]);
+
+  /**
+   * Get the display value of a cell
+   *
+   * @param {Object} row - Table row
+   * @param {Object} header - Column header
+   * @returns {string} - Cell text
+   */
+  const getCellValue = (row, header) => (header.isColumn ? row.values[header.key] : row[header.key]) || '';
+
+  const sortedRows = useMemo(() => {
+    if (!sort.key) {
+      return table.rows;
+    }
+
+    const header = headers.find(h => h.key === sort.key);
+    if (!header) {
+      return table.rows;
+    }
+
+    const direction = sort.direction === 'asc' ? 1 : -1;
+
+    return [...table.rows].sort((a, b) => {
+      const valueA = getCellValue(a, header);
+      const valueB = getCellValue(b, header);
+
+      // Empty values always go last
+      if (!valueA || !valueB) {
+        return valueA ? -1 : valueB ? 1 : 0;
+      }
+
+      if (NUMERIC_TYPES.includes(header.type)) {
+        return (parseFloat(valueA) - parseFloat(valueB)) * direction;
+      }
+
+      return valueA.localeCompare(valueB, undefined, { numeric: true, sensitivity: 'base' }) * direction;
+    });
+  }, [table.rows, headers, sort]);
+
+  // Sort by a column, toggling the direction when it is already sorted
+  const handleSort = (key) => {
+    setSort(current => ({
+      key,
+      direction: current.key === key && current.direction === 'asc' ? 'desc' : 'asc'
+    }));
+  };
+
+  // Open the item card in monday.com
+  const handleOpenItem = (row) => {
+    monday.execute('openItemCard', { itemId: Number(row.id), kind: 'columns' });
+  };
+
+  // Copy the table, in its current order, as CSV
+  const handleCopyCsv = async () => {
+    const lines = [
+      ['Item ID', ...headers.map(header => header.title)],
+      ...sortedRows.map(row => [row.id, ...headers.map(header => getCellValue(row, header))])
+    ].map(cells => cells.map(toCsvCell).join(','));
+
+    try {
+      await navigator.clipboard.writeText(lines.join('\n'));
+      setCopyStatus('copied');
+    } catch (err) {
+      console.error('Error copying CSV:', err);
+      setCopyStatus('failed');
+    }
+  };
+
+  return (
+    <div className="result-table">
+      <div className="result-table-toolbar">
+        <span className="result-table-count">
+          {table.pagination.returned} {table.pagination.returned === 1 ? 'item' : 'items'}
+          {table.pagination.hasMore && ' (more items match; ask for the next page to see them)'}
+        </span>
+        <button onClick={handleCopyCsv} className="secondary-button">
+          {copyStatus === 'copied' ? 'Copied' : copyStatus === 'failed' ? 'Copy failed' : 'Copy CSV'}
+        </button>
+      </div>
+
+      <div className="result-table-scroll">
+        <table>
+          <thead>
+            <tr>
+              {headers.map(header => (
+                <th key={header.key} onClick={() => handleSort(header.key)}>
+                  {header.title}
+                  {sort.key === header.key && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {sortedRows.map(row => (
+              <tr key={`${row.boardId}-${row.id}`}>
+                {headers.map(header => (
+                  <td key={header.key}>
+                    {header.key === 'name' ? (
+                      <button onClick={() => handleOpenItem(row)} className="item-link">{row.name || row.id}</button>
+                    ) : (
+                      getCellValue(row, header)
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default ResultTable;
@@ -226,7 +226,8 @@ describe('useSubscription Hook', () => {
       expect.objectContaining({
         method: 'post',
         headers: {
-          'x-monday-session-token': 'test-token'
+          'x-monday-session-token': 'test-token',
+          'Idempotency-Key': expect.any(String)
         }
       })
     );
@@ -0,0 +1,90 @@
+import { useState, useCallback } from 'react';
+import mondaySdk from 'monday-sdk-js';
+
+const monday = mondaySdk();
+
+// How often a queued job's status is checked
+const POLL_INTERVAL_MS = 2000;
+
+/**
+ * Wait for a number of milliseconds
+ *
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Custom hook to run a request as a background job
+ *
+ * Queues the request with the backend, then polls the job until it completes
+ * or fails, tracking its status and the latest progress details.
+ *
+ * @returns {Object} - Job status, progress details, and the runJob/reset functions
+ */
+function useJobRequest() {
+  const [job, setJob] = useState(null);
+
+  /**
+   * Clear the tracked job
+   */
+  const reset = useCallback(() => {
+    setJob(null);
+  }, []);
+
+  /**
+   * Queue a request and wait for its job to finish
+   *
+   * @param {Object} body - Request body for /api/jobs
+   * @param {string} idempotencyKey - Key so a retried request only queues one job
+   * @returns {Promise<Object>} - Result of the completed job
+   */
+  const runJob = useCallback(async (body, idempotencyKey) => {
+    const tokenRes = await monday.get('sessionToken');
+    const headers = { 'x-monday-session-token': tokenRes.data };
+
+    const queued = await monday.api('/api/jobs', {
+      method: 'post',
+      headers: {
+        ...headers,
+        'Idempotency-Key': idempotencyKey
+      },
+      body
+    });
+
+    let current = queued.data;
+    setJob(current);
+
+    while (current.status === 'queued' || current.status === 'running') {
+      await sleep(POLL_INTERVAL_MS);
+
+      const polled = await monday.api(`/api/jobs/${current.jobId}`, {
+        method: 'get',
+        headers
+      });
+
+      current = polled.data;
+      setJob(current);
+    }
+
+    if (current.status === 'failed') {
+      const error = new Error(current.error || 'Job failed');
+      error.data = {
+        message: current.error,
+        reconnectRequired: current.errorCode === 'MONDAY_RECONNECT_REQUIRED'
+      };
+      throw error;
+    }
+
+    return current.result;
+  }, []);
+
+  return {
+    job,
+    progress: job && job.progress,
+    runJob,
+    reset
+  };
+}
+
+export default useJobRequest;
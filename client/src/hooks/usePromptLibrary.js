@@ -0,0 +1,132 @@
+import { useState, useEffect, useCallback } from 'react';
+import mondaySdk from 'monday-sdk-js';
+
+const monday = mondaySdk();
+
+/**
+ * Call a prompt library endpoint with the session token
+ *
+ * @param {string} path - API path
+ * @param {string} method - HTTP method
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} - Response data
+ */
+const callPromptApi = async (path, method, body) => {
+  const tokenRes = await monday.get('sessionToken');
+  const token = tokenRes.data;
+
+  const result = await monday.api(path, {
+    method,
+    headers: {
+      'x-monday-session-token': token
+    },
+    ...(body && { body })
+  });
+
+  return result.data;
+};
+
+/**
+ * Custom hook to load and manage the account's saved prompts
+ *
+ * @param {string} accountId - Monday.com account ID
+ * @returns {Object} - Prompts, whether the user can publish, loading state, and functions
+ */
+function usePromptLibrary(accountId) {
+  const [prompts, setPrompts] = useState([]);
+  const [canPublish, setCanPublish] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchPrompts = useCallback(async () => {
+    try {
+      if (!accountId) {
+        setLoading(false);
+        return;
+      }
+
+      setLoading(true);
+      setError(null);
+
+      const data = await callPromptApi('/api/prompts', 'get');
+
+      setPrompts(data.prompts || []);
+      setCanPublish(Boolean(data.canPublish));
+    } catch (err) {
+      console.error('Error fetching saved prompts:', err);
+      setError('Failed to load saved prompts');
+    } finally {
+      setLoading(false);
+    }
+  }, [accountId]);
+
+  // Fetch prompts on mount and when the account changes
+  useEffect(() => {
+    fetchPrompts();
+  }, [fetchPrompts]);
+
+  /**
+   * Save a new prompt
+   *
+   * @param {Object} fields - Prompt fields ({ title, text, description, visibility })
+   * @returns {Promise<Object|null>} - Saved prompt, or null if saving failed
+   */
+  const savePrompt = async (fields) => {
+    try {
+      const data = await callPromptApi('/api/prompts', 'post', fields);
+
+      await fetchPrompts();
+
+      return data.prompt;
+    } catch (err) {
+      console.error('Error saving prompt:', err);
+      setError('Failed to save prompt');
+      return null;
+    }
+  };
+
+  /**
+   * Delete a saved prompt
+   *
+   * @param {string} promptId - Prompt ID
+   * @returns {Promise<boolean>} - Whether the prompt was deleted
+   */
+  const deletePrompt = async (promptId) => {
+    try {
+      await callPromptApi(`/api/prompts/${promptId}`, 'delete');
+
+      setPrompts(prev => prev.filter(prompt => prompt.id !== promptId));
+
+      return true;
+    } catch (err) {
+      console.error('Error deleting prompt:', err);
+      setError('Failed to delete prompt');
+      return false;
+    }
+  };
+
+  /**
+   * Fill in a prompt's variables on the server
+   *
+   * @param {string} promptId - Prompt ID
+   * @param {Object} values - Values keyed by variable name
+   * @returns {Promise<string>} - Prompt text ready to submit
+   */
+  const fillPrompt = async (promptId, values) => {
+    const data = await callPromptApi(`/api/prompts/${promptId}/fill`, 'post', { values });
+    return data.text;
+  };
+
+  return {
+    prompts,
+    canPublish,
+    loading,
+    error,
+    savePrompt,
+    deletePrompt,
+    fillPrompt,
+    refresh: fetchPrompts
+  };
+}
+
+export default usePromptLibrary;
@@ -0,0 +1,232 @@
+import { useState, useCallback, useRef } from 'react';
+import mondaySdk from 'monday-sdk-js';
+
+const monday = mondaySdk();
+
+/**
+ * Parse one server-sent event block ("event: x\ndata: {...}")
+ *
+ * @param {string} block - Raw event text without the trailing blank line
+ * @returns {Object|null} - Parsed event ({ event, data }) or null if the block has no data
+ */
+function parseEvent(block) {
+  let event = 'message';
+  const dataLines = [];
+
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trim());
+    }
+  }
+
+  if (dataLines.length === 0) {
+    return null;
+  }
+
+  return { event, data: JSON.parse(dataLines.join('\n')) };
+}
+
+/**
+ * Create the error a request cancelled before the server started it rejects with
+ *
+ * @returns {Error} - Error with `data.cancelled`
+ */
+function createCancelledError() {
+  const error = new Error('The request was cancelled');
+  error.data = { cancelled: true, message: 'The request was cancelled.' };
+  return error;
+}
+
+/**
+ * Custom hook to call a streaming (server-sent events) backend endpoint
+ *
+ * Tracks the current processing stage (with the details of the latest
+ * progress event) and the text streamed so far, and resolves with the payload
+ * of the final `result` event. The running request can be cancelled.
+ *
+ * @returns {Object} - Stage, progress details, streamed text, and the streamRequest/cancel/reset functions
+ */
+function useStreamingRequest() {
+  const [stage, setStage] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [streamedText, setStreamedText] = useState('');
+  // Request ID from the `started` event, and the controller of the open stream
+  const requestIdRef = useRef(null);
+  const controllerRef = useRef(null);
+
+  /**
+   * Reset the stage and streamed text
+   */
+  const reset = useCallback(() => {
+    setStage(null);
+    setProgress(null);
+    setStreamedText('');
+  }, []);
+
+  /**
+   * POST to a streaming endpoint and apply its events
+   *
+   * @param {string} path - Endpoint path
+   * @param {Object} body - JSON request body
+   * @param {AbortSignal} signal - Drops the connection when aborted
+   * @param {string} idempotencyKey - Key so a retried request only runs once
+   * @returns {Promise<Object>} - Payload of the `result` event
+   */
+  const readStream = useCallback(async (path, body, signal, idempotencyKey) => {
+    // Get session token from Monday SDK
+    const tokenRes = await monday.get('sessionToken');
+
+    const response = await fetch(path, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream',
+        'x-monday-session-token': tokenRes.data,
+        'Idempotency-Key': idempotencyKey
+      },
+      body: JSON.stringify(body),
+      signal
+    });
+
+    if (!response.ok) {
+      const errorBody = await response.json().catch(() => ({}));
+      const requestError = new Error(errorBody.message || errorBody.error || `Request failed with status ${response.status}`);
+      requestError.data = errorBody;
+      throw requestError;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let result = null;
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+
+      buffer += decoder.decode(value, { stream: true });
+
+      // Events are separated by a blank line
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const parsed = parseEvent(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+
+        if (!parsed) {
+          continue;
+        }
+
+        switch (parsed.event) {
+          case 'started':
+            requestIdRef.current = parsed.data.requestId;
+            break;
+          case 'progress':
+            setStage(parsed.data.stage);
+            setProgress(parsed.data);
+            break;
+          case 'token':
+            setStreamedText(text => text + parsed.data.text);
+            break;
+          case 'result':
+            result = parsed.data;
+            break;
+          case 'error': {
+            const streamError = new Error(parsed.data.message || parsed.data.error);
+            streamError.data = parsed.data;
+            throw streamError;
+          }
+          default:
+            break;
+        }
+      }
+    }
+
+    if (!result) {
+      throw new Error('The stream ended without a result');
+    }
+
+    return result;
+  }, []);
+
+  /**
+   * POST to a streaming endpoint and read its events until it finishes
+   *
+   * @param {string} path - Endpoint path
+   * @param {Object} body - JSON request body
+   * @param {string} idempotencyKey - Key so a retried request only runs once
+   * @returns {Promise<Object>} - Payload of the `result` event
+   */
+  const streamRequest = useCallback(async (path, body, idempotencyKey) => {
+    setStage(null);
+    setProgress(null);
+    setStreamedText('');
+
+    const controller = new AbortController();
+    requestIdRef.current = null;
+    controllerRef.current = controller;
+
+    try {
+      return await readStream(path, body, controller.signal, idempotencyKey);
+    } catch (err) {
+      // Dropping the connection rejects with an AbortError
+      if (err.name === 'AbortError') {
+        throw createCancelledError();
+      }
+      throw err;
+    } finally {
+      requestIdRef.current = null;
+      controllerRef.current = null;
+      setStage(null);
+    }
+  }, [readStream]);
+
+  /**
+   * Cancel the running request
+   *
+   * Once the server has started the request it is asked to stop, and the
+   * stream ends with whatever already ran. Before that, or if asking fails,
+   * the connection is dropped instead.
+   */
+  const cancel = useCallback(async () => {
+    const requestId = requestIdRef.current;
+    const controller = controllerRef.current;
+
+    if (!controller) {
+      return;
+    }
+
+    if (!requestId) {
+      controller.abort();
+      return;
+    }
+
+    try {
+      const tokenRes = await monday.get('sessionToken');
+
+      await monday.api(`/api/requests/${requestId}/cancel`, {
+        method: 'post',
+        headers: {
+          'x-monday-session-token': tokenRes.data
+        }
+      });
+    } catch (err) {
+      console.error('Error cancelling request:', err);
+      controller.abort();
+    }
+  }, []);
+
+  return {
+    stage,
+    progress,
+    streamedText,
+    streamRequest,
+    cancel,
+    reset
+  };
+}
+
+export default useStreamingRequest;
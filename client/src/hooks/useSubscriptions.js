@@ -3,6 +3,9 @@ import mondaySdk from 'monday-sdk-js';
 
 const monday = mondaySdk();
 
+// Idempotency key for one usage increment
+const createIdempotencyKey = () => `usage_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+
 /**
  * Custom hook to fetch and manage subscription status
  * 
@@ -85,9 +88,10 @@ function useSubscription(accountId) {
   /**
    * Increment the usage count for the subscription
    * 
+   * @param {string} idempotencyKey - Key so a retried call is only counted once (a new one by default)
    * @returns {Promise<boolean>} - Whether the increment was successful
    */
-  const incrementUsage = async () => {
+  const incrementUsage = async (idempotencyKey = createIdempotencyKey()) => {
     try {
       if (!accountId) {
         return false;
@@ -101,7 +105,8 @@ function useSubscription(accountId) {
       await monday.api(`/api/subscription/${accountId}/increment`, {
         method: 'post',
         headers: {
-          'x-monday-session-token': token
+          'x-monday-session-token': token,
+          'Idempotency-Key': idempotencyKey
         }
       });
       
@@ -0,0 +1,228 @@
+/**
+ * Idempotency middleware for Monday.com Claude Integration App
+ *
+ * Requests that change monday.com or usage must carry an `Idempotency-Key`
+ * header and are run once per key. The
+ * first successful response is stored and replayed for repeats of the same
+ * request, so a retried request cannot create the same monday.com items
+ * twice. A repeat that arrives while the first request is still running gets
+ * a 409 response. Streamed requests record their final result with
+ * recordStreamResult and are replayed as a stream holding only that result.
+ */
+
+const crypto = require('crypto');
+const { Storage, Logger } = require('@mondaycom/apps-sdk');
+
+const logger = new Logger('idempotency-middleware');
+const storage = new Storage();
+
+// How long a stored response is replayed
+const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000;
+
+// How long a request is considered in flight if its server stops before finishing
+const IN_FLIGHT_TTL_MS = 10 * 60 * 1000;
+
+// Longest accepted idempotency key
+const MAX_KEY_LENGTH = 255;
+
+// Keys being processed by this server process
+const inFlightKeys = new Set();
+
+/**
+ * Create a SHA-256 hex digest
+ *
+ * @param {string} value - Value to hash
+ * @returns {string} - Hex digest
+ */
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Get the storage key for an idempotency key
+ *
+ * Keys are scoped to the account and route, so the same key sent to two
+ * endpoints or by two accounts refers to different requests.
+ *
+ * @param {Object} req - Express request object
+ * @param {string} idempotencyKey - Key sent by the client
+ * @returns {string} - Storage key
+ */
+function getRecordKey(req, idempotencyKey) {
+  const scope = [req.auth.accountId, req.method, req.baseUrl + req.path, idempotencyKey].join(':');
+  return `idempotency_${sha256(scope)}`;
+}
+
+/**
+ * Record the result of a streamed request so repeats of it are replayed
+ *
+ * Streaming routes send their result as an event instead of with res.json.
+ * Streams that end without a recorded result are forgotten like failed
+ * requests, so the client can retry them.
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} body - Payload of the stream's `result` event
+ */
+function recordStreamResult(res, body) {
+  res.locals.idempotentStreamResult = body;
+}
+
+/**
+ * Send a stored stream result as a server-sent events response
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} body - Stored result
+ */
+function replayStream(res, body) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache'
+  });
+  res.write(`event: result\ndata: ${JSON.stringify(body)}\n\n`);
+  res.end();
+}
+
+/**
+ * Middleware that replays stored responses for repeated idempotency keys
+ *
+ * Must run after authentication and before `requireQuota`, so replayed
+ * responses do not use up quota. Requests without the header are rejected,
+ * so no retry can run a request twice.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+async function requireIdempotency(req, res, next) {
+  const idempotencyKey = req.get('Idempotency-Key');
+
+  if (!idempotencyKey) {
+    return res.status(400).json({
+      error: 'Missing idempotency key',
+      message: 'Send an Idempotency-Key header so a retried request runs only once.'
+    });
+  }
+
+  if (idempotencyKey.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      error: 'Invalid idempotency key',
+      message: `Idempotency keys must be at most ${MAX_KEY_LENGTH} characters.`
+    });
+  }
+
+  const recordKey = getRecordKey(req, idempotencyKey);
+  const requestHash = sha256(JSON.stringify(req.body || {}));
+
+  // Claim the key before any await so a concurrent duplicate sees it
+  if (inFlightKeys.has(recordKey)) {
+    logger.warn('Duplicate request while the first is in flight', { requestId: req.id });
+    return res.status(409).json({
+      error: 'Request in progress',
+      message: 'A request with this idempotency key is still being processed. Retry after it finishes.'
+    });
+  }
+  inFlightKeys.add(recordKey);
+
+  let record;
+  try {
+    record = await storage.get(recordKey);
+  } catch (error) {
+    inFlightKeys.delete(recordKey);
+    logger.error('Error reading idempotency record', { requestId: req.id, error: error.message });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+
+  if (record && record.expiresAt > Date.now()) {
+    inFlightKeys.delete(recordKey);
+
+    if (record.requestHash !== requestHash) {
+      return res.status(422).json({
+        error: 'Idempotency key reused',
+        message: 'This idempotency key was already used for a different request.'
+      });
+    }
+
+    if (record.status === 'completed') {
+      logger.info('Replaying stored response', { requestId: req.id, statusCode: record.statusCode });
+      res.set('Idempotent-Replayed', 'true');
+      if (record.stream) {
+        return replayStream(res, record.body);
+      }
+      return res.status(record.statusCode).json(record.body);
+    }
+
+    // Another server process is still running the first request
+    logger.warn('Duplicate request while the first is in flight', { requestId: req.id });
+    return res.status(409).json({
+      error: 'Request in progress',
+      message: 'A request with this idempotency key is still being processed. Retry after it finishes.'
+    });
+  }
+
+  try {
+    await storage.set(recordKey, {
+      status: 'in_progress',
+      requestHash,
+      expiresAt: Date.now() + IN_FLIGHT_TTL_MS
+    });
+  } catch (error) {
+    inFlightKeys.delete(recordKey);
+    logger.error('Error saving idempotency record', { requestId: req.id, error: error.message });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+
+  let settled = false;
+  let responseBody;
+
+  // Store successful responses; forget failed ones so the client can retry them
+  const settle = async () => {
+    if (settled) {
+      return;
+    }
+    settled = true;
+    inFlightKeys.delete(recordKey);
+
+    const streamResult = res.locals.idempotentStreamResult;
+
+    try {
+      if (res.statusCode < 400 && (responseBody !== undefined || streamResult !== undefined)) {
+        await storage.set(recordKey, {
+          status: 'completed',
+          requestHash,
+          statusCode: res.statusCode,
+          body: responseBody !== undefined ? responseBody : streamResult,
+          stream: responseBody === undefined,
+          expiresAt: Date.now() + IDEMPOTENCY_TTL_MS
+        });
+      } else {
+        await storage.delete(recordKey);
+      }
+    } catch (error) {
+      logger.error('Error settling idempotency record', { requestId: req.id, error: error.message });
+    }
+  };
+
+  // Settle when the route produces its response, even if the client has
+  // disconnected; the route keeps running after a disconnect, so the key stays
+  // claimed until then. Streaming routes settle when they end the stream.
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    settle();
+    return json(body);
+  };
+  const end = res.end.bind(res);
+  res.end = (...args) => {
+    settle();
+    return end(...args);
+  };
+  res.on('finish', settle);
+
+  return next();
+}
+
+module.exports = {
+  requireIdempotency,
+  recordStreamResult
+};
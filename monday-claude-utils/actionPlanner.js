@@ -0,0 +1,179 @@
+/**
+ * Action planner for dry-run previews of Claude-generated monday.com operations
+ *
+ * Builds a human-readable description of an operation, works out the OAuth
+ * scopes it needs and stores it behind a short-lived confirmation token so it
+ * can be executed later exactly as it was previewed.
+ */
+
+const crypto = require('crypto');
+const { Storage, Logger } = require('@mondaycom/apps-sdk');
+const graphqlSafety = require('./graphqlSafety');
+const { createKeyedQueue } = require('./keyedQueue');
+
+const logger = new Logger('action-planner');
+const storage = new Storage();
+
+// Confirmations of one plan are claimed one at a time so only one of them gets it
+const runExclusive = createKeyedQueue();
+
+// How long a previewed plan can be confirmed for
+const PLAN_TTL_SECONDS = 300;
+
+// Short descriptions of common root fields for the preview summary
+const FIELD_DESCRIPTIONS = {
+  boards: 'Read boards',
+  items: 'Read items',
+  create_board: 'Create a board',
+  delete_board: 'Delete a board',
+  archive_board: 'Archive a board',
+  create_item: 'Create an item',
+  create_subitem: 'Create a subitem',
+  delete_item: 'Delete an item',
+  archive_item: 'Archive an item',
+  duplicate_item: 'Duplicate an item',
+  change_column_value: 'Change a column value',
+  change_simple_column_value: 'Change a column value',
+  change_multiple_column_values: 'Change several column values',
+  move_item_to_group: 'Move an item to another group',
+  create_group: 'Create a group',
+  delete_group: 'Delete a group',
+  create_column: 'Create a column',
+  create_update: 'Post an update',
+  items_page: 'Find the matching items'
+};
+
+/**
+ * Build a human-readable summary of an operation
+ *
+ * @param {Object} action - Planned action
+ * @param {string} action.operationType - "query", "mutation" or "bulk_update"
+ * @param {string} action.graphqlString - GraphQL operation string
+ * @param {Object} action.variables - Variables for the operation
+ * @param {Object} action.bulk - Bulk update definition (bulk_update only)
+ * @returns {string} - Summary of what the operation will do
+ */
+function summarizeAction(action) {
+  const { operationType, variables = {} } = action;
+
+  if (operationType === 'bulk_update') {
+    const { boardId, rules = [], columnValues = {} } = action.bulk || {};
+    const values = Object.keys(columnValues).map(columnId => `${columnId} = ${JSON.stringify(columnValues[columnId])}`);
+    return `This bulk update will change your account: set ${values.join(', ')} on every item on board ${boardId} matching ${rules.length} ${rules.length === 1 ? 'rule' : 'rules'}.`;
+  }
+
+  const { rootFields } = graphqlSafety.analyzeAction(action);
+
+  const steps = rootFields.map(({ name: field }) => FIELD_DESCRIPTIONS[field] || `Run ${field.replace(/_/g, ' ')}`);
+  const verb = operationType === 'mutation' ? 'will change your account' : 'will only read data';
+
+  let summary = `This ${operationType} ${verb}: ${steps.length > 0 ? steps.join(', ') : 'no operations found'}.`;
+
+  // Typed tools carry their arguments as input instead of GraphQL variables
+  const inputs = action.tool ? action.input || {} : variables || {};
+  const variableNames = Object.keys(inputs);
+  if (variableNames.length > 0) {
+    const values = variableNames.map(name => `${name} = ${JSON.stringify(inputs[name])}`);
+    summary += ` Values: ${values.join(', ')}.`;
+  }
+
+  return summary;
+}
+
+/**
+ * Store previewed actions behind a confirmation token
+ *
+ * @param {Object} planData - Plan information
+ * @param {string} planData.userId - User who requested the preview
+ * @param {string} planData.accountId - Account the plan belongs to
+ * @param {string} planData.userPrompt - Original natural language request
+ * @param {Object[]} planData.actions - Planned actions (operationType, graphqlString, variables) in execution order
+ * @param {string} planData.threadId - Conversation thread the request belongs to (optional)
+ * @returns {Promise<Object>} - Confirmation token, expiry, summary, required scopes, and destructive and unreviewed fields
+ */
+async function createPlan(planData) {
+  const { userId, accountId, userPrompt, actions, threadId = null } = planData;
+
+  const confirmationToken = crypto.randomBytes(16).toString('hex');
+  const expiresAt = new Date(Date.now() + PLAN_TTL_SECONDS * 1000).toISOString();
+  const summary = actions.map(summarizeAction).join('\n');
+  const analyses = actions.map(action => graphqlSafety.analyzeAction(action));
+  const requiredScopes = [...new Set(analyses.flatMap(analysis => analysis.requiredScopes))];
+  const destructiveFields = [...new Set(analyses.flatMap(analysis => analysis.destructiveFields))];
+  const unreviewedFields = [...new Set(analyses.flatMap(analysis => analysis.unreviewedFields || []))];
+
+  await storage.set(`action_plan_${confirmationToken}`, {
+    userId,
+    accountId,
+    userPrompt,
+    threadId,
+    actions,
+    summary,
+    requiredScopes,
+    destructiveFields,
+    unreviewedFields,
+    expiresAt
+  });
+
+  logger.info('Stored action plan for confirmation', { 
+    userId,
+    accountId,
+    actionCount: actions.length,
+    expiresAt
+  });
+
+  return {
+    confirmationToken,
+    expiresAt,
+    summary,
+    requiredScopes,
+    destructiveFields,
+    unreviewedFields
+  };
+}
+
+/**
+ * Retrieve and invalidate a stored plan for the user who previewed it
+ *
+ * A plan can only be consumed once; expired plans are discarded. Claims of the
+ * same plan run one after the other, so concurrent confirmations cannot both
+ * get it. A plan requested by someone else is left in place for its owner.
+ *
+ * @param {string} confirmationToken - Token returned by createPlan
+ * @param {Object} owner - Identity confirming the plan ({ userId, accountId })
+ * @returns {Promise<Object|null>} - Stored plan or null if missing or expired
+ * @throws {Error} - PLAN_NOT_OWNED when the plan was previewed by another user or account
+ */
+async function consumePlan(confirmationToken, owner) {
+  const planKey = `action_plan_${confirmationToken}`;
+
+  return runExclusive(planKey, async () => {
+    const plan = await storage.get(planKey);
+
+    if (!plan) {
+      return null;
+    }
+
+    if (plan.userId !== owner.userId || plan.accountId !== owner.accountId) {
+      const error = new Error('The plan was previewed by another user');
+      error.code = 'PLAN_NOT_OWNED';
+      throw error;
+    }
+
+    await storage.delete(planKey);
+
+    if (new Date(plan.expiresAt) < new Date()) {
+      logger.warn('Action plan expired before confirmation', { accountId: plan.accountId });
+      return null;
+    }
+
+    return plan;
+  });
+}
+
+module.exports = {
+  PLAN_TTL_SECONDS,
+  summarizeAction,
+  createPlan,
+  consumePlan
+};
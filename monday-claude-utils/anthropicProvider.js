@@ -0,0 +1,141 @@
+/**
+ * Anthropic provider for Claude calls
+ *
+ * Sends Messages API requests to Anthropic over HTTPS. See llmProvider.js for
+ * the provider interface.
+ */
+
+const axios = require('axios');
+const { Logger, Environment } = require('@mondaycom/apps-sdk');
+
+const logger = new Logger('anthropic-provider');
+const env = new Environment();
+
+// Claude API configuration
+const CLAUDE_API_URL = env.get('CLAUDE_API_URL') || 'https://api.anthropic.com/v1/messages';
+const CLAUDE_API_VERSION = env.get('CLAUDE_API_VERSION') || '2023-06-01';
+const CLAUDE_TIMEOUT_MS = Number(env.get('CLAUDE_TIMEOUT_MS')) || 60000;
+
+/**
+ * Build the headers of an Anthropic request
+ *
+ * @returns {Object} - Request headers
+ * @throws {Error} - CLAUDE_NOT_CONFIGURED when there is no API key
+ */
+function buildHeaders() {
+  const apiKey = env.get('CLAUDE_API_KEY');
+
+  if (!apiKey) {
+    const error = new Error('Claude API key is required');
+    error.code = 'CLAUDE_NOT_CONFIGURED';
+    throw error;
+  }
+
+  return {
+    'Content-Type': 'application/json',
+    'x-api-key': apiKey,
+    'anthropic-version': CLAUDE_API_VERSION
+  };
+}
+
+/**
+ * Parse the server-sent events of a streamed response
+ *
+ * @param {ReadableStream} stream - Response body
+ * @returns {AsyncGenerator<Object>} - Parsed event data
+ */
+async function* parseEvents(stream) {
+  let buffer = '';
+
+  for await (const chunk of stream) {
+    buffer += chunk.toString();
+
+    // Events are separated by a blank line
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      const dataLine = rawEvent.split('\n').find(line => line.startsWith('data:'));
+      if (dataLine) {
+        yield JSON.parse(dataLine.slice(5).trim());
+      }
+    }
+  }
+}
+
+class AnthropicProvider {
+  constructor() {
+    this.name = 'anthropic';
+  }
+
+  /**
+   * Send a request to the Messages API
+   *
+   * @param {Object} requestBody - Messages API request body
+   * @param {Object} options - Request options ({ signal })
+   * @returns {Promise<Object>} - Messages API response
+   */
+  async sendMessage(requestBody, options = {}) {
+    const response = await axios.post(CLAUDE_API_URL, requestBody, {
+      headers: buildHeaders(),
+      timeout: CLAUDE_TIMEOUT_MS,
+      signal: options.signal
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Start a streamed request to the Messages API
+   *
+   * @param {Object} requestBody - Messages API request body
+   * @param {Object} options - Request options ({ signal })
+   * @returns {Promise<AsyncIterable<Object>>} - Server-sent events, once the stream has started
+   */
+  async stream(requestBody, options = {}) {
+    const response = await axios.post(CLAUDE_API_URL, { ...requestBody, stream: true }, {
+      headers: buildHeaders(),
+      responseType: 'stream',
+      timeout: CLAUDE_TIMEOUT_MS,
+      signal: options.signal
+    });
+
+    return parseEvents(response.data);
+  }
+
+  /**
+   * Count the input tokens of a request with the token counting endpoint
+   *
+   * @param {Object} requestBody - Messages API request body
+   * @param {Object} options - Request options ({ signal })
+   * @returns {Promise<number>} - Input tokens
+   */
+  async countTokens(requestBody, options = {}) {
+    const { model, system, messages, tools, tool_choice: toolChoice } = requestBody;
+
+    const response = await axios.post(`${CLAUDE_API_URL}/count_tokens`, {
+      model,
+      messages,
+      ...(system && { system }),
+      ...(tools && { tools }),
+      ...(toolChoice && { tool_choice: toolChoice })
+    }, {
+      headers: buildHeaders(),
+      timeout: CLAUDE_TIMEOUT_MS,
+      signal: options.signal
+    });
+
+    if (typeof response.data?.input_tokens !== 'number') {
+      throw new Error('Token count missing from the response');
+    }
+
+    logger.info('Counted request tokens', { model, inputTokens: response.data.input_tokens });
+
+    return response.data.input_tokens;
+  }
+}
+
+module.exports = {
+  AnthropicProvider
+};
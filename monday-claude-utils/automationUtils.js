@@ -15,9 +15,10 @@ const env = new Environment();
  * @param {string} automationData.boardId - Board ID to attach automation to
  * @param {Object} automationData.trigger - Trigger configuration
  * @param {Object[]} automationData.actions - Actions to perform
+ * @param {string} token - API token (optional)
  * @returns {Promise<Object>} - Created automation data
  */
-async function createAutomation(automationData) {
+async function createAutomation(automationData, token = null) {
   const { boardId, trigger, actions } = automationData;
   
   if (!boardId || !trigger || !actions || !actions.length) {
@@ -45,7 +46,7 @@ async function createAutomation(automationData) {
     actions: JSON.stringify(actions)
   };
 
-  return mondayAPI.executeGraphQL(query, variables);
+  return mondayAPI.executeGraphQL(query, variables, token);
 }
 
 /**
@@ -0,0 +1,178 @@
+/**
+ * Board schema utilities
+ *
+ * Fetches the structure of a monday.com board (columns, labels, groups and a
+ * sample of items) and formats it as context for Claude so generated
+ * operations use real column, group and item IDs.
+ */
+
+const { Logger } = require('@mondaycom/apps-sdk');
+const mondayAPI = require('./mondayAPI');
+
+const logger = new Logger('board-schema');
+
+// Number of items included as examples in the prompt
+const SAMPLE_ITEM_LIMIT = 10;
+
+// Longest column value shown for a sample item
+const MAX_VALUE_LENGTH = 60;
+
+/**
+ * Read status/dropdown labels from a column's settings string
+ *
+ * @param {Object} column - Column from the monday.com API
+ * @returns {string[]} - Label names, empty when the column has none
+ */
+function parseColumnLabels(column) {
+  if (!column.settings_str) {
+    return [];
+  }
+
+  try {
+    const settings = JSON.parse(column.settings_str);
+    const labels = settings.labels;
+
+    if (Array.isArray(labels)) {
+      // Dropdown columns: [{ id, name }]
+      return labels.map(label => label.name).filter(Boolean);
+    }
+
+    if (labels && typeof labels === 'object') {
+      // Status columns: { "0": "Working on it", "1": "Done" }
+      return Object.values(labels).filter(Boolean);
+    }
+  } catch (error) {
+    logger.warn('Could not parse column settings', { columnId: column.id });
+  }
+
+  return [];
+}
+
+/**
+ * Fetch and normalize the schema of a board
+ *
+ * @param {string} boardId - ID of the board
+ * @param {Object} options - Fetch options
+ * @param {number} options.sampleSize - Number of sample items to include
+ * @param {AbortSignal} options.signal - Aborts the fetch when the request is cancelled
+ * @param {string} token - API token (optional)
+ * @returns {Promise<Object|null>} - Board schema or null if the board was not found
+ */
+async function fetchBoardSchema(boardId, options = {}, token = null) {
+  const { sampleSize = SAMPLE_ITEM_LIMIT, signal } = options;
+
+  const query = `
+    query GetBoardSchema($boardId: [ID!], $limit: Int) {
+      boards(ids: $boardId) {
+        id
+        name
+        columns {
+          id
+          title
+          type
+          settings_str
+        }
+        groups {
+          id
+          title
+        }
+        items_page(limit: $limit) {
+          items {
+            id
+            name
+            group {
+              id
+            }
+            column_values {
+              id
+              text
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const response = await mondayAPI.executeGraphQL(query, {
+    boardId: [boardId],
+    limit: sampleSize
+  }, token, { signal });
+
+  const board = response.data?.boards?.[0];
+
+  if (!board) {
+    return null;
+  }
+
+  return {
+    id: board.id,
+    name: board.name,
+    columns: (board.columns || []).map(column => ({
+      id: column.id,
+      title: column.title,
+      type: column.type,
+      labels: parseColumnLabels(column)
+    })),
+    groups: (board.groups || []).map(group => ({
+      id: group.id,
+      title: group.title
+    })),
+    sampleItems: (board.items_page?.items || []).map(item => ({
+      id: item.id,
+      name: item.name,
+      groupId: item.group?.id,
+      values: (item.column_values || []).reduce((values, columnValue) => {
+        if (columnValue.text) {
+          values[columnValue.id] = columnValue.text;
+        }
+        return values;
+      }, {})
+    }))
+  };
+}
+
+/**
+ * Format a board schema as a section of Claude's system prompt
+ *
+ * @param {Object} schema - Board schema from fetchBoardSchema
+ * @returns {string} - Prompt section describing the board
+ */
+function formatBoardSchemaForPrompt(schema) {
+  const lines = [
+    'BOARD CONTEXT:',
+    `The user is working on the board "${schema.name}" (ID: ${schema.id}). Use the exact board, column, group and item IDs listed here instead of guessing them.`,
+    '',
+    'Columns (id | type | title):'
+  ];
+
+  for (const column of schema.columns) {
+    let line = `- ${column.id} | ${column.type} | ${column.title}`;
+    if (column.labels.length > 0) {
+      line += ` | labels: ${column.labels.map(label => `"${label}"`).join(', ')}`;
+    }
+    lines.push(line);
+  }
+
+  lines.push('', 'Groups (id | title):');
+  for (const group of schema.groups) {
+    lines.push(`- ${group.id} | ${group.title}`);
+  }
+
+  if (schema.sampleItems.length > 0) {
+    lines.push('', `Sample items (first ${schema.sampleItems.length}):`);
+    for (const item of schema.sampleItems) {
+      const values = Object.entries(item.values)
+        .map(([columnId, text]) => `${columnId}=${text.substring(0, MAX_VALUE_LENGTH)}`)
+        .join('; ');
+      lines.push(`- ${item.id} | ${item.name} | group ${item.groupId}${values ? ` | ${values}` : ''}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  fetchBoardSchema,
+  formatBoardSchemaForPrompt,
+  parseColumnLabels
+};
@@ -0,0 +1,380 @@
+/**
+ * Bulk operations engine
+ *
+ * Applies the same column changes to every item on a board that matches a
+ * filter. Items are read page by page with `items_page` cursors and updated
+ * in aliased batches, waiting for the complexity budget to reset when it
+ * runs low. Failed batches are retried item by item so failures are reported
+ * per item, after waiting for the budget when it ran out.
+ */
+
+const { Logger } = require('@mondaycom/apps-sdk');
+const mondayAPI = require('./mondayAPI');
+const undoUtils = require('./undoUtils');
+const requestCancellation = require('./requestCancellation');
+
+const logger = new Logger('bulk-operations');
+
+// Items read per page
+const PAGE_SIZE = 100;
+
+// Mutations sent in one aliased request
+const BATCH_SIZE = 25;
+
+// Largest number of items one bulk request may change
+const MAX_BULK_ITEMS = 2000;
+
+// Longest wait for the complexity budget to reset
+const MAX_COMPLEXITY_WAIT_SECONDS = 60;
+
+// Plans that include bulk operations, for upsell messages
+const BULK_PLANS = ['pro_plan', 'enterprise_plan'];
+
+// Error codes monday.com uses when the complexity budget is used up
+const COMPLEXITY_ERROR_CODES = ['ComplexityException', 'COMPLEXITY_BUDGET_EXHAUSTED'];
+
+/**
+ * Wait for a number of milliseconds
+ *
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} signal - Ends the wait early when the request is cancelled
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal = null) {
+  return new Promise((resolve) => {
+    if (signal && signal.aborted) {
+      resolve();
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, ms);
+
+    function onAbort() {
+      clearTimeout(timer);
+      resolve();
+    }
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+/**
+ * Find how long to wait before retrying a request that ran out of complexity budget
+ *
+ * @param {Error} error - Error of the failed request
+ * @returns {number|null} - Seconds until the budget resets, or null if the error is not a complexity error
+ */
+function getComplexityResetSeconds(error) {
+  const extensions = error.extensions || {};
+  const isComplexityError = COMPLEXITY_ERROR_CODES.includes(extensions.code) ||
+    /complexity budget/i.test(error.message || '');
+
+  if (!isComplexityError) {
+    return null;
+  }
+
+  if (typeof extensions.retry_in_seconds === 'number') {
+    return extensions.retry_in_seconds;
+  }
+
+  const match = /reset in (\d+) seconds?/i.exec(error.message || '');
+  return match ? Number(match[1]) : MAX_COMPLEXITY_WAIT_SECONDS;
+}
+
+/**
+ * Read every item matching a filter, following items_page cursors
+ *
+ * @param {Object} params - Query parameters
+ * @param {string} params.boardId - Board ID
+ * @param {Object[]} params.rules - items_page query rules ({ column_id, compare_value, operator })
+ * @param {string} params.operator - How rules are combined ("and" or "or")
+ * @param {string[]} params.columnIds - Columns whose current values are read for undo
+ * @param {string} token - API token
+ * @param {AbortSignal} signal - Aborts the reads when the request is cancelled
+ * @returns {Promise<Object>} - { items: [{ id, name, columnValues }], truncated }
+ */
+async function fetchMatchingItems({ boardId, rules = [], operator = 'and', columnIds }, token, signal = null) {
+  const firstPageQuery = `
+    query BulkItemsPage($boardId: [ID!], $limit: Int!, $queryParams: ItemsQuery, $columnIds: [String!]) {
+      boards(ids: $boardId) {
+        items_page(limit: $limit, query_params: $queryParams) {
+          cursor
+          items {
+            id
+            name
+            column_values(ids: $columnIds) {
+              id
+              value
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const nextPageQuery = `
+    query BulkNextItemsPage($cursor: String!, $limit: Int!, $columnIds: [String!]) {
+      next_items_page(cursor: $cursor, limit: $limit) {
+        cursor
+        items {
+          id
+          name
+          column_values(ids: $columnIds) {
+            id
+            value
+          }
+        }
+      }
+    }
+  `;
+
+  const items = [];
+  let truncated = false;
+
+  const firstPage = await mondayAPI.executeGraphQL(firstPageQuery, {
+    boardId: [String(boardId)],
+    limit: PAGE_SIZE,
+    queryParams: rules.length > 0 ? { rules, operator } : null,
+    columnIds
+  }, token, { signal });
+
+  let page = firstPage.data?.boards?.[0]?.items_page;
+
+  while (page) {
+    for (const item of page.items || []) {
+      if (items.length >= MAX_BULK_ITEMS) {
+        truncated = true;
+        break;
+      }
+
+      items.push({
+        id: item.id,
+        name: item.name,
+        columnValues: (item.column_values || []).reduce((values, columnValue) => {
+          values[columnValue.id] = columnValue.value;
+          return values;
+        }, {})
+      });
+    }
+
+    if (truncated || !page.cursor) {
+      break;
+    }
+
+    const nextPage = await mondayAPI.executeGraphQL(nextPageQuery, {
+      cursor: page.cursor,
+      limit: PAGE_SIZE,
+      columnIds
+    }, token, { signal });
+
+    page = nextPage.data?.next_items_page;
+  }
+
+  return { items, truncated };
+}
+
+/**
+ * Build one aliased mutation that changes the same columns on several items
+ *
+ * @param {Object[]} items - Items to change ({ id })
+ * @returns {Object} - { query, itemVariables } where itemVariables maps $item_N to item IDs
+ */
+function buildBatchMutation(items) {
+  const definitions = items.map((item, index) => `$item_${index}: ID!`).join(', ');
+  const fields = items.map((item, index) =>
+    `item_${index}: change_multiple_column_values(board_id: $boardId, item_id: $item_${index}, column_values: $columnValues) { id }`
+  ).join('\n    ');
+
+  return {
+    query: `mutation BulkChangeColumnValues($boardId: ID!, $columnValues: JSON!, ${definitions}) {
+    ${fields}
+    complexity { query after reset_in_x_seconds }
+  }`,
+    itemVariables: items.reduce((variables, item, index) => {
+      variables[`item_${index}`] = String(item.id);
+      return variables;
+    }, {})
+  };
+}
+
+/**
+ * Change the same columns on a single item
+ *
+ * @param {string} boardId - Board ID
+ * @param {string} itemId - Item ID
+ * @param {string} columnValues - Column values as a JSON string
+ * @param {string} token - API token
+ * @param {AbortSignal} signal - Signal of the request; checked before the mutation is sent
+ * @returns {Promise<Object>} - API response
+ * @throws {Error} - REQUEST_CANCELLED when the request was cancelled before the mutation was sent
+ */
+async function updateSingleItem(boardId, itemId, columnValues, token, signal = null) {
+  requestCancellation.throwIfCancelled(signal);
+
+  const query = `
+    mutation BulkChangeItem($boardId: ID!, $itemId: ID!, $columnValues: JSON!) {
+      change_multiple_column_values(board_id: $boardId, item_id: $itemId, column_values: $columnValues) {
+        id
+      }
+    }
+  `;
+
+  return mondayAPI.executeGraphQL(query, { boardId, itemId, columnValues }, token);
+}
+
+/**
+ * Apply column changes to every item on a board that matches a filter
+ *
+ * @param {Object} bulk - Bulk update definition
+ * @param {string} bulk.boardId - Board ID
+ * @param {Object[]} bulk.rules - items_page query rules selecting the items
+ * @param {string} bulk.operator - How rules are combined ("and" or "or")
+ * @param {Object} bulk.columnValues - Column values to set, keyed by column ID
+ * @param {string} token - API token
+ * @param {Object} options - Options
+ * @param {Function} options.onProgress - Called with { processed, total, failed } after each batch
+ * @param {AbortSignal} options.signal - Stops the update before its next batch when the request is cancelled
+ * @returns {Promise<Object>} - { total, updated, failed: [{ itemId, error }], truncated, cancelled, undo }
+ */
+async function runBulkUpdate(bulk, token, options = {}) {
+  const { onProgress = () => {}, signal = null } = options;
+  const { boardId, rules = [], operator = 'and', columnValues = {} } = bulk;
+  const columnIds = Object.keys(columnValues);
+
+  if (!boardId || columnIds.length === 0) {
+    throw new Error('A board ID and at least one column value are required for a bulk update');
+  }
+
+  const { items, truncated } = await fetchMatchingItems({ boardId, rules, operator, columnIds }, token, signal);
+  const serializedValues = JSON.stringify(columnValues);
+
+  logger.info('Starting bulk update', {
+    boardId,
+    items: items.length,
+    columns: columnIds,
+    truncated
+  });
+
+  const updated = [];
+  const failed = [];
+  let lastBatchCost = 0;
+  let cancelled = false;
+
+  for (let start = 0; start < items.length; start += BATCH_SIZE) {
+    // A batch already sent always finishes, so its changes can be undone
+    if (signal && signal.aborted) {
+      cancelled = true;
+      break;
+    }
+
+    const batch = items.slice(start, start + BATCH_SIZE);
+    const { query, itemVariables } = buildBatchMutation(batch);
+
+    try {
+      const response = await mondayAPI.executeGraphQL(query, {
+        boardId: String(boardId),
+        columnValues: serializedValues,
+        ...itemVariables
+      }, token);
+
+      updated.push(...batch);
+
+      // Wait for the budget to reset before a batch that would exceed it
+      const complexity = response.data?.complexity;
+      if (complexity) {
+        lastBatchCost = complexity.query || lastBatchCost;
+        if (complexity.after < lastBatchCost && start + BATCH_SIZE < items.length) {
+          const waitSeconds = Math.min(complexity.reset_in_x_seconds || 1, MAX_COMPLEXITY_WAIT_SECONDS);
+          logger.info('Waiting for complexity budget to reset', { waitSeconds });
+          await sleep(waitSeconds * 1000, signal);
+        }
+      }
+    } catch (error) {
+      // Retrying right away would fail every item for lack of budget
+      const resetSeconds = getComplexityResetSeconds(error);
+      if (resetSeconds !== null) {
+        const waitSeconds = Math.min(Math.max(resetSeconds, 1), MAX_COMPLEXITY_WAIT_SECONDS);
+        logger.info('Complexity budget exhausted, waiting before retrying items', { waitSeconds });
+        await sleep(waitSeconds * 1000, signal);
+      }
+
+      // Find out which items in the batch failed
+      logger.warn('Bulk batch failed, retrying items one by one', { boardId, error: error.message });
+
+      for (const item of batch) {
+        if (signal && signal.aborted) {
+          cancelled = true;
+          break;
+        }
+
+        try {
+          await updateSingleItem(String(boardId), String(item.id), serializedValues, token, signal);
+          updated.push(item);
+        } catch (itemError) {
+          if (requestCancellation.isCancellation(itemError)) {
+            cancelled = true;
+            break;
+          }
+          failed.push({ itemId: item.id, name: item.name, error: itemError.message });
+        }
+      }
+    }
+
+    if (cancelled) {
+      break;
+    }
+
+    onProgress({
+      processed: Math.min(start + BATCH_SIZE, items.length),
+      total: items.length,
+      failed: failed.length
+    });
+  }
+
+  // Restore the previous values of every item that changed
+  const undo = undoUtils.buildInverseActions(
+    {
+      rootFields: updated.map(item => ({
+        name: 'change_multiple_column_values',
+        alias: null,
+        args: { board_id: boardId, item_id: item.id, column_values: columnValues }
+      }))
+    },
+    updated.reduce((snapshot, item) => {
+      snapshot[item.id] = { columnValues: item.columnValues };
+      return snapshot;
+    }, {}),
+    null
+  );
+
+  logger.info('Finished bulk update', {
+    boardId,
+    updated: updated.length,
+    failed: failed.length,
+    cancelled
+  });
+
+  return {
+    total: items.length,
+    updated: updated.length,
+    failed,
+    truncated,
+    cancelled,
+    undo
+  };
+}
+
+module.exports = {
+  BULK_PLANS,
+  MAX_BULK_ITEMS,
+  fetchMatchingItems,
+  buildBatchMutation,
+  runBulkUpdate
+};
@@ -209,9 +209,14 @@ function storageCached(fn, keyPrefix, ttl = 3600) {
  * @param {string} keyPrefix - Prefix for cache keys
  * @param {number} memoryTtl - Memory cache TTL in seconds
  * @param {number} storageTtl - Storage cache TTL in seconds
+ * @param {Object} options - Optional hooks
+ * @param {Function} options.shouldCache - Called with a fresh result; falsy keeps it out of both caches
+ * @param {Function} options.onLookup - Called with true on a cache hit and false on a miss
  * @returns {Function} - Wrapped function with hybrid caching
  */
-function hybridCached(fn, keyPrefix, memoryTtl = 300, storageTtl = 3600) {
+function hybridCached(fn, keyPrefix, memoryTtl = 300, storageTtl = 3600, options = {}) {
+  const { shouldCache = () => true, onLookup = () => {} } = options;
+  
   return async function(...args) {
     // Generate cache key
     const key = `${keyPrefix}_${fn.name}_${JSON.stringify(args)}`;
@@ -220,6 +225,7 @@ function hybridCached(fn, keyPrefix, memoryTtl = 300, storageTtl = 3600) {
     const memCached = getFromMemoryCache(key);
     if (memCached !== null) {
       logger.info('Memory cache hit', { key });
+      onLookup(true);
       return memCached;
     }
     
@@ -229,13 +235,19 @@ function hybridCached(fn, keyPrefix, memoryTtl = 300, storageTtl = 3600) {
       // Store in memory cache for faster future access
       setInMemoryCache(key, storageCached, memoryTtl);
       logger.info('Storage cache hit', { key });
+      onLookup(true);
       return storageCached;
     }
     
     // Cache miss, execute function
     logger.info('Hybrid cache miss', { key });
+    onLookup(false);
     const result = await fn.apply(this, args);
     
+    if (!shouldCache(result)) {
+      return result;
+    }
+    
     // Store in both caches
     setInMemoryCache(key, result, memoryTtl);
     await setInStorageCache(key, result, storageTtl);
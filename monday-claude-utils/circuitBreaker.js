@@ -0,0 +1,168 @@
+/**
+ * Circuit breaker for external dependencies
+ *
+ * Counts consecutive failures of a dependency and, once there are too many,
+ * opens so calls fail fast instead of waiting on a service that is down.
+ * After a cool-down one probe call is let through (half-open): success closes
+ * the breaker again, failure keeps it open for another cool-down. A call the
+ * caller cancelled says nothing about the dependency and changes neither.
+ */
+
+const { Logger } = require('@mondaycom/apps-sdk');
+
+const logger = new Logger('circuit-breaker');
+
+// Breaker states
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+class CircuitBreaker {
+  /**
+   * @param {string} name - Dependency name, for logs and status
+   * @param {Object} options - Breaker options
+   * @param {number} options.failureThreshold - Consecutive failures that open the breaker
+   * @param {number} options.resetTimeoutMs - Time the breaker stays open before a probe
+   * @param {Function} options.isFailure - Called with an error; true when it means the dependency is down
+   * @param {Function} options.isIgnored - Called with an error; true when it is neither a success nor a failure
+   * @param {string} options.errorCode - Code of the error thrown while the breaker is open
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeoutMs = options.resetTimeoutMs || 30000;
+    this.isFailure = options.isFailure || (() => true);
+    this.isIgnored = options.isIgnored || (() => false);
+    this.errorCode = options.errorCode || 'CIRCUIT_OPEN';
+
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+    this.lastFailure = null;
+  }
+
+  /**
+   * Check whether a call would be let through right now
+   *
+   * @returns {boolean} - Whether the breaker is closed or ready for a probe
+   */
+  isAvailable() {
+    if (this.state === STATES.OPEN) {
+      return Date.now() - this.openedAt >= this.resetTimeoutMs;
+    }
+
+    return !(this.state === STATES.HALF_OPEN && this.probeInFlight);
+  }
+
+  /**
+   * Run a call to the dependency through the breaker
+   *
+   * Errors the `isFailure` option does not count still mean the dependency
+   * answered, so they close the breaker like a success before being rethrown.
+   * Ignored errors, such as cancellations, leave the state as it was and only
+   * free the probe slot so another call can probe.
+   *
+   * @param {Function} fn - Async function calling the dependency
+   * @returns {Promise<any>} - Result of the call
+   * @throws {Error} - The call's error, or an error with the breaker's code while it is open
+   */
+  async call(fn) {
+    if (this.state === STATES.OPEN && this.isAvailable()) {
+      this.state = STATES.HALF_OPEN;
+      logger.info('Circuit half-open, probing dependency', { name: this.name });
+    }
+
+    if (!this.isAvailable()) {
+      const error = new Error(`${this.name} is temporarily unavailable`);
+      error.code = this.errorCode;
+      error.retryAfterMs = Math.max(this.resetTimeoutMs - (Date.now() - this.openedAt), 0);
+      throw error;
+    }
+
+    const probe = this.state === STATES.HALF_OPEN;
+    if (probe) {
+      this.probeInFlight = true;
+    }
+
+    try {
+      const result = await fn();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      if (this.isIgnored(error)) {
+        throw error;
+      }
+
+      if (this.isFailure(error)) {
+        this.recordFailure(error);
+      } else {
+        this.recordSuccess();
+      }
+      throw error;
+    } finally {
+      if (probe) {
+        this.probeInFlight = false;
+      }
+    }
+  }
+
+  /**
+   * Record a call the dependency answered
+   */
+  recordSuccess() {
+    if (this.state !== STATES.CLOSED) {
+      logger.info('Circuit closed', { name: this.name });
+    }
+
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Record a call that failed because the dependency is down
+   *
+   * @param {Error} error - Error of the call
+   */
+  recordFailure(error) {
+    this.failures++;
+    this.lastFailure = {
+      message: error.message,
+      status: error.response?.status || null,
+      at: new Date().toISOString()
+    };
+
+    if (this.state === STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      if (this.state !== STATES.OPEN) {
+        logger.warn('Circuit opened', { name: this.name, failures: this.failures, lastFailure: this.lastFailure });
+      }
+
+      this.state = STATES.OPEN;
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Get the breaker's state for health checks
+   *
+   * @returns {Object} - Status ({ name, state, failures, openedAt, retryAt, lastFailure })
+   */
+  getStatus() {
+    return {
+      name: this.name,
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.openedAt ? new Date(this.openedAt + this.resetTimeoutMs).toISOString() : null,
+      lastFailure: this.lastFailure
+    };
+  }
+}
+
+module.exports = {
+  STATES,
+  CircuitBreaker
+};
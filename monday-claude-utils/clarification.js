@@ -0,0 +1,154 @@
+/**
+ * Clarifying questions
+ *
+ * Normalizes the ask_clarification tool input Claude sends for ambiguous
+ * requests. Options that name a board entity are kept only when that entity
+ * exists on the board schema or in a result Claude has already seen, so the
+ * user is never offered an item or column Claude made up.
+ */
+
+const { Logger } = require('@mondaycom/apps-sdk');
+
+const logger = new Logger('clarification');
+
+// Most options shown to the user
+const MAX_CLARIFICATION_OPTIONS = 6;
+
+// Response fields whose entries are entities of each type
+const ENTITY_FIELDS = {
+  boards: 'board',
+  groups: 'group',
+  items: 'item',
+  subitems: 'item',
+  columns: 'column',
+  users: 'user'
+};
+
+/**
+ * Collect the IDs of entities found in a monday.com API response
+ *
+ * @param {*} node - Part of the response to search
+ * @param {string} key - Field name the node was found under
+ * @param {Object} known - Sets of IDs by entity type, updated in place
+ */
+function collectResultEntityIds(node, key, known) {
+  if (Array.isArray(node)) {
+    node.forEach(child => collectResultEntityIds(child, key, known));
+    return;
+  }
+
+  if (!node || typeof node !== 'object') {
+    return;
+  }
+
+  if (ENTITY_FIELDS[key] && node.id !== undefined) {
+    known[ENTITY_FIELDS[key]].add(String(node.id));
+  }
+
+  for (const [childKey, child] of Object.entries(node)) {
+    collectResultEntityIds(child, childKey, known);
+  }
+}
+
+/**
+ * Get the IDs of every board entity Claude could have seen
+ *
+ * @param {Object} boardSchema - Schema of the user's board (see boardSchema.js)
+ * @param {Object[]} steps - Steps executed before the question ({ result })
+ * @returns {Object} - Sets of IDs keyed by entity type
+ */
+function getKnownEntityIds(boardSchema, steps = []) {
+  const known = {
+    board: new Set(),
+    group: new Set(),
+    item: new Set(),
+    column: new Set(),
+    user: new Set()
+  };
+
+  if (boardSchema) {
+    known.board.add(String(boardSchema.id));
+    (boardSchema.groups || []).forEach(group => known.group.add(String(group.id)));
+    (boardSchema.columns || []).forEach(column => known.column.add(String(column.id)));
+    (boardSchema.sampleItems || []).forEach(item => known.item.add(String(item.id)));
+  }
+
+  steps.forEach(step => collectResultEntityIds(step.result?.data, null, known));
+
+  return known;
+}
+
+/**
+ * Build the clarification returned to the client
+ *
+ * @param {Object} input - ask_clarification tool input ({ question, options })
+ * @param {Object} context - What Claude knew when it asked
+ * @param {Object} context.boardSchema - Schema of the user's board
+ * @param {Object[]} context.steps - Steps executed before the question
+ * @returns {Object} - Clarification ({ question, options: [{ label, value, entityType, entityId, grounded }] })
+ */
+function buildClarification(input, context = {}) {
+  const { boardSchema = null, steps = [] } = context;
+  const known = getKnownEntityIds(boardSchema, steps);
+  const options = [];
+  let dropped = 0;
+
+  for (const option of input.options || []) {
+    if (!option || typeof option.label !== 'string' || !option.label.trim()) {
+      continue;
+    }
+
+    const entityType = option.entity_type || null;
+    const entityId = option.entity_id !== undefined && option.entity_id !== null ? String(option.entity_id) : null;
+    const grounded = Boolean(entityType && entityId && known[entityType]?.has(entityId));
+
+    // An option naming an entity that does not exist would send the user down a dead end
+    if (entityId && !grounded) {
+      dropped++;
+      continue;
+    }
+
+    options.push({
+      label: option.label.trim(),
+      value: (typeof option.value === 'string' && option.value.trim()) || option.label.trim(),
+      entityType: grounded ? entityType : null,
+      entityId: grounded ? entityId : null,
+      grounded
+    });
+  }
+
+  if (dropped > 0) {
+    logger.warn('Dropped clarification options for unknown entities', { dropped });
+  }
+
+  return {
+    question: input.question || 'Could you tell me more about what you would like to do?',
+    options: options.slice(0, MAX_CLARIFICATION_OPTIONS)
+  };
+}
+
+/**
+ * Describe a clarification as plain text for conversation history
+ *
+ * @param {Object} clarification - Clarification from buildClarification
+ * @returns {string} - Question followed by the numbered options
+ */
+function formatClarificationText(clarification) {
+  if (clarification.options.length === 0) {
+    return clarification.question;
+  }
+
+  const options = clarification.options.map((option, index) => {
+    const entity = option.grounded ? ` (${option.entityType} ${option.entityId})` : '';
+    return `${index + 1}. ${option.label}${entity}`;
+  });
+
+  return `${clarification.question}\n${options.join('\n')}`;
+}
+
+module.exports = {
+  MAX_CLARIFICATION_OPTIONS,
+  getKnownEntityIds,
+  buildClarification,
+  formatClarificationText
+};
@@ -0,0 +1,318 @@
+/**
+ * Context window management for Claude calls
+ *
+ * Estimates the tokens a message will use across its system prompt, tools,
+ * history and prompt before it is sent. The estimate runs high on purpose, so
+ * a message it puts over budget is counted exactly when the caller can. When a
+ * message is still over budget, older turns are compacted into a summary first,
+ * then board data (tool results and blocks marked `trimmable`) is cut down,
+ * largest first. Instructions and the user's request are never cut. Every
+ * change is recorded in a report the caller can return with the response.
+ */
+
+const { Logger, Environment } = require('@mondaycom/apps-sdk');
+
+const logger = new Logger('context-window');
+const env = new Environment();
+
+// Tokens the model accepts across input and output
+const CONTEXT_WINDOW_TOKENS = Number(env.get('CLAUDE_CONTEXT_TOKENS')) || 200000;
+
+// Characters per token; low enough to overestimate JSON-heavy board data
+const CHARS_PER_TOKEN = 3.5;
+
+// Share of the window kept free for estimation error
+const SAFETY_MARGIN = 0.05;
+
+// Most recent history messages kept word for word when older turns are compacted
+const KEEP_RECENT_MESSAGES = 6;
+
+// Board data is never cut below this many tokens
+const MIN_DATA_TOKENS = 200;
+
+// Longest text kept from any one block of a transcript being summarized
+const MAX_TRANSCRIPT_BLOCK_LENGTH = 1000;
+
+// Size of the fallback summary when the summarizer fails
+const FALLBACK_SUMMARY_TOKENS = 1000;
+
+// Characters kept free for the note that ends trimmed text
+const TRIM_NOTE_LENGTH = 60;
+
+/**
+ * Estimate the tokens of a string or JSON value
+ *
+ * @param {string|Object} value - Text, or a value sent as JSON
+ * @returns {number} - Estimated tokens
+ */
+function estimateTokens(value) {
+  if (value === null || value === undefined) {
+    return 0;
+  }
+
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimate the input tokens of a message
+ *
+ * @param {Object} message - Message (see enhanced-claudeAPI sendMessage)
+ * @returns {number} - Estimated tokens across system prompt, tools, history and prompt
+ */
+function estimateMessageTokens(message) {
+  const { systemPrompt = null, tools = null, history = [], prompt } = message;
+
+  return estimateTokens(systemPrompt) +
+    estimateTokens(tools) +
+    history.reduce((total, entry) => total + estimateTokens(entry.content), 0) +
+    estimateTokens(prompt);
+}
+
+/**
+ * Get message content as content blocks
+ *
+ * @param {string|Object[]} content - Text or content blocks
+ * @returns {Object[]} - Content blocks
+ */
+function toBlocks(content) {
+  return Array.isArray(content) ? content : [{ type: 'text', text: content }];
+}
+
+/**
+ * Cut text down to a number of tokens, ending with a note of what was left out
+ *
+ * Whole lines are kept when the text has them, so board listings stay readable.
+ *
+ * @param {string} text - Text to cut
+ * @param {number} maxTokens - Tokens to keep
+ * @returns {string} - Text that fits, unchanged if it already did
+ */
+function trimText(text, maxTokens) {
+  const maxChars = Math.floor(maxTokens * CHARS_PER_TOKEN);
+
+  if (text.length <= maxChars) {
+    return text;
+  }
+
+  const kept = text.slice(0, Math.max(maxChars - TRIM_NOTE_LENGTH, 0));
+  const lineEnd = kept.lastIndexOf('\n');
+  const cut = lineEnd > kept.length / 2 ? kept.slice(0, lineEnd) : kept;
+
+  return `${cut}\n[${text.length - cut.length} characters omitted to fit the context window]`;
+}
+
+/**
+ * Find where to split history into older turns to compact and recent turns to keep
+ *
+ * Kept history has to start with a user message that is not a tool result, so
+ * no tool call is separated from its result.
+ *
+ * @param {Object[]} history - History messages
+ * @returns {number} - Index of the first kept message, or 0 when nothing can be compacted
+ */
+function findCompactionPoint(history) {
+  const candidates = history
+    .map((entry, index) => index)
+    .filter(index => index > 0 &&
+      history[index].role === 'user' &&
+      !toBlocks(history[index].content).some(block => block.type === 'tool_result'));
+  const older = candidates.filter(index => index <= history.length - KEEP_RECENT_MESSAGES);
+
+  if (older.length > 0) {
+    return older[older.length - 1];
+  }
+
+  return candidates.length > 0 ? candidates[candidates.length - 1] : 0;
+}
+
+/**
+ * Render history messages as a plain text transcript
+ *
+ * @param {Object[]} messages - History messages
+ * @returns {string} - Transcript, one line per block
+ */
+function renderTranscript(messages) {
+  return messages.flatMap(entry => toBlocks(entry.content).map((block) => {
+    let text;
+    if (block.type === 'tool_use') {
+      text = `[called ${block.name} with ${JSON.stringify(block.input)}]`;
+    } else if (block.type === 'tool_result') {
+      text = `[result: ${typeof block.content === 'string' ? block.content : JSON.stringify(block.content)}]`;
+    } else {
+      text = block.text || '';
+    }
+
+    return `${entry.role}: ${text.substring(0, MAX_TRANSCRIPT_BLOCK_LENGTH)}`;
+  })).join('\n');
+}
+
+/**
+ * Summarize older turns as a system prompt block
+ *
+ * Without a summary the start of the transcript is used instead, and may be
+ * trimmed further like board data.
+ *
+ * @param {Object[]} messages - History messages to summarize
+ * @param {Function} summarize - Async function turning a transcript into a summary, or null
+ * @returns {Promise<Object>} - System prompt block with the summary
+ */
+async function summarizeTurns(messages, summarize) {
+  const transcript = renderTranscript(messages);
+
+  if (summarize) {
+    try {
+      const summary = await summarize(transcript);
+      if (summary) {
+        return { type: 'text', text: `EARLIER CONVERSATION (summarized):\n${summary}` };
+      }
+    } catch (error) {
+      logger.warn('Could not summarize earlier turns, keeping the start of them', { error: error.message });
+    }
+  }
+
+  return {
+    type: 'text',
+    text: `EARLIER CONVERSATION (start of transcript):\n${trimText(transcript, FALLBACK_SUMMARY_TOKENS)}`,
+    trimmable: true
+  };
+}
+
+/**
+ * Cut board data in a message down by a number of tokens, largest data first
+ *
+ * @param {Object} message - Message with system prompt blocks
+ * @param {number} excessTokens - Tokens to remove
+ * @param {Object[]} decisions - Decisions, one is added per cut block
+ * @returns {Object} - Message with the cut data
+ */
+function trimBoardData(message, excessTokens, decisions) {
+  const copyBlocks = blocks => blocks.map(block => ({ ...block }));
+  const trimmed = {
+    ...message,
+    systemPrompt: message.systemPrompt ? copyBlocks(message.systemPrompt) : null,
+    history: message.history.map(entry => (Array.isArray(entry.content)
+      ? { ...entry, content: copyBlocks(entry.content) }
+      : entry)),
+    prompt: Array.isArray(message.prompt) ? copyBlocks(message.prompt) : message.prompt
+  };
+
+  const data = [];
+  const collect = (blocks, location) => {
+    blocks.forEach((block) => {
+      const key = block.type === 'tool_result' ? 'content' : 'text';
+      if ((block.trimmable || block.type === 'tool_result') && typeof block[key] === 'string') {
+        data.push({ block, key, location, tokens: estimateTokens(block[key]) });
+      }
+    });
+  };
+
+  collect(trimmed.systemPrompt || [], 'system');
+  trimmed.history.forEach(entry => Array.isArray(entry.content) && collect(entry.content, 'history'));
+  if (Array.isArray(trimmed.prompt)) {
+    collect(trimmed.prompt, 'prompt');
+  }
+
+  let remaining = excessTokens;
+  for (const item of data.sort((a, b) => b.tokens - a.tokens)) {
+    if (remaining <= 0) {
+      break;
+    }
+
+    const targetTokens = Math.max(MIN_DATA_TOKENS, item.tokens - remaining);
+    if (targetTokens >= item.tokens) {
+      continue;
+    }
+
+    item.block[item.key] = trimText(item.block[item.key], targetTokens);
+    const removedTokens = item.tokens - estimateTokens(item.block[item.key]);
+    remaining -= removedTokens;
+
+    decisions.push({ type: 'trimmed_board_data', location: item.location, removedTokens });
+  }
+
+  return trimmed;
+}
+
+/**
+ * Fit a message into the model's context window
+ *
+ * Messages that fit, by the estimate or by an exact count, are returned
+ * unchanged. Otherwise older turns are compacted into a summary added to the
+ * system prompt, then board data is cut.
+ *
+ * @param {Object} message - Message (see enhanced-claudeAPI sendMessage)
+ * @param {Object} options - Options
+ * @param {number} options.outputTokens - Tokens reserved for the response
+ * @param {Function} options.summarize - Async function turning a transcript of older turns into a summary
+ * @param {Function} options.countTokens - Async function counting the input tokens of a message exactly
+ * @param {number} options.contextTokens - Size of the context window (defaults to CLAUDE_CONTEXT_TOKENS)
+ * @returns {Promise<Object>} - Fitted message and report ({ message, report: { estimatedTokens, budgetTokens, decisions } })
+ * @throws {Error} - CONTEXT_WINDOW_EXCEEDED when the message is too large even after compacting and trimming
+ */
+async function fitMessage(message, options = {}) {
+  const { outputTokens = 0, summarize = null, countTokens = null, contextTokens = CONTEXT_WINDOW_TOKENS } = options;
+  const budgetTokens = Math.floor(contextTokens * (1 - SAFETY_MARGIN)) - outputTokens;
+  const report = {
+    estimatedTokens: estimateMessageTokens(message),
+    budgetTokens,
+    decisions: []
+  };
+
+  if (report.estimatedTokens <= budgetTokens) {
+    return { message, report };
+  }
+
+  if (countTokens) {
+    try {
+      const countedTokens = await countTokens(message);
+      if (countedTokens <= budgetTokens) {
+        return { message, report: { ...report, estimatedTokens: countedTokens } };
+      }
+    } catch (error) {
+      logger.warn('Failed to count tokens, using the estimate', { error: error.message });
+    }
+  }
+
+  let fitted = {
+    ...message,
+    systemPrompt: message.systemPrompt ? toBlocks(message.systemPrompt) : null,
+    history: [...(message.history || [])]
+  };
+
+  // Older turns matter least, so they are summarized first
+  const split = findCompactionPoint(fitted.history);
+  if (split > 0) {
+    const summary = await summarizeTurns(fitted.history.slice(0, split), summarize);
+
+    fitted.systemPrompt = [...(fitted.systemPrompt || []), summary];
+    fitted.history = fitted.history.slice(split);
+    report.decisions.push({ type: 'compacted_history', messages: split });
+  }
+
+  const excessTokens = estimateMessageTokens(fitted) - budgetTokens;
+  if (excessTokens > 0) {
+    fitted = trimBoardData(fitted, excessTokens, report.decisions);
+  }
+
+  report.estimatedTokens = estimateMessageTokens(fitted);
+
+  logger.info('Fitted message to the context window', report);
+
+  if (report.estimatedTokens > budgetTokens) {
+    const error = new Error('The request is too large for the context window even after trimming board data');
+    error.code = 'CONTEXT_WINDOW_EXCEEDED';
+    error.contextWindow = report;
+    throw error;
+  }
+
+  return { message: fitted, report };
+}
+
+module.exports = {
+  CONTEXT_WINDOW_TOKENS,
+  estimateTokens,
+  estimateMessageTokens,
+  trimText,
+  fitMessage
+};
@@ -0,0 +1,144 @@
+/**
+ * Conversation threads
+ *
+ * Groups saved conversations by a client-provided thread ID and turns the
+ * previous turns of a thread into Claude messages, so follow-up requests
+ * ("now assign it to Dana") can refer to items from earlier turns.
+ */
+
+const { Logger } = require('@mondaycom/apps-sdk');
+const claudeAPI = require('./enhanced-claudeAPI');
+
+const logger = new Logger('conversation-threads');
+
+// Number of previous turns sent to Claude with a follow-up request
+const MAX_THREAD_TURNS = 5;
+
+// Longest monday.com result included in a replayed tool_result
+const MAX_TOOL_RESULT_LENGTH = 2000;
+
+/**
+ * Load the previous turns of a thread, oldest first
+ *
+ * @param {string} userId - User ID
+ * @param {string} threadId - Thread ID from the client
+ * @param {Object} options - Options
+ * @param {number} options.maxTurns - Maximum number of turns to return
+ * @returns {Promise<Object[]>} - Saved conversations belonging to the thread
+ */
+async function getThreadTurns(userId, threadId, options = {}) {
+  const { maxTurns = MAX_THREAD_TURNS } = options;
+
+  if (!threadId) {
+    return [];
+  }
+
+  // History is stored newest first
+  const history = await claudeAPI.getConversationHistory(userId);
+  const turns = history
+    .filter(conversation => conversation.threadId === threadId)
+    .slice(0, maxTurns)
+    .reverse();
+
+  logger.info('Loaded conversation thread', { userId, threadId, turns: turns.length });
+
+  return turns;
+}
+
+/**
+ * Serialize a step result for a replayed tool_result block
+ *
+ * @param {Object} step - Saved step ({ result, error })
+ * @returns {string} - Tool result content
+ */
+function formatStepResult(step) {
+  if (step.error) {
+    return `Error: ${step.error}`;
+  }
+
+  const content = JSON.stringify(step.result ?? null);
+
+  if (content.length > MAX_TOOL_RESULT_LENGTH) {
+    return `${content.substring(0, MAX_TOOL_RESULT_LENGTH)}... [truncated]`;
+  }
+
+  return content;
+}
+
+/**
+ * Convert saved turns into Claude messages
+ *
+ * Each turn becomes the user's prompt, an assistant message with the
+ * tool calls that were made, a user message with their tool results
+ * and an assistant message with the explanation shown to the user.
+ *
+ * @param {Object[]} turns - Saved conversations, oldest first
+ * @returns {Object[]} - Messages for the Claude Messages API
+ */
+function buildThreadMessages(turns) {
+  const messages = [];
+
+  turns.forEach((turn, turnIndex) => {
+    messages.push({
+      role: 'user',
+      content: [{ type: 'text', text: turn.prompt }]
+    });
+
+    const steps = turn.steps || (turn.action ? [{ action: turn.action, result: turn.result }] : []);
+
+    if (steps.length > 0) {
+      // Steps confirmed after a preview have no tool_use ID of their own
+      const toolUseIds = steps.map((step, stepIndex) => step.toolUseId || `toolu_thread_${turnIndex}_${stepIndex}`);
+
+      messages.push({
+        role: 'assistant',
+        content: steps.map((step, stepIndex) => ({
+          type: 'tool_use',
+          id: toolUseIds[stepIndex],
+          // Typed tool calls are replayed with their own name and input
+          name: step.action.tool || 'monday_action',
+          input: step.action.tool ? step.action.input : {
+            operation_type: step.action.operationType,
+            graphql_string: step.action.graphqlString,
+            variables: step.action.variables || {}
+          }
+        }))
+      });
+
+      messages.push({
+        role: 'user',
+        content: steps.map((step, stepIndex) => ({
+          type: 'tool_result',
+          tool_use_id: toolUseIds[stepIndex],
+          content: formatStepResult(step),
+          ...(step.error ? { is_error: true } : {})
+        }))
+      });
+    }
+
+    messages.push({
+      role: 'assistant',
+      content: [{ type: 'text', text: turn.explanation || 'Done.' }]
+    });
+  });
+
+  return messages;
+}
+
+/**
+ * Load a thread and convert it into Claude messages
+ *
+ * @param {string} userId - User ID
+ * @param {string} threadId - Thread ID from the client
+ * @returns {Promise<Object[]>} - Messages for the Claude Messages API
+ */
+async function getThreadMessages(userId, threadId) {
+  const turns = await getThreadTurns(userId, threadId);
+  return buildThreadMessages(turns);
+}
+
+module.exports = {
+  getThreadTurns,
+  buildThreadMessages,
+  getThreadMessages
+};
@@ -0,0 +1,209 @@
+/**
+ * Degraded mode answers
+ *
+ * While Claude is unavailable, simple read-only questions are matched against
+ * deterministic templates and answered with a fixed monday.com query, so users
+ * can still look at their boards. Anything that would change a board, or that
+ * no template covers, waits until Claude is back.
+ */
+
+const { Logger } = require('@mondaycom/apps-sdk');
+const { formatQueryResult } = require('./resultFormatter');
+
+const logger = new Logger('degraded-mode');
+
+// Opening line of every degraded answer
+const DEGRADED_NOTICE = 'The AI assistant is temporarily unavailable, so this is a basic answer from your board.';
+
+// Items read from the board per question
+const ITEM_LIMIT = 100;
+
+// Boards listed per question
+const BOARD_LIMIT = 50;
+
+// Words asking for a change, which templates never answer
+const CHANGE_PATTERN = /\b(create|add|delete|remove|move|update|change|set|assign|rename|archive|duplicate|mark)\b/;
+
+const BOARDS_QUERY = `
+  query DegradedBoards($limit: Int) {
+    boards(limit: $limit) {
+      id
+      name
+    }
+  }
+`;
+
+const ITEMS_QUERY = `
+  query DegradedBoardItems($boardId: [ID!], $limit: Int) {
+    boards(ids: $boardId) {
+      id
+      name
+      items_page(limit: $limit) {
+        cursor
+        items {
+          id
+          name
+          group {
+            id
+            title
+          }
+          column_values {
+            id
+            text
+            type
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Check whether text mentions a phrase as whole words
+ *
+ * @param {string} text - Lowercase text
+ * @param {string} phrase - Phrase to look for
+ * @returns {boolean} - Whether the phrase appears
+ */
+function containsPhrase(text, phrase) {
+  if (!phrase) {
+    return false;
+  }
+
+  const escaped = phrase.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|\\W)${escaped}(\\W|$)`).test(text);
+}
+
+/**
+ * Format a count with a singular or plural noun
+ *
+ * @param {number} count - Count
+ * @param {string} noun - Singular noun
+ * @returns {string} - e.g. "1 item" or "3 items"
+ */
+function countOf(count, noun) {
+  return `${count} ${count === 1 ? noun : `${noun}s`}`;
+}
+
+/**
+ * Match a request against the degraded mode templates
+ *
+ * @param {string} prompt - Natural language request
+ * @param {Object} boardSchema - Schema of the user's board, or null
+ * @returns {Object|null} - Plan ({ template, action, group, filter }), or null when no template fits
+ */
+function matchTemplate(prompt, boardSchema = null) {
+  const text = String(prompt).toLowerCase();
+
+  if (CHANGE_PATTERN.test(text)) {
+    return null;
+  }
+
+  if (/\bboards\b/.test(text)) {
+    return {
+      template: 'list_boards',
+      action: { operationType: 'query', graphqlString: BOARDS_QUERY, variables: { limit: BOARD_LIMIT } }
+    };
+  }
+
+  if (!boardSchema) {
+    return null;
+  }
+
+  const asksForItems = /\b(items?|tasks?|rows?)\b/.test(text);
+
+  if (!asksForItems && /\b(columns?|groups?|statuses|labels|structure)\b/.test(text)) {
+    return { template: 'board_structure', action: null };
+  }
+
+  if (!asksForItems) {
+    return null;
+  }
+
+  // Narrow to a group or a column label the request names
+  const group = boardSchema.groups.find(candidate => containsPhrase(text, candidate.title)) || null;
+  let filter = null;
+  for (const column of boardSchema.columns) {
+    const label = column.labels.find(candidate => containsPhrase(text, candidate));
+    if (label) {
+      filter = { columnId: column.id, columnTitle: column.title, label };
+      break;
+    }
+  }
+
+  return {
+    template: /\b(how many|count|number of)\b/.test(text) ? 'count_items' : 'list_items',
+    action: {
+      operationType: 'query',
+      graphqlString: ITEMS_QUERY,
+      variables: { boardId: [String(boardSchema.id)], limit: ITEM_LIMIT }
+    },
+    group,
+    filter
+  };
+}
+
+/**
+ * Build the answer to a matched template from its query result
+ *
+ * @param {Object} plan - Plan from matchTemplate
+ * @param {Object} result - GraphQL response of the plan's action, or null when it has none
+ * @param {Object} boardSchema - Schema of the user's board, or null
+ * @returns {Object} - Answer ({ table, explanation })
+ */
+function buildAnswer(plan, result, boardSchema = null) {
+  if (plan.template === 'list_boards') {
+    const boards = result?.data?.boards || [];
+    const names = boards.map(board => `"${board.name}" (ID ${board.id})`).join(', ');
+
+    return {
+      table: null,
+      explanation: `${DEGRADED_NOTICE} You can see ${countOf(boards.length, 'board')}${names ? `: ${names}` : ''}.`
+    };
+  }
+
+  if (plan.template === 'board_structure') {
+    const groups = boardSchema.groups.map(group => `"${group.title}"`).join(', ');
+    const columns = boardSchema.columns
+      .map(column => `"${column.title}" (${column.type}${column.labels.length > 0 ? `: ${column.labels.join(', ')}` : ''})`)
+      .join(', ');
+
+    return {
+      table: null,
+      explanation: `${DEGRADED_NOTICE} The board "${boardSchema.name}" has ${countOf(boardSchema.groups.length, 'group')}` +
+        `${groups ? ` (${groups})` : ''} and ${countOf(boardSchema.columns.length, 'column')}${columns ? ` (${columns})` : ''}.`
+    };
+  }
+
+  const table = formatQueryResult(result, { boardSchema }) || {
+    columns: [],
+    rows: [],
+    pagination: { returned: 0, paged: true, hasMore: false, cursor: null }
+  };
+  const rows = table.rows.filter(row => (!plan.group || row.group === plan.group.title) &&
+    (!plan.filter || row.values[plan.filter.columnId] === plan.filter.label));
+  const boardName = result?.data?.boards?.[0]?.name || boardSchema.name;
+
+  let explanation = `${DEGRADED_NOTICE} Found ${countOf(rows.length, 'item')} on "${boardName}"` +
+    `${plan.group ? ` in the group "${plan.group.title}"` : ''}` +
+    `${plan.filter ? ` with ${plan.filter.columnTitle} "${plan.filter.label}"` : ''}.`;
+
+  if (table.pagination.hasMore) {
+    explanation += ` Only the first ${ITEM_LIMIT} items of the board were checked.`;
+  }
+
+  logger.info('Answered from degraded mode template', { template: plan.template, rows: rows.length });
+
+  return {
+    table: plan.template === 'list_items'
+      ? { ...table, rows, pagination: { ...table.pagination, returned: rows.length } }
+      : null,
+    explanation
+  };
+}
+
+module.exports = {
+  DEGRADED_NOTICE,
+  matchTemplate,
+  buildAnswer
+};
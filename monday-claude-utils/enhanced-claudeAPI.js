@@ -2,33 +2,90 @@
  * Enhanced Claude API Utility with retry logic and better error handling
  */
 
-const axios = require('axios');
 const { Logger, Environment } = require('@mondaycom/apps-sdk');
+const { formatBoardSchemaForPrompt } = require('./boardSchema');
+const toolCatalog = require('./toolCatalog');
+const usageMeter = require('./usageMeter');
+const contextWindow = require('./contextWindow');
+const { CircuitBreaker } = require('./circuitBreaker');
+const llmProvider = require('./llmProvider');
+const requestCancellation = require('./requestCancellation');
 
 const logger = new Logger('claude-api-utils');
 const env = new Environment();
 
 // Claude API configuration
-const CLAUDE_API_URL = env.get('CLAUDE_API_URL') || 'https://api.anthropic.com/v1/messages';
-const CLAUDE_API_VERSION = env.get('CLAUDE_API_VERSION') || '2023-06-01';
 const CLAUDE_MODEL = env.get('CLAUDE_MODEL') || 'claude-3-5-sonnet-20240307';
 const MAX_RETRIES = 3;
 
+// Sends requests to Anthropic, or answers them offline (see llmProvider.js)
+const provider = llmProvider.createProvider();
+
+// Errors thrown as they are, without retries or wrapping
+const PASSTHROUGH_ERROR_CODES = ['CLAUDE_UNAVAILABLE', 'CLAUDE_NOT_CONFIGURED'];
+
+// Network errors that mean Anthropic could not be reached in time
+const UNREACHABLE_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED'];
+
+// Fails Claude calls fast while Anthropic keeps returning server errors or timing out
+const claudeBreaker = new CircuitBreaker('claude', {
+  failureThreshold: Number(env.get('CLAUDE_BREAKER_FAILURES')) || 5,
+  resetTimeoutMs: Number(env.get('CLAUDE_BREAKER_RESET_MS')) || 30000,
+  errorCode: 'CLAUDE_UNAVAILABLE',
+  // A cancelled call never reached a verdict from Anthropic
+  isIgnored: requestCancellation.isCancellation,
+  isFailure: error => (error.response
+    ? error.response.status >= 500 || error.response.status === 408
+    : UNREACHABLE_ERROR_CODES.includes(error.code))
+});
+
+// Limits for the multi-step monday.com tool loop
+const MAX_AGENT_STEPS = 8;
+const MAX_AGENT_COMPLEXITY = 1000000;
+
+// Marks the end of a prompt prefix Anthropic may cache between calls
+const PROMPT_CACHE_CONTROL = { type: 'ephemeral' };
+
 /**
- * Send a message to Claude API with retry logic
+ * Mark the last block of a list as a prompt cache breakpoint
  * 
- * @param {Object} message - Message object to send to Claude
- * @param {string} message.prompt - User's prompt/question
- * @param {string} message.model - Claude model to use (defaults to CLAUDE_MODEL env var)
- * @param {number} message.maxTokens - Maximum tokens in response (defaults to 1000)
- * @param {Object[]} message.systemPrompt - Optional system prompt
- * @param {Object[]} message.tools - Optional tools for Claude to use
- * @param {Object} message.toolChoice - Optional tool choice object
- * @param {Object[]} message.history - Optional conversation history
- * @param {number} retries - Number of retries attempted (used internally)
- * @returns {Promise<Object>} - Claude's response
+ * Everything up to and including the block is cached, so it should be the
+ * last part that stays the same between calls.
+ * 
+ * @param {Object[]} blocks - System prompt blocks or tool definitions
+ * @returns {Object[]} - Copy of the blocks with cache control on the last one
+ */
+function withCacheControl(blocks) {
+  return blocks.map((block, index) => (index === blocks.length - 1
+    ? { ...block, cache_control: PROMPT_CACHE_CONTROL }
+    : block));
+}
+
+/**
+ * Remove the context window markers the Messages API does not accept
+ * 
+ * @param {Object[]} blocks - Content blocks
+ * @returns {Object[]} - Blocks without the `trimmable` marker
  */
-async function sendMessage(message, retries = 0) {
+function toApiBlocks(blocks) {
+  return blocks.map((block) => {
+    if (!('trimmable' in block)) {
+      return block;
+    }
+    
+    const apiBlock = { ...block };
+    delete apiBlock.trimmable;
+    return apiBlock;
+  });
+}
+
+/**
+ * Build the Messages API request body for a message
+ * 
+ * @param {Object} message - Message object (see sendMessage)
+ * @returns {Object} - Request body for the Claude Messages API
+ */
+function buildRequestBody(message) {
   const {
     prompt,
     model = CLAUDE_MODEL,
@@ -39,127 +96,206 @@ async function sendMessage(message, retries = 0) {
     history = []
   } = message;
 
-  const apiKey = env.get('CLAUDE_API_KEY');
+  // Construct messages array with history and new message
+  const messages = history.map(entry => (Array.isArray(entry.content)
+    ? { ...entry, content: toApiBlocks(entry.content) }
+    : entry));
+  
+  // Add the new user message
+  messages.push({
+    role: 'user',
+    content: Array.isArray(prompt) ? toApiBlocks(prompt) : [
+      {
+        type: 'text',
+        text: prompt
+      }
+    ]
+  });
+
+  // Prepare request body
+  const requestBody = {
+    model: model,
+    max_tokens: maxTokens,
+    messages: messages
+  };
+
+  // Add system prompt if provided, cached so repeated calls only pay for it once
+  if (systemPrompt) {
+    requestBody.system = withCacheControl(Array.isArray(systemPrompt) ? toApiBlocks(systemPrompt) : [
+      {
+        type: 'text',
+        text: systemPrompt
+      }
+    ]);
+  }
+
+  // Add tools if provided; tool definitions come first in the cached prefix
+  if (tools && tools.length > 0) {
+    requestBody.tools = withCacheControl(tools);
+  }
+
+  // Add tool choice if provided
+  if (toolChoice) {
+    requestBody.tool_choice = toolChoice;
+  }
 
-  if (!apiKey) {
-    throw new Error('Claude API key is required');
+  return requestBody;
+}
+
+/**
+ * Meter the tokens of a Claude response against the message's usage context
+ * 
+ * Recording happens in the background so it never delays or fails the call.
+ * 
+ * @param {Object} message - Message that was sent (see sendMessage)
+ * @param {Object} response - Claude's response
+ */
+function recordMessageUsage(message, response) {
+  if (!message.usageContext || !response.usage) {
+    return;
   }
 
-  if (!prompt) {
+  usageMeter.recordUsage({
+    ...message.usageContext,
+    model: response.model || message.model || CLAUDE_MODEL,
+    usage: response.usage
+  });
+}
+
+/**
+ * Fit a message into the context window, summarizing older turns with Claude
+ * 
+ * Messages the estimate puts over budget are counted exactly by the provider
+ * before anything is compacted or trimmed.
+ * 
+ * @param {Object} message - Message object (see sendMessage)
+ * @returns {Promise<Object>} - Fitted message and report (see contextWindow.fitMessage)
+ */
+function fitMessageToContext(message) {
+  return contextWindow.fitMessage(message, {
+    outputTokens: message.maxTokens || 1000,
+    countTokens: candidate => claudeBreaker.call(() => provider.countTokens(buildRequestBody(candidate), {
+      signal: message.signal
+    })),
+    summarize: transcript => summarizeConversation(transcript, message)
+  });
+}
+
+/**
+ * Summarize earlier turns of a conversation so they take less of the context window
+ * 
+ * @param {string} transcript - Transcript of the turns
+ * @param {Object} message - Message the turns belong to, for its model and usage context
+ * @returns {Promise<string>} - Summary
+ */
+async function summarizeConversation(transcript, message) {
+  const response = await sendMessage({
+    prompt: `Summarize this earlier part of a conversation between a user and a monday.com assistant. Keep the names and IDs of boards, groups, columns and items, what the user asked for, what was done and any open questions. Reply with the summary only.
+
+${transcript}`,
+    model: message.model,
+    usageContext: message.usageContext,
+    signal: message.signal,
+    maxTokens: 500
+  });
+  
+  return response.content?.[0]?.text || '';
+}
+
+/**
+ * Add the context window report to a response when the message had to be changed
+ * 
+ * @param {Object} response - Claude's response
+ * @param {Object} report - Report from contextWindow.fitMessage
+ * @returns {Object} - Response, with `contextWindow` when turns were compacted or data trimmed
+ */
+function withContextReport(response, report) {
+  return report.decisions.length > 0 ? { ...response, contextWindow: report } : response;
+}
+
+/**
+ * Send a message to Claude API
+ * 
+ * The message is fitted into the context window before it is sent: older
+ * history turns are summarized and board data is trimmed, never the request
+ * itself. What was changed is returned as `contextWindow` on the response.
+ * 
+ * @param {Object} message - Message object to send to Claude
+ * @param {string|Object[]} message.prompt - User's prompt/question, or content blocks such as tool results
+ * @param {string} message.model - Claude model to use (defaults to CLAUDE_MODEL env var)
+ * @param {number} message.maxTokens - Maximum tokens in response (defaults to 1000)
+ * @param {string|Object[]} message.systemPrompt - Optional system prompt, as text or text blocks
+ * @param {Object[]} message.tools - Optional tools for Claude to use
+ * @param {Object} message.toolChoice - Optional tool choice object
+ * @param {Object[]} message.history - Optional conversation history
+ * @param {Object} message.usageContext - Optional account, user and endpoint the tokens are metered against
+ * @param {AbortSignal} message.signal - Optional signal cancelling the call (see requestCancellation.js)
+ * @param {boolean} message.fitted - Set when the caller already fitted the message with fitMessageToContext
+ * @returns {Promise<Object>} - Claude's response
+ */
+async function sendMessage(message) {
+  if (!message.prompt) {
     throw new Error('Prompt is required');
   }
 
+  // A caller that fitted the message itself sends it as is, so it is not counted or summarized twice
+  if (message.fitted) {
+    const response = await postMessage(message);
+    recordMessageUsage(message, response);
+    return response;
+  }
+
+  const { message: fittedMessage, report } = await fitMessageToContext(message);
+  const response = await postMessage(fittedMessage);
+  
+  recordMessageUsage(message, response);
+  
+  return withContextReport(response, report);
+}
+
+/**
+ * Post a message to Claude API through the provider with retry logic
+ * 
+ * The breaker wraps the whole retried call, so one request counts as a
+ * single success or failure however many attempts it took.
+ * 
+ * @param {Object} message - Message object (see sendMessage)
+ * @returns {Promise<Object>} - Claude's response
+ */
+async function postMessage(message) {
+  const {
+    model = CLAUDE_MODEL,
+    maxTokens = 1000,
+    systemPrompt = null,
+    tools = null,
+    history = []
+  } = message;
+
   try {
     logger.info('Sending message to Claude API', { 
+      provider: provider.name,
       model,
       maxTokens,
-      retryAttempt: retries,
       hasSystemPrompt: Boolean(systemPrompt),
       hasTools: Boolean(tools),
       hasHistory: history.length > 0
     });
 
-    // Construct messages array with history and new message
-    const messages = [...history];
-    
-    // Add the new user message
-    messages.push({
-      role: 'user',
-      content: [
-        {
-          type: 'text',
-          text: prompt
-        }
-      ]
-    });
-
-    // Prepare request body
-    const requestBody = {
-      model: model,
-      max_tokens: maxTokens,
-      messages: messages
-    };
-
-    // Add system prompt if provided
-    if (systemPrompt) {
-      requestBody.system = systemPrompt;
-    }
-
-    // Add tools if provided
-    if (tools && tools.length > 0) {
-      requestBody.tools = tools;
-    }
+    const requestBody = buildRequestBody(message);
 
-    // Add tool choice if provided
-    if (toolChoice) {
-      requestBody.tool_choice = toolChoice;
-    }
-
-    const response = await axios.post(
-      CLAUDE_API_URL,
-      requestBody,
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': apiKey,
-          'anthropic-version': CLAUDE_API_VERSION
-        }
-      }
-    );
+    const response = await claudeBreaker.call(() => sendWithRetries(requestBody, message.signal));
 
     logger.info('Received response from Claude API', {
-      responseLength: JSON.stringify(response.data).length
+      model: response.model || model,
+      usage: response.usage,
+      responseLength: JSON.stringify(response).length
     });
     
-    return response.data;
+    return response;
   } catch (error) {
-    // Handle error based on type and retry if appropriate
-    if (retries < MAX_RETRIES) {
-      // Check if error is retryable (rate limits or server errors)
-      if (error.response && (
-          error.response.status === 429 || // Rate limit
-          error.response.status >= 500 || // Server error
-          error.response.status === 408)) { // Timeout
-        
-        // Calculate exponential backoff delay
-        const delay = Math.pow(2, retries) * 1000 + Math.random() * 1000;
-        
-        logger.warn(`Claude API error, retrying in ${delay}ms`, {
-          status: error.response?.status,
-          retryAttempt: retries,
-          delay
-        });
-        
-        // Wait before retrying
-        await new Promise(resolve => setTimeout(resolve, delay));
-        
-        // Retry the request
-        return sendMessage(message, retries + 1);
-      }
-      
-      // Handle context window errors specifically
-      if (error.response && 
-          error.response.status === 400 && 
-          error.response.data?.error?.type === 'context_window_exceeded') {
-        
-        logger.warn('Context window exceeded, trying with fewer tokens', {
-          originalPromptLength: prompt.length
-        });
-        
-        // Truncate the prompt to fit context window
-        const shortenedPrompt = prompt.substring(0, Math.floor(prompt.length * 0.8));
-        
-        // If the prompt is already very short, don't retry
-        if (shortenedPrompt.length < 100) {
-          throw new Error('Prompt too long for context window even after truncation');
-        }
-        
-        // Retry with shortened prompt
-        return sendMessage({
-          ...message,
-          prompt: shortenedPrompt + "\n\n[Note: Original message was truncated due to length constraints.]"
-        }, retries + 1);
-      }
+    // A cancelled request and an open breaker or a missing API key fail the call as they are
+    if (requestCancellation.isCancellation(error) || PASSTHROUGH_ERROR_CODES.includes(error.code)) {
+      throw error;
     }
     
     // Log the error details
@@ -169,8 +305,7 @@ async function sendMessage(message, retries = 0) {
         status: error.response?.status,
         data: error.response?.data,
         code: error.code
-      },
-      retryAttempt: retries
+      }
     });
     
     // Enhance error with more details
@@ -183,37 +318,289 @@ async function sendMessage(message, retries = 0) {
   }
 }
 
+/**
+ * Send a request body through the provider, retrying rate limits, server errors and timeouts
+ * 
+ * @param {Object} requestBody - Messages API request body
+ * @param {AbortSignal} signal - Optional signal cancelling the call
+ * @returns {Promise<Object>} - Claude's response
+ * @throws {Error} - The last attempt's error, or a cancellation error once the signal aborts
+ */
+async function sendWithRetries(requestBody, signal) {
+  for (let retries = 0; ; retries++) {
+    try {
+      return await provider.sendMessage(requestBody, { signal });
+    } catch (error) {
+      // A cancelled request is not retried
+      if (signal?.aborted) {
+        throw requestCancellation.createCancellationError();
+      }
+      
+      const retryable = error.response && (
+        error.response.status === 429 || // Rate limit
+        error.response.status >= 500 || // Server error
+        error.response.status === 408); // Timeout
+      
+      if (retries >= MAX_RETRIES || !retryable) {
+        throw error;
+      }
+      
+      // Calculate exponential backoff delay
+      const delay = Math.pow(2, retries) * 1000 + Math.random() * 1000;
+      
+      logger.warn(`Claude API error, retrying in ${delay}ms`, {
+        status: error.response.status,
+        retryAttempt: retries,
+        delay
+      });
+      
+      // Wait before retrying
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Stream a message from Claude API using server-sent events
+ * 
+ * Text is passed to `onText` as it arrives. The assembled message is returned
+ * in the same shape as a non-streaming response once the stream ends.
+ * 
+ * @param {Object} message - Message object (see sendMessage)
+ * @param {Function} onText - Called with each text delta
+ * @returns {Promise<Object>} - Claude's complete response
+ */
+async function streamMessage(message, onText = () => {}) {
+  if (!message.prompt) {
+    throw new Error('Prompt is required');
+  }
+
+  const { message: fittedMessage, report } = await fitMessageToContext(message);
+  const requestBody = buildRequestBody(fittedMessage);
+
+  logger.info('Streaming message from Claude API', { 
+    provider: provider.name,
+    model: requestBody.model,
+    maxTokens: requestBody.max_tokens
+  });
+
+  let events;
+  try {
+    events = await claudeBreaker.call(() => provider.stream(requestBody, { signal: message.signal }));
+  } catch (error) {
+    if (message.signal?.aborted) {
+      throw requestCancellation.createCancellationError();
+    }
+    
+    if (PASSTHROUGH_ERROR_CODES.includes(error.code)) {
+      throw error;
+    }
+    
+    logger.error('Failed to start Claude API stream', { 
+      error: {
+        message: error.message,
+        status: error.response?.status,
+        code: error.code
+      }
+    });
+    
+    const enhancedError = new Error(`Claude API Error: ${error.message}`);
+    enhancedError.originalError = error;
+    enhancedError.status = error.response?.status;
+    throw enhancedError;
+  }
+
+  const result = { content: [] };
+
+  // Apply a single server-sent event to the assembled message
+  const handleEvent = (data) => {
+    switch (data.type) {
+      case 'message_start':
+        Object.assign(result, data.message, { content: [] });
+        break;
+      case 'content_block_start':
+        result.content[data.index] = { ...data.content_block };
+        if (data.content_block.type === 'tool_use') {
+          result.content[data.index].partialJson = '';
+        }
+        break;
+      case 'content_block_delta': {
+        const block = result.content[data.index];
+        if (data.delta.type === 'text_delta') {
+          block.text += data.delta.text;
+          onText(data.delta.text);
+        } else if (data.delta.type === 'input_json_delta') {
+          block.partialJson += data.delta.partial_json;
+        }
+        break;
+      }
+      case 'content_block_stop': {
+        const block = result.content[data.index];
+        if (block.type === 'tool_use') {
+          block.input = block.partialJson ? JSON.parse(block.partialJson) : {};
+          delete block.partialJson;
+        }
+        break;
+      }
+      case 'message_delta':
+        Object.assign(result, data.delta);
+        if (data.usage) {
+          result.usage = { ...result.usage, ...data.usage };
+        }
+        break;
+      case 'error': {
+        const streamError = new Error(`Claude API Error: ${data.error?.message || 'stream error'}`);
+        streamError.data = data;
+        throw streamError;
+      }
+      default:
+        break;
+    }
+  };
+
+  // Leaving the loop early closes the provider's stream
+  try {
+    for await (const event of events) {
+      requestCancellation.throwIfCancelled(message.signal);
+      handleEvent(event);
+    }
+  } catch (error) {
+    if (message.signal?.aborted) {
+      throw requestCancellation.createCancellationError();
+    }
+    throw error;
+  }
+
+  logger.info('Finished streaming response from Claude API', {
+    model: result.model || requestBody.model,
+    usage: result.usage,
+    stopReason: result.stop_reason
+  });
+  
+  recordMessageUsage(message, result);
+
+  return withContextReport(result, report);
+}
+
 /**
  * Process a natural language request through Claude to generate monday.com API actions
  * 
+ * When an executor is provided, each monday.com tool call is executed and its
+ * result is sent back to Claude as a tool_result. The loop continues until Claude
+ * stops calling tools or the step/complexity limits are reached.
+ * 
  * @param {string} userPrompt - The user's natural language request
- * @returns {Promise<Object>} - Claude's response with actions to perform
+ * @param {Object} options - Processing options
+ * @param {Function} options.executeAction - Async function receiving an action
+ *   ({ operationType, tool, input, bulk } or { operationType, graphqlString, variables }) and returning { result, halt }
+ *   plus any extra details to record on the step
+ * @param {number} options.maxSteps - Maximum number of tool calls to execute
+ * @param {number} options.maxComplexity - Maximum monday.com complexity to spend
+ * @param {Object} options.boardSchema - Schema of the user's current board (see boardSchema.js)
+ * @param {Object[]} options.history - Earlier messages of the conversation thread (see conversationThreads.js)
+ * @param {boolean} options.allowRawGraphql - Also offer Claude raw GraphQL through monday_action, for operations no typed tool covers
+ * @param {string} options.model - Claude model to plan with (defaults to CLAUDE_MODEL env var)
+ * @param {Object} options.usageContext - Account, user and endpoint the tokens are metered against
+ * @param {AbortSignal} options.signal - Cancels the request; the loop stops with stopReason `cancelled`
+ *   before the next Claude call or tool call, keeping the steps that already ran
+ * @returns {Promise<Object>} - Claude's final response with the executed steps, and the
+ *   ask_clarification input ({ toolUseId, question, options }) when Claude asked the user to choose
  */
-async function processMondayRequest(userPrompt) {
-  // Define the monday action tool
+async function processMondayRequest(userPrompt, options = {}) {
+  const {
+    executeAction = null,
+    maxSteps = MAX_AGENT_STEPS,
+    maxComplexity = MAX_AGENT_COMPLEXITY,
+    boardSchema = null,
+    history: threadHistory = [],
+    allowRawGraphql = false,
+    model = CLAUDE_MODEL,
+    usageContext = null,
+    signal = null
+  } = options;
+
+  // Raw GraphQL is an opt-in fallback; the typed tools are offered either way
   const mondayActionTool = {
     name: "monday_action",
-    description: "Execute actions on monday.com",
+    description: "Run a GraphQL query, a bulk update, or a GraphQL mutation for operations no other tool covers",
     input_schema: {
       type: "object",
       properties: {
         operation_type: {
           type: "string",
-          enum: ["query", "mutation"]
+          enum: ["query", "mutation", "bulk_update"]
         },
         graphql_string: {
           type: "string"
         },
         variables: {
           type: "object"
+        },
+        bulk: {
+          type: "object",
+          description: "Only for operation_type bulk_update: set the same column values on every item matching the rules",
+          properties: {
+            board_id: { type: "string" },
+            rules: {
+              type: "array",
+              description: "items_page query rules, e.g. { column_id, compare_value, operator }",
+              items: { type: "object" }
+            },
+            operator: { type: "string", enum: ["and", "or"] },
+            column_values: {
+              type: "object",
+              description: "Column values to set, keyed by column ID"
+            }
+          },
+          required: ["board_id", "column_values"]
+        }
+      },
+      required: ["operation_type"]
+    }
+  };
+
+  // Lets Claude ask the user to choose instead of guessing
+  const askClarificationTool = {
+    name: "ask_clarification",
+    description: "Ask the user to choose between interpretations when a request is ambiguous",
+    input_schema: {
+      type: "object",
+      properties: {
+        question: {
+          type: "string"
+        },
+        options: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              label: {
+                type: "string",
+                description: "Short text shown on the option's button"
+              },
+              value: {
+                type: "string",
+                description: "The user's reply when they choose this option, written as a complete request"
+              },
+              entity_type: {
+                type: "string",
+                enum: ["board", "group", "item", "column", "user"]
+              },
+              entity_id: {
+                type: "string",
+                description: "ID of the board entity the option refers to, from the board schema or an earlier result"
+              }
+            },
+            required: ["label"]
+          }
         }
       },
-      required: ["operation_type", "graphql_string"]
+      required: ["question", "options"]
     }
   };
 
   // Updated system prompt for workflow automation
-  const systemPrompt = `You are an advanced monday.com workflow automation assistant. Your primary goal is to help users create, manage, and optimize their monday.com workflows and automations using natural language.
+  const systemInstructions = `You are an advanced monday.com workflow automation assistant. Your primary goal is to help users create, manage, and optimize their monday.com workflows and automations using natural language.
 
 When processing user requests, follow these guidelines:
 
@@ -273,27 +660,249 @@ COMMON AUTOMATION ACTIONS:
 - Notify: Send a notification to users
 - Send Email: Send an email to specified recipients
 
+TOOLS:
+1. Read items with get_board_items and make changes with the typed tools (create_item, create_subitem, update_column_value, move_item_to_group, create_board, delete_item, bulk_update_items)
+2. Pass column values as objects keyed by column ID; never JSON-encode them yourself${allowRawGraphql ? `
+3. Use monday_action only for reads or changes no typed tool covers` : ''}
+
+MULTI-STEP REQUESTS:
+1. You can call tools several times; the result of each call is returned to you
+2. Read the data you need first (for example, find the items matching a condition), then act on the results
+3. Use one mutation per call and only use IDs that appeared in earlier results
+4. Earlier messages in the conversation are previous requests from the same user; resolve references such as "it" or "those items" from them
+5. When the request is complete, stop calling tools and briefly describe what was done
+
+READING ITEMS:
+1. List items with get_board_items; its result is shown to the user as a table
+2. Filter with items_page query rules (column_id, compare_value, operator) and give a limit; a returned cursor means more items match than were read
+
+AMBIGUOUS REQUESTS:
+1. If a request could refer to several items, groups or columns, or is missing a detail you need, call ask_clarification instead of guessing
+2. Query the board first when needed so the options are real entities, and give each option its entity_type and entity_id
+3. Offer between 2 and 6 options; write each option's value as the full request the user means, e.g. "Move the item Marketing Plan (ID 123) to Done"
+4. Do not ask when the request is clear
+
+BULK UPDATES:
+1. To change the same columns on many items (for example "set priority High on all items due this week"), use bulk_update_items instead of one change per item
+2. Select the items with items_page query rules (column_id, compare_value, operator) and give the new values in column_values
+3. Bulk updates may not be available on every plan; if the result says so, tell the user instead of retrying item by item
+
 Always translate the user's natural language request into precise, efficient GraphQL operations that implement their desired workflow and automation needs.`;
 
+  // The instructions are the same for every board, so they are cached on their own
+  let systemPrompt = [
+    {
+      type: 'text',
+      text: systemInstructions,
+      cache_control: PROMPT_CACHE_CONTROL
+    }
+  ];
+
+  // Ground Claude in the real structure of the user's board
+  if (boardSchema) {
+    systemPrompt.push({
+      type: 'text',
+      text: formatBoardSchemaForPrompt(boardSchema),
+      trimmable: true
+    });
+  }
+
   try {
     // Log the incoming request
     logger.info('Processing monday.com request with Claude', { 
-      promptLength: userPrompt.length
+      model,
+      promptLength: userPrompt.length,
+      hasBoardSchema: Boolean(boardSchema),
+      historyMessages: threadHistory.length
     });
     
-    // Send the request to Claude
-    const claudeResponse = await sendMessage({
-      prompt: userPrompt,
-      systemPrompt: systemPrompt,
-      tools: [mondayActionTool],
-      toolChoice: {
-        type: "tool",
-        name: "monday_action"
-      },
-      maxTokens: 1500 // Increase token limit for complex responses
-    });
+    // Earlier turns of the thread let Claude resolve follow-ups like "assign it to Dana"
+    let history = [...threadHistory];
+    const steps = [];
+    const contextDecisions = [];
+    let contextReport = null;
+    let prompt = userPrompt;
+    let complexityUsed = 0;
+    let stopReason = 'completed';
+    let clarification = null;
+    let claudeResponse;
+    
+    while (true) {
+      if (signal?.aborted) {
+        stopReason = 'cancelled';
+        break;
+      }
+      
+      // Fit each turn into the context window here, so later turns build on the compacted history
+      const { message: turn, report } = await fitMessageToContext({
+        prompt,
+        model,
+        usageContext,
+        signal,
+        history,
+        systemPrompt: systemPrompt,
+        tools: [...(allowRawGraphql ? [mondayActionTool] : []), ...toolCatalog.getToolDefinitions(), askClarificationTool],
+        toolChoice: steps.length === 0 ? {
+          type: "any"
+        } : {
+          type: "auto"
+        },
+        maxTokens: 1500 // Increase token limit for complex responses
+      });
+      ({ prompt, history, systemPrompt } = turn);
+      contextDecisions.push(...report.decisions);
+      contextReport = report;
+      
+      // Send the request to Claude, forcing a tool call on the first turn only
+      try {
+        claudeResponse = await sendMessage({ ...turn, fitted: true });
+      } catch (error) {
+        if (requestCancellation.isCancellation(error)) {
+          stopReason = 'cancelled';
+          break;
+        }
+        throw error;
+      }
+      
+      const toolUses = (claudeResponse.content || [])
+        .filter(block => block.type === 'tool_use' && block.name !== 'ask_clarification');
+      
+      // A question for the user ends the request; their answer arrives as the next turn
+      const clarificationUse = (claudeResponse.content || [])
+        .find(block => block.type === 'tool_use' && block.name === 'ask_clarification');
+      
+      if (clarificationUse) {
+        clarification = {
+          toolUseId: clarificationUse.id,
+          question: clarificationUse.input.question,
+          options: clarificationUse.input.options || []
+        };
+        stopReason = 'clarification';
+        break;
+      }
+      
+      // Without an executor the caller handles the tool calls itself
+      if (!executeAction || toolUses.length === 0) {
+        break;
+      }
+      
+      const toolResults = [];
+      let halted = false;
+      
+      for (const toolUse of toolUses) {
+        // Calls not yet run are skipped; Claude is not asked again
+        if (signal?.aborted) {
+          break;
+        }
+        
+        if (halted || steps.length >= maxSteps || complexityUsed >= maxComplexity) {
+          // Every tool_use block needs a matching tool_result
+          toolResults.push({
+            type: 'tool_result',
+            tool_use_id: toolUse.id,
+            content: 'Not executed: step limit reached.',
+            is_error: true
+          });
+          continue;
+        }
+        
+        const typedTool = toolCatalog.getTool(toolUse.name);
+        const action = toolUse.name === 'monday_action' ? {
+          operationType: toolUse.input.operation_type,
+          graphqlString: toolUse.input.graphql_string,
+          variables: toolUse.input.variables || {}
+        } : {
+          operationType: typedTool ? typedTool.operationType : 'mutation',
+          tool: toolUse.name,
+          input: toolUse.input || {}
+        };
+        
+        if (toolUse.name === 'monday_action' && toolUse.input.bulk) {
+          action.bulk = {
+            boardId: toolUse.input.bulk.board_id,
+            rules: toolUse.input.bulk.rules || [],
+            operator: toolUse.input.bulk.operator || 'and',
+            columnValues: toolUse.input.bulk.column_values || {}
+          };
+        } else if (typedTool?.toBulk) {
+          action.bulk = typedTool.toBulk(action.input);
+        }
+        const step = { toolUseId: toolUse.id, action };
+        
+        try {
+          if (toolUse.name === 'monday_action' && !allowRawGraphql) {
+            throw new Error('Raw GraphQL is disabled; use the typed tools');
+          }
+          
+          const { result, halt = false, ...details } = await executeAction(action);
+          Object.assign(step, details, { result });
+          complexityUsed += result?.data?.complexity?.query || 0;
+          halted = halt;
+          
+          toolResults.push({
+            type: 'tool_result',
+            tool_use_id: toolUse.id,
+            content: JSON.stringify(result)
+          });
+        } catch (error) {
+          step.error = error.message;
+          
+          toolResults.push({
+            type: 'tool_result',
+            tool_use_id: toolUse.id,
+            content: `Error: ${error.message}`,
+            is_error: true
+          });
+        }
+        
+        steps.push(step);
+      }
+      
+      if (signal?.aborted) {
+        stopReason = 'cancelled';
+        break;
+      }
+      
+      if (halted) {
+        stopReason = 'halted';
+        break;
+      }
+      
+      if (steps.length >= maxSteps) {
+        stopReason = 'max_steps';
+        break;
+      }
+      
+      if (complexityUsed >= maxComplexity) {
+        stopReason = 'max_complexity';
+        break;
+      }
+      
+      // Send the tool results back to Claude as the next user turn
+      history.push(
+        { role: 'user', content: Array.isArray(prompt) ? prompt : [{ type: 'text', text: prompt }] },
+        { role: 'assistant', content: claudeResponse.content }
+      );
+      prompt = toolResults;
+    }
+    
+    if (stopReason !== 'completed' && stopReason !== 'clarification') {
+      logger.warn('Stopped monday.com tool loop early', { 
+        stopReason,
+        steps: steps.length,
+        complexityUsed
+      });
+    }
 
-    return claudeResponse;
+    return {
+      ...claudeResponse,
+      steps,
+      stopReason,
+      clarification,
+      ...(contextDecisions.length > 0 ? {
+        contextWindow: { ...contextReport, decisions: contextDecisions }
+      } : {})
+    };
   } catch (error) {
     logger.error('Error processing monday.com request with Claude', { error });
     
@@ -310,44 +919,84 @@ Always translate the user's natural language request into precise, efficient Gra
   }
 }
 
+// Explanations given when Claude does not explain a result
+const NO_EXPLANATION_TEXT = "The operation was completed, but I couldn't generate a detailed explanation of the results.";
+const FALLBACK_EXPLANATION_PREFIX = 'The operation completed with the following result: ';
+
+/**
+ * Check whether an explanation is a generic one given in place of Claude's
+ * 
+ * @param {string} explanation - Explanation from explainMondayResult
+ * @returns {boolean} - Whether Claude's explanation failed, was cancelled or was empty
+ */
+function isFallbackExplanation(explanation) {
+  return explanation === NO_EXPLANATION_TEXT ||
+    (typeof explanation === 'string' && explanation.startsWith(FALLBACK_EXPLANATION_PREFIX));
+}
+
 /**
  * Generate a user-friendly explanation of a monday.com operation result
  * 
  * @param {string} userPrompt - The original user prompt
  * @param {Object} mondayResult - The result of the monday.com operation
+ * @param {Object} options - Explanation options
+ * @param {Function} options.onToken - Streams the explanation when provided, called with each text delta
+ * @param {string} options.model - Claude model to explain with (defaults to CLAUDE_MODEL env var)
+ * @param {Object} options.usageContext - Account, user and endpoint the tokens are metered against
+ * @param {AbortSignal} options.signal - Cancels the explanation, which then falls back to the generic one
  * @returns {Promise<string>} - A user-friendly explanation
  */
-async function explainMondayResult(userPrompt, mondayResult) {
-  try {
-    // Enhanced prompt for better explanations
-    const prompt = `I asked: ${userPrompt}
+async function explainMondayResult(userPrompt, mondayResult, options = {}) {
+  const { onToken = null, model = CLAUDE_MODEL, usageContext = null, signal = null } = options;
 
-The action was executed with the following result:
-${JSON.stringify(mondayResult, null, 2)}
+  try {
+    // Enhanced prompt for better explanations; only the result may be trimmed to fit
+    const prompt = [
+      {
+        type: 'text',
+        text: `I asked: ${userPrompt}
 
-Please explain in clear, simple terms:
+The action was executed with the following result:`
+      },
+      {
+        type: 'text',
+        text: JSON.stringify(mondayResult, null, 2),
+        trimmable: true
+      },
+      {
+        type: 'text',
+        text: `Please explain in clear, simple terms:
 1. What was done based on my request
 2. What the result means
 3. Any next steps or additional information I should know
 
-Make the explanation conversational and easy to understand for non-technical users.`;
+Make the explanation conversational and easy to understand for non-technical users.`
+      }
+    ];
 
-    // Ask Claude to explain the result
-    const claudeResponse = await sendMessage({
+    const explanationMessage = {
       prompt: prompt,
+      model,
+      usageContext,
+      signal,
       maxTokens: 800 // Limit token length for concise responses
-    });
+    };
+
+    // Ask Claude to explain the result
+    const claudeResponse = onToken
+      ? await streamMessage(explanationMessage, onToken)
+      : await sendMessage(explanationMessage);
 
     if (claudeResponse.content && claudeResponse.content.length > 0) {
       return claudeResponse.content[0].text;
     } else {
-      return "The operation was completed, but I couldn't generate a detailed explanation of the results.";
+      return NO_EXPLANATION_TEXT;
     }
   } catch (error) {
     logger.error('Error explaining monday.com result with Claude', { error });
     
     // Return a generic explanation if Claude API fails
-    return `The operation completed with the following result: ${JSON.stringify(mondayResult.data || {}, null, 2)}`;
+    return `${FALLBACK_EXPLANATION_PREFIX}${JSON.stringify(mondayResult.data || {}, null, 2)}`;
   }
 }
 
@@ -389,6 +1038,34 @@ async function saveConversationHistory(userId, accountId, conversation) {
   }
 }
 
+/**
+ * Update a saved conversation in a user's history
+ * 
+ * @param {string} userId - User ID
+ * @param {string} conversationId - ID of the conversation to update
+ * @param {Object} updates - Fields to merge into the conversation
+ * @returns {Promise<Object|null>} - Updated conversation or null if not found
+ */
+async function updateConversationHistoryEntry(userId, conversationId, updates) {
+  const { Storage } = require('@mondaycom/apps-sdk');
+  const storage = new Storage();
+  
+  const historyKey = `conversation_history_${userId}`;
+  const history = await storage.get(historyKey) || [];
+  const index = history.findIndex(conversation => conversation.id === conversationId);
+  
+  if (index === -1) {
+    return null;
+  }
+  
+  history[index] = { ...history[index], ...updates };
+  await storage.set(historyKey, history);
+  
+  logger.info('Updated conversation history entry', { userId, conversationId });
+  
+  return history[index];
+}
+
 /**
  * Get conversation history for a user
  * 
@@ -411,10 +1088,33 @@ async function getConversationHistory(userId) {
   }
 }
 
+/**
+ * Check whether Claude calls are being let through
+ * 
+ * @returns {boolean} - False while the circuit breaker is open and not ready for a probe
+ */
+function isClaudeAvailable() {
+  return claudeBreaker.isAvailable();
+}
+
+/**
+ * Get the state of the Claude circuit breaker for health checks
+ * 
+ * @returns {Object} - Breaker status (see CircuitBreaker.getStatus)
+ */
+function getCircuitStatus() {
+  return claudeBreaker.getStatus();
+}
+
 module.exports = {
   sendMessage,
+  streamMessage,
   processMondayRequest,
   explainMondayResult,
+  isFallbackExplanation,
   saveConversationHistory,
-  getConversationHistory
+  updateConversationHistoryEntry,
+  getConversationHistory,
+  isClaudeAvailable,
+  getCircuitStatus
 };
\ No newline at end of file
@@ -0,0 +1,295 @@
+/**
+ * Safety analysis for Claude-generated GraphQL operations
+ *
+ * Parses an operation into an AST before it is sent to monday.com, lists its
+ * root fields with their resolved arguments, maps them to OAuth scopes and
+ * flags destructive fields that must be confirmed by the user. The gate fails
+ * closed: mutations not known to be safe are held for confirmation as well.
+ */
+
+const { parse, Kind, valueFromASTUntyped } = require('graphql');
+const { Logger } = require('@mondaycom/apps-sdk');
+const scopeValidator = require('./scopeValidator');
+const toolCatalog = require('./toolCatalog');
+
+const logger = new Logger('graphql-safety');
+
+// Read-only root fields mapped to the operation names used by the scope validator
+const QUERY_FIELD_OPERATIONS = {
+  boards: 'get_boards',
+  items: 'get_items',
+  items_page_by_column_values: 'get_items',
+  next_items_page: 'get_items',
+  groups: 'get_groups',
+  columns: 'get_columns'
+};
+
+// Root fields that remove data and are held until the user confirms them
+const DESTRUCTIVE_FIELDS = [
+  'delete_board',
+  'archive_board',
+  'delete_item',
+  'archive_item',
+  'delete_group',
+  'archive_group',
+  'delete_column',
+  'delete_update',
+  'clear_item_updates',
+  'delete_subscribers_from_board',
+  'delete_automation',
+  'delete_webhook',
+  'delete_workspace'
+];
+
+// Mutation root fields that only add or change data and run without confirmation
+const SAFE_MUTATION_FIELDS = [
+  'create_board',
+  'create_group',
+  'create_column',
+  'create_item',
+  'create_subitem',
+  'create_update',
+  'change_column_value',
+  'change_simple_column_value',
+  'change_multiple_column_values',
+  'move_item_to_group',
+  'duplicate_item',
+  'duplicate_group'
+];
+
+/**
+ * Analyze a GraphQL operation before execution
+ *
+ * @param {string} graphqlString - GraphQL query or mutation string
+ * @param {string} declaredType - Operation type declared by Claude ("query" or "mutation")
+ * @param {Object} variables - Variables for the operation
+ * @returns {Object} - Analysis result with validity, root fields, scopes, and destructive and unreviewed fields
+ */
+function analyzeOperation(graphqlString, declaredType, variables = {}) {
+  const analysis = {
+    valid: false,
+    errors: [],
+    operationType: null,
+    rootFields: [],
+    requiredScopes: [],
+    unmappedFields: [],
+    destructiveFields: [],
+    unreviewedFields: [],
+    requiresConfirmation: false
+  };
+
+  let document;
+  try {
+    document = parse(graphqlString);
+  } catch (error) {
+    analysis.errors.push(`Invalid GraphQL: ${error.message}`);
+    return analysis;
+  }
+
+  const operations = document.definitions.filter(definition => definition.kind === Kind.OPERATION_DEFINITION);
+
+  if (operations.length !== 1) {
+    analysis.errors.push(`Expected exactly one operation, found ${operations.length}`);
+    return analysis;
+  }
+
+  const operation = operations[0];
+  analysis.operationType = operation.operation;
+
+  if (operation.operation !== 'query' && operation.operation !== 'mutation') {
+    analysis.errors.push(`Unsupported operation type: ${operation.operation}`);
+  }
+
+  if (operation.operation !== declaredType) {
+    analysis.errors.push(`Declared operation type "${declaredType}" does not match the GraphQL ${operation.operation}`);
+  }
+
+  const scopes = new Set();
+
+  for (const selection of operation.selectionSet.selections) {
+    if (selection.kind !== Kind.FIELD) {
+      analysis.errors.push('Fragments are not allowed at the root of an operation');
+      continue;
+    }
+
+    const name = selection.name.value;
+    const args = {};
+
+    for (const argument of selection.arguments || []) {
+      args[argument.name.value] = valueFromASTUntyped(argument.value, variables || {});
+    }
+
+    analysis.rootFields.push({
+      name,
+      alias: selection.alias ? selection.alias.value : null,
+      args
+    });
+
+    const fieldScopes = scopeValidator.getScopesForOperation(QUERY_FIELD_OPERATIONS[name] || name);
+
+    if (fieldScopes.length === 0) {
+      analysis.unmappedFields.push(name);
+    }
+
+    for (const [entity, action] of fieldScopes) {
+      scopes.add(`${entity}:${action}`);
+    }
+
+    if (DESTRUCTIVE_FIELDS.includes(name)) {
+      if (!analysis.destructiveFields.includes(name)) {
+        analysis.destructiveFields.push(name);
+      }
+    } else if (operation.operation === 'mutation' && !SAFE_MUTATION_FIELDS.includes(name) &&
+      !analysis.unreviewedFields.includes(name)) {
+      analysis.unreviewedFields.push(name);
+    }
+  }
+
+  analysis.requiredScopes = [...scopes];
+  analysis.requiresConfirmation = analysis.destructiveFields.length > 0 || analysis.unreviewedFields.length > 0;
+  analysis.valid = analysis.errors.length === 0;
+
+  if (!analysis.valid) {
+    logger.warn('Rejected GraphQL operation', { errors: analysis.errors });
+  }
+
+  return analysis;
+}
+
+/**
+ * Analyze a bulk update before execution
+ *
+ * Bulk updates are not GraphQL written by Claude; they are run by the bulk
+ * operations engine, which reads matching items and changes their columns.
+ *
+ * @param {Object} bulk - Bulk update definition ({ boardId, rules, operator, columnValues })
+ * @returns {Object} - Analysis result in the same shape as analyzeOperation
+ */
+function analyzeBulkUpdate(bulk) {
+  const analysis = {
+    valid: false,
+    errors: [],
+    operationType: 'bulk_update',
+    rootFields: [],
+    requiredScopes: [],
+    unmappedFields: [],
+    destructiveFields: [],
+    unreviewedFields: [],
+    requiresConfirmation: false
+  };
+
+  if (!bulk || !bulk.boardId) {
+    analysis.errors.push('Bulk update requires a board ID');
+  }
+
+  if (!bulk || !bulk.columnValues || typeof bulk.columnValues !== 'object' || Object.keys(bulk.columnValues).length === 0) {
+    analysis.errors.push('Bulk update requires at least one column value');
+  }
+
+  if (bulk && bulk.rules && !Array.isArray(bulk.rules)) {
+    analysis.errors.push('Bulk update rules must be a list');
+  }
+
+  if (analysis.errors.length > 0) {
+    logger.warn('Rejected bulk update', { errors: analysis.errors });
+    return analysis;
+  }
+
+  analysis.rootFields = [
+    { name: 'items_page', alias: null, args: { board_id: bulk.boardId, rules: bulk.rules || [] } },
+    { name: 'change_multiple_column_values', alias: null, args: { board_id: bulk.boardId, column_values: bulk.columnValues } }
+  ];
+
+  const scopes = new Set();
+  for (const operation of ['get_items', 'change_multiple_column_values']) {
+    for (const [entity, action] of scopeValidator.getScopesForOperation(operation)) {
+      scopes.add(`${entity}:${action}`);
+    }
+  }
+
+  analysis.requiredScopes = [...scopes];
+  analysis.valid = true;
+
+  return analysis;
+}
+
+/**
+ * Analyze a typed tool call before execution
+ *
+ * The tool's input is checked against its schema; its root field and
+ * arguments are known exactly, so scopes come straight from the tool, or
+ * from the scope operations it lists when its root field is not one.
+ *
+ * @param {Object} action - Action ({ operationType, tool, input })
+ * @returns {Object} - Analysis result in the same shape as analyzeOperation
+ */
+function analyzeToolAction(action) {
+  const tool = toolCatalog.getTool(action.tool);
+  const analysis = {
+    valid: false,
+    errors: toolCatalog.validateToolInput(action.tool, action.input),
+    operationType: tool ? tool.operationType : null,
+    rootFields: [],
+    requiredScopes: [],
+    unmappedFields: [],
+    destructiveFields: [],
+    unreviewedFields: [],
+    requiresConfirmation: false
+  };
+
+  if (analysis.errors.length > 0) {
+    logger.warn('Rejected tool call', { tool: action.tool, errors: analysis.errors });
+    return analysis;
+  }
+
+  analysis.rootFields = [{ name: tool.rootField, alias: null, args: tool.toArgs(action.input) }];
+  analysis.requiredScopes = [...new Set((tool.scopeOperations || [tool.rootField])
+    .flatMap(operation => scopeValidator.getScopesForOperation(operation))
+    .map(([entity, scopeAction]) => `${entity}:${scopeAction}`))];
+
+  if (DESTRUCTIVE_FIELDS.includes(tool.rootField)) {
+    analysis.destructiveFields.push(tool.rootField);
+  }
+
+  analysis.requiresConfirmation = analysis.destructiveFields.length > 0;
+  analysis.valid = true;
+
+  return analysis;
+}
+
+/**
+ * Analyze a planned action of any supported type
+ *
+ * @param {Object} action - Action ({ operationType, graphqlString, variables, bulk, tool, input })
+ * @returns {Object} - Analysis result
+ */
+function analyzeAction(action) {
+  if (action.operationType === 'bulk_update') {
+    const analysis = analyzeBulkUpdate(action.bulk);
+
+    // A bulk tool's input is also held to the tool's schema
+    const toolErrors = action.tool ? toolCatalog.validateToolInput(action.tool, action.input) : [];
+    if (toolErrors.length > 0) {
+      logger.warn('Rejected tool call', { tool: action.tool, errors: toolErrors });
+      analysis.errors.unshift(...toolErrors);
+      analysis.valid = false;
+    }
+
+    return analysis;
+  }
+
+  if (action.tool) {
+    return analyzeToolAction(action);
+  }
+
+  return analyzeOperation(action.graphqlString, action.operationType, action.variables);
+}
+
+module.exports = {
+  DESTRUCTIVE_FIELDS,
+  SAFE_MUTATION_FIELDS,
+  analyzeOperation,
+  analyzeBulkUpdate,
+  analyzeToolAction,
+  analyzeAction
+};
@@ -0,0 +1,341 @@
+/**
+ * Job queue for long-running AI requests
+ *
+ * Jobs are stored in monday Storage so their status can be polled and so
+ * queued or interrupted jobs are picked up again after a server restart. A
+ * single in-process worker runs jobs one at a time with retries. Updates to
+ * the pending list and to each job are serialized so none is lost.
+ */
+
+const crypto = require('crypto');
+const { Storage, Logger } = require('@mondaycom/apps-sdk');
+const monetizationHandler = require('./monetizationHandler');
+const { createKeyedQueue } = require('./keyedQueue');
+
+const logger = new Logger('job-queue');
+const storage = new Storage();
+
+// Read-modify-write updates run one at a time per storage key
+const runExclusive = createKeyedQueue();
+
+// Storage key listing jobs that have not finished yet
+const PENDING_JOBS_KEY = 'job_queue_pending';
+
+// Attempts before a job is marked as failed
+const MAX_ATTEMPTS = 3;
+
+// Delay before the first retry; doubles with each attempt
+const RETRY_BASE_DELAY_MS = 2000;
+
+// Handlers by job type: async (payload, context) => result
+const handlers = {};
+
+// Callbacks by job type, run with the job once it completes or fails
+const finishCallbacks = {};
+
+let draining = false;
+
+/**
+ * Register the function that runs jobs of a type
+ *
+ * @param {string} type - Job type
+ * @param {Function} handler - Async function receiving (payload, { jobId, attempt, previousSteps, onProgress, onStep })
+ * @param {Object} options - Options
+ * @param {Function} options.onFinish - Async function receiving the job after it completes or fails for good
+ */
+function registerHandler(type, handler, options = {}) {
+  handlers[type] = handler;
+
+  if (options.onFinish) {
+    finishCallbacks[type] = options.onFinish;
+  }
+}
+
+/**
+ * Get the storage key for a job
+ *
+ * @param {string} jobId - Job ID
+ * @returns {string} - Storage key
+ */
+function jobKey(jobId) {
+  return `job_${jobId}`;
+}
+
+/**
+ * Load a job
+ *
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} - Job or null if it does not exist
+ */
+async function getJob(jobId) {
+  return (await storage.get(jobKey(jobId))) || null;
+}
+
+/**
+ * Merge changes into a stored job
+ *
+ * @param {string} jobId - Job ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} - Updated job
+ */
+async function updateJob(jobId, updates) {
+  return runExclusive(jobKey(jobId), async () => {
+    const job = await getJob(jobId);
+    const updated = { ...job, ...updates, updatedAt: new Date().toISOString() };
+    await storage.set(jobKey(jobId), updated);
+    return updated;
+  });
+}
+
+/**
+ * Change the list of jobs that have not finished yet
+ *
+ * @param {Function} update - Receives the pending job IDs and returns the new list
+ * @returns {Promise<void>}
+ */
+async function updatePendingJobs(update) {
+  await runExclusive(PENDING_JOBS_KEY, async () => {
+    const pending = (await storage.get(PENDING_JOBS_KEY)) || [];
+    await storage.set(PENDING_JOBS_KEY, update(pending));
+  });
+}
+
+/**
+ * Create a job and schedule it to run
+ *
+ * @param {Object} params - Job parameters
+ * @param {string} params.type - Job type with a registered handler
+ * @param {Object} params.payload - Input passed to the handler
+ * @param {string} params.userId - User who created the job
+ * @param {string} params.accountId - Account the job belongs to
+ * @param {Object} params.reservation - Quota reservation ({ accountId, reservationId }) settled when the job finishes
+ * @returns {Promise<Object>} - Created job
+ */
+async function createJob({ type, payload, userId, accountId, reservation = null }) {
+  if (!handlers[type]) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomBytes(12).toString('hex'),
+    type,
+    status: 'queued',
+    attempts: 0,
+    maxAttempts: MAX_ATTEMPTS,
+    nextAttemptAt: null,
+    payload,
+    userId,
+    accountId,
+    reservation,
+    progress: null,
+    steps: [],
+    result: null,
+    error: null,
+    errorCode: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await storage.set(jobKey(job.id), job);
+
+  await updatePendingJobs(pending => [...pending, job.id]);
+
+  logger.info('Queued job', { jobId: job.id, type, userId, accountId });
+
+  setImmediate(drainQueue);
+
+  return job;
+}
+
+/**
+ * Remove a finished job from the pending list, settle its quota reservation
+ * and run the finish callback for its type
+ *
+ * @param {Object} job - Finished job
+ * @param {boolean} succeeded - Whether the job completed
+ * @returns {Promise<void>}
+ */
+async function finishJob(job, succeeded) {
+  await updatePendingJobs(pending => pending.filter(jobId => jobId !== job.id));
+
+  if (job.reservation) {
+    try {
+      if (succeeded) {
+        await monetizationHandler.commitUsage(job.reservation.accountId, job.reservation.reservationId);
+      } else {
+        await monetizationHandler.releaseUsage(job.reservation.accountId, job.reservation.reservationId);
+      }
+    } catch (error) {
+      logger.error('Error settling job quota reservation', { jobId: job.id, error: error.message });
+    }
+  }
+
+  if (finishCallbacks[job.type]) {
+    try {
+      await finishCallbacks[job.type](job);
+    } catch (error) {
+      logger.error('Error in job finish callback', { jobId: job.id, type: job.type, error: error.message });
+    }
+  }
+}
+
+/**
+ * Run one attempt of a job
+ *
+ * @param {Object} job - Job to run
+ * @returns {Promise<void>}
+ */
+async function runJob(job) {
+  const attempt = job.attempts + 1;
+  const steps = [];
+
+  await updateJob(job.id, { status: 'running', attempts: attempt, nextAttemptAt: null, steps });
+
+  try {
+    const result = await handlers[job.type](job.payload, {
+      jobId: job.id,
+      attempt,
+      // Steps recorded by an earlier attempt that failed or was interrupted
+      previousSteps: job.steps || [],
+      onProgress: (progress) => updateJob(job.id, { progress }),
+      onStep: (step) => {
+        steps.push(step);
+        return updateJob(job.id, { steps });
+      }
+    });
+
+    const completed = await updateJob(job.id, {
+      status: 'completed',
+      result,
+      error: null,
+      errorCode: null,
+      progress: null
+    });
+    await finishJob(completed, true);
+
+    logger.info('Job completed', { jobId: job.id, attempt });
+  } catch (error) {
+    // Handlers mark errors that must not be retried, e.g. after changes were made
+    const retry = error.retryable !== false && attempt < job.maxAttempts;
+
+    logger.warn('Job attempt failed', {
+      jobId: job.id,
+      attempt,
+      retry,
+      error: error.message
+    });
+
+    if (retry) {
+      await updateJob(job.id, {
+        status: 'queued',
+        error: error.message,
+        nextAttemptAt: Date.now() + RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1)
+      });
+      return;
+    }
+
+    const failed = await updateJob(job.id, {
+      status: 'failed',
+      error: error.message,
+      errorCode: error.code || null
+    });
+    await finishJob(failed, false);
+  }
+}
+
+/**
+ * Run pending jobs one at a time until none are ready
+ *
+ * @returns {Promise<void>}
+ */
+async function drainQueue() {
+  if (draining) {
+    return;
+  }
+  draining = true;
+
+  try {
+    while (true) {
+      const pending = (await storage.get(PENDING_JOBS_KEY)) || [];
+      const jobs = (await Promise.all(pending.map(getJob))).filter(Boolean);
+      const now = Date.now();
+      const ready = jobs.find(job => job.status === 'queued' && (!job.nextAttemptAt || job.nextAttemptAt <= now));
+
+      if (!ready) {
+        // Come back when the next retry is due
+        const nextAttemptAt = Math.min(...jobs
+          .filter(job => job.status === 'queued' && job.nextAttemptAt)
+          .map(job => job.nextAttemptAt));
+        if (Number.isFinite(nextAttemptAt)) {
+          setTimeout(drainQueue, Math.max(nextAttemptAt - now, 0)).unref();
+        }
+        break;
+      }
+
+      await runJob(ready);
+    }
+  } catch (error) {
+    logger.error('Error processing job queue', { error: error.message });
+  } finally {
+    draining = false;
+  }
+}
+
+/**
+ * Pick up jobs left behind by a previous server process
+ *
+ * Jobs that were running when the server stopped are queued again; their
+ * handlers decide whether a retry is safe.
+ *
+ * @returns {Promise<number>} - Number of pending jobs found
+ */
+async function resumePendingJobs() {
+  const pending = (await storage.get(PENDING_JOBS_KEY)) || [];
+
+  for (const jobId of pending) {
+    const job = await getJob(jobId);
+    if (job && job.status === 'running') {
+      await updateJob(jobId, { status: 'queued', interrupted: true });
+    }
+  }
+
+  if (pending.length > 0) {
+    logger.info('Resuming pending jobs', { count: pending.length });
+  }
+
+  setImmediate(drainQueue);
+
+  return pending.length;
+}
+
+/**
+ * Build the job status returned to clients
+ *
+ * @param {Object} job - Stored job
+ * @returns {Object} - Job status without the payload or quota details
+ */
+function toJobStatus(job) {
+  return {
+    jobId: job.id,
+    type: job.type,
+    status: job.status,
+    attempts: job.attempts,
+    progress: job.progress,
+    steps: job.steps || [],
+    result: job.result,
+    error: job.error,
+    errorCode: job.errorCode || null,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+}
+
+module.exports = {
+  registerHandler,
+  createJob,
+  getJob,
+  drainQueue,
+  resumePendingJobs,
+  toJobStatus
+};
@@ -0,0 +1,39 @@
+/**
+ * Per-key serialization of read-modify-write updates
+ *
+ * Storage has no transactions, so two requests that read a record, change it
+ * and write it back can overwrite each other's changes. Running their updates
+ * one after the other for the same key keeps every change. Updates are
+ * serialized within the server instance running them.
+ */
+
+/**
+ * Create a queue that runs tasks one at a time per key
+ *
+ * @returns {Function} - runExclusive(key, task): runs the task once earlier tasks for the key
+ *   have settled and resolves or rejects with its outcome
+ */
+function createKeyedQueue() {
+  // Last task queued for each key
+  const tails = new Map();
+
+  return function runExclusive(key, task) {
+    const previous = tails.get(key) || Promise.resolve();
+    const run = previous.then(() => task());
+    // A failed task must not block the tasks queued after it
+    const tail = run.catch(() => {});
+
+    tails.set(key, tail);
+    tail.then(() => {
+      if (tails.get(key) === tail) {
+        tails.delete(key);
+      }
+    });
+
+    return run;
+  };
+}
+
+module.exports = {
+  createKeyedQueue
+};
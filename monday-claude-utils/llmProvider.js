@@ -0,0 +1,125 @@
+/**
+ * LLM provider selection
+ *
+ * Claude calls go through a provider, so how a request reaches a model can
+ * change without touching enhanced-claudeAPI.js. Every provider takes
+ * Messages API request bodies and implements:
+ *
+ * - sendMessage(requestBody, { signal }): resolves to a Messages API response
+ * - stream(requestBody, { signal }): resolves, once the stream has started, to
+ *   an async iterable of the stream's server-sent events
+ * - countTokens(requestBody, { signal }): resolves to the input tokens of the request
+ *
+ * The optional AbortSignal cancels the call (see requestCancellation.js).
+ *
+ * Providers fail like axios does (`error.response.status`, or a network
+ * `error.code`), so retries and the circuit breaker treat them all alike.
+ *
+ * LLM_PROVIDER picks the provider: `anthropic` (default) or `scripted`, which
+ * answers offline from the script at LLM_SCRIPT_PATH. With LLM_RECORD_PATH set,
+ * every exchange is also recorded to that file as a fixture the scripted
+ * provider can replay.
+ */
+
+const fs = require('fs');
+const { Logger, Environment } = require('@mondaycom/apps-sdk');
+const { AnthropicProvider } = require('./anthropicProvider');
+const { ScriptedProvider, fixtureKey } = require('./scriptedProvider');
+
+const logger = new Logger('llm-provider');
+const env = new Environment();
+
+// Factories of the providers LLM_PROVIDER can name
+const PROVIDERS = {
+  anthropic: () => new AnthropicProvider(),
+  scripted: () => ScriptedProvider.fromFile(env.get('LLM_SCRIPT_PATH'))
+};
+
+/**
+ * Save a fixture to a script file, replacing one recorded for the same request
+ *
+ * Recording never fails the call; problems are only logged.
+ *
+ * @param {string} filePath - Path of the script
+ * @param {Object} fixture - Fixture ({ key, response } or { key, events })
+ */
+async function saveFixture(filePath, fixture) {
+  try {
+    let script = { fixtures: [], rules: [] };
+    try {
+      script = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    script.fixtures = [...(script.fixtures || []).filter(existing => existing.key !== fixture.key), fixture];
+    await fs.promises.writeFile(filePath, `${JSON.stringify(script, null, 2)}\n`);
+  } catch (error) {
+    logger.warn('Failed to record LLM fixture', { filePath, error: error.message });
+  }
+}
+
+/**
+ * Wrap a provider so each exchange is recorded as a fixture
+ *
+ * @param {Object} provider - Provider to record
+ * @param {string} filePath - Path of the script fixtures are saved to
+ * @returns {Object} - Provider with the same interface
+ */
+function createRecordingProvider(provider, filePath) {
+  return {
+    name: provider.name,
+
+    async sendMessage(requestBody, options) {
+      const response = await provider.sendMessage(requestBody, options);
+      await saveFixture(filePath, { key: fixtureKey(requestBody), response });
+      return response;
+    },
+
+    async stream(requestBody, options) {
+      const events = await provider.stream(requestBody, options);
+
+      return (async function* recordEvents() {
+        const recorded = [];
+        for await (const event of events) {
+          recorded.push(event);
+          yield event;
+        }
+        await saveFixture(filePath, { key: fixtureKey(requestBody, true), events: recorded });
+      }());
+    },
+
+    countTokens: (requestBody, options) => provider.countTokens(requestBody, options)
+  };
+}
+
+/**
+ * Create the provider the environment selects
+ *
+ * @param {string} name - Provider name (defaults to the LLM_PROVIDER env var, then `anthropic`)
+ * @returns {Object} - Provider
+ * @throws {Error} - LLM_PROVIDER_UNKNOWN when no provider has the name
+ */
+function createProvider(name = env.get('LLM_PROVIDER') || 'anthropic') {
+  const factory = PROVIDERS[name];
+
+  if (!factory) {
+    const error = new Error(`Unknown LLM provider "${name}", expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    error.code = 'LLM_PROVIDER_UNKNOWN';
+    throw error;
+  }
+
+  const provider = factory();
+  const recordPath = env.get('LLM_RECORD_PATH');
+
+  logger.info('Using LLM provider', { provider: name, recording: Boolean(recordPath) });
+
+  return recordPath ? createRecordingProvider(provider, recordPath) : provider;
+}
+
+module.exports = {
+  createProvider,
+  createRecordingProvider
+};
@@ -0,0 +1,127 @@
+/**
+ * Claude model routing
+ *
+ * Chooses the Claude model for each kind of task. Tasks map to a model tier
+ * (fast, standard or advanced) and each tier to a model; both are configurable
+ * through environment variables. Subscription plans list the tiers they get,
+ * and may raise the tier for a task, so cheap summaries do not run on the
+ * model used for planning.
+ */
+
+const { Logger, Environment } = require('@mondaycom/apps-sdk');
+const monetizationHandler = require('./monetizationHandler');
+
+const logger = new Logger('model-router');
+const env = new Environment();
+
+// Model tiers, cheapest first
+const MODEL_TIERS = ['fast', 'standard', 'advanced'];
+
+// Model used for each tier; standard keeps the model every call used before routing
+const TIER_MODELS = {
+  fast: env.get('CLAUDE_MODEL_FAST') || 'claude-3-5-haiku-20241022',
+  standard: env.get('CLAUDE_MODEL') || 'claude-3-5-sonnet-20240307',
+  advanced: env.get('CLAUDE_MODEL_ADVANCED') || 'claude-3-opus-20240229'
+};
+
+// Default tier for each task
+const DEFAULT_TASK_TIERS = {
+  // Tool calls against the user's board
+  planning: 'standard',
+  // Plain-language summary of monday.com results
+  explanation: 'fast',
+  // Summaries, rewrites and other document actions
+  document: 'standard'
+};
+
+/**
+ * Read a task's tier from the environment, falling back to its default
+ *
+ * @param {string} task - Task type
+ * @returns {string} - Model tier
+ */
+function getConfiguredTaskTier(task) {
+  const configured = env.get(`CLAUDE_TIER_${task.toUpperCase()}`);
+
+  if (configured && MODEL_TIERS.includes(configured)) {
+    return configured;
+  }
+
+  if (configured) {
+    logger.warn('Ignoring unknown model tier', { task, tier: configured });
+  }
+
+  return DEFAULT_TASK_TIERS[task];
+}
+
+/**
+ * Choose the model for a task under a plan
+ *
+ * The plan can raise a task's tier with `taskModelTiers`. When the tier is not
+ * in the plan's `modelTiers`, the best tier the plan has below it is used.
+ *
+ * @param {string} task - Task type (planning, explanation or document)
+ * @param {Object} planConfig - Plan configuration from SUBSCRIPTION_PLANS, or null for the defaults
+ * @returns {Object} - Route ({ task, tier, model })
+ */
+function resolveModel(task, planConfig = null) {
+  if (!DEFAULT_TASK_TIERS[task]) {
+    throw new Error(`Unknown model task: ${task}`);
+  }
+
+  const requested = planConfig?.taskModelTiers?.[task] || getConfiguredTaskTier(task);
+  const allowed = planConfig?.modelTiers || MODEL_TIERS;
+
+  let tier = requested;
+  if (!allowed.includes(tier)) {
+    const below = MODEL_TIERS.slice(0, MODEL_TIERS.indexOf(requested)).filter(candidate => allowed.includes(candidate));
+    tier = below.length > 0 ? below[below.length - 1] : allowed[0];
+  }
+
+  return {
+    task,
+    tier,
+    model: TIER_MODELS[tier]
+  };
+}
+
+/**
+ * Choose the model for a task based on the account's plan
+ *
+ * Falls back to the default routing when the subscription cannot be read.
+ *
+ * @param {string} accountId - Monday.com account ID
+ * @param {string} task - Task type (planning, explanation or document)
+ * @param {Object} options - Options
+ * @param {string} options.requestId - Request ID for logging
+ * @returns {Promise<Object>} - Route ({ task, tier, model, planId })
+ */
+async function getModelForAccount(accountId, task, options = {}) {
+  const { requestId = null } = options;
+  let route;
+
+  try {
+    const subscription = await monetizationHandler.getSubscription(accountId);
+    const planConfig = monetizationHandler.getPlanConfig(subscription);
+    route = { ...resolveModel(task, planConfig), planId: subscription.planId };
+  } catch (error) {
+    logger.warn('Could not read plan for model routing, using defaults', {
+      requestId,
+      accountId,
+      error: error.message
+    });
+    route = { ...resolveModel(task), planId: null };
+  }
+
+  // One line per routed call, so cost can be broken down by plan, task and model
+  logger.info('Routed Claude model', { requestId, accountId, ...route });
+
+  return route;
+}
+
+module.exports = {
+  MODEL_TIERS,
+  TIER_MODELS,
+  resolveModel,
+  getModelForAccount
+};
@@ -2,24 +2,26 @@
  * Utility functions for interacting with the Monday.com GraphQL API
  */
 
-const axios = require('axios');
 const { Logger, Environment } = require('@mondaycom/apps-sdk');
+const mondayTransport = require('./mondayTransport');
 
 const logger = new Logger('monday-api-utils');
 const env = new Environment();
 
-// Monday.com GraphQL API endpoint
-const MONDAY_API_URL = 'https://api.monday.com/v2';
-
 /**
  * Execute a GraphQL query or mutation on the Monday.com API
  * 
+ * The operation is sent through the transport MONDAY_TRANSPORT selects (see
+ * mondayTransport.js).
+ * 
  * @param {string} query - GraphQL query or mutation string
  * @param {Object} variables - Variables for the GraphQL operation
  * @param {string} token - API token (optional, will use env token if not provided)
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Aborts the request when the caller cancels it
  * @returns {Promise<Object>} - API response data
  */
-async function executeGraphQL(query, variables = {}, token = null) {
+async function executeGraphQL(query, variables = {}, token = null, options = {}) {
   const apiToken = token || env.get('MONDAY_API_TOKEN');
 
   if (!apiToken) {
@@ -32,28 +34,27 @@ async function executeGraphQL(query, variables = {}, token = null) {
       variablesCount: Object.keys(variables).length
     });
 
-    const response = await axios.post(
-      MONDAY_API_URL,
+    const responseBody = await mondayTransport.getTransport().execute(
       {
         query: query,
         variables: variables
       },
       {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': apiToken
-        }
+        token: apiToken,
+        signal: options.signal
       }
     );
 
     // Check for errors in the response
-    if (response.data.errors) {
-      logger.error('GraphQL operation returned errors', { errors: response.data.errors });
-      throw new Error(response.data.errors[0].message);
+    if (responseBody.errors) {
+      logger.error('GraphQL operation returned errors', { errors: responseBody.errors });
+      const graphqlError = new Error(responseBody.errors[0].message);
+      graphqlError.extensions = responseBody.errors[0].extensions || null;
+      throw graphqlError;
     }
 
     logger.info('GraphQL operation completed successfully');
-    return response.data;
+    return responseBody;
   } catch (error) {
     logger.error('Failed to execute GraphQL operation', { error });
     throw error;
@@ -110,6 +111,62 @@ async function getBoards(options = {}, token = null) {
   return executeGraphQL(query, variables, token);
 }
 
+/**
+ * Get the items of a board, optionally filtered by column values
+ * 
+ * @param {Object} options - Query options
+ * @param {string} options.boardId - Board ID
+ * @param {Object[]} options.rules - Optional items_page query rules ({ column_id, compare_value, operator })
+ * @param {string} options.operator - How rules are combined ("and" or "or")
+ * @param {number} options.limit - Maximum number of items to return
+ * @param {string} token - API token (optional)
+ * @param {Object} requestOptions - Request options ({ signal }, see executeGraphQL)
+ * @returns {Promise<Object>} - Items data, with a cursor when more items match
+ */
+async function getBoardItems(options, token = null, requestOptions = {}) {
+  const { boardId, rules = [], operator = 'and', limit = 50 } = options;
+  
+  if (!boardId) {
+    throw new Error('Board ID is required');
+  }
+
+  let query = `
+    query GetBoardItems($boardId: [ID!], $limit: Int!, $queryParams: ItemsQuery) {
+      boards(ids: $boardId) {
+        id
+        items_page(limit: $limit, query_params: $queryParams) {
+          cursor
+          items {
+            id
+            name
+            group {
+              id
+              title
+            }
+            column_values {
+              id
+              text
+              type
+              value
+              column {
+                title
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const variables = {
+    boardId: [String(boardId)],
+    limit: limit,
+    queryParams: rules.length > 0 ? { rules, operator } : null
+  };
+
+  return executeGraphQL(query, variables, token, requestOptions);
+}
+
 /**
  * Create a new board
  * 
@@ -324,6 +381,7 @@ async function deleteItem(itemId, token = null) {
 module.exports = {
   executeGraphQL,
   getBoards,
+  getBoardItems,
   createBoard,
   createItem,
   createSubitem,
@@ -0,0 +1,135 @@
+/**
+ * monday.com transport selection
+ *
+ * GraphQL operations and OAuth token requests reach monday.com through a
+ * transport, so the server can run offline the same way LLM_PROVIDER lets
+ * Claude calls run offline (see llmProvider.js). Every transport implements:
+ *
+ * - execute({ query, variables }, { token, signal }): resolves to the GraphQL
+ *   response body ({ data, errors })
+ * - getAuthorizationUrl(params): returns the URL the OAuth flow sends the
+ *   user to, which redirects back with an authorization code
+ * - requestToken(params): resolves to the OAuth token response body for an
+ *   authorization code or a refresh token
+ *
+ * Transports fail like axios does (`error.response.status`, or a network
+ * `error.code`), so callers treat them all alike.
+ *
+ * MONDAY_TRANSPORT picks the transport: `monday` (default) or `scripted`,
+ * which answers offline from the script at MONDAY_SCRIPT_PATH.
+ */
+
+const axios = require('axios');
+const { Logger, Environment } = require('@mondaycom/apps-sdk');
+const { ScriptedMondayTransport } = require('./scriptedMondayTransport');
+
+const logger = new Logger('monday-transport');
+const env = new Environment();
+
+// Monday.com GraphQL API endpoint
+const MONDAY_API_URL = 'https://api.monday.com/v2';
+
+// Monday.com OAuth endpoints
+const MONDAY_AUTH_URL = 'https://auth.monday.com/oauth2/authorize';
+const MONDAY_TOKEN_URL = 'https://auth.monday.com/oauth2/token';
+
+class MondayHttpTransport {
+  constructor() {
+    this.name = 'monday';
+  }
+
+  /**
+   * Send a GraphQL operation to monday.com
+   *
+   * @param {Object} body - Request body ({ query, variables })
+   * @param {Object} options - Request options ({ token, signal })
+   * @returns {Promise<Object>} - GraphQL response body
+   */
+  async execute(body, options = {}) {
+    const response = await axios.post(
+      MONDAY_API_URL,
+      body,
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': options.token
+        },
+        signal: options.signal
+      }
+    );
+
+    return response.data;
+  }
+
+  /**
+   * Get the monday.com page where the user authorizes the app
+   *
+   * @param {Object} params - Authorization parameters ({ client_id, redirect_uri, state })
+   * @returns {string} - Authorization URL
+   */
+  getAuthorizationUrl(params) {
+    const authUrl = new URL(MONDAY_AUTH_URL);
+    Object.entries(params).forEach(([name, value]) => authUrl.searchParams.append(name, value));
+
+    return authUrl.toString();
+  }
+
+  /**
+   * Request an OAuth token from monday.com
+   *
+   * @param {Object} params - Token request parameters
+   * @returns {Promise<Object>} - Token response body
+   */
+  async requestToken(params) {
+    const response = await axios.post(MONDAY_TOKEN_URL, null, { params });
+
+    return response.data;
+  }
+}
+
+// Factories of the transports MONDAY_TRANSPORT can name
+const TRANSPORTS = {
+  monday: () => new MondayHttpTransport(),
+  scripted: () => ScriptedMondayTransport.fromFile(env.get('MONDAY_SCRIPT_PATH'))
+};
+
+/**
+ * Create the transport the environment selects
+ *
+ * @param {string} name - Transport name (defaults to the MONDAY_TRANSPORT env var, then `monday`)
+ * @returns {Object} - Transport
+ * @throws {Error} - MONDAY_TRANSPORT_UNKNOWN when no transport has the name
+ */
+function createTransport(name = env.get('MONDAY_TRANSPORT') || 'monday') {
+  const factory = TRANSPORTS[name];
+
+  if (!factory) {
+    const error = new Error(`Unknown monday.com transport "${name}", expected one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+    error.code = 'MONDAY_TRANSPORT_UNKNOWN';
+    throw error;
+  }
+
+  logger.info('Using monday.com transport', { transport: name });
+
+  return factory();
+}
+
+let sharedTransport = null;
+
+/**
+ * Get the transport shared by the server's monday.com calls
+ *
+ * @returns {Object} - Transport, created on first use
+ */
+function getTransport() {
+  if (!sharedTransport) {
+    sharedTransport = createTransport();
+  }
+
+  return sharedTransport;
+}
+
+module.exports = {
+  createTransport,
+  getTransport
+};
@@ -8,16 +8,30 @@
 const { Logger, Environment, SecureStorage } = require('@mondaycom/apps-sdk');
 const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const { createKeyedQueue } = require('./keyedQueue');
 
 const logger = new Logger('monetization-handler');
 const env = new Environment();
 const secureStorage = new SecureStorage();
 
+// Subscription updates run one at a time per account so they never overwrite each other
+const runExclusive = createKeyedQueue();
+
+// Time after which an unsettled usage reservation no longer counts against the limit
+const RESERVATION_TTL_MS = 10 * 60 * 1000;
+
+// Tokens a pending reservation is assumed to use on token-metered plans
+const RESERVED_TOKENS_PER_REQUEST = 4000;
+
 // Subscription plan configurations
+//
+// Plans are metered by requests (maxRequests). A plan can instead be metered by
+// Claude tokens with `meterBy: 'tokens'` and `maxTokens` (-1 for unlimited).
 const SUBSCRIPTION_PLANS = {
   free_trial: {
     maxRequests: 25,
     maxBoardsAccess: 5,
+    modelTiers: ['fast', 'standard'],
     featureFlags: {
       bulkOperations: false,
       customWorkflows: false,
@@ -27,6 +41,7 @@ const SUBSCRIPTION_PLANS = {
   basic_plan: {
     maxRequests: 100,
     maxBoardsAccess: 10,
+    modelTiers: ['fast', 'standard'],
     featureFlags: {
       bulkOperations: false,
       customWorkflows: false,
@@ -36,6 +51,7 @@ const SUBSCRIPTION_PLANS = {
   pro_plan: {
     maxRequests: 500,
     maxBoardsAccess: -1, // unlimited
+    modelTiers: ['fast', 'standard'],
     featureFlags: {
       bulkOperations: true,
       customWorkflows: true,
@@ -45,6 +61,11 @@ const SUBSCRIPTION_PLANS = {
   enterprise_plan: {
     maxRequests: -1, // unlimited
     maxBoardsAccess: -1, // unlimited
+    modelTiers: ['fast', 'standard', 'advanced'],
+    // Planning runs on the most capable model
+    taskModelTiers: {
+      planning: 'advanced'
+    },
     featureFlags: {
       bulkOperations: true,
       customWorkflows: true,
@@ -109,73 +130,83 @@ function validateWebhookSignature(req) {
  */
 async function processSubscriptionEvent(event) {
   try {
-    const { type, accountId, data } = event;
+    const { type, accountId } = event;
     
     logger.info('Processing subscription event', { type, accountId });
     
-    // Get current subscription data or initialize a new one
-    let subscription = await getSubscription(accountId);
+    await runExclusive(accountId, () => applySubscriptionEvent(event));
     
-    switch (type) {
-      case 'app_subscription_created':
+    return;
+  } catch (error) {
+    logger.error('Error processing subscription event', { error });
+    throw error;
+  }
+}
+
+/**
+ * Apply a subscription event to the stored subscription
+ * 
+ * @param {Object} event - Subscription event
+ * @returns {Promise<void>}
+ */
+async function applySubscriptionEvent({ type, accountId, data }) {
+  // Get current subscription data or initialize a new one
+  let subscription = await getSubscription(accountId);
+  
+  switch (type) {
+    case 'app_subscription_created':
+      subscription = {
+        planId: data.planId,
+        isActive: true,
+        isOnTrial: data.isTrial,
+        createdAt: new Date().toISOString(),
+        expiresAt: data.expirationDate,
+        usageCount: 0
+      };
+      break;
+      
+    case 'app_subscription_renewed':
+      subscription.isActive = true;
+      subscription.expiresAt = data.expirationDate;
+      break;
+      
+    case 'app_subscription_changed':
+      subscription.planId = data.planId;
+      subscription.isActive = true;
+      subscription.isOnTrial = data.isTrial;
+      subscription.expiresAt = data.expirationDate;
+      break;
+      
+    case 'app_subscription_canceled':
+      subscription.isActive = false;
+      break;
+      
+    case 'app_installed':
+      // If no subscription exists, create a free trial
+      if (!subscription.planId) {
         subscription = {
-          planId: data.planId,
+          planId: 'free_trial',
           isActive: true,
-          isOnTrial: data.isTrial,
+          isOnTrial: true,
           createdAt: new Date().toISOString(),
-          expiresAt: data.expirationDate,
+          // Set expiration to 14 days from now
+          expiresAt: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000).toISOString(),
           usageCount: 0
         };
-        break;
-        
-      case 'app_subscription_renewed':
-        subscription.isActive = true;
-        subscription.expiresAt = data.expirationDate;
-        break;
-        
-      case 'app_subscription_changed':
-        subscription.planId = data.planId;
-        subscription.isActive = true;
-        subscription.isOnTrial = data.isTrial;
-        subscription.expiresAt = data.expirationDate;
-        break;
-        
-      case 'app_subscription_canceled':
-        subscription.isActive = false;
-        break;
-        
-      case 'app_installed':
-        // If no subscription exists, create a free trial
-        if (!subscription.planId) {
-          subscription = {
-            planId: 'free_trial',
-            isActive: true,
-            isOnTrial: true,
-            createdAt: new Date().toISOString(),
-            // Set expiration to 14 days from now
-            expiresAt: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000).toISOString(),
-            usageCount: 0
-          };
-        }
-        break;
-        
-      case 'app_uninstalled':
-        // Mark subscription as inactive but keep the data
-        subscription.isActive = false;
-        break;
-        
-      default:
-        logger.warn('Unknown subscription event type', { type });
-    }
-    
-    // Save the updated subscription
-    await saveSubscription(accountId, subscription);
-    
-    return;
-  } catch (error) {
-    logger.error('Error processing subscription event', { error });
-    throw error;
+      }
+      break;
+      
+    case 'app_uninstalled':
+      // Mark subscription as inactive but keep the data
+      subscription.isActive = false;
+      break;
+      
+    default:
+      logger.warn('Unknown subscription event type', { type });
   }
+  
+  // Save the updated subscription
+  await saveSubscription(accountId, subscription);
 }
 
 /**
@@ -267,17 +298,19 @@ async function isWithinRequestLimit(accountId) {
     // Check if subscription has expired
     if (subscription.expiresAt && new Date(subscription.expiresAt) < new Date()) {
       // Update subscription as inactive
-      subscription.isActive = false;
-      await saveSubscription(accountId, subscription);
+      await runExclusive(accountId, async () => {
+        const current = await getSubscription(accountId);
+        current.isActive = false;
+        await saveSubscription(accountId, current);
+      });
       return false;
     }
     
     // Get the plan configuration
     const planConfig = SUBSCRIPTION_PLANS[subscription.planId] || SUBSCRIPTION_PLANS.free_trial;
     
-    // Check if within request limit
-    // -1 means unlimited requests
-    return planConfig.maxRequests === -1 || subscription.usageCount < planConfig.maxRequests;
+    // Check if within the plan's request or token limit
+    return isWithinPlanLimit(subscription, planConfig);
   } catch (error) {
     logger.error('Error checking request limit', { error, accountId });
     // In case of error, allow the request to proceed
@@ -293,20 +326,171 @@ async function isWithinRequestLimit(accountId) {
  */
 async function incrementUsage(accountId) {
   try {
-    // Get the subscription
+    return await runExclusive(accountId, async () => {
+      // Get the subscription
+      const subscription = await getSubscription(accountId);
+      
+      // Increment the usage count
+      subscription.usageCount = (subscription.usageCount || 0) + 1;
+      
+      // Save the updated subscription
+      await saveSubscription(accountId, subscription);
+      
+      return subscription.usageCount;
+    });
+  } catch (error) {
+    logger.error('Error incrementing usage count', { error, accountId });
+    throw error;
+  }
+}
+
+/**
+ * Get the plan configuration for a subscription
+ * 
+ * @param {Object} subscription - Subscription data
+ * @returns {Object} - Plan configuration
+ */
+function getPlanConfig(subscription) {
+  return SUBSCRIPTION_PLANS[subscription.planId] || SUBSCRIPTION_PLANS.free_trial;
+}
+
+/**
+ * Check whether a subscription is within its plan's limit
+ * 
+ * Token-metered plans compare the tokens used so far, plus an estimate for
+ * each pending reservation, with maxTokens; other plans compare requests,
+ * counting pending reservations, with maxRequests.
+ * 
+ * @param {Object} subscription - Subscription data
+ * @param {Object} planConfig - Plan configuration
+ * @param {number} pending - Requests reserved but not yet committed
+ * @returns {boolean} - Whether another request is allowed
+ */
+function isWithinPlanLimit(subscription, planConfig, pending = 0) {
+  // -1 means unlimited
+  if (planConfig.meterBy === 'tokens') {
+    return planConfig.maxTokens === -1 ||
+      (subscription.tokenCount || 0) + pending * RESERVED_TOKENS_PER_REQUEST < planConfig.maxTokens;
+  }
+  
+  return planConfig.maxRequests === -1 ||
+    (subscription.usageCount || 0) + pending < planConfig.maxRequests;
+}
+
+/**
+ * Drop usage reservations that were never committed or released
+ * 
+ * @param {Object} subscription - Subscription data
+ * @returns {Object} - Active reservations keyed by reservation ID
+ */
+function getActiveReservations(subscription) {
+  const now = Date.now();
+  
+  return Object.entries(subscription.reservations || {})
+    .filter(([, expiresAt]) => expiresAt > now)
+    .reduce((reservations, [reservationId, expiresAt]) => {
+      reservations[reservationId] = expiresAt;
+      return reservations;
+    }, {});
+}
+
+/**
+ * Reserve one request from an account's quota
+ * 
+ * The reservation counts against the limit until it is committed (which adds
+ * it to the usage count) or released. Reservations that are never settled
+ * expire after RESERVATION_TTL_MS. Reservations for one account are made one
+ * at a time, so concurrent requests cannot both take the last unit.
+ * 
+ * @param {string} accountId - Monday.com account ID
+ * @returns {Promise<Object>} - { reserved, reservationId, subscription, planConfig }
+ */
+async function reserveUsage(accountId) {
+  return runExclusive(accountId, async () => {
+    const subscription = await getSubscription(accountId);
+    const planConfig = getPlanConfig(subscription);
+    const reservations = getActiveReservations(subscription);
+    
+    // Check if subscription has expired
+    if (subscription.isActive && subscription.expiresAt && new Date(subscription.expiresAt) < new Date()) {
+      subscription.isActive = false;
+      await saveSubscription(accountId, subscription);
+    }
+    
+    const pending = Object.keys(reservations).length;
+    
+    if (!subscription.isActive || !isWithinPlanLimit(subscription, planConfig, pending)) {
+      return { reserved: false, reservationId: null, subscription, planConfig };
+    }
+    
+    const reservationId = crypto.randomBytes(8).toString('hex');
+    reservations[reservationId] = Date.now() + RESERVATION_TTL_MS;
+    subscription.reservations = reservations;
+    
+    await saveSubscription(accountId, subscription);
+    
+    return { reserved: true, reservationId, subscription, planConfig };
+  });
+}
+
+/**
+ * Commit a reservation, counting it as a used request
+ * 
+ * @param {string} accountId - Monday.com account ID
+ * @param {string} reservationId - ID returned by reserveUsage
+ * @returns {Promise<number>} - New usage count
+ */
+async function commitUsage(accountId, reservationId) {
+  return runExclusive(accountId, async () => {
     const subscription = await getSubscription(accountId);
+    const reservations = getActiveReservations(subscription);
     
-    // Increment the usage count
+    delete reservations[reservationId];
+    subscription.reservations = reservations;
     subscription.usageCount = (subscription.usageCount || 0) + 1;
     
-    // Save the updated subscription
     await saveSubscription(accountId, subscription);
     
     return subscription.usageCount;
-  } catch (error) {
-    logger.error('Error incrementing usage count', { error, accountId });
-    throw error;
-  }
+  });
+}
+
+/**
+ * Release a reservation without counting it
+ * 
+ * @param {string} accountId - Monday.com account ID
+ * @param {string} reservationId - ID returned by reserveUsage
+ * @returns {Promise<void>}
+ */
+async function releaseUsage(accountId, reservationId) {
+  return runExclusive(accountId, async () => {
+    const subscription = await getSubscription(accountId);
+    const reservations = getActiveReservations(subscription);
+    
+    delete reservations[reservationId];
+    subscription.reservations = reservations;
+    
+    await saveSubscription(accountId, subscription);
+  });
+}
+
+/**
+ * Add Claude tokens to an account's token count
+ * 
+ * @param {string} accountId - Monday.com account ID
+ * @param {number} tokens - Input and output tokens used
+ * @returns {Promise<number>} - New token count
+ */
+async function addTokenUsage(accountId, tokens) {
+  return runExclusive(accountId, async () => {
+    const subscription = await getSubscription(accountId);
+    
+    subscription.tokenCount = (subscription.tokenCount || 0) + tokens;
+    
+    await saveSubscription(accountId, subscription);
+    
+    return subscription.tokenCount;
+  });
 }
 
 /**
@@ -347,5 +531,10 @@ module.exports = {
   verifySessionToken,
   isWithinRequestLimit,
   incrementUsage,
+  getPlanConfig,
+  reserveUsage,
+  commitUsage,
+  releaseUsage,
+  addTokenUsage,
   hasFeature
 };
\ No newline at end of file
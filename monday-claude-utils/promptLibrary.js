@@ -0,0 +1,299 @@
+/**
+ * Saved prompt library
+ *
+ * Stores reusable prompts per account. Prompt text can contain `{{variable}}`
+ * placeholders that are filled in before the prompt is submitted. Prompts are
+ * private to their owner unless an account admin publishes them to the
+ * whole account.
+ */
+
+const crypto = require('crypto');
+const { Storage, Logger } = require('@mondaycom/apps-sdk');
+
+const logger = new Logger('prompt-library');
+const storage = new Storage();
+
+// Who can see a prompt
+const VISIBILITIES = ['private', 'account'];
+
+// Most prompts stored for one account
+const MAX_PROMPTS_PER_ACCOUNT = 200;
+
+// Matches {{variable}} placeholders, allowing spaces inside the braces
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+/**
+ * Create an error with a prompt library error code
+ *
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error} - Error with the code set
+ */
+function promptError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Get the storage key for an account's prompts
+ *
+ * @param {string} accountId - Account ID
+ * @returns {string} - Storage key
+ */
+function libraryKey(accountId) {
+  return `prompt_library_${accountId}`;
+}
+
+/**
+ * Get the variable names used in prompt text, in order of first use
+ *
+ * @param {string} text - Prompt text
+ * @returns {string[]} - Unique variable names
+ */
+function extractVariables(text) {
+  const names = [];
+
+  for (const match of String(text || '').matchAll(VARIABLE_PATTERN)) {
+    if (!names.includes(match[1])) {
+      names.push(match[1]);
+    }
+  }
+
+  return names;
+}
+
+/**
+ * Replace the placeholders in prompt text with their values
+ *
+ * @param {string} text - Prompt text
+ * @param {Object} values - Values keyed by variable name
+ * @returns {string} - Filled-in prompt
+ * @throws {Error} - With code PROMPT_VARIABLES_MISSING when a variable has no value
+ */
+function fillPrompt(text, values = {}) {
+  const missing = extractVariables(text).filter(name => {
+    const value = values[name];
+    return value === undefined || value === null || String(value).trim() === '';
+  });
+
+  if (missing.length > 0) {
+    const error = promptError('PROMPT_VARIABLES_MISSING', `Missing values for: ${missing.join(', ')}`);
+    error.missing = missing;
+    throw error;
+  }
+
+  return text.replace(VARIABLE_PATTERN, (placeholder, name) => String(values[name]).trim());
+}
+
+/**
+ * Check whether a user can see a prompt
+ *
+ * @param {Object} auth - Authenticated identity ({ userId, accountId, isAdmin })
+ * @param {Object} prompt - Stored prompt
+ * @returns {boolean} - Whether the prompt is visible to the user
+ */
+function canView(auth, prompt) {
+  return prompt.visibility === 'account' || prompt.ownerId === auth.userId;
+}
+
+/**
+ * Check whether a user can change or delete a prompt
+ *
+ * Owners manage their own prompts; admins also manage every published prompt.
+ *
+ * @param {Object} auth - Authenticated identity ({ userId, accountId, isAdmin })
+ * @param {Object} prompt - Stored prompt
+ * @returns {boolean} - Whether the user can edit the prompt
+ */
+function canEdit(auth, prompt) {
+  return prompt.ownerId === auth.userId || (auth.isAdmin && prompt.visibility === 'account');
+}
+
+/**
+ * Describe a stored prompt for the client
+ *
+ * @param {Object} auth - Authenticated identity
+ * @param {Object} prompt - Stored prompt
+ * @returns {Object} - Prompt with its variables and whether the user can edit it
+ */
+function toPromptResponse(auth, prompt) {
+  return {
+    ...prompt,
+    variables: extractVariables(prompt.text),
+    editable: canEdit(auth, prompt)
+  };
+}
+
+/**
+ * List the prompts a user can see, published prompts first
+ *
+ * @param {Object} auth - Authenticated identity ({ userId, accountId, isAdmin })
+ * @returns {Promise<Object[]>} - Prompts
+ */
+async function listPrompts(auth) {
+  const prompts = (await storage.get(libraryKey(auth.accountId))) || [];
+
+  return prompts
+    .filter(prompt => canView(auth, prompt))
+    .sort((a, b) => {
+      if (a.visibility !== b.visibility) {
+        return a.visibility === 'account' ? -1 : 1;
+      }
+      return a.title.localeCompare(b.title);
+    })
+    .map(prompt => toPromptResponse(auth, prompt));
+}
+
+/**
+ * Get a prompt the user can see
+ *
+ * @param {Object} auth - Authenticated identity
+ * @param {string} promptId - Prompt ID
+ * @returns {Promise<Object>} - Prompt
+ * @throws {Error} - With code PROMPT_NOT_FOUND when the prompt does not exist or is not visible
+ */
+async function getPrompt(auth, promptId) {
+  const prompts = (await storage.get(libraryKey(auth.accountId))) || [];
+  const prompt = prompts.find(entry => entry.id === promptId);
+
+  if (!prompt || !canView(auth, prompt)) {
+    throw promptError('PROMPT_NOT_FOUND', 'Prompt not found');
+  }
+
+  return toPromptResponse(auth, prompt);
+}
+
+/**
+ * Check that a user may give a prompt the requested visibility
+ *
+ * @param {Object} auth - Authenticated identity
+ * @param {string} visibility - Requested visibility
+ * @throws {Error} - With code PROMPT_FORBIDDEN when a non-admin publishes to the account
+ */
+function assertVisibilityAllowed(auth, visibility) {
+  if (visibility === 'account' && !auth.isAdmin) {
+    throw promptError('PROMPT_FORBIDDEN', 'Only account admins can publish prompts to the whole account');
+  }
+}
+
+/**
+ * Save a new prompt
+ *
+ * @param {Object} auth - Authenticated identity
+ * @param {Object} fields - Prompt fields
+ * @param {string} fields.title - Short name shown in the picker
+ * @param {string} fields.text - Prompt text with {{variable}} placeholders
+ * @param {string} fields.description - What the prompt does
+ * @param {string} fields.visibility - 'private' or 'account'
+ * @returns {Promise<Object>} - Created prompt
+ */
+async function createPrompt(auth, fields) {
+  const { title, text, description = '', visibility = 'private' } = fields;
+
+  assertVisibilityAllowed(auth, visibility);
+
+  const key = libraryKey(auth.accountId);
+  const prompts = (await storage.get(key)) || [];
+
+  if (prompts.length >= MAX_PROMPTS_PER_ACCOUNT) {
+    throw promptError('PROMPT_LIMIT_REACHED', `Accounts can save up to ${MAX_PROMPTS_PER_ACCOUNT} prompts`);
+  }
+
+  const now = new Date().toISOString();
+  const prompt = {
+    id: crypto.randomBytes(12).toString('hex'),
+    title,
+    text,
+    description,
+    visibility,
+    ownerId: auth.userId,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await storage.set(key, [...prompts, prompt]);
+
+  logger.info('Saved prompt', { accountId: auth.accountId, promptId: prompt.id, visibility });
+
+  return toPromptResponse(auth, prompt);
+}
+
+/**
+ * Change a prompt
+ *
+ * @param {Object} auth - Authenticated identity
+ * @param {string} promptId - Prompt ID
+ * @param {Object} changes - Fields to change ({ title, text, description, visibility })
+ * @returns {Promise<Object>} - Updated prompt
+ */
+async function updatePrompt(auth, promptId, changes) {
+  const key = libraryKey(auth.accountId);
+  const prompts = (await storage.get(key)) || [];
+  const index = prompts.findIndex(entry => entry.id === promptId);
+
+  if (index === -1 || !canView(auth, prompts[index])) {
+    throw promptError('PROMPT_NOT_FOUND', 'Prompt not found');
+  }
+
+  if (!canEdit(auth, prompts[index])) {
+    throw promptError('PROMPT_FORBIDDEN', 'You can only change your own prompts');
+  }
+
+  // Publishing or unpublishing is an admin decision
+  if (changes.visibility !== undefined && changes.visibility !== prompts[index].visibility && !auth.isAdmin) {
+    throw promptError('PROMPT_FORBIDDEN', 'Only account admins can publish prompts to the whole account');
+  }
+
+  const updated = { ...prompts[index] };
+  for (const field of ['title', 'text', 'description', 'visibility']) {
+    if (changes[field] !== undefined) {
+      updated[field] = changes[field];
+    }
+  }
+  updated.updatedAt = new Date().toISOString();
+
+  prompts[index] = updated;
+  await storage.set(key, prompts);
+
+  logger.info('Updated prompt', { accountId: auth.accountId, promptId });
+
+  return toPromptResponse(auth, updated);
+}
+
+/**
+ * Delete a prompt
+ *
+ * @param {Object} auth - Authenticated identity
+ * @param {string} promptId - Prompt ID
+ * @returns {Promise<void>}
+ */
+async function deletePrompt(auth, promptId) {
+  const key = libraryKey(auth.accountId);
+  const prompts = (await storage.get(key)) || [];
+  const prompt = prompts.find(entry => entry.id === promptId);
+
+  if (!prompt || !canView(auth, prompt)) {
+    throw promptError('PROMPT_NOT_FOUND', 'Prompt not found');
+  }
+
+  if (!canEdit(auth, prompt)) {
+    throw promptError('PROMPT_FORBIDDEN', 'You can only delete your own prompts');
+  }
+
+  await storage.set(key, prompts.filter(entry => entry.id !== promptId));
+
+  logger.info('Deleted prompt', { accountId: auth.accountId, promptId });
+}
+
+module.exports = {
+  VISIBILITIES,
+  MAX_PROMPTS_PER_ACCOUNT,
+  extractVariables,
+  fillPrompt,
+  listPrompts,
+  getPrompt,
+  createPrompt,
+  updatePrompt,
+  deletePrompt
+};
@@ -0,0 +1,102 @@
+/**
+ * Cancellation of running requests
+ *
+ * A cancellable request registers an AbortController under its request ID,
+ * and cancelling the request aborts it. The signal is passed down to Claude
+ * calls and monday.com reads, which stop right away. Changes to monday.com
+ * only check it before they start, so a mutation already sent is never cut
+ * off halfway and its undo is still recorded.
+ *
+ * Requests are tracked in memory by the server instance running them.
+ */
+
+const { Logger } = require('@mondaycom/apps-sdk');
+
+const logger = new Logger('request-cancellation');
+
+// Running requests by request ID ({ controller, userId, accountId })
+const runningRequests = new Map();
+
+/**
+ * Create the error thrown when a request is cancelled
+ *
+ * @returns {Error} - Error with code REQUEST_CANCELLED
+ */
+function createCancellationError() {
+  const error = new Error('The request was cancelled');
+  error.code = 'REQUEST_CANCELLED';
+  return error;
+}
+
+/**
+ * Check whether an error comes from cancelling a request
+ *
+ * @param {Error} error - Error to check
+ * @returns {boolean} - Whether the error is a cancellation, including axios' ERR_CANCELED
+ */
+function isCancellation(error) {
+  return Boolean(error) && (error.code === 'REQUEST_CANCELLED' || error.code === 'ERR_CANCELED');
+}
+
+/**
+ * Throw the cancellation error when a signal has been aborted
+ *
+ * @param {AbortSignal} signal - Signal of the request, or null
+ * @throws {Error} - REQUEST_CANCELLED when the request was cancelled
+ */
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) {
+    throw createCancellationError();
+  }
+}
+
+/**
+ * Register a running request so it can be cancelled
+ *
+ * @param {string} requestId - Request ID
+ * @param {Object} owner - User the request runs for ({ userId, accountId })
+ * @returns {AbortSignal} - Signal aborted when the request is cancelled
+ */
+function registerRequest(requestId, { userId, accountId }) {
+  const controller = new AbortController();
+  runningRequests.set(requestId, { controller, userId, accountId });
+  return controller.signal;
+}
+
+/**
+ * Stop tracking a finished request
+ *
+ * @param {string} requestId - Request ID
+ */
+function unregisterRequest(requestId) {
+  runningRequests.delete(requestId);
+}
+
+/**
+ * Cancel a running request of a user
+ *
+ * @param {string} requestId - Request ID
+ * @param {Object} owner - User asking to cancel ({ userId, accountId })
+ * @returns {boolean} - Whether a running request of the user was cancelled
+ */
+function cancelRequest(requestId, { userId, accountId }) {
+  const running = runningRequests.get(requestId);
+
+  if (!running || running.userId !== userId || running.accountId !== accountId) {
+    return false;
+  }
+
+  logger.info('Cancelling request', { requestId, userId, accountId });
+  running.controller.abort();
+
+  return true;
+}
+
+module.exports = {
+  createCancellationError,
+  isCancellation,
+  throwIfCancelled,
+  registerRequest,
+  unregisterRequest,
+  cancelRequest
+};
@@ -0,0 +1,131 @@
+/**
+ * Claude response cache
+ *
+ * Opt-in cache for answers that change nothing on monday.com: read-only board
+ * questions and document actions. Answers are keyed by account, task, model, a
+ * hash of the normalized prompt and a hash of the board schema, so a changed
+ * board or plan gets a fresh answer. Hits and misses are reported to
+ * performance monitoring.
+ */
+
+const crypto = require('crypto');
+const { Logger, Environment } = require('@mondaycom/apps-sdk');
+const cacheUtils = require('./cacheUtils');
+const performanceMonitoring = require('./performanceMonitoring');
+
+const logger = new Logger('response-cache');
+const env = new Environment();
+
+// Responses are only cached when enabled for the deployment
+const RESPONSE_CACHE_ENABLED = env.get('CLAUDE_RESPONSE_CACHE') === 'true';
+
+// Seconds a response is served from the memory and storage caches
+const RESPONSE_CACHE_TTL = Number(env.get('CLAUDE_RESPONSE_CACHE_TTL')) || 300;
+
+const KEY_PREFIX = 'claude_response';
+
+/**
+ * Check whether the response cache is enabled
+ *
+ * @returns {boolean} - Whether responses are cached
+ */
+function isEnabled() {
+  return RESPONSE_CACHE_ENABLED;
+}
+
+/**
+ * Normalize a prompt so trivially different wordings share a cache entry
+ *
+ * Whitespace is always collapsed. Case is ignored for questions but kept for
+ * documents, where it can change the answer.
+ *
+ * @param {string} prompt - Prompt text
+ * @param {Object} options - Options
+ * @param {boolean} options.ignoreCase - Whether to ignore case
+ * @returns {string} - Normalized prompt
+ */
+function normalizePrompt(prompt, options = {}) {
+  const { ignoreCase = false } = options;
+  const normalized = String(prompt).trim().replace(/\s+/g, ' ');
+
+  return ignoreCase ? normalized.toLowerCase() : normalized;
+}
+
+/**
+ * Hash text for use in a cache key
+ *
+ * @param {string} text - Text to hash
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashText(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Hash a board schema, including its sample items
+ *
+ * @param {Object} schema - Board schema from fetchBoardSchema, or null
+ * @returns {string} - Schema hash, or 'none' without a schema
+ */
+function hashBoardSchema(schema) {
+  return schema ? hashText(JSON.stringify(schema)) : 'none';
+}
+
+/**
+ * Return a cached response, or compute and cache it
+ *
+ * Computes without caching when the cache is disabled. A response computed
+ * for a request that was cancelled is incomplete and is never cached.
+ *
+ * @param {Object} entry - What the response answers
+ * @param {string} entry.task - Task type ('query' or 'document')
+ * @param {string} entry.accountId - Account the response belongs to
+ * @param {string} entry.prompt - Prompt the response answers
+ * @param {Object} entry.boardSchema - Schema of the board the prompt is about, if any
+ * @param {string} entry.model - Model that produces the response
+ * @param {Function} compute - Async function producing the response on a miss
+ * @param {Object} options - Options
+ * @param {Function} options.shouldCache - Called with a computed response; falsy keeps it out of the cache
+ * @param {AbortSignal} options.signal - Signal of the request the response is computed for
+ * @returns {Promise<Object>} - The response and whether it came from the cache ({ value, cached })
+ */
+async function getOrCompute(entry, compute, options = {}) {
+  const { task, accountId, prompt, boardSchema = null, model = null } = entry;
+  const { shouldCache = () => true, signal = null } = options;
+
+  if (!RESPONSE_CACHE_ENABLED) {
+    return { value: await compute(), cached: false };
+  }
+
+  let cached = false;
+  const cachedCompute = cacheUtils.hybridCached(async function claudeResponse() {
+    return compute();
+  }, KEY_PREFIX, RESPONSE_CACHE_TTL, RESPONSE_CACHE_TTL, {
+    shouldCache: value => !signal?.aborted && shouldCache(value),
+    onLookup: (isHit) => {
+      cached = isHit;
+      performanceMonitoring.recordCacheOperation(isHit);
+    }
+  });
+
+  const value = await cachedCompute(
+    String(accountId),
+    task,
+    model,
+    hashText(normalizePrompt(prompt, { ignoreCase: task === 'query' })),
+    hashBoardSchema(boardSchema)
+  );
+
+  if (cached) {
+    logger.info('Served Claude response from cache', { accountId, task, model });
+  }
+
+  return { value, cached };
+}
+
+module.exports = {
+  isEnabled,
+  normalizePrompt,
+  hashBoardSchema,
+  getOrCompute
+};
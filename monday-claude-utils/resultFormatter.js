@@ -0,0 +1,176 @@
+/**
+ * Result formatting utilities
+ *
+ * Turns the raw GraphQL response of a read query into a table the client can
+ * display: one row per item, one column per monday.com column with its title
+ * and type, and the display text of each value.
+ */
+
+const { Logger } = require('@mondaycom/apps-sdk');
+
+const logger = new Logger('result-formatter');
+
+/**
+ * Check whether a value looks like a monday.com item
+ *
+ * @param {*} value - Value from a GraphQL response
+ * @returns {boolean} - Whether the value has an ID and a name or column values
+ */
+function isItem(value) {
+  return Boolean(value) && typeof value === 'object' && value.id !== undefined &&
+    ('name' in value || 'column_values' in value);
+}
+
+/**
+ * Find every list of items in a GraphQL response
+ *
+ * Items may be nested under boards, groups or items_page; the board ID and
+ * page cursor of the surrounding objects are kept with each list.
+ *
+ * @param {*} node - Part of the response to search
+ * @param {string} key - Field name the node was found under
+ * @param {Object} context - Board ID and page cursor of the enclosing objects
+ * @param {Object[]} lists - Lists found so far
+ * @returns {Object[]} - Item lists ({ items, boardId, paged, cursor })
+ */
+function findItemLists(node, key = null, context = {}, lists = []) {
+  if (Array.isArray(node)) {
+    if (key === 'items' && node.length > 0 && node.every(isItem)) {
+      lists.push({ items: node, ...context });
+      return lists;
+    }
+
+    node.forEach(child => findItemLists(child, key, context, lists));
+    return lists;
+  }
+
+  if (!node || typeof node !== 'object') {
+    return lists;
+  }
+
+  let childContext = context;
+  if (key === 'boards') {
+    childContext = { ...childContext, boardId: node.id };
+  }
+  if (key === 'items_page' || key === 'next_items_page') {
+    childContext = { ...childContext, paged: true, cursor: node.cursor || null };
+  }
+
+  for (const [childKey, child] of Object.entries(node)) {
+    findItemLists(child, childKey, childContext, lists);
+  }
+
+  return lists;
+}
+
+/**
+ * Get the text shown for a column value
+ *
+ * Prefers the `text` monday.com renders; falls back to common fields of the
+ * JSON `value` when only the raw value was queried.
+ *
+ * @param {Object} columnValue - Column value from the monday.com API
+ * @returns {string} - Display text, empty when the value is not set
+ */
+function getDisplayText(columnValue) {
+  if (columnValue.text !== undefined && columnValue.text !== null) {
+    return String(columnValue.text);
+  }
+
+  if (columnValue.display_value !== undefined && columnValue.display_value !== null) {
+    return String(columnValue.display_value);
+  }
+
+  if (!columnValue.value) {
+    return '';
+  }
+
+  try {
+    const parsed = JSON.parse(columnValue.value);
+
+    if (parsed === null || typeof parsed !== 'object') {
+      return parsed === null ? '' : String(parsed);
+    }
+
+    return String(parsed.label || parsed.text || parsed.date || parsed.email || parsed.phone || parsed.url || '');
+  } catch (error) {
+    return String(columnValue.value);
+  }
+}
+
+/**
+ * Normalize a query result into a table of items
+ *
+ * @param {Object} result - GraphQL response ({ data })
+ * @param {Object} options - Formatting options
+ * @param {Object} options.boardSchema - Board schema used for column titles and types missing from the result
+ * @returns {Object|null} - Table ({ columns, rows, pagination }), or null if the result has no items
+ */
+function formatQueryResult(result, options = {}) {
+  const { boardSchema = null } = options;
+  const lists = findItemLists(result?.data);
+
+  if (lists.length === 0) {
+    return null;
+  }
+
+  const schemaColumns = (boardSchema?.columns || []).reduce((columns, column) => {
+    columns[column.id] = column;
+    return columns;
+  }, {});
+
+  // Columns in the order they first appear in the result
+  const columns = [];
+  const columnsById = {};
+
+  const rows = lists.flatMap(list => list.items.map(item => {
+    const values = {};
+
+    for (const columnValue of item.column_values || []) {
+      if (!columnsById[columnValue.id]) {
+        const schemaColumn = schemaColumns[columnValue.id] || {};
+        columnsById[columnValue.id] = {
+          id: columnValue.id,
+          title: columnValue.column?.title || schemaColumn.title || columnValue.id,
+          type: columnValue.type || columnValue.column?.type || schemaColumn.type || 'text'
+        };
+        columns.push(columnsById[columnValue.id]);
+      }
+
+      values[columnValue.id] = getDisplayText(columnValue);
+    }
+
+    return {
+      id: String(item.id),
+      name: item.name || '',
+      boardId: item.board?.id ? String(item.board.id) : (list.boardId ? String(list.boardId) : null),
+      group: item.group ? (item.group.title || item.group.id) : null,
+      values
+    };
+  }));
+
+  // A cursor on any page means monday.com has more matching items
+  const cursors = lists.filter(list => list.cursor).map(list => list.cursor);
+
+  logger.info('Formatted query result as table', {
+    rows: rows.length,
+    columns: columns.length,
+    hasMore: cursors.length > 0
+  });
+
+  return {
+    columns,
+    rows,
+    pagination: {
+      returned: rows.length,
+      paged: lists.some(list => list.paged),
+      hasMore: cursors.length > 0,
+      cursor: cursors.length === 1 ? cursors[0] : null
+    }
+  };
+}
+
+module.exports = {
+  getDisplayText,
+  formatQueryResult
+};
@@ -0,0 +1,646 @@
+/**
+ * Scheduled requests
+ *
+ * Stores natural language requests that run on a cron schedule, per account.
+ * A timer inside the server checks for due schedules every minute and queues
+ * each run as a job, so runs go through the same pipeline, retries and quota
+ * handling as background requests. Like the job queue, the scheduler runs in
+ * a single server process, and changes to an account's schedules are
+ * serialized so runs being recorded never undo a user's edits.
+ */
+
+const crypto = require('crypto');
+const { Storage, Logger } = require('@mondaycom/apps-sdk');
+const jobQueue = require('./jobQueue');
+const monetizationHandler = require('./monetizationHandler');
+const claudeAPI = require('./enhanced-claudeAPI');
+const { createKeyedQueue } = require('./keyedQueue');
+
+const logger = new Logger('scheduler');
+const storage = new Storage();
+
+// Read-modify-write updates run one at a time per storage key
+const runExclusive = createKeyedQueue();
+
+// Job type that runs a scheduled request
+const SCHEDULED_JOB_TYPE = 'scheduled-request';
+
+// Storage key listing accounts that have schedules
+const SCHEDULE_ACCOUNTS_KEY = 'schedule_accounts';
+
+// Most schedules stored for one account
+const MAX_SCHEDULES_PER_ACCOUNT = 50;
+
+// How often the server checks for due schedules
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+// How far ahead to look for the next matching time (covers Feb 29)
+const MAX_LOOKAHEAD_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+// Cron fields in order, with their allowed values
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+let timer = null;
+let checking = false;
+
+/**
+ * Create an error with a scheduler error code
+ *
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error} - Error with the code set
+ */
+function scheduleError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Get the storage key for an account's schedules
+ *
+ * @param {string} accountId - Account ID
+ * @returns {string} - Storage key
+ */
+function schedulesKey(accountId) {
+  return `schedules_${accountId}`;
+}
+
+/**
+ * Parse one cron field into the set of values it matches
+ *
+ * Supports `*`, single values, ranges (`1-5`), lists (`1,3`) and steps (`*\/15`, `0-30/10`).
+ *
+ * @param {string} text - Field text
+ * @param {Object} field - Field definition ({ name, min, max })
+ * @returns {Set<number>} - Matching values
+ */
+function parseCronField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+
+    if (!match) {
+      throw scheduleError('INVALID_SCHEDULE', `Invalid ${field.name} in schedule: ${part}`);
+    }
+
+    const step = match[4] ? Number(match[4]) : 1;
+    let start = field.min;
+    let end = field.max;
+
+    if (match[1] !== '*') {
+      start = Number(match[2]);
+      // A single value with a step runs from that value to the end of the range
+      end = match[3] !== undefined ? Number(match[3]) : (match[4] ? field.max : start);
+    }
+
+    if (step < 1 || start < field.min || end > field.max || start > end) {
+      throw scheduleError('INVALID_SCHEDULE', `Invalid ${field.name} in schedule: ${part}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression (minute hour day-of-month month day-of-week)
+ *
+ * @param {string} cron - Cron expression, e.g. "0 9 * * 1" for Mondays at 9:00
+ * @returns {Object} - Matching values for each field
+ * @throws {Error} - With code INVALID_SCHEDULE when the expression is not valid
+ */
+function parseCron(cron) {
+  const parts = String(cron || '').trim().split(/\s+/);
+
+  if (parts.length !== CRON_FIELDS.length) {
+    throw scheduleError('INVALID_SCHEDULE', 'Schedules need five fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseCronField(part, CRON_FIELDS[index]));
+
+  // 7 is Sunday as well as 0
+  if (daysOfWeek.delete(7)) {
+    daysOfWeek.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // As in cron, a day matches either restricted day field when both are set
+    dayOfMonthRestricted: parts[2] !== '*',
+    dayOfWeekRestricted: parts[4] !== '*'
+  };
+}
+
+/**
+ * Check whether a day matches the day fields of a parsed schedule
+ *
+ * @param {Object} parsed - Parsed cron expression
+ * @param {Date} date - Date in schedule-local time, read with UTC getters
+ * @returns {boolean} - Whether the day matches
+ */
+function dayMatches(parsed, date) {
+  const dayOfMonth = parsed.daysOfMonth.has(date.getUTCDate());
+  const dayOfWeek = parsed.daysOfWeek.has(date.getUTCDay());
+
+  if (parsed.dayOfMonthRestricted && parsed.dayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Get the next time a schedule runs after a given time
+ *
+ * The schedule is read in the user's time zone, given as a fixed offset from UTC.
+ *
+ * @param {string} cron - Cron expression
+ * @param {number} utcOffsetMinutes - User's offset from UTC in minutes, e.g. 120 for UTC+2
+ * @param {Date} after - Time to search from
+ * @returns {Date|null} - Next run time, or null if the schedule never matches
+ */
+function getNextRunTime(cron, utcOffsetMinutes = 0, after = new Date()) {
+  const parsed = parseCron(cron);
+  const offsetMs = utcOffsetMinutes * 60 * 1000;
+
+  // Shift into schedule-local time and start at the next whole minute
+  let time = Math.floor((after.getTime() + offsetMs) / 60000) * 60000 + 60000;
+  const limit = time + MAX_LOOKAHEAD_MS;
+
+  while (time < limit) {
+    const date = new Date(time);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    const day = date.getUTCDate();
+    const hour = date.getUTCHours();
+
+    if (!parsed.months.has(month + 1)) {
+      time = Date.UTC(year, month + 1, 1);
+    } else if (!dayMatches(parsed, date)) {
+      time = Date.UTC(year, month, day + 1);
+    } else if (!parsed.hours.has(hour)) {
+      time = Date.UTC(year, month, day, hour + 1);
+    } else if (!parsed.minutes.has(date.getUTCMinutes())) {
+      time += 60000;
+    } else {
+      return new Date(time - offsetMs);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check a cron expression for use as a schedule
+ *
+ * @param {string} cron - Cron expression
+ * @param {number} utcOffsetMinutes - User's offset from UTC in minutes
+ * @returns {Date} - First run time
+ * @throws {Error} - With code INVALID_SCHEDULE when the schedule is not allowed
+ */
+function validateSchedule(cron, utcOffsetMinutes) {
+  const parsed = parseCron(cron);
+
+  // Every run uses a request from the plan, so schedules run at most hourly
+  if (parsed.minutes.size !== 1) {
+    throw scheduleError('INVALID_SCHEDULE', 'Schedules can run at most once an hour; use a single minute value');
+  }
+
+  const nextRunAt = getNextRunTime(cron, utcOffsetMinutes);
+
+  if (!nextRunAt) {
+    throw scheduleError('INVALID_SCHEDULE', 'This schedule never runs');
+  }
+
+  return nextRunAt;
+}
+
+/**
+ * Check whether a user can see and manage a schedule
+ *
+ * @param {Object} auth - Authenticated identity ({ userId, accountId, isAdmin })
+ * @param {Object} schedule - Stored schedule
+ * @returns {boolean} - Whether the user owns the schedule or is an account admin
+ */
+function canManage(auth, schedule) {
+  return schedule.userId === auth.userId || auth.isAdmin;
+}
+
+/**
+ * Load an account's schedules
+ *
+ * @param {string} accountId - Account ID
+ * @returns {Promise<Object[]>} - Schedules
+ */
+async function loadSchedules(accountId) {
+  return (await storage.get(schedulesKey(accountId))) || [];
+}
+
+/**
+ * Save an account's schedules and keep the account index up to date
+ *
+ * @param {string} accountId - Account ID
+ * @param {Object[]} schedules - Schedules
+ * @returns {Promise<void>}
+ */
+async function saveSchedules(accountId, schedules) {
+  await storage.set(schedulesKey(accountId), schedules);
+
+  await runExclusive(SCHEDULE_ACCOUNTS_KEY, async () => {
+    const accounts = (await storage.get(SCHEDULE_ACCOUNTS_KEY)) || [];
+    const indexed = accounts.includes(accountId);
+
+    if (schedules.length > 0 && !indexed) {
+      await storage.set(SCHEDULE_ACCOUNTS_KEY, [...accounts, accountId]);
+    } else if (schedules.length === 0 && indexed) {
+      await storage.set(SCHEDULE_ACCOUNTS_KEY, accounts.filter(id => id !== accountId));
+    }
+  });
+}
+
+/**
+ * Change an account's schedules, one change at a time per account
+ *
+ * @param {string} accountId - Account ID
+ * @param {Function} change - Receives the stored schedules and returns the new list, or null to leave them as they are
+ * @returns {Promise<void>}
+ */
+async function changeSchedules(accountId, change) {
+  await runExclusive(schedulesKey(accountId), async () => {
+    const schedules = change(await loadSchedules(accountId));
+
+    if (schedules) {
+      await saveSchedules(accountId, schedules);
+    }
+  });
+}
+
+/**
+ * Merge changes into a stored schedule
+ *
+ * @param {string} accountId - Account ID
+ * @param {string} scheduleId - Schedule ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object|null>} - Updated schedule, or null if it was deleted
+ */
+async function updateSchedule(accountId, scheduleId, updates) {
+  let updated = null;
+
+  await changeSchedules(accountId, (schedules) => {
+    const index = schedules.findIndex(schedule => schedule.id === scheduleId);
+
+    if (index === -1) {
+      return null;
+    }
+
+    updated = { ...schedules[index], ...updates, updatedAt: new Date().toISOString() };
+    return schedules.map((schedule, position) => (position === index ? updated : schedule));
+  });
+
+  return updated;
+}
+
+/**
+ * Find a schedule the user can manage
+ *
+ * @param {Object} auth - Authenticated identity
+ * @param {string} scheduleId - Schedule ID
+ * @returns {Promise<Object>} - Schedule
+ * @throws {Error} - With code SCHEDULE_NOT_FOUND when it does not exist or belongs to someone else
+ */
+async function getSchedule(auth, scheduleId) {
+  const schedules = await loadSchedules(auth.accountId);
+  const schedule = schedules.find(entry => entry.id === scheduleId);
+
+  if (!schedule || !canManage(auth, schedule)) {
+    throw scheduleError('SCHEDULE_NOT_FOUND', 'Schedule not found');
+  }
+
+  return schedule;
+}
+
+/**
+ * List the schedules a user can manage, soonest first
+ *
+ * Admins see every schedule in the account; other users see their own.
+ *
+ * @param {Object} auth - Authenticated identity
+ * @returns {Promise<Object[]>} - Schedules
+ */
+async function listSchedules(auth) {
+  const schedules = await loadSchedules(auth.accountId);
+
+  return schedules
+    .filter(schedule => canManage(auth, schedule))
+    .sort((a, b) => String(a.nextRunAt).localeCompare(String(b.nextRunAt)));
+}
+
+/**
+ * Create a schedule
+ *
+ * Runs act as the user who created the schedule, with the account's OAuth token.
+ *
+ * @param {Object} auth - Authenticated identity
+ * @param {Object} fields - Schedule fields
+ * @param {string} fields.name - Short name shown in the list
+ * @param {string} fields.userPrompt - Request to run
+ * @param {string} fields.boardId - Optional board the request is about
+ * @param {string} fields.cron - Cron expression in the user's time zone
+ * @param {number} fields.utcOffsetMinutes - User's offset from UTC in minutes
+ * @param {string} fields.promptId - Saved prompt the request was filled in from
+ * @returns {Promise<Object>} - Created schedule
+ */
+async function createSchedule(auth, fields) {
+  const { name, userPrompt, boardId = null, cron, utcOffsetMinutes = 0, promptId = null } = fields;
+  const nextRunAt = validateSchedule(cron, utcOffsetMinutes);
+  const now = new Date().toISOString();
+  const schedule = {
+    id: crypto.randomBytes(12).toString('hex'),
+    name: name || userPrompt.substring(0, 60),
+    userPrompt,
+    boardId: boardId === null ? null : String(boardId),
+    promptId,
+    cron: cron.trim(),
+    utcOffsetMinutes,
+    status: 'active',
+    nextRunAt: nextRunAt.toISOString(),
+    lastRun: null,
+    userId: auth.userId,
+    accountId: auth.accountId,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await changeSchedules(auth.accountId, (schedules) => {
+    if (schedules.length >= MAX_SCHEDULES_PER_ACCOUNT) {
+      throw scheduleError('SCHEDULE_LIMIT_REACHED', `Accounts can have up to ${MAX_SCHEDULES_PER_ACCOUNT} schedules`);
+    }
+
+    return [...schedules, schedule];
+  });
+
+  logger.info('Created schedule', { accountId: auth.accountId, scheduleId: schedule.id, cron: schedule.cron });
+
+  return schedule;
+}
+
+/**
+ * Pause or resume a schedule
+ *
+ * @param {Object} auth - Authenticated identity
+ * @param {string} scheduleId - Schedule ID
+ * @param {boolean} paused - Whether the schedule should be paused
+ * @returns {Promise<Object>} - Updated schedule
+ */
+async function setSchedulePaused(auth, scheduleId, paused) {
+  const schedule = await getSchedule(auth, scheduleId);
+
+  // Resumed schedules skip the runs they missed while paused
+  const updated = await updateSchedule(auth.accountId, scheduleId, paused
+    ? { status: 'paused', nextRunAt: null }
+    : { status: 'active', nextRunAt: getNextRunTime(schedule.cron, schedule.utcOffsetMinutes).toISOString() });
+
+  logger.info(paused ? 'Paused schedule' : 'Resumed schedule', { accountId: auth.accountId, scheduleId });
+
+  return updated;
+}
+
+/**
+ * Delete a schedule
+ *
+ * A run that is already queued still finishes.
+ *
+ * @param {Object} auth - Authenticated identity
+ * @param {string} scheduleId - Schedule ID
+ * @returns {Promise<void>}
+ */
+async function deleteSchedule(auth, scheduleId) {
+  await getSchedule(auth, scheduleId);
+
+  await changeSchedules(auth.accountId, schedules => schedules.filter(schedule => schedule.id !== scheduleId));
+
+  logger.info('Deleted schedule', { accountId: auth.accountId, scheduleId });
+}
+
+/**
+ * Queue a run of a due schedule
+ *
+ * @param {Object} schedule - Due schedule
+ * @param {Date} now - Current time
+ * @returns {Promise<void>}
+ */
+async function startRun(schedule, now) {
+  const startedAt = now.toISOString();
+
+  // Move on to the next run first, so a failure here never runs the schedule twice
+  await updateSchedule(schedule.accountId, schedule.id, {
+    nextRunAt: getNextRunTime(schedule.cron, schedule.utcOffsetMinutes, now).toISOString()
+  });
+
+  const { reserved, reservationId } = await monetizationHandler.reserveUsage(schedule.accountId);
+
+  if (!reserved) {
+    logger.warn('Skipped scheduled run over the plan limit', { accountId: schedule.accountId, scheduleId: schedule.id });
+    await updateSchedule(schedule.accountId, schedule.id, {
+      lastRun: {
+        jobId: null,
+        status: 'skipped',
+        startedAt,
+        finishedAt: startedAt,
+        conversationId: null,
+        error: 'Request limit exceeded. Upgrade your plan for scheduled requests to keep running.'
+      }
+    });
+    return;
+  }
+
+  const job = await jobQueue.createJob({
+    type: SCHEDULED_JOB_TYPE,
+    payload: {
+      scheduleId: schedule.id,
+      userPrompt: schedule.userPrompt,
+      boardId: schedule.boardId,
+      userId: schedule.userId,
+      accountId: schedule.accountId
+    },
+    userId: schedule.userId,
+    accountId: schedule.accountId,
+    reservation: { accountId: schedule.accountId, reservationId }
+  });
+
+  await updateSchedule(schedule.accountId, schedule.id, {
+    lastRun: {
+      jobId: job.id,
+      status: 'queued',
+      startedAt,
+      finishedAt: null,
+      conversationId: null,
+      error: null
+    }
+  });
+
+  logger.info('Queued scheduled run', { accountId: schedule.accountId, scheduleId: schedule.id, jobId: job.id });
+}
+
+/**
+ * Queue a run for every active schedule that is due
+ *
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of runs started
+ */
+async function runDueSchedules(now = new Date()) {
+  if (checking) {
+    return 0;
+  }
+  checking = true;
+
+  let started = 0;
+
+  try {
+    const accounts = (await storage.get(SCHEDULE_ACCOUNTS_KEY)) || [];
+
+    for (const accountId of accounts) {
+      const due = (await loadSchedules(accountId)).filter(schedule =>
+        schedule.status === 'active' && schedule.nextRunAt && new Date(schedule.nextRunAt) <= now);
+
+      for (const schedule of due) {
+        try {
+          await startRun(schedule, now);
+          started++;
+        } catch (error) {
+          logger.error('Error starting scheduled run', { accountId, scheduleId: schedule.id, error: error.message });
+        }
+      }
+    }
+  } catch (error) {
+    logger.error('Error checking schedules', { error: error.message });
+  } finally {
+    checking = false;
+  }
+
+  return started;
+}
+
+/**
+ * Describe how a finished run went
+ *
+ * @param {Object} job - Finished job
+ * @returns {string} - Run status
+ */
+function getRunStatus(job) {
+  if (job.status === 'failed') {
+    return 'failed';
+  }
+
+  // Nobody is there to confirm a destructive action or answer a question
+  if (job.result?.requiresConfirmation) {
+    return 'needs_confirmation';
+  }
+
+  if (job.result?.clarification) {
+    return 'needs_input';
+  }
+
+  return 'succeeded';
+}
+
+/**
+ * Record the outcome of a scheduled run on its schedule and in history
+ *
+ * Successful runs are saved to history by the request pipeline and are
+ * tagged with the schedule here; failed runs get a history entry of their own.
+ *
+ * @param {Object} job - Finished scheduled-request job
+ * @returns {Promise<void>}
+ */
+async function recordRun(job) {
+  const { scheduleId, userPrompt } = job.payload;
+  const status = getRunStatus(job);
+  let conversationId = job.result?.conversationId || null;
+
+  if (conversationId) {
+    await claudeAPI.updateConversationHistoryEntry(job.userId, conversationId, { scheduleId });
+  } else if (status === 'failed') {
+    conversationId = crypto.randomBytes(12).toString('hex');
+    await claudeAPI.saveConversationHistory(job.userId, job.accountId, {
+      id: conversationId,
+      scheduleId,
+      prompt: userPrompt,
+      error: job.error,
+      explanation: `The scheduled request did not run: ${job.error}`
+    });
+  }
+
+  const updated = await updateSchedule(job.accountId, scheduleId, {
+    lastRun: {
+      jobId: job.id,
+      status,
+      startedAt: job.createdAt,
+      finishedAt: job.updatedAt,
+      conversationId,
+      error: status === 'failed' ? job.error : null
+    }
+  });
+
+  logger.info('Recorded scheduled run', {
+    accountId: job.accountId,
+    scheduleId,
+    jobId: job.id,
+    status,
+    scheduleDeleted: !updated
+  });
+}
+
+/**
+ * Start checking for due schedules every minute
+ */
+function start() {
+  if (timer) {
+    return;
+  }
+
+  timer = setInterval(runDueSchedules, CHECK_INTERVAL_MS);
+  timer.unref();
+
+  logger.info('Scheduler started', { intervalMs: CHECK_INTERVAL_MS });
+}
+
+/**
+ * Stop checking for due schedules
+ */
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  SCHEDULED_JOB_TYPE,
+  MAX_SCHEDULES_PER_ACCOUNT,
+  parseCron,
+  getNextRunTime,
+  validateSchedule,
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  setSchedulePaused,
+  deleteSchedule,
+  runDueSchedules,
+  recordRun,
+  start,
+  stop
+};
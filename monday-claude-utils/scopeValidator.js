@@ -127,22 +127,33 @@ function getScopesForOperation(operationType) {
     'get_boards': [['boards', 'read']],
     'update_board': [['boards', 'write']],
     'delete_board': [['boards', 'delete']],
+    'archive_board': [['boards', 'delete']],
+    'delete_subscribers_from_board': [['boards', 'write']],
     
     // Item operations
     'create_item': [['items', 'create']],
     'get_items': [['items', 'read']],
     'update_item': [['items', 'write']],
     'delete_item': [['items', 'delete']],
+    'archive_item': [['items', 'delete']],
+    'create_update': [['items', 'write']],
+    'delete_update': [['items', 'delete']],
+    'clear_item_updates': [['items', 'delete']],
     
     // Column operations
     'create_column': [['columns', 'create']],
     'get_columns': [['columns', 'read']],
     'change_column_value': [['columns', 'write']],
+    'change_simple_column_value': [['columns', 'write']],
+    'change_multiple_column_values': [['columns', 'write']],
+    'delete_column': [['columns', 'write']],
     
     // Group operations
     'create_group': [['groups', 'create']],
     'get_groups': [['groups', 'read']],
     'update_group': [['groups', 'write']],
+    'delete_group': [['groups', 'write']],
+    'archive_group': [['groups', 'write']],
     
     // Automation operations
     'create_automation': [['automations', 'create']],
@@ -155,7 +166,8 @@ function getScopesForOperation(operationType) {
     'duplicate_item': [['items', 'read'], ['items', 'create']],
     'create_subitem': [['items', 'create'], ['items', 'read']],
     'create_board_view': [['boards', 'write']],
-    'create_webhook': [['boards', 'read']]
+    'create_webhook': [['boards', 'read']],
+    'delete_webhook': [['boards', 'read']]
   };
   
   return scopeMap[operationType] || [];
@@ -0,0 +1,248 @@
+/**
+ * Scripted transport for monday.com calls
+ *
+ * Answers GraphQL operations and OAuth token requests offline and
+ * deterministically, so the server runs without a monday.com account or
+ * network access in development and CI. The OAuth flow skips the authorization
+ * page and issues offline tokens. Rules are tried in order against the
+ * operation. Built-in rules answer anything the script does not cover:
+ * `boards`, `me` and `users` queries get a small sample account, other query
+ * fields get null, and every mutation field gets an object with a stable ID.
+ *
+ * Script format (JSON):
+ * {
+ *   "rules": [{
+ *     "match": { "field": "<root field>", "query": "<regex>" },
+ *     "reply": { "data": { ... }, "errors": [{ "message": "...", "extensions": { ... } }], "error": { "status": 500, "message": "..." } }
+ *   }],
+ *   "token": { "access_token": "...", "refresh_token": "...", "expires_in": 3600, "account_id": "..." }
+ * }
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { parse, Kind } = require('graphql');
+const { Logger } = require('@mondaycom/apps-sdk');
+const { throwIfCancelled } = require('./requestCancellation');
+
+const logger = new Logger('scripted-monday-transport');
+
+// Account every offline token belongs to, unless the script names another
+const SCRIPTED_ACCOUNT_ID = 'scripted-account';
+
+// Sample user the built-in rules answer with
+const SAMPLE_USER = {
+  id: '1',
+  name: 'Offline User',
+  email: 'offline.user@example.com',
+  account: { id: SCRIPTED_ACCOUNT_ID, name: 'Offline Account' }
+};
+
+// Sample board the built-in rules answer with
+const SAMPLE_BOARD = {
+  id: '1',
+  name: 'Offline Board',
+  state: 'active',
+  board_kind: 'public',
+  description: 'Sample board from the scripted monday.com transport',
+  columns: [
+    { id: 'name', title: 'Name', type: 'name', settings_str: '{}' },
+    { id: 'status', title: 'Status', type: 'status', settings_str: '{"labels":{"0":"Working on it","1":"Done","2":"Stuck"}}' }
+  ],
+  groups: [{ id: 'topics', title: 'Group Title' }],
+  items_page: {
+    cursor: null,
+    items: [
+      {
+        id: '11',
+        name: 'Sample item',
+        group: { id: 'topics', title: 'Group Title' },
+        column_values: [{ id: 'status', type: 'status', text: 'Working on it', value: '{"index":0}' }]
+      }
+    ]
+  }
+};
+
+// Answers to query fields the script does not cover
+const DEFAULT_QUERY_DATA = {
+  boards: [SAMPLE_BOARD],
+  me: SAMPLE_USER,
+  users: [SAMPLE_USER]
+};
+
+/**
+ * Get the root fields of an operation
+ *
+ * @param {string} query - GraphQL operation
+ * @returns {Object} - Operation ({ type: 'query' | 'mutation', fields: [{ name, alias }] })
+ * @throws {Error} - HTTP-shaped 400 error when the operation does not parse
+ */
+function parseOperation(query) {
+  let document;
+  try {
+    document = parse(query);
+  } catch (error) {
+    throw buildError({ status: 400, message: `Invalid GraphQL: ${error.message}` });
+  }
+
+  const operation = document.definitions.find(definition => definition.kind === Kind.OPERATION_DEFINITION);
+
+  return {
+    type: operation.operation,
+    fields: operation.selectionSet.selections
+      .filter(selection => selection.kind === Kind.FIELD)
+      .map(selection => ({ name: selection.name.value, alias: selection.alias?.value || selection.name.value }))
+  };
+}
+
+/**
+ * Check whether a rule matches an operation
+ *
+ * @param {Object} rule - Rule ({ match, reply })
+ * @param {string} query - GraphQL operation
+ * @param {Object} operation - Parsed operation (see parseOperation)
+ * @returns {boolean} - Whether every condition of the rule holds
+ */
+function matchesRule(rule, query, operation) {
+  const { match = {} } = rule;
+
+  if (match.field && !operation.fields.some(field => field.name === match.field)) {
+    return false;
+  }
+
+  if (match.query && !new RegExp(match.query, 'i').test(query)) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Build the error a rule's reply asks for, shaped like an HTTP error
+ *
+ * @param {Object} error - Error of the reply ({ status, message })
+ * @returns {Error} - Error with `response.status` and `response.data`
+ */
+function buildError({ status = 500, message = 'Scripted error' }) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = {
+    status,
+    data: { error_message: message }
+  };
+  return error;
+}
+
+/**
+ * Answer an operation from the built-in rules
+ *
+ * @param {string} query - GraphQL operation
+ * @param {Object} operation - Parsed operation (see parseOperation)
+ * @returns {Object} - GraphQL response body
+ */
+function defaultAnswer(query, operation) {
+  const data = {};
+
+  operation.fields.forEach(({ name, alias }) => {
+    if (operation.type === 'mutation') {
+      const id = crypto.createHash('sha256').update(`${name}:${query}`).digest('hex').slice(0, 10);
+      data[alias] = { id: `scripted_${id}` };
+    } else {
+      data[alias] = DEFAULT_QUERY_DATA[name] !== undefined ? DEFAULT_QUERY_DATA[name] : null;
+    }
+  });
+
+  return { data };
+}
+
+class ScriptedMondayTransport {
+  /**
+   * @param {Object} script - Rules and token (see the file header)
+   */
+  constructor(script = {}) {
+    this.name = 'scripted';
+    this.rules = script.rules || [];
+    this.token = script.token || {};
+  }
+
+  /**
+   * Load a script from a JSON file
+   *
+   * @param {string} filePath - Path of the script, or null for the built-in rules only
+   * @returns {ScriptedMondayTransport} - Transport answering from the script
+   */
+  static fromFile(filePath) {
+    if (!filePath) {
+      return new ScriptedMondayTransport();
+    }
+
+    const script = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    logger.info('Loaded monday.com script', { filePath, rules: (script.rules || []).length });
+
+    return new ScriptedMondayTransport(script);
+  }
+
+  /**
+   * Answer a GraphQL operation
+   *
+   * @param {Object} body - Request body ({ query, variables })
+   * @param {Object} options - Request options ({ token, signal })
+   * @returns {Promise<Object>} - GraphQL response body ({ data, errors })
+   * @throws {Error} - The error the matching rule asks for
+   */
+  async execute(body, options = {}) {
+    throwIfCancelled(options.signal);
+
+    const operation = parseOperation(body.query);
+    const rule = this.rules.find(candidate => matchesRule(candidate, body.query, operation));
+
+    if (!rule) {
+      return defaultAnswer(body.query, operation);
+    }
+
+    if (rule.reply.error) {
+      throw buildError(rule.reply.error);
+    }
+
+    return {
+      data: rule.reply.data || null,
+      ...(rule.reply.errors ? { errors: rule.reply.errors } : {})
+    };
+  }
+
+  /**
+   * Skip the authorization page and send the user straight back with a code
+   *
+   * @param {Object} params - Authorization parameters ({ client_id, redirect_uri, state })
+   * @returns {string} - Redirect URL carrying a scripted code and the state
+   */
+  getAuthorizationUrl(params) {
+    const redirectUrl = new URL(params.redirect_uri);
+    redirectUrl.searchParams.append('code', 'scripted-code');
+    redirectUrl.searchParams.append('state', params.state);
+
+    return redirectUrl.toString();
+  }
+
+  /**
+   * Answer an OAuth token request, for an authorization code or a refresh token
+   *
+   * @param {Object} params - Token request parameters
+   * @returns {Promise<Object>} - Token response body ({ access_token, refresh_token, expires_in, account_id })
+   */
+  async requestToken(params) {
+    const grant = params.refresh_token || params.code || '';
+
+    return {
+      access_token: `scripted-access-${crypto.createHash('sha256').update(grant).digest('hex').slice(0, 16)}`,
+      refresh_token: 'scripted-refresh-token',
+      expires_in: 3600,
+      account_id: SCRIPTED_ACCOUNT_ID,
+      ...this.token
+    };
+  }
+}
+
+module.exports = {
+  ScriptedMondayTransport
+};
@@ -0,0 +1,338 @@
+/**
+ * Scripted provider for Claude calls
+ *
+ * Answers Messages API requests offline and deterministically, so the server
+ * runs without an API key or network access in development and CI. A script
+ * holds recorded fixtures, replayed for the exact request they were recorded
+ * for, and rules, tried in order against the request's last message. A
+ * `toolResult` regex matches the text of the tool results that message sends
+ * back, so a script can plan each turn of a multi-step request. Built-in
+ * rules answer anything the script does not cover: requests offering the
+ * get_board_items tool read the sample board's items, requests offering only
+ * the monday_action tool get a read-only boards query, tool results end the
+ * turn, and everything else gets a fixed text answer.
+ *
+ * Script format (JSON):
+ * {
+ *   "fixtures": [{ "key": "<fixtureKey>", "response": { ... } } | { "key": "...", "events": [ ... ] }],
+ *   "rules": [{
+ *     "match": { "prompt": "<regex>", "system": "<regex>", "tool": "<offered tool>", "toolResult": true | "<regex>" },
+ *     "reply": { "text": "...", "toolUse": { "name": "...", "input": { ... } }, "error": { "status": 529, "type": "...", "message": "..." } }
+ *   }]
+ * }
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { Logger } = require('@mondaycom/apps-sdk');
+const { estimateTokens } = require('./contextWindow');
+const { throwIfCancelled } = require('./requestCancellation');
+
+const logger = new Logger('scripted-provider');
+
+// Rules answering requests the script does not cover
+const DEFAULT_RULES = [
+  {
+    match: { toolResult: true },
+    reply: { text: 'Done. This is an offline answer from the scripted provider.' }
+  },
+  {
+    match: { tool: 'get_board_items' },
+    reply: {
+      toolUse: {
+        name: 'get_board_items',
+        input: { board_id: '1' }
+      }
+    }
+  },
+  {
+    match: { tool: 'monday_action' },
+    reply: {
+      toolUse: {
+        name: 'monday_action',
+        input: {
+          operation_type: 'query',
+          graphql_string: 'query { boards(limit: 10) { id name } }',
+          variables: {}
+        }
+      }
+    }
+  },
+  {
+    match: {},
+    reply: { text: 'This is an offline answer from the scripted provider. Add a rule to the script to change it.' }
+  }
+];
+
+/**
+ * Get the key a request's fixture is recorded under
+ *
+ * @param {Object} requestBody - Messages API request body
+ * @param {boolean} stream - Whether the request was streamed
+ * @returns {string} - SHA-256 of the request
+ */
+function fixtureKey(requestBody, stream = false) {
+  const { model, max_tokens: maxTokens, system, messages, tools, tool_choice: toolChoice } = requestBody;
+
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ model, maxTokens, system, messages, tools, toolChoice, stream }))
+    .digest('hex');
+}
+
+/**
+ * Join the text blocks of a message or system prompt
+ *
+ * @param {string|Object[]} content - Text or content blocks
+ * @returns {string} - Text of the blocks
+ */
+function textOf(content) {
+  if (!Array.isArray(content)) {
+    return content || '';
+  }
+
+  return content.filter(block => block.type === 'text').map(block => block.text).join('\n');
+}
+
+/**
+ * Check whether a rule matches a request
+ *
+ * @param {Object} rule - Rule ({ match, reply })
+ * @param {Object} requestBody - Messages API request body
+ * @returns {boolean} - Whether every condition of the rule holds
+ */
+function matchesRule(rule, requestBody) {
+  const { match = {} } = rule;
+  const lastMessage = requestBody.messages[requestBody.messages.length - 1];
+  const blocks = Array.isArray(lastMessage.content) ? lastMessage.content : [];
+
+  if (match.prompt && !new RegExp(match.prompt, 'i').test(textOf(lastMessage.content))) {
+    return false;
+  }
+
+  if (match.system && !new RegExp(match.system, 'i').test(textOf(requestBody.system))) {
+    return false;
+  }
+
+  if (match.tool && !(requestBody.tools || []).some(tool => tool.name === match.tool)) {
+    return false;
+  }
+
+  if (match.toolResult !== undefined) {
+    const results = blocks.filter(block => block.type === 'tool_result');
+    const matched = typeof match.toolResult === 'string'
+      ? results.some(block => new RegExp(match.toolResult, 'i').test(textOf(block.content)))
+      : (results.length > 0) === match.toolResult;
+
+    if (!matched) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Build a Messages API response from a rule's reply
+ *
+ * @param {Object} reply - Reply of the rule ({ text, toolUse })
+ * @param {Object} requestBody - Messages API request body
+ * @param {string} key - Fixture key of the request, for stable IDs
+ * @returns {Object} - Messages API response
+ */
+function buildResponse(reply, requestBody, key) {
+  const content = [];
+
+  if (reply.text) {
+    content.push({ type: 'text', text: reply.text });
+  }
+
+  if (reply.toolUse) {
+    content.push({
+      type: 'tool_use',
+      id: `toolu_scripted_${key.slice(0, 16)}`,
+      name: reply.toolUse.name,
+      input: reply.toolUse.input || {}
+    });
+  }
+
+  return {
+    id: `msg_scripted_${key.slice(0, 16)}`,
+    type: 'message',
+    role: 'assistant',
+    model: requestBody.model,
+    content,
+    stop_reason: reply.toolUse ? 'tool_use' : 'end_turn',
+    stop_sequence: null,
+    usage: {
+      input_tokens: estimateRequestTokens(requestBody),
+      output_tokens: estimateTokens(content)
+    }
+  };
+}
+
+/**
+ * Build the error a rule's reply asks for, shaped like an HTTP error
+ *
+ * @param {Object} error - Error of the reply ({ status, type, message })
+ * @returns {Error} - Error with `response.status` and `response.data`
+ */
+function buildError({ status = 500, type = 'api_error', message = 'Scripted error' }) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = {
+    status,
+    data: { type: 'error', error: { type, message } }
+  };
+  return error;
+}
+
+/**
+ * Turn a response into the server-sent events that would stream it
+ *
+ * @param {Object} response - Messages API response
+ * @returns {Object[]} - Stream events
+ */
+function toEvents(response) {
+  const { content, stop_reason: stopReason, stop_sequence: stopSequence, usage, ...message } = response;
+  const events = [{ type: 'message_start', message: { ...message, content: [], usage: { ...usage, output_tokens: 0 } } }];
+
+  content.forEach((block, index) => {
+    if (block.type === 'tool_use') {
+      events.push(
+        { type: 'content_block_start', index, content_block: { ...block, input: {} } },
+        { type: 'content_block_delta', index, delta: { type: 'input_json_delta', partial_json: JSON.stringify(block.input) } }
+      );
+    } else {
+      events.push(
+        { type: 'content_block_start', index, content_block: { ...block, text: '' } },
+        { type: 'content_block_delta', index, delta: { type: 'text_delta', text: block.text } }
+      );
+    }
+    events.push({ type: 'content_block_stop', index });
+  });
+
+  events.push(
+    { type: 'message_delta', delta: { stop_reason: stopReason, stop_sequence: stopSequence }, usage: { output_tokens: usage.output_tokens } },
+    { type: 'message_stop' }
+  );
+
+  return events;
+}
+
+/**
+ * Estimate the input tokens of a request
+ *
+ * @param {Object} requestBody - Messages API request body
+ * @returns {number} - Estimated input tokens
+ */
+function estimateRequestTokens(requestBody) {
+  return estimateTokens(requestBody.system) + estimateTokens(requestBody.messages) + estimateTokens(requestBody.tools);
+}
+
+/**
+ * Replay stream events
+ *
+ * @param {Object[]} events - Stream events
+ * @param {AbortSignal} signal - Ends the replay when the request is cancelled
+ * @returns {AsyncGenerator<Object>} - The events
+ */
+async function* replayEvents(events, signal = null) {
+  for (const event of events) {
+    throwIfCancelled(signal);
+    yield event;
+  }
+}
+
+class ScriptedProvider {
+  /**
+   * @param {Object} script - Fixtures and rules (see the file header)
+   */
+  constructor(script = {}) {
+    this.name = 'scripted';
+    this.fixtures = new Map((script.fixtures || []).map(fixture => [fixture.key, fixture]));
+    this.rules = [...(script.rules || []), ...DEFAULT_RULES];
+  }
+
+  /**
+   * Load a script from a JSON file
+   *
+   * @param {string} filePath - Path of the script, or null for the built-in rules only
+   * @returns {ScriptedProvider} - Provider answering from the script
+   */
+  static fromFile(filePath) {
+    if (!filePath) {
+      return new ScriptedProvider();
+    }
+
+    const script = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    logger.info('Loaded LLM script', {
+      filePath,
+      fixtures: (script.fixtures || []).length,
+      rules: (script.rules || []).length
+    });
+
+    return new ScriptedProvider(script);
+  }
+
+  /**
+   * Find the response for a request from the first matching rule
+   *
+   * @param {Object} requestBody - Messages API request body
+   * @returns {Object} - Messages API response
+   * @throws {Error} - The error the matching rule asks for
+   */
+  answer(requestBody) {
+    const rule = this.rules.find(candidate => matchesRule(candidate, requestBody));
+
+    if (rule.reply.error) {
+      throw buildError(rule.reply.error);
+    }
+
+    return buildResponse(rule.reply, requestBody, fixtureKey(requestBody));
+  }
+
+  /**
+   * Answer a request
+   *
+   * @param {Object} requestBody - Messages API request body
+   * @param {Object} options - Request options ({ signal })
+   * @returns {Promise<Object>} - Recorded or scripted Messages API response
+   */
+  async sendMessage(requestBody, options = {}) {
+    throwIfCancelled(options.signal);
+
+    const fixture = this.fixtures.get(fixtureKey(requestBody));
+
+    return fixture?.response || this.answer(requestBody);
+  }
+
+  /**
+   * Answer a request as a stream
+   *
+   * @param {Object} requestBody - Messages API request body
+   * @param {Object} options - Request options ({ signal })
+   * @returns {Promise<AsyncIterable<Object>>} - Recorded or scripted stream events
+   */
+  async stream(requestBody, options = {}) {
+    throwIfCancelled(options.signal);
+
+    const fixture = this.fixtures.get(fixtureKey(requestBody, true));
+
+    return replayEvents(fixture?.events || toEvents(this.answer(requestBody)), options.signal);
+  }
+
+  /**
+   * Estimate the input tokens of a request
+   *
+   * @param {Object} requestBody - Messages API request body
+   * @returns {Promise<number>} - Estimated input tokens
+   */
+  async countTokens(requestBody) {
+    return estimateRequestTokens(requestBody);
+  }
+}
+
+module.exports = {
+  fixtureKey,
+  ScriptedProvider
+};
@@ -0,0 +1,115 @@
+/**
+ * Token provider for Monday.com API calls
+ *
+ * Resolves the OAuth access token stored for an account by the OAuth callback,
+ * refreshing it when it has expired, so operations run as the calling account
+ * instead of a single shared identity.
+ */
+
+const { Logger, Environment, SecureStorage } = require('@mondaycom/apps-sdk');
+const mondayTransport = require('./mondayTransport');
+
+const logger = new Logger('token-provider');
+const env = new Environment();
+const secureStorage = new SecureStorage();
+
+// Refresh tokens slightly before they expire to avoid failing mid-request
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+// Refreshes in progress, keyed by account ID, so concurrent requests share one refresh
+const pendingRefreshes = new Map();
+
+/**
+ * Create the error raised when an account must reconnect through OAuth
+ *
+ * @param {string} accountId - Account ID
+ * @param {string} reason - Why the account must reconnect
+ * @returns {Error} - Error with code MONDAY_RECONNECT_REQUIRED
+ */
+function reconnectRequiredError(accountId, reason) {
+  const error = new Error(`Monday.com connection required for account ${accountId}: ${reason}`);
+  error.code = 'MONDAY_RECONNECT_REQUIRED';
+  error.accountId = accountId;
+  return error;
+}
+
+/**
+ * Exchange a refresh token for a new access token and store it
+ *
+ * @param {string} accountId - Account ID
+ * @param {Object} tokens - Stored tokens ({ accessToken, refreshToken, expiresAt })
+ * @returns {Promise<Object>} - Updated tokens
+ */
+async function refreshAccountTokens(accountId, tokens) {
+  const { access_token, refresh_token, expires_in } = await mondayTransport.getTransport().requestToken({
+    client_id: env.get('MONDAY_CLIENT_ID'),
+    client_secret: env.get('MONDAY_CLIENT_SECRET'),
+    refresh_token: tokens.refreshToken,
+    grant_type: 'refresh_token'
+  });
+
+  const refreshedTokens = {
+    accessToken: access_token,
+    // Monday.com may not rotate the refresh token
+    refreshToken: refresh_token || tokens.refreshToken,
+    expiresAt: Date.now() + (expires_in * 1000),
+    accountId
+  };
+
+  // Update tokens in storage
+  await secureStorage.set(`oauth_tokens_${accountId}`, refreshedTokens);
+
+  logger.info('Refreshed OAuth token', { accountId });
+
+  return refreshedTokens;
+}
+
+/**
+ * Get a valid Monday.com access token for an account
+ *
+ * @param {string} accountId - Account ID
+ * @returns {Promise<string>} - Access token
+ * @throws {Error} - With code MONDAY_RECONNECT_REQUIRED when the account has no usable token
+ */
+async function getAccountToken(accountId) {
+  if (!accountId) {
+    throw new Error('Account ID is required to resolve a Monday.com token');
+  }
+
+  const tokens = await secureStorage.get(`oauth_tokens_${accountId}`);
+
+  if (!tokens || !tokens.accessToken) {
+    throw reconnectRequiredError(accountId, 'the app has not been authorized');
+  }
+
+  // Tokens without an expiry do not need refreshing
+  if (!tokens.expiresAt || tokens.expiresAt - EXPIRY_MARGIN_MS > Date.now()) {
+    return tokens.accessToken;
+  }
+
+  if (!tokens.refreshToken) {
+    throw reconnectRequiredError(accountId, 'the authorization has expired');
+  }
+
+  if (!pendingRefreshes.has(accountId)) {
+    pendingRefreshes.set(accountId, refreshAccountTokens(accountId, tokens)
+      .finally(() => pendingRefreshes.delete(accountId)));
+  }
+
+  try {
+    const refreshedTokens = await pendingRefreshes.get(accountId);
+    return refreshedTokens.accessToken;
+  } catch (error) {
+    logger.error('Failed to refresh OAuth token', {
+      accountId,
+      error: error.message,
+      status: error.response?.status
+    });
+    throw reconnectRequiredError(accountId, 'the authorization could not be refreshed');
+  }
+}
+
+module.exports = {
+  getAccountToken,
+  refreshAccountTokens
+};
@@ -0,0 +1,396 @@
+/**
+ * Typed monday.com tools
+ *
+ * Each tool has a strict JSON schema that Claude fills in and maps to one of
+ * the functions in mondayAPI.js, which build the GraphQL and encode column
+ * values. Tools also describe the root field they run, so safety analysis,
+ * scope checks and undo work without parsing GraphQL. Bulk tools map their
+ * input to a bulk update run by the bulk operations engine instead.
+ */
+
+const { Logger } = require('@mondaycom/apps-sdk');
+const mondayAPI = require('./mondayAPI');
+const { throwIfCancelled } = require('./requestCancellation');
+
+const logger = new Logger('tool-catalog');
+
+// Column values keyed by column ID, in the format monday.com expects for each column type
+const COLUMN_VALUES_SCHEMA = {
+  type: "object",
+  description: "Column values keyed by column ID, e.g. { \"status\": { \"label\": \"Done\" }, \"date4\": { \"date\": \"2024-05-01\" } }. Do not JSON-encode this object."
+};
+
+// items_page query rules selecting items by their column values
+const RULES_SCHEMA = {
+  type: "array",
+  description: "items_page query rules, e.g. { \"column_id\": \"status\", \"compare_value\": [1], \"operator\": \"any_of\" }",
+  items: { type: "object" }
+};
+
+const TOOLS = {
+  get_board_items: {
+    operationType: 'query',
+    rootField: 'boards',
+    scopeOperations: ['get_boards', 'get_items'],
+    definition: {
+      name: "get_board_items",
+      description: "Read the items of a board with their group and column values, optionally only those matching the rules",
+      input_schema: {
+        type: "object",
+        properties: {
+          board_id: { type: "string" },
+          rules: RULES_SCHEMA,
+          operator: { type: "string", enum: ["and", "or"] },
+          limit: { type: "number", description: "Maximum number of items to read, at most 100" }
+        },
+        required: ["board_id"],
+        additionalProperties: false
+      }
+    },
+    toArgs: input => ({
+      ids: [input.board_id],
+      rules: input.rules || [],
+      limit: input.limit
+    }),
+    execute: (input, token, options) => mondayAPI.getBoardItems({
+      boardId: input.board_id,
+      rules: input.rules,
+      operator: input.operator,
+      limit: Math.min(input.limit || 50, 100)
+    }, token, options)
+  },
+
+  bulk_update_items: {
+    operationType: 'bulk_update',
+    rootField: 'change_multiple_column_values',
+    definition: {
+      name: "bulk_update_items",
+      description: "Set the same column values on every item of a board matching the rules",
+      input_schema: {
+        type: "object",
+        properties: {
+          board_id: { type: "string" },
+          rules: RULES_SCHEMA,
+          operator: { type: "string", enum: ["and", "or"] },
+          column_values: COLUMN_VALUES_SCHEMA
+        },
+        required: ["board_id", "column_values"],
+        additionalProperties: false
+      }
+    },
+    toArgs: input => ({
+      board_id: input.board_id,
+      column_values: input.column_values
+    }),
+    toBulk: input => ({
+      boardId: input.board_id,
+      rules: input.rules || [],
+      operator: input.operator || 'and',
+      columnValues: input.column_values || {}
+    })
+  },
+
+  create_item: {
+    operationType: 'mutation',
+    rootField: 'create_item',
+    definition: {
+      name: "create_item",
+      description: "Create an item on a board",
+      input_schema: {
+        type: "object",
+        properties: {
+          board_id: { type: "string" },
+          item_name: { type: "string" },
+          group_id: { type: "string" },
+          column_values: COLUMN_VALUES_SCHEMA
+        },
+        required: ["board_id", "item_name"],
+        additionalProperties: false
+      }
+    },
+    toArgs: input => ({
+      board_id: input.board_id,
+      item_name: input.item_name,
+      group_id: input.group_id,
+      column_values: input.column_values
+    }),
+    execute: (input, token) => mondayAPI.createItem({
+      boardId: input.board_id,
+      itemName: input.item_name,
+      groupId: input.group_id,
+      columnValues: input.column_values
+    }, token)
+  },
+
+  create_subitem: {
+    operationType: 'mutation',
+    rootField: 'create_subitem',
+    definition: {
+      name: "create_subitem",
+      description: "Create a subitem under an item",
+      input_schema: {
+        type: "object",
+        properties: {
+          parent_item_id: { type: "string" },
+          item_name: { type: "string" },
+          column_values: COLUMN_VALUES_SCHEMA
+        },
+        required: ["parent_item_id", "item_name"],
+        additionalProperties: false
+      }
+    },
+    toArgs: input => ({
+      parent_item_id: input.parent_item_id,
+      item_name: input.item_name,
+      column_values: input.column_values
+    }),
+    execute: (input, token) => mondayAPI.createSubitem({
+      parentItemId: input.parent_item_id,
+      itemName: input.item_name,
+      columnValues: input.column_values
+    }, token)
+  },
+
+  update_column_value: {
+    operationType: 'mutation',
+    rootField: 'change_column_value',
+    definition: {
+      name: "update_column_value",
+      description: "Change one column value of an item",
+      input_schema: {
+        type: "object",
+        properties: {
+          board_id: { type: "string" },
+          item_id: { type: "string" },
+          column_id: { type: "string" },
+          value: {
+            type: ["object", "string", "number"],
+            description: "New value in the format the column type expects, e.g. { \"label\": \"Done\" } for a status column. Do not JSON-encode it."
+          }
+        },
+        required: ["board_id", "item_id", "column_id", "value"],
+        additionalProperties: false
+      }
+    },
+    toArgs: input => ({
+      board_id: input.board_id,
+      item_id: input.item_id,
+      column_id: input.column_id,
+      value: input.value
+    }),
+    execute: (input, token) => mondayAPI.updateColumnValue({
+      boardId: input.board_id,
+      itemId: input.item_id,
+      columnId: input.column_id,
+      value: input.value
+    }, token)
+  },
+
+  move_item_to_group: {
+    operationType: 'mutation',
+    rootField: 'move_item_to_group',
+    definition: {
+      name: "move_item_to_group",
+      description: "Move an item to another group on its board",
+      input_schema: {
+        type: "object",
+        properties: {
+          item_id: { type: "string" },
+          group_id: { type: "string" }
+        },
+        required: ["item_id", "group_id"],
+        additionalProperties: false
+      }
+    },
+    toArgs: input => ({
+      item_id: input.item_id,
+      group_id: input.group_id
+    }),
+    execute: (input, token) => mondayAPI.moveItemToGroup({
+      itemId: input.item_id,
+      groupId: input.group_id
+    }, token)
+  },
+
+  create_board: {
+    operationType: 'mutation',
+    rootField: 'create_board',
+    definition: {
+      name: "create_board",
+      description: "Create a board",
+      input_schema: {
+        type: "object",
+        properties: {
+          board_name: { type: "string" },
+          board_kind: { type: "string", enum: ["public", "private", "share"] },
+          folder_id: { type: "string" }
+        },
+        required: ["board_name"],
+        additionalProperties: false
+      }
+    },
+    toArgs: input => ({
+      board_name: input.board_name,
+      board_kind: input.board_kind || 'public',
+      folder_id: input.folder_id
+    }),
+    execute: (input, token) => mondayAPI.createBoard({
+      name: input.board_name,
+      boardKind: input.board_kind,
+      folderId: input.folder_id
+    }, token)
+  },
+
+  delete_item: {
+    operationType: 'mutation',
+    rootField: 'delete_item',
+    definition: {
+      name: "delete_item",
+      description: "Permanently delete an item. The user is asked to confirm first.",
+      input_schema: {
+        type: "object",
+        properties: {
+          item_id: { type: "string" }
+        },
+        required: ["item_id"],
+        additionalProperties: false
+      }
+    },
+    toArgs: input => ({
+      item_id: input.item_id
+    }),
+    execute: (input, token) => mondayAPI.deleteItem(input.item_id, token)
+  }
+};
+
+/**
+ * Get a typed tool by name
+ *
+ * @param {string} name - Tool name
+ * @returns {Object|null} - Tool or null if there is no typed tool with that name
+ */
+function getTool(name) {
+  return Object.prototype.hasOwnProperty.call(TOOLS, name) ? TOOLS[name] : null;
+}
+
+/**
+ * Get the tool definitions sent to Claude
+ *
+ * @returns {Object[]} - Tool definitions ({ name, description, input_schema })
+ */
+function getToolDefinitions() {
+  return Object.values(TOOLS).map(tool => tool.definition);
+}
+
+/**
+ * Check a value against a schema type
+ *
+ * @param {*} value - Value to check
+ * @param {string|string[]} type - JSON schema type or types
+ * @returns {boolean} - Whether the value matches
+ */
+function matchesType(value, type) {
+  const types = Array.isArray(type) ? type : [type];
+
+  return types.some(expected => {
+    switch (expected) {
+      case 'object':
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'array':
+        return Array.isArray(value);
+      default:
+        return typeof value === expected;
+    }
+  });
+}
+
+/**
+ * Validate tool input against the tool's schema
+ *
+ * @param {string} name - Tool name
+ * @param {Object} input - Tool input from Claude
+ * @returns {string[]} - Validation errors, empty when the input is valid
+ */
+function validateToolInput(name, input) {
+  const tool = getTool(name);
+
+  if (!tool) {
+    return [`Unknown tool: ${name}`];
+  }
+
+  if (!input || typeof input !== 'object') {
+    return [`${name} input must be an object`];
+  }
+
+  const schema = tool.definition.input_schema;
+  const errors = [];
+
+  for (const field of schema.required) {
+    if (input[field] === undefined || input[field] === null || input[field] === '') {
+      errors.push(`${name} requires ${field}`);
+    }
+  }
+
+  for (const [field, value] of Object.entries(input)) {
+    const property = schema.properties[field];
+
+    if (!property) {
+      errors.push(`${name} does not accept ${field}`);
+      continue;
+    }
+
+    if (value === undefined || value === null) {
+      continue;
+    }
+
+    if (!matchesType(value, property.type)) {
+      errors.push(`${name}.${field} must be of type ${[].concat(property.type).join(' or ')}`);
+    } else if (property.enum && !property.enum.includes(value)) {
+      errors.push(`${name}.${field} must be one of ${property.enum.join(', ')}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Run a typed tool action
+ *
+ * A cancelled request is checked before the tool is sent. Reads also get the
+ * signal, so a read already sent is aborted; a mutation already sent finishes
+ * so its result and undo are not lost. Bulk tools are not run here but by the
+ * bulk operations engine (see toBulk).
+ *
+ * @param {Object} action - Action ({ tool, input })
+ * @param {string} token - API token
+ * @param {Object} options - Execution options
+ * @param {AbortSignal} options.signal - Signal of the request, aborted when it is cancelled
+ * @returns {Promise<Object>} - monday.com API response
+ * @throws {Error} - REQUEST_CANCELLED when the request was cancelled before the tool was sent
+ */
+async function executeTool(action, token, options = {}) {
+  const tool = getTool(action.tool);
+
+  if (!tool) {
+    throw new Error(`Unknown tool: ${action.tool}`);
+  }
+
+  if (!tool.execute) {
+    throw new Error(`${action.tool} runs as a bulk update`);
+  }
+
+  throwIfCancelled(options.signal);
+
+  logger.info('Executing typed tool', { tool: action.tool });
+
+  return tool.operationType === 'query'
+    ? tool.execute(action.input, token, { signal: options.signal })
+    : tool.execute(action.input, token);
+}
+
+module.exports = {
+  getTool,
+  getToolDefinitions,
+  validateToolInput,
+  executeTool
+};
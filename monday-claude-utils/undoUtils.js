@@ -0,0 +1,246 @@
+/**
+ * Undo support for AI-executed monday.com mutations
+ *
+ * Before a mutation runs, the items it touches are read so the previous column
+ * values and groups are known. After it runs, inverse operations are built from
+ * that snapshot (and from the IDs of anything it created) so the change can be
+ * replayed backwards later.
+ */
+
+const { Logger } = require('@mondaycom/apps-sdk');
+const mondayAPI = require('./mondayAPI');
+
+const logger = new Logger('undo-utils');
+
+// Mutations whose inverse needs the previous state of an item
+const ITEM_STATE_FIELDS = [
+  'change_column_value',
+  'change_simple_column_value',
+  'change_multiple_column_values',
+  'move_item_to_group'
+];
+
+/**
+ * Read the current state of the items a mutation is about to change
+ *
+ * @param {Object} analysis - Result of graphqlSafety.analyzeOperation
+ * @param {string} token - API token (optional)
+ * @param {Object} options - Request options ({ signal }, see mondayAPI.executeGraphQL)
+ * @returns {Promise<Object>} - Snapshot keyed by item ID ({ groupId, columnValues })
+ */
+async function captureUndoSnapshot(analysis, token = null, options = {}) {
+  const itemIds = [...new Set(
+    analysis.rootFields
+      .filter(field => ITEM_STATE_FIELDS.includes(field.name) && field.args.item_id)
+      .map(field => String(field.args.item_id))
+  )];
+
+  if (itemIds.length === 0) {
+    return {};
+  }
+
+  const query = `
+    query GetItemsForUndo($ids: [ID!]) {
+      items(ids: $ids) {
+        id
+        group {
+          id
+        }
+        column_values {
+          id
+          value
+        }
+      }
+    }
+  `;
+
+  const response = await mondayAPI.executeGraphQL(query, { ids: itemIds }, token, options);
+
+  return (response.data?.items || []).reduce((snapshot, item) => {
+    snapshot[item.id] = {
+      groupId: item.group?.id,
+      columnValues: (item.column_values || []).reduce((values, columnValue) => {
+        values[columnValue.id] = columnValue.value;
+        return values;
+      }, {})
+    };
+    return snapshot;
+  }, {});
+}
+
+/**
+ * Build an inverse that restores previous column values
+ *
+ * @param {string} boardId - Board ID
+ * @param {string} itemId - Item ID
+ * @param {string[]} columnIds - Columns changed by the mutation
+ * @param {Object} previous - Snapshot of the item
+ * @returns {Object} - Inverse action
+ */
+function restoreColumnValues(boardId, itemId, columnIds, previous) {
+  const columnValues = {};
+
+  for (const columnId of columnIds) {
+    const value = previous.columnValues[columnId];
+    // An empty string clears a column that had no value before
+    columnValues[columnId] = value ? JSON.parse(value) : '';
+  }
+
+  return {
+    operationType: 'mutation',
+    graphqlString: `
+      mutation RestoreColumnValues($boardId: ID!, $itemId: ID!, $columnValues: JSON!) {
+        change_multiple_column_values(board_id: $boardId, item_id: $itemId, column_values: $columnValues) {
+          id
+        }
+      }
+    `,
+    variables: {
+      boardId: String(boardId),
+      itemId: String(itemId),
+      columnValues: JSON.stringify(columnValues)
+    },
+    description: `Restore ${columnIds.join(', ')} on item ${itemId}`
+  };
+}
+
+/**
+ * Build a single-field inverse mutation
+ *
+ * @param {string} field - Root field of the inverse mutation
+ * @param {Object} args - Arguments as { argumentName: [graphqlType, value] }
+ * @param {string} description - Human-readable description
+ * @returns {Object} - Inverse action
+ */
+function simpleInverse(field, args, description) {
+  const names = Object.keys(args);
+  const definitions = names.map(name => `$${name}: ${args[name][0]}`).join(', ');
+  const argumentList = names.map(name => `${name}: $${name}`).join(', ');
+
+  return {
+    operationType: 'mutation',
+    graphqlString: `mutation (${definitions}) { ${field}(${argumentList}) { id } }`,
+    variables: names.reduce((variables, name) => {
+      variables[name] = String(args[name][1]);
+      return variables;
+    }, {}),
+    description
+  };
+}
+
+/**
+ * Build the inverse operations for an executed mutation
+ *
+ * Inverses are returned in the order they should be run (last change first).
+ * Root fields that cannot be reversed (deletes, archives) are skipped.
+ *
+ * @param {Object} analysis - Result of graphqlSafety.analyzeOperation
+ * @param {Object} snapshot - Snapshot from captureUndoSnapshot
+ * @param {Object} result - monday.com API result of the mutation
+ * @returns {Object[]} - Inverse actions (operationType, graphqlString, variables, description)
+ */
+function buildInverseActions(analysis, snapshot, result) {
+  const inverses = [];
+
+  for (const field of analysis.rootFields) {
+    const { name, args } = field;
+    const created = result?.data?.[field.alias || name];
+    const previous = snapshot[String(args.item_id)];
+
+    switch (name) {
+      case 'change_column_value':
+      case 'change_simple_column_value':
+        if (previous) {
+          inverses.push(restoreColumnValues(args.board_id, args.item_id, [args.column_id], previous));
+        }
+        break;
+
+      case 'change_multiple_column_values':
+        if (previous) {
+          const columnValues = typeof args.column_values === 'string'
+            ? JSON.parse(args.column_values)
+            : args.column_values || {};
+          inverses.push(restoreColumnValues(args.board_id, args.item_id, Object.keys(columnValues), previous));
+        }
+        break;
+
+      case 'move_item_to_group':
+        if (previous && previous.groupId) {
+          inverses.push(simpleInverse('move_item_to_group', {
+            item_id: ['ID!', args.item_id],
+            group_id: ['String!', previous.groupId]
+          }, `Move item ${args.item_id} back to group ${previous.groupId}`));
+        }
+        break;
+
+      case 'create_item':
+      case 'create_subitem':
+      case 'duplicate_item':
+        if (created?.id) {
+          inverses.push(simpleInverse('archive_item', {
+            item_id: ['ID!', created.id]
+          }, `Archive created item ${created.id}`));
+        }
+        break;
+
+      case 'create_group':
+        if (created?.id) {
+          inverses.push(simpleInverse('delete_group', {
+            board_id: ['ID!', args.board_id],
+            group_id: ['String!', created.id]
+          }, `Delete created group ${created.id}`));
+        }
+        break;
+
+      case 'create_board':
+        if (created?.id) {
+          inverses.push(simpleInverse('archive_board', {
+            board_id: ['ID!', created.id]
+          }, `Archive created board ${created.id}`));
+        }
+        break;
+
+      case 'create_update':
+        if (created?.id) {
+          inverses.push(simpleInverse('delete_update', {
+            id: ['ID!', created.id]
+          }, `Delete created update ${created.id}`));
+        }
+        break;
+
+      default:
+        logger.info('No inverse available for mutation field', { field: name });
+    }
+  }
+
+  return inverses.reverse();
+}
+
+/**
+ * Replay inverse operations
+ *
+ * @param {Object[]} inverses - Inverse actions in the order they should run
+ * @param {string} token - API token (optional)
+ * @returns {Promise<Object[]>} - Result or error for each inverse
+ */
+async function executeInverseActions(inverses, token = null) {
+  const results = [];
+
+  for (const inverse of inverses) {
+    try {
+      const result = await mondayAPI.executeGraphQL(inverse.graphqlString, inverse.variables, token);
+      results.push({ description: inverse.description, result });
+    } catch (error) {
+      logger.error('Failed to run inverse operation', { description: inverse.description, error: error.message });
+      results.push({ description: inverse.description, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  captureUndoSnapshot,
+  buildInverseActions,
+  executeInverseActions
+};
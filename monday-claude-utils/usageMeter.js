@@ -0,0 +1,204 @@
+/**
+ * Claude token usage metering
+ *
+ * Records the tokens of every Claude call against the account, user,
+ * endpoint and model that caused it, aggregated per account and UTC day in
+ * Storage. Token totals are also added to the subscription so plans can be
+ * metered by tokens instead of requests.
+ */
+
+const { Storage, Logger } = require('@mondaycom/apps-sdk');
+const monetizationHandler = require('./monetizationHandler');
+
+const logger = new Logger('usage-meter');
+const storage = new Storage();
+
+// Longest date range a report can cover
+const MAX_REPORT_DAYS = 92;
+
+// Days covered by a report when no range is given
+const DEFAULT_REPORT_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Writes in progress, keyed by account ID, so concurrent calls do not overwrite each other's counts
+const pendingWrites = new Map();
+
+/**
+ * Get the storage key for an account's usage on a day
+ *
+ * @param {string} accountId - Account ID
+ * @param {string} date - UTC date (YYYY-MM-DD)
+ * @returns {string} - Storage key
+ */
+function usageKey(accountId, date) {
+  return `usage_${accountId}_${date}`;
+}
+
+/**
+ * Format a time as a UTC date
+ *
+ * @param {Date|number} time - Time
+ * @returns {string} - Date (YYYY-MM-DD)
+ */
+function toDate(time) {
+  return new Date(time).toISOString().substring(0, 10);
+}
+
+/**
+ * Create empty usage totals
+ *
+ * @returns {Object} - Totals ({ calls, inputTokens, outputTokens })
+ */
+function emptyTotals() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0 };
+}
+
+/**
+ * Add usage to the totals stored under a key
+ *
+ * @param {Object} breakdown - Totals keyed by name, updated in place
+ * @param {string} key - Name to add the usage under
+ * @param {Object} totals - Usage to add ({ calls, inputTokens, outputTokens })
+ */
+function addTotals(breakdown, key, totals) {
+  const current = breakdown[key] || emptyTotals();
+
+  breakdown[key] = {
+    calls: current.calls + totals.calls,
+    inputTokens: current.inputTokens + totals.inputTokens,
+    outputTokens: current.outputTokens + totals.outputTokens
+  };
+}
+
+/**
+ * Add one call to an account's daily record
+ *
+ * @param {Object} call - Call details ({ accountId, userId, endpoint, model, inputTokens, outputTokens })
+ * @param {string} date - UTC date (YYYY-MM-DD)
+ * @returns {Promise<void>}
+ */
+async function addToDailyRecord(call, date) {
+  const key = usageKey(call.accountId, date);
+  const record = (await storage.get(key)) || {
+    accountId: call.accountId,
+    date,
+    totals: emptyTotals(),
+    byModel: {},
+    byEndpoint: {},
+    byUser: {}
+  };
+  const totals = { calls: 1, inputTokens: call.inputTokens, outputTokens: call.outputTokens };
+
+  addTotals(record, 'totals', totals);
+  addTotals(record.byModel, call.model || 'unknown', totals);
+  addTotals(record.byEndpoint, call.endpoint || 'unknown', totals);
+  addTotals(record.byUser, call.userId || 'unknown', totals);
+
+  await storage.set(key, record);
+}
+
+/**
+ * Record the tokens used by a Claude call
+ *
+ * Never throws: a metering failure is logged and the request carries on.
+ *
+ * @param {Object} params - Call details
+ * @param {string} params.accountId - Account the call was made for
+ * @param {string} params.userId - User the call was made for
+ * @param {string} params.endpoint - Endpoint or job that made the call
+ * @param {string} params.model - Model that served the call
+ * @param {Object} params.usage - Usage from the Claude response ({ input_tokens, output_tokens })
+ * @returns {Promise<void>}
+ */
+async function recordUsage({ accountId, userId = null, endpoint = null, model = null, usage }) {
+  if (!accountId || !usage) {
+    return;
+  }
+
+  const call = {
+    accountId: String(accountId),
+    userId: userId === null ? null : String(userId),
+    endpoint,
+    model,
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0
+  };
+  const date = toDate(Date.now());
+
+  const previous = pendingWrites.get(call.accountId) || Promise.resolve();
+  const write = previous
+    .then(() => addToDailyRecord(call, date))
+    .then(() => monetizationHandler.addTokenUsage(call.accountId, call.inputTokens + call.outputTokens))
+    .catch((error) => {
+      logger.error('Error recording token usage', { accountId: call.accountId, error: error.message });
+    });
+
+  pendingWrites.set(call.accountId, write);
+
+  try {
+    await write;
+  } finally {
+    if (pendingWrites.get(call.accountId) === write) {
+      pendingWrites.delete(call.accountId);
+    }
+  }
+}
+
+/**
+ * Build an account's usage report for a date range
+ *
+ * @param {string} accountId - Account ID
+ * @param {Object} range - Date range
+ * @param {string} range.from - First UTC date (YYYY-MM-DD), defaults to 30 days before `to`
+ * @param {string} range.to - Last UTC date (YYYY-MM-DD), defaults to today
+ * @returns {Promise<Object>} - Report ({ accountId, from, to, totals, byModel, byEndpoint, byUser, daily })
+ */
+async function getUsageReport(accountId, range = {}) {
+  const to = range.to || toDate(Date.now());
+  const from = range.from || toDate(Date.parse(to) - (DEFAULT_REPORT_DAYS - 1) * DAY_MS);
+  const days = Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS) + 1;
+
+  if (!Number.isFinite(days) || days < 1 || days > MAX_REPORT_DAYS) {
+    const error = new Error(`Reports cover between 1 and ${MAX_REPORT_DAYS} days`);
+    error.code = 'INVALID_USAGE_RANGE';
+    throw error;
+  }
+
+  const dates = Array.from({ length: days }, (value, index) => toDate(Date.parse(from) + index * DAY_MS));
+  const records = await Promise.all(dates.map(date => storage.get(usageKey(accountId, date))));
+
+  const report = {
+    accountId,
+    from,
+    to,
+    totals: emptyTotals(),
+    byModel: {},
+    byEndpoint: {},
+    byUser: {},
+    daily: []
+  };
+
+  records.forEach((record, index) => {
+    const totals = record ? record.totals : emptyTotals();
+
+    report.daily.push({ date: dates[index], ...totals });
+
+    if (!record) {
+      return;
+    }
+
+    addTotals(report, 'totals', totals);
+    for (const breakdown of ['byModel', 'byEndpoint', 'byUser']) {
+      Object.entries(record[breakdown] || {}).forEach(([key, value]) => addTotals(report[breakdown], key, value));
+    }
+  });
+
+  return report;
+}
+
+module.exports = {
+  MAX_REPORT_DAYS,
+  recordUsage,
+  getUsageReport
+};
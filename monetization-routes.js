@@ -8,7 +8,11 @@
 const express = require('express');
 const router = express.Router();
 const { Logger } = require('@mondaycom/apps-sdk');
+const { query, validationResult } = require('express-validator');
 const monetizationHandler = require('./monday-claude-utils/monetizationHandler');
+const usageMeter = require('./monday-claude-utils/usageMeter');
+const { requireMatchingParams } = require('./auth-middleware');
+const { requireIdempotency } = require('./idempotency-middleware');
 
 const logger = new Logger('monetization-routes');
 
@@ -67,34 +71,12 @@ router.post('/webhooks/subscription', async (req, res) => {
  * API endpoint to check subscription status
  * 
  * This endpoint is used by the frontend to verify subscription status
- * and available features for the current account.
+ * and available features for the current account. The session token is
+ * verified by the auth middleware mounted in front of all /api routes.
  */
-router.get('/subscription/:accountId', async (req, res) => {
+router.get('/subscription/:accountId', requireMatchingParams, async (req, res) => {
   try {
     const { accountId } = req.params;
-    const sessionToken = req.headers['x-monday-session-token'];
-    
-    if (!sessionToken) {
-      logger.warn('Missing session token');
-      return res.status(401).json({ error: 'Missing session token' });
-    }
-    
-    // Verify the session token
-    const tokenPayload = monetizationHandler.verifySessionToken(sessionToken);
-    
-    if (!tokenPayload) {
-      logger.warn('Invalid session token');
-      return res.status(401).json({ error: 'Invalid session token' });
-    }
-    
-    // Check if the token is for the same account
-    if (tokenPayload.accountId !== accountId) {
-      logger.warn('Token account mismatch', { 
-        tokenAccount: tokenPayload.accountId, 
-        requestedAccount: accountId 
-      });
-      return res.status(403).json({ error: 'Unauthorized' });
-    }
     
     // Get the subscription details
     const subscription = await monetizationHandler.getSubscription(accountId);
@@ -114,7 +96,10 @@ router.get('/subscription/:accountId', async (req, res) => {
       limits: {
         maxRequests: planConfig.maxRequests,
         maxBoardsAccess: planConfig.maxBoardsAccess,
-        usageCount: subscription.usageCount || 0
+        usageCount: subscription.usageCount || 0,
+        meterBy: planConfig.meterBy || 'requests',
+        maxTokens: planConfig.maxTokens ?? -1,
+        tokenCount: subscription.tokenCount || 0
       }
     });
   } catch (error) {
@@ -130,34 +115,12 @@ router.get('/subscription/:accountId', async (req, res) => {
  * API endpoint to increment usage count
  * 
  * This endpoint is called when a user makes a request that counts towards
- * their usage limit.
+ * their usage limit. Repeats with the same Idempotency-Key header are only
+ * counted once.
  */
-router.post('/subscription/:accountId/increment', async (req, res) => {
+router.post('/subscription/:accountId/increment', requireMatchingParams, requireIdempotency, async (req, res) => {
   try {
     const { accountId } = req.params;
-    const sessionToken = req.headers['x-monday-session-token'];
-    
-    if (!sessionToken) {
-      logger.warn('Missing session token');
-      return res.status(401).json({ error: 'Missing session token' });
-    }
-    
-    // Verify the session token
-    const tokenPayload = monetizationHandler.verifySessionToken(sessionToken);
-    
-    if (!tokenPayload) {
-      logger.warn('Invalid session token');
-      return res.status(401).json({ error: 'Invalid session token' });
-    }
-    
-    // Check if the token is for the same account
-    if (tokenPayload.accountId !== accountId) {
-      logger.warn('Token account mismatch', { 
-        tokenAccount: tokenPayload.accountId, 
-        requestedAccount: accountId 
-      });
-      return res.status(403).json({ error: 'Unauthorized' });
-    }
     
     // Check if the account is within its request limit
     const isWithinLimit = await monetizationHandler.isWithinRequestLimit(accountId);
@@ -189,32 +152,9 @@ router.post('/subscription/:accountId/increment', async (req, res) => {
  * This endpoint is used by the frontend to check if specific features
  * are available based on the subscription plan.
  */
-router.get('/subscription/:accountId/feature/:feature', async (req, res) => {
+router.get('/subscription/:accountId/feature/:feature', requireMatchingParams, async (req, res) => {
   try {
     const { accountId, feature } = req.params;
-    const sessionToken = req.headers['x-monday-session-token'];
-    
-    if (!sessionToken) {
-      logger.warn('Missing session token');
-      return res.status(401).json({ error: 'Missing session token' });
-    }
-    
-    // Verify the session token
-    const tokenPayload = monetizationHandler.verifySessionToken(sessionToken);
-    
-    if (!tokenPayload) {
-      logger.warn('Invalid session token');
-      return res.status(401).json({ error: 'Invalid session token' });
-    }
-    
-    // Check if the token is for the same account
-    if (tokenPayload.accountId !== accountId) {
-      logger.warn('Token account mismatch', { 
-        tokenAccount: tokenPayload.accountId, 
-        requestedAccount: accountId 
-      });
-      return res.status(403).json({ error: 'Unauthorized' });
-    }
     
     // Check if the feature is available
     const hasFeature = await monetizationHandler.hasFeature(accountId, feature);
@@ -235,4 +175,50 @@ router.get('/subscription/:accountId/feature/:feature', async (req, res) => {
   }
 });
 
+/**
+ * API endpoint for an account's Claude token usage
+ * 
+ * Returns daily totals and breakdowns by model, endpoint and user for the
+ * `from`-`to` date range (UTC, YYYY-MM-DD; the last 30 days by default).
+ * Limited to account admins, since it shows usage by user.
+ */
+router.get('/usage/:accountId', requireMatchingParams, [
+  query('from').optional().isISO8601({ strict: true }).isLength({ min: 10, max: 10 })
+    .withMessage('From must be a date (YYYY-MM-DD)'),
+  query('to').optional().isISO8601({ strict: true }).isLength({ min: 10, max: 10 })
+    .withMessage('To must be a date (YYYY-MM-DD)')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Invalid request data', 
+        details: errors.array() 
+      });
+    }
+    
+    if (!req.auth.isAdmin) {
+      return res.status(403).json({ error: 'Only account admins can view usage reports' });
+    }
+    
+    const report = await usageMeter.getUsageReport(req.params.accountId, {
+      from: req.query.from,
+      to: req.query.to
+    });
+    
+    return res.json(report);
+  } catch (error) {
+    if (error.code === 'INVALID_USAGE_RANGE') {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    logger.error('Error getting usage report', { 
+      error, 
+      accountId: req.params.accountId
+    });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -7,17 +7,15 @@
 const express = require('express');
 const router = express.Router();
 const { Logger, Environment, SecureStorage } = require('@mondaycom/apps-sdk');
-const axios = require('axios');
 const crypto = require('crypto');
+const tokenProvider = require('./monday-claude-utils/tokenProvider');
+const mondayTransport = require('./monday-claude-utils/mondayTransport');
+const { authenticate, requireMatchingParams } = require('./auth-middleware');
 
 const logger = new Logger('oauth-routes');
 const env = new Environment();
 const secureStorage = new SecureStorage();
 
-// Monday.com OAuth endpoints
-const MONDAY_AUTH_URL = 'https://auth.monday.com/oauth2/authorize';
-const MONDAY_TOKEN_URL = 'https://auth.monday.com/oauth2/token';
-
 // Get OAuth configuration from environment
 const CLIENT_ID = env.get('MONDAY_CLIENT_ID');
 const CLIENT_SECRET = env.get('MONDAY_CLIENT_SECRET');
@@ -41,13 +39,14 @@ router.get('/oauth/auth', (req, res) => {
     secureStorage.set(stateKey, { timestamp: Date.now() }, { expiresIn: 600 }); // 10 minutes
     
     // Build authorization URL
-    const authUrl = new URL(MONDAY_AUTH_URL);
-    authUrl.searchParams.append('client_id', CLIENT_ID);
-    authUrl.searchParams.append('redirect_uri', REDIRECT_URI);
-    authUrl.searchParams.append('state', state);
+    const authUrl = mondayTransport.getTransport().getAuthorizationUrl({
+      client_id: CLIENT_ID,
+      redirect_uri: REDIRECT_URI,
+      state
+    });
     
     // Redirect to Monday.com authorization page
-    res.redirect(authUrl.toString());
+    res.redirect(authUrl);
   } catch (error) {
     logger.error('Error initiating OAuth flow', { error });
     res.status(500).send('Error initiating authentication.');
@@ -80,20 +79,12 @@ router.get('/oauth/callback', async (req, res) => {
     }
     
     // Exchange code for token
-    const tokenResponse = await axios.post(
-      MONDAY_TOKEN_URL,
-      null,
-      {
-        params: {
-          client_id: CLIENT_ID,
-          client_secret: CLIENT_SECRET,
-          code,
-          redirect_uri: REDIRECT_URI
-        }
-      }
-    );
-    
-    const { access_token, refresh_token, expires_in, account_id } = tokenResponse.data;
+    const { access_token, refresh_token, expires_in, account_id } = await mondayTransport.getTransport().requestToken({
+      client_id: CLIENT_ID,
+      client_secret: CLIENT_SECRET,
+      code,
+      redirect_uri: REDIRECT_URI
+    });
     
     // Store tokens securely
     const accountKey = `oauth_tokens_${account_id}`;
@@ -180,16 +171,10 @@ router.get('/oauth/success', (req, res) => {
 /**
  * Check OAuth status for an account
  */
-router.get('/oauth/status/:accountId', async (req, res) => {
+router.get('/oauth/status/:accountId', authenticate, requireMatchingParams, async (req, res) => {
   try {
     const { accountId } = req.params;
     
-    // Verify session token
-    const sessionToken = req.headers['x-monday-session-token'];
-    if (!sessionToken) {
-      return res.status(401).json({ error: 'Missing session token' });
-    }
-    
     // Get tokens from secure storage
     const accountKey = `oauth_tokens_${accountId}`;
     const tokens = await secureStorage.get(accountKey);
@@ -208,28 +193,7 @@ router.get('/oauth/status/:accountId', async (req, res) => {
     if (isExpired && tokens.refreshToken) {
       // Refresh the token
       try {
-        const refreshResponse = await axios.post(
-          MONDAY_TOKEN_URL,
-          null,
-          {
-            params: {
-              client_id: CLIENT_ID,
-              client_secret: CLIENT_SECRET,
-              refresh_token: tokens.refreshToken,
-              grant_type: 'refresh_token'
-            }
-          }
-        );
-        
-        const { access_token, refresh_token, expires_in } = refreshResponse.data;
-        
-        // Update tokens in storage
-        await secureStorage.set(accountKey, {
-          accessToken: access_token,
-          refreshToken: refresh_token,
-          expiresAt: Date.now() + (expires_in * 1000),
-          accountId
-        });
+        await tokenProvider.refreshAccountTokens(accountId, tokens);
         
         return res.json({
           authenticated: true,
@@ -260,16 +224,10 @@ router.get('/oauth/status/:accountId', async (req, res) => {
 /**
  * Revoke OAuth tokens for an account
  */
-router.post('/oauth/revoke/:accountId', async (req, res) => {
+router.post('/oauth/revoke/:accountId', authenticate, requireMatchingParams, async (req, res) => {
   try {
     const { accountId } = req.params;
     
-    // Verify session token
-    const sessionToken = req.headers['x-monday-session-token'];
-    if (!sessionToken) {
-      return res.status(401).json({ error: 'Missing session token' });
-    }
-    
     // Delete tokens from secure storage
     const accountKey = `oauth_tokens_${accountId}`;
     await secureStorage.delete(accountKey);
@@ -0,0 +1,198 @@
+/**
+ * Saved prompt routes for Monday.com Claude Integration App
+ *
+ * CRUD endpoints for the account's prompt library. Prompts belong to the
+ * signed-in account; the session token is verified by the auth middleware
+ * mounted in front of all /api routes.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { Logger } = require('@mondaycom/apps-sdk');
+const promptLibrary = require('./monday-claude-utils/promptLibrary');
+
+const logger = new Logger('prompt-routes');
+
+// HTTP status for each prompt library error code
+const ERROR_STATUSES = {
+  PROMPT_NOT_FOUND: 404,
+  PROMPT_FORBIDDEN: 403,
+  PROMPT_LIMIT_REACHED: 409,
+  PROMPT_VARIABLES_MISSING: 400
+};
+
+// Fields shared by create and update; update makes every field optional
+const promptFieldValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('title').isString().trim().isLength({ min: 1, max: 100 })
+      .withMessage('Title must be between 1 and 100 characters'),
+    field('text').isString().trim().isLength({ min: 1, max: 4000 })
+      .withMessage('Prompt text must be between 1 and 4000 characters'),
+    body('description').optional().isString().trim().isLength({ max: 500 })
+      .withMessage('Description must be at most 500 characters'),
+    body('visibility').optional().isIn(promptLibrary.VISIBILITIES)
+      .withMessage(`Visibility must be one of ${promptLibrary.VISIBILITIES.join(', ')}`)
+  ];
+};
+
+/**
+ * Return 400 with the validation errors, if any
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {boolean} - Whether a response was sent
+ */
+function sendValidationErrors(req, res) {
+  const errors = validationResult(req);
+
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    error: 'Invalid request data',
+    details: errors.array()
+  });
+  return true;
+}
+
+/**
+ * Send a prompt library error with its status code
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error from the prompt library
+ * @param {string} action - What was being done, for the log
+ */
+function sendPromptError(req, res, error, action) {
+  const status = ERROR_STATUSES[error.code];
+
+  if (status) {
+    return res.status(status).json({
+      error: error.message,
+      ...(error.missing ? { missing: error.missing } : {})
+    });
+  }
+
+  logger.error(`Error ${action}`, {
+    error,
+    requestId: req.id,
+    accountId: req.auth.accountId,
+    promptId: req.params.promptId
+  });
+  return res.status(500).json({ error: 'Internal server error' });
+}
+
+/**
+ * List the saved prompts visible to the user
+ */
+router.get('/prompts', async (req, res) => {
+  try {
+    const prompts = await promptLibrary.listPrompts(req.auth);
+
+    return res.json({ prompts, canPublish: req.auth.isAdmin });
+  } catch (error) {
+    return sendPromptError(req, res, error, 'listing prompts');
+  }
+});
+
+/**
+ * Get a saved prompt
+ */
+router.get('/prompts/:promptId', async (req, res) => {
+  try {
+    const prompt = await promptLibrary.getPrompt(req.auth, req.params.promptId);
+
+    return res.json({ prompt });
+  } catch (error) {
+    return sendPromptError(req, res, error, 'getting prompt');
+  }
+});
+
+/**
+ * Save a new prompt
+ *
+ * Only account admins can create prompts with account visibility.
+ */
+router.post('/prompts', promptFieldValidators(false), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const { title, text, description, visibility } = req.body;
+    const prompt = await promptLibrary.createPrompt(req.auth, { title, text, description, visibility });
+
+    return res.status(201).json({ prompt });
+  } catch (error) {
+    return sendPromptError(req, res, error, 'saving prompt');
+  }
+});
+
+/**
+ * Change a saved prompt
+ *
+ * Owners can change their own prompts and admins can change published ones.
+ * Changing the visibility is limited to admins.
+ */
+router.put('/prompts/:promptId', promptFieldValidators(true), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const { title, text, description, visibility } = req.body;
+    const prompt = await promptLibrary.updatePrompt(req.auth, req.params.promptId, {
+      title,
+      text,
+      description,
+      visibility
+    });
+
+    return res.json({ prompt });
+  } catch (error) {
+    return sendPromptError(req, res, error, 'updating prompt');
+  }
+});
+
+/**
+ * Delete a saved prompt
+ */
+router.delete('/prompts/:promptId', async (req, res) => {
+  try {
+    await promptLibrary.deletePrompt(req.auth, req.params.promptId);
+
+    return res.json({ success: true });
+  } catch (error) {
+    return sendPromptError(req, res, error, 'deleting prompt');
+  }
+});
+
+/**
+ * Fill in a saved prompt's variables
+ *
+ * Returns the prompt text to submit through /api/process-request, or 400
+ * with the names of variables that have no value.
+ */
+router.post('/prompts/:promptId/fill', [
+  body('values').optional().isObject()
+    .withMessage('Values must be an object keyed by variable name')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const prompt = await promptLibrary.getPrompt(req.auth, req.params.promptId);
+    const text = promptLibrary.fillPrompt(prompt.text, req.body.values || {});
+
+    return res.json({ promptId: prompt.id, text });
+  } catch (error) {
+    return sendPromptError(req, res, error, 'filling prompt');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,133 @@
+/**
+ * Quota middleware for Monday.com Claude Integration App
+ *
+ * Enforces subscription request limits on the server for every endpoint that
+ * calls Claude. One request is reserved before the route runs and committed
+ * only when it succeeds; failed requests release their reservation.
+ */
+
+const { validationResult } = require('express-validator');
+const { Logger } = require('@mondaycom/apps-sdk');
+const monetizationHandler = require('./monday-claude-utils/monetizationHandler');
+
+const logger = new Logger('quota-middleware');
+
+/**
+ * Mark a response as failed so its reservation is released
+ *
+ * Streaming routes report errors inside a 200 response, so they call this
+ * instead of relying on the status code.
+ *
+ * @param {Object} res - Express response object
+ */
+function markQuotaFailed(res) {
+  res.locals.quotaFailed = true;
+}
+
+/**
+ * Take over the reservation of a request that continues after its response
+ *
+ * Queued jobs finish after the response is sent, so they settle the
+ * reservation themselves instead of the middleware.
+ *
+ * @param {Object} res - Express response object
+ * @returns {Object|null} - Reservation ({ accountId, reservationId }), or null if none was made
+ */
+function handOffQuota(res) {
+  const reservation = res.locals.quotaReservation || null;
+  res.locals.quotaHandedOff = true;
+  return reservation;
+}
+
+/**
+ * Middleware that reserves one request from the caller's quota
+ *
+ * Must run after authentication and the route's validators; requests with
+ * invalid data are passed through without a reservation so the route can
+ * return its 400 response.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+async function requireQuota(req, res, next) {
+  if (!validationResult(req).isEmpty()) {
+    return next();
+  }
+
+  const { accountId } = req.auth;
+
+  let reservation;
+  try {
+    reservation = await monetizationHandler.reserveUsage(accountId);
+  } catch (error) {
+    logger.error('Error reserving usage', {
+      requestId: req.id,
+      accountId,
+      error: error.message
+    });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+
+  const { reserved, reservationId, subscription, planConfig } = reservation;
+
+  if (!reserved) {
+    logger.warn('Request limit exceeded', {
+      requestId: req.id,
+      accountId,
+      planId: subscription.planId
+    });
+
+    return res.status(402).json({
+      error: 'Request limit exceeded',
+      message: subscription.isActive
+        ? 'You have reached your plan\'s request limit. Please upgrade your plan to continue using the app.'
+        : 'Your subscription is not active. Please choose a plan to continue using the app.',
+      plan: {
+        planId: subscription.planId,
+        isActive: subscription.isActive,
+        isOnTrial: subscription.isOnTrial,
+        maxRequests: planConfig.maxRequests,
+        usageCount: subscription.usageCount || 0
+      }
+    });
+  }
+
+  res.locals.quotaReservation = { accountId, reservationId };
+
+  let settled = false;
+
+  // Commit on success, release on errors and aborted connections
+  const settle = async (succeeded) => {
+    if (settled || res.locals.quotaHandedOff) {
+      return;
+    }
+    settled = true;
+
+    try {
+      if (succeeded) {
+        await monetizationHandler.commitUsage(accountId, reservationId);
+      } else {
+        await monetizationHandler.releaseUsage(accountId, reservationId);
+      }
+    } catch (error) {
+      logger.error('Error settling usage reservation', {
+        requestId: req.id,
+        accountId,
+        succeeded,
+        error: error.message
+      });
+    }
+  };
+
+  res.on('finish', () => settle(res.statusCode < 400 && !res.locals.quotaFailed));
+  res.on('close', () => settle(false));
+
+  return next();
+}
+
+module.exports = {
+  requireQuota,
+  markQuotaFailed,
+  handOffQuota
+};
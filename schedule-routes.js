@@ -0,0 +1,180 @@
+/**
+ * Scheduled request routes for Monday.com Claude Integration App
+ *
+ * Endpoints to create, list, pause, resume and delete scheduled requests and
+ * to see how their last run went. The session token is verified by the auth
+ * middleware mounted in front of all /api routes.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { Logger } = require('@mondaycom/apps-sdk');
+const scheduler = require('./monday-claude-utils/scheduler');
+const promptLibrary = require('./monday-claude-utils/promptLibrary');
+
+const logger = new Logger('schedule-routes');
+
+// HTTP status for each scheduler and prompt library error code
+const ERROR_STATUSES = {
+  INVALID_SCHEDULE: 400,
+  SCHEDULE_NOT_FOUND: 404,
+  SCHEDULE_LIMIT_REACHED: 409,
+  PROMPT_NOT_FOUND: 404,
+  PROMPT_VARIABLES_MISSING: 400
+};
+
+/**
+ * Send a scheduler error with its status code
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error from the scheduler
+ * @param {string} action - What was being done, for the log
+ */
+function sendScheduleError(req, res, error, action) {
+  const status = ERROR_STATUSES[error.code];
+
+  if (status) {
+    return res.status(status).json({
+      error: error.message,
+      ...(error.missing ? { missing: error.missing } : {})
+    });
+  }
+
+  logger.error(`Error ${action}`, {
+    error,
+    requestId: req.id,
+    accountId: req.auth.accountId,
+    scheduleId: req.params.scheduleId
+  });
+  return res.status(500).json({ error: 'Internal server error' });
+}
+
+/**
+ * List the schedules the user can manage, with each one's last run
+ */
+router.get('/schedules', async (req, res) => {
+  try {
+    const schedules = await scheduler.listSchedules(req.auth);
+
+    return res.json({ schedules });
+  } catch (error) {
+    return sendScheduleError(req, res, error, 'listing schedules');
+  }
+});
+
+/**
+ * Get a schedule and the status of its last run
+ */
+router.get('/schedules/:scheduleId', async (req, res) => {
+  try {
+    const schedule = await scheduler.getSchedule(req.auth, req.params.scheduleId);
+
+    return res.json({ schedule });
+  } catch (error) {
+    return sendScheduleError(req, res, error, 'getting schedule');
+  }
+});
+
+/**
+ * Schedule a request
+ *
+ * The request is either `userPrompt` or a saved prompt (`promptId`) with the
+ * values for its variables, filled in once when the schedule is created.
+ * `cron` is read in the user's time zone, given by `utcOffsetMinutes`.
+ */
+router.post('/schedules', [
+  body('cron').isString().trim().notEmpty()
+    .withMessage('Cron schedule is required'),
+  body('utcOffsetMinutes').optional().isInt({ min: -720, max: 840 }).toInt()
+    .withMessage('UTC offset must be between -720 and 840 minutes'),
+  body('name').optional().isString().trim().isLength({ max: 100 })
+    .withMessage('Name must be at most 100 characters'),
+  body('userPrompt').optional().isString().trim().isLength({ min: 1, max: 2000 })
+    .withMessage('User prompt must be between 1 and 2000 characters'),
+  body('promptId').optional().isString().trim().notEmpty()
+    .withMessage('Prompt ID must be a string'),
+  body('values').optional().isObject()
+    .withMessage('Values must be an object keyed by variable name'),
+  body('boardId').optional({ nullable: true })
+    .custom(value => typeof value === 'string' || typeof value === 'number')
+    .withMessage('Board ID must be a string or number')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid request data',
+        details: errors.array()
+      });
+    }
+
+    const { cron, utcOffsetMinutes, name, promptId, values, boardId } = req.body;
+    let { userPrompt } = req.body;
+
+    if (!userPrompt && !promptId) {
+      return res.status(400).json({ error: 'Either userPrompt or promptId is required' });
+    }
+
+    if (promptId) {
+      const prompt = await promptLibrary.getPrompt(req.auth, promptId);
+      userPrompt = promptLibrary.fillPrompt(prompt.text, values || {});
+    }
+
+    const schedule = await scheduler.createSchedule(req.auth, {
+      name,
+      userPrompt,
+      boardId,
+      cron,
+      utcOffsetMinutes,
+      promptId: promptId || null
+    });
+
+    return res.status(201).json({ schedule });
+  } catch (error) {
+    return sendScheduleError(req, res, error, 'creating schedule');
+  }
+});
+
+/**
+ * Pause a schedule
+ */
+router.post('/schedules/:scheduleId/pause', async (req, res) => {
+  try {
+    const schedule = await scheduler.setSchedulePaused(req.auth, req.params.scheduleId, true);
+
+    return res.json({ schedule });
+  } catch (error) {
+    return sendScheduleError(req, res, error, 'pausing schedule');
+  }
+});
+
+/**
+ * Resume a paused schedule from its next run time
+ */
+router.post('/schedules/:scheduleId/resume', async (req, res) => {
+  try {
+    const schedule = await scheduler.setSchedulePaused(req.auth, req.params.scheduleId, false);
+
+    return res.json({ schedule });
+  } catch (error) {
+    return sendScheduleError(req, res, error, 'resuming schedule');
+  }
+});
+
+/**
+ * Delete a schedule
+ */
+router.delete('/schedules/:scheduleId', async (req, res) => {
+  try {
+    await scheduler.deleteSchedule(req.auth, req.params.scheduleId);
+
+    return res.json({ success: true });
+  } catch (error) {
+    return sendScheduleError(req, res, error, 'deleting schedule');
+  }
+});
+
+module.exports = router;
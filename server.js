@@ -10,13 +10,36 @@ const { Storage, Logger, Environment } = require('@mondaycom/apps-sdk');
 
 // Import route handlers
 const monetizationRoutes = require('./monetization-routes');
+const promptRoutes = require('./prompt-routes');
+const scheduleRoutes = require('./schedule-routes');
 const oauthRoutes = require('./oauth-routes');
+const { requireQuota, markQuotaFailed, handOffQuota } = require('./quota-middleware');
+const { authenticate, requireMatchingParams } = require('./auth-middleware');
+const { requireIdempotency, recordStreamResult } = require('./idempotency-middleware');
 
 // Import utility modules
 const claudeAPI = require('./monday-claude-utils/enhanced-claudeAPI');
 const mondayAPI = require('./monday-claude-utils/mondayAPI');
 const automationUtils = require('./monday-claude-utils/automationUtils');
 const scopeValidator = require('./monday-claude-utils/scopeValidator');
+const actionPlanner = require('./monday-claude-utils/actionPlanner');
+const boardSchema = require('./monday-claude-utils/boardSchema');
+const graphqlSafety = require('./monday-claude-utils/graphqlSafety');
+const undoUtils = require('./monday-claude-utils/undoUtils');
+const conversationThreads = require('./monday-claude-utils/conversationThreads');
+const tokenProvider = require('./monday-claude-utils/tokenProvider');
+const bulkOperations = require('./monday-claude-utils/bulkOperations');
+const monetizationHandler = require('./monday-claude-utils/monetizationHandler');
+const jobQueue = require('./monday-claude-utils/jobQueue');
+const resultFormatter = require('./monday-claude-utils/resultFormatter');
+const clarificationUtils = require('./monday-claude-utils/clarification');
+const toolCatalog = require('./monday-claude-utils/toolCatalog');
+const scheduler = require('./monday-claude-utils/scheduler');
+const modelRouter = require('./monday-claude-utils/modelRouter');
+const responseCache = require('./monday-claude-utils/responseCache');
+const degradedMode = require('./monday-claude-utils/degradedMode');
+const requestCancellation = require('./monday-claude-utils/requestCancellation');
+const { createKeyedQueue } = require('./monday-claude-utils/keyedQueue');
 
 const app = express();
 
@@ -41,6 +64,10 @@ app.use(compression({
     if (req.headers['x-no-compression']) {
       return false;
     }
+    // Server-sent events must reach the client as soon as they are written
+    if (String(res.getHeader('Content-Type') || '').includes('text/event-stream')) {
+      return false;
+    }
     // Use the default compression filter function
     return compression.filter(req, res);
   },
@@ -71,6 +98,9 @@ const CLAUDE_API_KEY = env.get('CLAUDE_API_KEY');
 const MONDAY_API_TOKEN = env.get('MONDAY_API_TOKEN');
 const REGION = env.get('REGION') || 'US';
 
+// Raw GraphQL from Claude is an opt-in fallback to the typed tools
+const ALLOW_RAW_GRAPHQL = env.get('ALLOW_RAW_GRAPHQL') === 'true';
+
 // Region-specific API endpoints
 const regionConfig = {
   'US': {
@@ -89,15 +119,32 @@ const regionConfig = {
 const MONDAY_API_URL = regionConfig.MONDAY_API_URL;
 const CLAUDE_API_URL = regionConfig.CLAUDE_API_URL;
 
+// Every API route except monday.com's subscription webhook acts for a signed-in user
+app.use('/api', (req, res, next) => {
+  if (req.path.startsWith('/webhooks/')) {
+    return next();
+  }
+  return authenticate(req, res, next);
+});
+
 // Mount route handlers
 app.use('/', oauthRoutes);
 app.use('/api', monetizationRoutes);
+app.use('/api', promptRoutes);
+app.use('/api', scheduleRoutes);
 
 /**
  * Health check endpoint
  */
 app.get('/health', (req, res) => {
-  res.status(200).json({ status: 'ok', region: REGION });
+  const claude = claudeAPI.getCircuitStatus();
+  
+  // Degraded while the Claude circuit breaker is not closed; read-only templates still work
+  res.status(200).json({
+    status: claude.state === 'closed' ? 'ok' : 'degraded',
+    region: REGION,
+    claude
+  });
 });
 
 /**
@@ -113,18 +160,804 @@ app.post('/webhook/challenge', (req, res) => {
 });
 
 /**
- * Process a natural language request
+ * Execute a single monday.com action
+ * 
+ * For mutations, the affected items are read first so the inverse operations
+ * needed to undo the change can be recorded alongside the result. Bulk updates
+ * are run by the bulk operations engine and typed tools by their mondayAPI function.
+ * 
+ * A cancelled request runs no further actions. Reads already sent are
+ * aborted, but a mutation already sent finishes so its undo is recorded.
+ * 
+ * @param {string} requestId - Request ID for logging
+ * @param {Object} action - Action to execute (operationType, graphqlString, variables, bulk, tool, input)
+ * @param {string} token - Monday.com access token of the calling account
+ * @param {Object} options - Execution options
+ * @param {Function} options.onBulkProgress - Called with bulk update progress ({ processed, total, failed })
+ * @param {AbortSignal} options.signal - Signal of the request, aborted when it is cancelled
+ * @returns {Promise<Object>} - monday.com API result and undo operations ({ result, undo })
+ * @throws {Error} - REQUEST_CANCELLED when the request was cancelled before the action started
  */
-app.post('/api/process-request', [
-  // Input validation
+async function executeMondayAction(requestId, action, token, options = {}) {
+  const { operationType, graphqlString, variables } = action;
+  const { signal = null } = options;
+  
+  requestCancellation.throwIfCancelled(signal);
+  
+  logger.info('Executing Monday.com operation', { 
+    requestId,
+    operationType,
+    tool: action.tool,
+    variables: Object.keys(variables || action.input || {})
+  });
+  
+  if (operationType === 'bulk_update') {
+    const { undo, ...result } = await bulkOperations.runBulkUpdate(action.bulk, token, {
+      onProgress: options.onBulkProgress,
+      signal
+    });
+    return { result, undo };
+  }
+  
+  const execute = (executeOptions = {}) => (action.tool
+    ? toolCatalog.executeTool(action, token, { signal })
+    : mondayAPI.executeGraphQL(graphqlString, variables, token, executeOptions));
+  
+  if (operationType !== 'mutation') {
+    return { result: await execute({ signal }) };
+  }
+  
+  const analysis = graphqlSafety.analyzeAction(action);
+  
+  let snapshot = null;
+  try {
+    snapshot = await undoUtils.captureUndoSnapshot(analysis, token, { signal });
+  } catch (error) {
+    logger.warn('Could not capture undo snapshot', { requestId, error: error.message });
+  }
+  
+  requestCancellation.throwIfCancelled(signal);
+  const result = await execute();
+  const undo = snapshot ? undoUtils.buildInverseActions(analysis, snapshot, result) : [];
+  
+  return { result, undo };
+}
+
+/**
+ * Explain executed steps, save them to history and build the client response
+ * 
+ * @param {Object} params - Completion parameters
+ * @param {string} params.requestId - Request ID for logging
+ * @param {string} params.userPrompt - Original natural language request
+ * @param {string} params.userId - User ID
+ * @param {string} params.accountId - Account ID
+ * @param {Object[]} params.steps - Executed steps ({ action, result, error })
+ * @param {string} params.threadId - Conversation thread the request belongs to
+ * @param {Function} params.onExplanationToken - Optional callback receiving streamed explanation text
+ * @param {Object} params.boardSchema - Schema of the user's board, used for table column titles
+ * @param {string} params.endpoint - Endpoint or job the explanation's tokens are metered against
+ * @param {AbortSignal} params.signal - Signal of the request; once cancelled, the generic explanation is used
+ * @returns {Promise<Object>} - Response body for the client
+ */
+async function completeRequest({ requestId, userPrompt, userId, accountId, steps, threadId = null, onExplanationToken = null, boardSchema = null, endpoint = null, signal = null }) {
+  const lastStep = steps[steps.length - 1];
+  
+  // Items read by a final query are shown as a table
+  const table = lastStep.action.operationType === 'query' && !lastStep.error
+    ? resultFormatter.formatQueryResult(lastStep.result, { boardSchema })
+    : null;
+  
+  // Undo runs the latest change first
+  const undo = [...steps].reverse().flatMap(step => step.undo || []);
+  
+  // Summaries run on the model routed for explanations under the account's plan
+  const explanationRoute = await modelRouter.getModelForAccount(accountId, 'explanation', { requestId });
+  
+  // Generate explanation of the result
+  const explanation = await claudeAPI.explainMondayResult(
+    userPrompt,
+    steps.length === 1 ? lastStep.result : steps.map(({ action, result, error }) => ({
+      operationType: action.operationType,
+      result,
+      error
+    })),
+    {
+      onToken: onExplanationToken,
+      model: explanationRoute.model,
+      usageContext: { accountId, userId, endpoint },
+      signal
+    }
+  );
+  
+  // Generate a unique ID for this conversation
+  const conversationId = uuidv4();
+  
+  // Save conversation to history
+  await claudeAPI.saveConversationHistory(userId, accountId, {
+    id: conversationId,
+    threadId,
+    prompt: userPrompt,
+    action: lastStep.action,
+    steps,
+    result: lastStep.result,
+    explanation,
+    undo,
+    timestamp: new Date().toISOString()
+  });
+  
+  return {
+    requestId,
+    conversationId,
+    threadId,
+    action: lastStep.action,
+    steps,
+    result: lastStep.result,
+    table,
+    explanation,
+    undoAvailable: undo.length > 0
+  };
+}
+
+/**
+ * Describe a failed processing request as an HTTP status and response body
+ * 
+ * @param {Object} req - Express request object
+ * @param {Error} error - Error that occurred
+ * @param {Object} options - Description options
+ * @param {boolean} options.changedBoard - Whether the request changed the board before it failed
+ * @returns {Object} - Status code and body ({ status, body })
+ */
+function describeProcessingError(req, error, options = {}) {
+  const { changedBoard = false } = options;
+  
+  // Cancelling is the user's choice, not a failure
+  if (requestCancellation.isCancellation(error)) {
+    logger.info('Request cancelled before it finished', { requestId: req.id, changedBoard });
+    
+    return {
+      status: 499,
+      body: { 
+        error: 'Request cancelled',
+        message: changedBoard
+          ? 'The request was cancelled after it changed your board. Check the board before running it again.'
+          : 'The request was cancelled before anything was changed on your board.',
+        cancelled: true
+      }
+    };
+  }
+  
+  const errorId = uuidv4();
+  
+  // Log detailed error information
+  logger.error('Error processing request', { 
+    errorId,
+    requestId: req.id,
+    error: {
+      message: error.message,
+      stack: error.stack,
+      code: error.code,
+      // Include response info if it's an API error
+      status: error.response?.status,
+      statusText: error.response?.statusText,
+      data: error.response?.data
+    }
+  });
+  
+  // The account has to authorize the app again before anything can run
+  if (error.code === 'MONDAY_RECONNECT_REQUIRED') {
+    return {
+      status: 401,
+      body: { 
+        error: 'Reconnect required',
+        message: 'Your monday.com connection has expired. Please reconnect the app and try again.',
+        reconnectRequired: true,
+        errorId
+      }
+    };
+  }
+  
+  if (error.code === 'CLAUDE_UNAVAILABLE') {
+    return {
+      status: 503,
+      body: { 
+        error: 'Claude unavailable',
+        message: 'The AI assistant is temporarily unavailable. Simple questions such as "list the items in group Done" still work; other requests can be retried in a few minutes.',
+        degraded: true,
+        errorId
+      }
+    };
+  }
+  
+  if (error.code === 'CONTEXT_WINDOW_EXCEEDED') {
+    return {
+      status: 413,
+      body: { 
+        error: 'Request too large',
+        message: 'This request needs more context than Claude can take, even after trimming board data. Try a narrower request or start a new conversation.',
+        errorId
+      }
+    };
+  }
+  
+  // Return appropriate error response based on type
+  if (error.response) {
+    // API error response
+    if (error.response.status === 429) {
+      return {
+        status: 429,
+        body: { 
+          error: 'Rate limit exceeded',
+          message: 'The service is experiencing high demand. Please try again later.',
+          errorId
+        }
+      };
+    } else if (error.response.status >= 500) {
+      return {
+        status: 502,
+        body: { 
+          error: 'External service error',
+          message: 'There was an issue communicating with our services. Please try again later.',
+          errorId
+        }
+      };
+    }
+  } else if (error.code === 'ECONNREFUSED' || error.code === 'ECONNRESET') {
+    return {
+      status: 503,
+      body: { 
+        error: 'Service unavailable',
+        message: 'Unable to connect to required services. Please try again later.',
+        errorId
+      }
+    };
+  }
+  
+  // Generic error for other cases
+  return {
+    status: 500,
+    body: { 
+      error: 'Processing error',
+      message: 'An unexpected error occurred while processing your request. Our team has been notified.',
+      errorId
+    }
+  };
+}
+
+/**
+ * Send an error response for a failed processing request
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error that occurred
+ * @returns {Object} - Express response
+ */
+function sendProcessingError(req, res, error) {
+  const { status, body } = describeProcessingError(req, error);
+  return res.status(status).json(body);
+}
+
+/**
+ * Start a server-sent events response
+ * 
+ * @param {Object} res - Express response object
+ * @returns {Function} - Sends an event: send(eventName, data)
+ */
+function openEventStream(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  return (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+}
+
+// Validation rules shared by the JSON and streaming process-request routes
+const processRequestValidators = [
   body('userPrompt').isString().trim().isLength({ min: 1, max: 2000 })
     .withMessage('User prompt is required and must be between 1 and 2000 characters'),
-  body('userId').isString().trim().notEmpty()
-    .withMessage('User ID is required'),
-  body('accountId').isString().trim().notEmpty()
-    .withMessage('Account ID is required'),
-  body('boardId').optional().isString()
-], async (req, res) => {
+  body('boardId').optional({ nullable: true })
+    .custom(value => typeof value === 'string' || typeof value === 'number')
+    .withMessage('Board ID must be a string or number'),
+  body('preview').optional().isBoolean()
+    .withMessage('Preview must be a boolean'),
+  body('threadId').optional({ nullable: true }).isString().trim().isLength({ min: 1, max: 100 })
+    .withMessage('Thread ID must be a string of at most 100 characters')
+];
+
+/**
+ * Run a natural language request through Claude and monday.com
+ * 
+ * Claude may run several monday.com operations in sequence. Each operation is
+ * checked by the GraphQL safety analyzer first. When `preview` is true, read
+ * operations still run but mutations are returned with a confirmation token
+ * instead of being executed; destructive operations are always held that way.
+ * When the response cache is enabled, answers that only read from monday.com
+ * are reused for the same question about an unchanged board.
+ * 
+ * @param {Object} request - Request data
+ * @param {string} request.requestId - Request ID for logging
+ * @param {string} request.userPrompt - Natural language request
+ * @param {string} request.userId - User ID
+ * @param {string} request.accountId - Account ID
+ * @param {string} request.boardId - Optional ID of the board the user is on
+ * @param {boolean} request.preview - Whether to only preview mutations
+ * @param {string} request.threadId - Optional conversation thread for follow-up requests
+ * @param {string} request.endpoint - Endpoint or job the Claude tokens are metered against
+ * @param {AbortSignal} request.signal - Optional signal aborted when the user cancels the request
+ * @param {Object} hooks - Progress callbacks
+ * @param {Function} hooks.onProgress - Called with (stage, details) as processing advances
+ * @param {Function} hooks.onExplanationToken - Called with each streamed explanation delta
+ * @param {Function} hooks.onStep - Called with ({ operationType, result }) after each executed operation
+ * @returns {Promise<Object>} - Response body for the client
+ */
+async function runProcessRequest(request, hooks = {}) {
+  const { onProgress = () => {} } = hooks;
+  const { requestId, userPrompt, userId, accountId, boardId, preview = false, threadId = null, endpoint = null, signal = null } = request;
+  
+  // Track request in logs
+  logger.info('Processing request', { 
+    requestId,
+    userId,
+    accountId,
+    boardId,
+    preview,
+    threadId,
+    promptLength: userPrompt.length
+  });
+  
+  // Store the request in storage for logging/history
+  await storage.set(`user_${userId}_request_${Date.now()}`, {
+    prompt: userPrompt,
+    timestamp: new Date().toISOString(),
+    requestId
+  });
+  
+  // Operations run with the calling account's OAuth token
+  const token = await tokenProvider.getAccountToken(accountId);
+  
+  // Fetch the board's columns, groups and sample items so Claude uses real IDs
+  let schema = null;
+  if (boardId) {
+    try {
+      schema = await boardSchema.fetchBoardSchema(String(boardId), { signal }, token);
+    } catch (error) {
+      logger.warn('Could not fetch board schema, continuing without it', { 
+        requestId,
+        boardId,
+        error: error.message
+      });
+    }
+  }
+  
+  // Earlier turns of the thread so Claude can resolve follow-up references
+  const history = await conversationThreads.getThreadMessages(userId, threadId);
+  
+  requestCancellation.throwIfCancelled(signal);
+  onProgress('planning', {});
+  
+  const planningRoute = await modelRouter.getModelForAccount(accountId, 'planning', { requestId });
+  const context = { ...request, preview, threadId, endpoint, signal, token, schema, history, model: planningRoute.model };
+  
+  // Follow-ups depend on the thread, so only new questions are answered from the cache
+  if (history.length > 0) {
+    return answerRequest(context, hooks);
+  }
+  
+  const { value: response, cached } = await responseCache.getOrCompute({
+    task: 'query',
+    accountId,
+    prompt: userPrompt,
+    boardSchema: schema,
+    model: planningRoute.model
+  }, () => answerRequest(context, hooks), { shouldCache: isReadOnlyAnswer, signal });
+  
+  return cached ? replayCachedAnswer(context, response, hooks) : response;
+}
+
+/**
+ * Check whether a response answered a request with successful reads only
+ * 
+ * A cancelled request, or one whose explanation fell back to the generic
+ * text, is answered again next time instead of being served from the cache.
+ * 
+ * @param {Object} response - Response body from answerRequest
+ * @returns {boolean} - Whether the response can be served from the response cache
+ */
+function isReadOnlyAnswer(response) {
+  return Boolean(response.explanation) &&
+    !response.cancelled &&
+    !claudeAPI.isFallbackExplanation(response.explanation) &&
+    !response.upsell &&
+    !response.degraded &&
+    response.steps.every(step => step.action.operationType === 'query' && !step.error);
+}
+
+/**
+ * Serve a cached answer as a new conversation
+ * 
+ * @param {Object} context - Request context (see answerRequest)
+ * @param {Object} response - Cached response body
+ * @param {Object} hooks - Progress callbacks (see runProcessRequest)
+ * @returns {Promise<Object>} - Response body for the client
+ */
+async function replayCachedAnswer({ requestId, userPrompt, userId, accountId, threadId }, response, hooks) {
+  const conversationId = uuidv4();
+  
+  await claudeAPI.saveConversationHistory(userId, accountId, {
+    id: conversationId,
+    threadId,
+    prompt: userPrompt,
+    action: response.action,
+    steps: response.steps,
+    result: response.result,
+    explanation: response.explanation,
+    undo: [],
+    timestamp: new Date().toISOString()
+  });
+  
+  if (hooks.onExplanationToken) {
+    hooks.onExplanationToken(response.explanation);
+  }
+  
+  logger.info('Answered request from response cache', { requestId, conversationId });
+  
+  return { ...response, requestId, conversationId, threadId, cached: true };
+}
+
+/**
+ * Answer a read-only request from a degraded mode template while Claude is unavailable
+ * 
+ * @param {Object} context - Request context (see answerRequest)
+ * @param {Object} hooks - Progress callbacks (see runProcessRequest)
+ * @returns {Promise<Object>} - Response body for the client, marked `degraded`
+ * @throws {Error} - CLAUDE_UNAVAILABLE when no template covers the request
+ */
+async function answerWithoutClaude({ requestId, userPrompt, userId, accountId, threadId, signal, token, schema }, hooks = {}) {
+  const { onProgress = () => {}, onExplanationToken = null, onStep = () => {} } = hooks;
+  const plan = degradedMode.matchTemplate(userPrompt, schema);
+  
+  if (!plan) {
+    const error = new Error('Claude is unavailable and no read-only template matches the request');
+    error.code = 'CLAUDE_UNAVAILABLE';
+    throw error;
+  }
+  
+  const steps = [];
+  let result = null;
+  
+  if (plan.action) {
+    onProgress('executing', { operationType: plan.action.operationType });
+    ({ result } = await executeMondayAction(requestId, plan.action, token, { signal }));
+    await onStep({ operationType: plan.action.operationType, result });
+    steps.push({ action: plan.action, result });
+  }
+  
+  const { table, explanation } = degradedMode.buildAnswer(plan, result, schema);
+  const conversationId = uuidv4();
+  
+  await claudeAPI.saveConversationHistory(userId, accountId, {
+    id: conversationId,
+    threadId,
+    prompt: userPrompt,
+    action: plan.action,
+    steps,
+    result,
+    explanation,
+    undo: [],
+    timestamp: new Date().toISOString()
+  });
+  
+  if (onExplanationToken) {
+    onExplanationToken(explanation);
+  }
+  
+  logger.warn('Answered request in degraded mode', { requestId, template: plan.template });
+  
+  return {
+    requestId,
+    conversationId,
+    threadId,
+    action: plan.action,
+    steps,
+    result,
+    table,
+    explanation,
+    undoAvailable: false,
+    degraded: true
+  };
+}
+
+/**
+ * Save the steps a cancelled request ran, so their changes can be undone
+ * 
+ * @param {Object} context - Request context (see answerRequest)
+ * @param {Object[]} steps - Steps that ran before the request was cancelled
+ * @returns {Promise<Object>} - Response body for the client, marked `cancelled`
+ * @throws {Error} - REQUEST_CANCELLED when no step ran
+ */
+async function recordCancelledRequest({ requestId, userPrompt, userId, accountId, threadId }, steps) {
+  if (steps.length === 0) {
+    throw requestCancellation.createCancellationError();
+  }
+  
+  const lastStep = steps[steps.length - 1];
+  const undo = [...steps].reverse().flatMap(step => step.undo || []);
+  const conversationId = uuidv4();
+  const explanation = `Cancelled after ${steps.length} ${steps.length === 1 ? 'step' : 'steps'}. ` +
+    (undo.length > 0
+      ? 'Changes made before the request was cancelled were kept; use Undo to revert them.'
+      : 'Nothing was changed on your board.');
+  
+  await claudeAPI.saveConversationHistory(userId, accountId, {
+    id: conversationId,
+    threadId,
+    prompt: userPrompt,
+    action: lastStep.action,
+    steps,
+    result: lastStep.result,
+    explanation,
+    undo,
+    timestamp: new Date().toISOString()
+  });
+  
+  logger.info('Saved steps of cancelled request', { requestId, steps: steps.length, undoOperations: undo.length });
+  
+  return {
+    requestId,
+    conversationId,
+    threadId,
+    action: lastStep.action,
+    steps,
+    result: lastStep.result,
+    explanation,
+    undoAvailable: undo.length > 0,
+    cancelled: true
+  };
+}
+
+/**
+ * Plan a request with Claude, execute its monday.com actions and explain the result
+ * 
+ * @param {Object} context - Request data (see runProcessRequest) with what was loaded for it
+ * @param {string} context.token - Monday.com access token of the calling account
+ * @param {Object} context.schema - Schema of the user's board, or null
+ * @param {Object[]} context.history - Earlier messages of the conversation thread
+ * @param {string} context.model - Claude model to plan with
+ * @param {Object} hooks - Progress callbacks (see runProcessRequest)
+ * @returns {Promise<Object>} - Response body for the client
+ */
+async function answerRequest(context, hooks = {}) {
+  const { onProgress = () => {}, onExplanationToken = null, onStep = () => {} } = hooks;
+  const { requestId, userPrompt, userId, accountId, preview, threadId, endpoint, signal, token, schema, history, model } = context;
+  
+  // Planning needs Claude; while its circuit breaker is open, simple reads are answered from templates
+  if (!claudeAPI.isClaudeAvailable()) {
+    return answerWithoutClaude(context, hooks);
+  }
+  
+  const plannedActions = [];
+  let heldForConfirmation = false;
+  let upsell = null;
+  
+  // Process the request with Claude, executing each monday.com action it plans
+  const claudeResponse = await claudeAPI.processMondayRequest(userPrompt, {
+    model,
+    usageContext: { accountId, userId, endpoint },
+    boardSchema: schema,
+    history,
+    allowRawGraphql: ALLOW_RAW_GRAPHQL,
+    signal,
+    executeAction: async (action) => {
+      // Check the generated GraphQL before anything is sent to monday.com
+      const analysis = graphqlSafety.analyzeAction(action);
+      
+      if (!analysis.valid) {
+        logger.warn('Rejected unsafe operation from Claude', { 
+          requestId,
+          errors: analysis.errors
+        });
+        throw new Error(`Operation rejected: ${analysis.errors.join('; ')}`);
+      }
+      
+      // Destructive and unreviewed operations wait for explicit confirmation from the user
+      if (analysis.requiresConfirmation && !preview) {
+        plannedActions.push(action);
+        heldForConfirmation = true;
+        return {
+          result: {
+            held: true,
+            message: `Not executed: ${[...analysis.destructiveFields, ...analysis.unreviewedFields].join(', ')} requires confirmation from the user.`
+          },
+          halt: true
+        };
+      }
+      
+      // Bulk updates are a paid feature; other plans get an upgrade message instead
+      if (action.operationType === 'bulk_update' &&
+          !(await monetizationHandler.hasFeature(accountId, 'bulkOperations'))) {
+        upsell = {
+          feature: 'bulkOperations',
+          requiredPlans: bulkOperations.BULK_PLANS,
+          message: 'Updating many items at once is available on the Pro and Enterprise plans. Upgrade your plan to run this request, or ask for a change to a single item.'
+        };
+        return {
+          result: { upsell: true, message: upsell.message },
+          halt: true
+        };
+      }
+      
+      // In preview mode mutations are only recorded until the user confirms them
+      if (preview && action.operationType !== 'query') {
+        plannedActions.push(action);
+        return {
+          result: {
+            preview: true,
+            message: 'Not executed yet: awaiting user confirmation. Assume it succeeds and continue.'
+          }
+        };
+      }
+      
+      onProgress('executing', { operationType: action.operationType });
+      const execution = await executeMondayAction(requestId, action, token, {
+        onBulkProgress: (progress) => onProgress('executing', { operationType: action.operationType, ...progress }),
+        signal
+      });
+      await onStep({ operationType: action.operationType, result: execution.result });
+      return execution;
+    }
+  });
+  
+  const steps = claudeResponse.steps || [];
+  
+  // Steps not yet run were skipped; the ones that ran are kept for undo
+  if (claudeResponse.stopReason === 'cancelled') {
+    return recordCancelledRequest(context, steps);
+  }
+  
+  // Ask the user to choose; their answer continues the same thread
+  if (claudeResponse.clarification) {
+    const clarification = clarificationUtils.buildClarification(claudeResponse.clarification, {
+      boardSchema: schema,
+      steps
+    });
+    const undo = [...steps].reverse().flatMap(step => step.undo || []);
+    const conversationId = uuidv4();
+    
+    await claudeAPI.saveConversationHistory(userId, accountId, {
+      id: conversationId,
+      threadId,
+      prompt: userPrompt,
+      steps,
+      clarification,
+      explanation: clarificationUtils.formatClarificationText(clarification),
+      undo,
+      timestamp: new Date().toISOString()
+    });
+    
+    logger.info('Asking user for clarification', { 
+      requestId,
+      optionCount: clarification.options.length,
+      groundedOptions: clarification.options.filter(option => option.grounded).length
+    });
+    
+    return {
+      requestId,
+      conversationId,
+      threadId,
+      steps,
+      clarification,
+      undoAvailable: undo.length > 0
+    };
+  }
+  
+  // Store planned or held actions and wait for confirmation
+  if (plannedActions.length > 0) {
+    const plan = await actionPlanner.createPlan({
+      userId,
+      accountId,
+      userPrompt,
+      threadId,
+      actions: plannedActions
+    });
+    
+    // Steps that already ran before a destructive action was held are saved so they can be undone
+    const executedSteps = heldForConfirmation ? steps.filter(step => !step.result?.held) : [];
+    const undo = [...executedSteps].reverse().flatMap(step => step.undo || []);
+    let conversationId = null;
+    
+    if (executedSteps.length > 0) {
+      const lastStep = executedSteps[executedSteps.length - 1];
+      conversationId = uuidv4();
+      
+      await claudeAPI.saveConversationHistory(userId, accountId, {
+        id: conversationId,
+        threadId,
+        prompt: userPrompt,
+        action: lastStep.action,
+        steps: executedSteps,
+        result: lastStep.result,
+        explanation: `Ran ${executedSteps.length} ${executedSteps.length === 1 ? 'step' : 'steps'}, then paused for confirmation:\n${plan.summary}`,
+        undo,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    logger.info('Returning actions for confirmation', { 
+      requestId,
+      preview,
+      actionCount: plannedActions.length,
+      requiredScopes: plan.requiredScopes,
+      destructiveFields: plan.destructiveFields,
+      unreviewedFields: plan.unreviewedFields
+    });
+    
+    return {
+      requestId,
+      conversationId,
+      threadId,
+      preview,
+      requiresConfirmation: true,
+      actions: plannedActions,
+      steps: executedSteps,
+      undoAvailable: undo.length > 0,
+      summary: plan.summary,
+      requiredScopes: plan.requiredScopes,
+      destructiveFields: plan.destructiveFields,
+      unreviewedFields: plan.unreviewedFields,
+      confirmationToken: plan.confirmationToken,
+      expiresAt: plan.expiresAt
+    };
+  }
+  
+  if (steps.length > 0) {
+    onProgress('explaining', { stepCount: steps.length });
+    
+    const response = await completeRequest({
+      requestId,
+      userPrompt,
+      userId,
+      accountId,
+      steps,
+      threadId,
+      onExplanationToken,
+      boardSchema: schema,
+      endpoint,
+      signal
+    });
+    
+    return {
+      ...response,
+      ...(upsell ? { upsell } : {}),
+      // Compacted turns and trimmed board data, so the client can tell the answer may be partial
+      ...(claudeResponse.contextWindow ? { contextWindow: claudeResponse.contextWindow } : {})
+    };
+  }
+  
+  // If Claude didn't generate a tool call, return a helpful message
+  logger.warn('Claude did not generate a tool call', { requestId });
+  
+  return {
+    requestId,
+    threadId,
+    message: "I couldn't understand how to convert your request into a Monday.com action. Please try rephrasing with more specific details about what you'd like to do.",
+    resolution: "Try mentioning specific boards, items, or actions you want to perform."
+  };
+}
+
+/**
+ * Process a natural language request
+ * 
+ * Repeats with the same Idempotency-Key header replay the first response. The
+ * request cannot be cancelled, as its request ID only reaches the client with
+ * the response; use the streaming route or a job for that.
+ */
+app.post('/api/process-request', processRequestValidators, requireIdempotency, requireQuota, async (req, res) => {
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -135,160 +968,231 @@ app.post('/api/process-request', [
       });
     }
     
-    const { userPrompt, userId, accountId, boardId } = req.body;
-    
-    // Track request in logs
-    logger.info('Processing request', { 
+    const response = await runProcessRequest({
+      ...req.body,
+      ...req.auth,
       requestId: req.id,
-      userId,
-      accountId,
-      boardId,
-      promptLength: userPrompt.length
+      endpoint: '/api/process-request'
     });
     
-    // Store the request in storage for logging/history
-    await storage.set(`user_${userId}_request_${Date.now()}`, {
-      prompt: userPrompt,
-      timestamp: new Date().toISOString(),
-      requestId: req.id
-    });
+    return res.json(response);
     
-    // Process the request with Claude
-    const claudeResponse = await claudeAPI.processMondayRequest(userPrompt);
-    
-    // Check if Claude generated a tool call
-    if (claudeResponse.content && 
-        claudeResponse.tool_calls && 
-        claudeResponse.tool_calls.length > 0) {
-      
-      const toolCall = claudeResponse.tool_calls[0];
-      
-      if (toolCall.name === 'monday_action' && toolCall.input) {
-        const { operation_type, graphql_string, variables } = toolCall.input;
-        
-        logger.info('Executing Monday.com operation', { 
-          requestId: req.id,
-          operationType: operation_type,
-          variables: Object.keys(variables || {})
-        });
-        
-        // Execute the monday.com operation
-        const mondayResult = await mondayAPI.executeGraphQL(
-          graphql_string,
-          variables
-        );
-        
-        // Generate explanation of the result
-        const explanation = await claudeAPI.explainMondayResult(
-          userPrompt,
-          mondayResult
-        );
-        
-        // Generate a unique ID for this conversation
-        const conversationId = uuidv4();
-        
-        // Save conversation to history
-        await claudeAPI.saveConversationHistory(userId, accountId, {
-          id: conversationId,
-          prompt: userPrompt,
-          action: {
-            operationType: operation_type,
-            graphqlString: graphql_string,
-            variables: variables
-          },
-          result: mondayResult,
-          explanation,
-          timestamp: new Date().toISOString()
-        });
-        
-        return res.json({
-          requestId: req.id,
-          conversationId,
-          action: {
-            operationType: operation_type,
-            graphqlString: graphql_string,
-            variables: variables
-          },
-          result: mondayResult,
-          explanation
-        });
+  } catch (error) {
+    return sendProcessingError(req, res, error);
+  }
+});
+
+/**
+ * Process a natural language request, streaming progress as server-sent events
+ * 
+ * Emits a `started` event with the request ID to cancel it with, `progress`
+ * events ({ stage: planning | executing | explaining }), `token` events with
+ * explanation text, then a final `result` or `error` event. Requests cancelled
+ * before they changed the board are not counted against the plan's quota; a
+ * request cancelled later is counted and returns the steps that ran. Repeats
+ * with the same Idempotency-Key header replay the first result as a one-event
+ * stream.
+ */
+app.post('/api/process-request/stream', processRequestValidators, requireIdempotency, requireQuota, async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      error: 'Invalid request data', 
+      details: errors.array() 
+    });
+  }
+  
+  const send = openEventStream(res);
+  const signal = requestCancellation.registerRequest(req.id, req.auth);
+  send('started', { requestId: req.id });
+  
+  // Changes already made are counted even when the request is cancelled afterwards
+  let changedBoard = false;
+  
+  try {
+    const response = await runProcessRequest({
+      ...req.body,
+      ...req.auth,
+      requestId: req.id,
+      endpoint: '/api/process-request/stream',
+      signal
+    }, {
+      onProgress: (stage, details) => send('progress', { stage, ...details }),
+      onExplanationToken: (text) => send('token', { text }),
+      onStep: ({ operationType }) => {
+        changedBoard = changedBoard || operationType !== 'query';
       }
+    });
+    
+    if (signal.aborted && !changedBoard) {
+      markQuotaFailed(res);
+    } else {
+      recordStreamResult(res, response);
+    }
+    send('result', signal.aborted ? { ...response, cancelled: true } : response);
+  } catch (error) {
+    const cancelled = signal.aborted;
+    if (!cancelled || !changedBoard) {
+      markQuotaFailed(res);
+    }
+    send('error', describeProcessingError(req, cancelled ? requestCancellation.createCancellationError() : error, { changedBoard }).body);
+  } finally {
+    requestCancellation.unregisterRequest(req.id);
+  }
+  
+  res.end();
+});
+
+/**
+ * Run a queued process-request or scheduled-request job
+ * 
+ * Attempts are retried by the job queue only while no monday.com changes have
+ * been made, so a retry never applies the same mutation twice. A running
+ * attempt is registered for cancellation under the job ID; a cancelled job is
+ * not retried.
+ * 
+ * @param {Object} payload - Request data stored with the job
+ * @param {Object} context - Job context from the job queue
+ * @returns {Promise<Object>} - Response body, stored as the job result
+ */
+async function runProcessRequestJob(payload, { jobId, attempt, previousSteps, onProgress, onStep }) {
+  if (previousSteps.some(step => step.operationType !== 'query')) {
+    const error = new Error('The job stopped after making changes on monday.com and was not restarted. Check the board before running the request again.');
+    error.retryable = false;
+    throw error;
+  }
+  
+  let changesStarted = false;
+  const signal = requestCancellation.registerRequest(jobId, payload);
+  
+  try {
+    return await runProcessRequest({
+      ...payload,
+      requestId: `${jobId}-${attempt}`,
+      endpoint: payload.scheduleId ? 'scheduled-request' : '/api/jobs',
+      signal
+    }, {
+      onProgress: (stage, details) => {
+        if (stage === 'executing' && details.operationType !== 'query') {
+          changesStarted = true;
+        }
+        return onProgress({ stage, ...details });
+      },
+      onStep
+    });
+  } catch (error) {
+    if (signal.aborted) {
+      const cancellation = requestCancellation.createCancellationError();
+      cancellation.retryable = false;
+      throw cancellation;
+    }
+    if (changesStarted || error.code === 'MONDAY_RECONNECT_REQUIRED') {
+      error.retryable = false;
+    }
+    throw error;
+  } finally {
+    requestCancellation.unregisterRequest(jobId);
+  }
+}
+
+jobQueue.registerHandler('process-request', runProcessRequestJob);
+
+// Scheduled runs record their outcome on the schedule once they finish
+jobQueue.registerHandler(scheduler.SCHEDULED_JOB_TYPE, runProcessRequestJob, {
+  onFinish: (job) => scheduler.recordRun(job)
+});
+
+/**
+ * Queue a natural language request to run in the background
+ * 
+ * Returns a job ID right away; poll GET /api/jobs/:jobId for progress and the result,
+ * or cancel a running job with POST /api/requests/:jobId/cancel.
+ * Repeats with the same Idempotency-Key header return the first job.
+ */
+app.post('/api/jobs', processRequestValidators, requireIdempotency, requireQuota, async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Invalid request data', 
+        details: errors.array() 
+      });
     }
     
-    // If Claude didn't generate a tool call, return a helpful message
-    logger.warn('Claude did not generate a tool call', { requestId: req.id });
+    const { userPrompt, boardId, preview, threadId } = req.body;
     
-    return res.json({
-      requestId: req.id,
-      message: "I couldn't understand how to convert your request into a Monday.com action. Please try rephrasing with more specific details about what you'd like to do.",
-      resolution: "Try mentioning specific boards, items, or actions you want to perform."
+    const job = await jobQueue.createJob({
+      type: 'process-request',
+      payload: { userPrompt, boardId, preview, threadId, ...req.auth },
+      userId: req.auth.userId,
+      accountId: req.auth.accountId,
+      // The job commits or releases the reservation when it finishes
+      reservation: handOffQuota(res)
     });
     
+    return res.status(202).json(jobQueue.toJobStatus(job));
+    
   } catch (error) {
     const errorId = uuidv4();
-    
-    // Log detailed error information
-    logger.error('Error processing request', { 
-      errorId,
+    logger.error('Error queueing job', { 
       requestId: req.id,
-      error: {
-        message: error.message,
-        stack: error.stack,
-        code: error.code,
-        // Include response info if it's an API error
-        status: error.response?.status,
-        statusText: error.response?.statusText,
-        data: error.response?.data
-      }
+      errorId,
+      error: error.message
     });
     
-    // Return appropriate error response based on type
-    if (error.response) {
-      // API error response
-      if (error.response.status === 429) {
-        return res.status(429).json({ 
-          error: 'Rate limit exceeded',
-          message: 'The service is experiencing high demand. Please try again later.',
-          errorId
-        });
-      } else if (error.response.status >= 500) {
-        return res.status(502).json({ 
-          error: 'External service error',
-          message: 'There was an issue communicating with our services. Please try again later.',
-          errorId
-        });
-      }
-    } else if (error.code === 'ECONNREFUSED' || error.code === 'ECONNRESET') {
-      return res.status(503).json({ 
-        error: 'Service unavailable',
-        message: 'Unable to connect to required services. Please try again later.',
-        errorId
-      });
+    return res.status(500).json({ 
+      error: 'Internal server error', 
+      message: 'Failed to queue your request. Please try again later.',
+      errorId
+    });
+  }
+});
+
+/**
+ * Get the status, progress and step results of a queued request
+ */
+app.get('/api/jobs/:jobId', async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(req.params.jobId);
+    
+    if (!job || job.accountId !== req.auth.accountId || job.userId !== req.auth.userId) {
+      return res.status(404).json({ error: 'Job not found' });
     }
     
-    // Generic error for other cases
+    return res.json(jobQueue.toJobStatus(job));
+    
+  } catch (error) {
+    const errorId = uuidv4();
+    logger.error('Error retrieving job', { 
+      requestId: req.id,
+      jobId: req.params.jobId,
+      errorId,
+      error: error.message
+    });
+    
     return res.status(500).json({ 
-      error: 'Processing error',
-      message: 'An unexpected error occurred while processing your request. Our team has been notified.',
+      error: 'Internal server error', 
+      message: 'Failed to retrieve job status. Please try again later.',
       errorId
     });
   }
 });
 
 /**
- * Process a document with Claude
+ * Execute a plan previously returned by a preview request
+ *
+ * The request that returned the plan was counted against the quota, and a
+ * plan can be confirmed only once, so confirming it is not counted again. The
+ * Claude tokens of its explanation are still metered.
+ * Repeats with the same Idempotency-Key header replay the first response.
  */
-app.post('/api/process-document', [
+app.post('/api/process-request/confirm', [
   // Input validation
-  body('document').isString().trim().isLength({ min: 1, max: 10000 })
-    .withMessage('Document is required and must be between 1 and 10000 characters'),
-  body('action').isString().trim().isIn(['summarize', 'analyze', 'extract_key_points', 'extract_action_items', 'simplify'])
-    .withMessage('Valid action is required'),
-  body('userId').isString().trim().notEmpty()
-    .withMessage('User ID is required'),
-  body('accountId').isString().trim().notEmpty()
-    .withMessage('Account ID is required')
-], async (req, res) => {
+  body('confirmationToken').isString().trim().notEmpty()
+    .withMessage('Confirmation token is required')
+], requireIdempotency, async (req, res) => {
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -299,59 +1203,300 @@ app.post('/api/process-document', [
       });
     }
     
-    const { document, action, userId, accountId } = req.body;
+    const { confirmationToken } = req.body;
+    const { userId, accountId } = req.auth;
     
-    // Map actions to prompts
-    const actionPrompts = {
-      'summarize': `Please provide a concise summary of the following document:\n\n${document}`,
-      'analyze': `Please analyze the following document, including key themes, tone, and structure:\n\n${document}`,
-      'extract_key_points': `Please extract the key points from the following document:\n\n${document}`,
-      'extract_action_items': `Please identify all action items or tasks mentioned in the following document:\n\n${document}`,
-      'simplify': `Please rewrite the following document in simpler, more accessible language while preserving all key information:\n\n${document}`
-    };
+    // Only the user who previewed the plan can confirm it; anyone else leaves it in place
+    let plan;
+    try {
+      plan = await actionPlanner.consumePlan(confirmationToken, { userId, accountId });
+    } catch (error) {
+      if (error.code !== 'PLAN_NOT_OWNED') {
+        throw error;
+      }
+      logger.warn('Plan confirmation user mismatch', { 
+        requestId: req.id,
+        requestedAccount: accountId
+      });
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
     
-    // Get the appropriate prompt
-    const prompt = actionPrompts[action];
+    if (!plan) {
+      return res.status(404).json({
+        error: 'Plan not found',
+        message: 'This preview has expired or was already confirmed. Please submit your request again.'
+      });
+    }
     
-    // Process with Claude
-    const claudeResponse = await claudeAPI.sendMessage({
-      prompt: prompt,
-      maxTokens: 1500
+    logger.info('Confirming previewed actions', { 
+      requestId: req.id,
+      userId,
+      accountId,
+      actionCount: plan.actions.length
     });
     
-    // Extract the content from Claude's response
-    let result = '';
-    if (claudeResponse.content && claudeResponse.content.length > 0) {
-      result = claudeResponse.content[0].text;
-    } else {
-      result = "Could not process the document. Please try again with a clearer document.";
+    const token = await tokenProvider.getAccountToken(accountId);
+    
+    // Run the stored actions in order, stopping at the first failure
+    const steps = [];
+    for (const action of plan.actions) {
+      try {
+        steps.push({ action, ...(await executeMondayAction(req.id, action, token)) });
+      } catch (error) {
+        if (steps.length === 0) {
+          throw error;
+        }
+        steps.push({ action, error: error.message });
+        break;
+      }
     }
     
-    return res.json({
-      result,
-      action
+    const response = await completeRequest({
+      requestId: req.id,
+      userPrompt: plan.userPrompt,
+      userId,
+      accountId,
+      steps,
+      threadId: plan.threadId,
+      endpoint: '/api/process-request/confirm'
     });
     
+    return res.json(response);
+    
   } catch (error) {
-    const errorId = uuidv4();
+    return sendProcessingError(req, res, error);
+  }
+});
+
+// Validation rules shared by the JSON and streaming process-document routes
+const processDocumentValidators = [
+  body('document').isString().trim().isLength({ min: 1, max: 10000 })
+    .withMessage('Document is required and must be between 1 and 10000 characters'),
+  body('action').isString().trim().isIn(['summarize', 'analyze', 'extract_key_points', 'extract_action_items', 'simplify'])
+    .withMessage('Valid action is required')
+];
+
+/**
+ * Build the Claude prompt for a document action
+ * 
+ * @param {string} action - Document action
+ * @param {string} document - Document text
+ * @returns {string} - Prompt for Claude
+ */
+function buildDocumentPrompt(action, document) {
+  // Map actions to prompts
+  const actionPrompts = {
+    'summarize': `Please provide a concise summary of the following document:\n\n${document}`,
+    'analyze': `Please analyze the following document, including key themes, tone, and structure:\n\n${document}`,
+    'extract_key_points': `Please extract the key points from the following document:\n\n${document}`,
+    'extract_action_items': `Please identify all action items or tasks mentioned in the following document:\n\n${document}`,
+    'simplify': `Please rewrite the following document in simpler, more accessible language while preserving all key information:\n\n${document}`
+  };
+  
+  return actionPrompts[action];
+}
+
+/**
+ * Extract the document result text from Claude's response
+ * 
+ * @param {Object} claudeResponse - Claude's response
+ * @returns {string} - Result text
+ */
+function getDocumentResult(claudeResponse) {
+  if (claudeResponse.content && claudeResponse.content.length > 0) {
+    return claudeResponse.content[0].text;
+  }
+  
+  return "Could not process the document. Please try again with a clearer document.";
+}
+
+/**
+ * Check whether Claude's response to a document action has a result worth caching
+ * 
+ * @param {Object} claudeResponse - Claude's response
+ * @returns {boolean} - Whether the response has content
+ */
+function hasDocumentResult(claudeResponse) {
+  return Boolean(claudeResponse.content && claudeResponse.content.length > 0);
+}
+
+/**
+ * Log a document processing error and build the client error body
+ * 
+ * @param {Object} req - Express request object
+ * @param {Error} error - Error that occurred
+ * @returns {Object} - Error response body
+ */
+function describeDocumentError(req, error) {
+  if (requestCancellation.isCancellation(error)) {
+    logger.info('Document request cancelled before it finished', { requestId: req.id });
     
-    // Log detailed error information
-    logger.error('Error processing document', { 
-      errorId,
-      requestId: req.id,
-      error: {
-        message: error.message,
-        stack: error.stack
-      }
+    return { 
+      error: 'Request cancelled',
+      message: 'Processing the document was cancelled.',
+      cancelled: true
+    };
+  }
+  
+  const errorId = uuidv4();
+  
+  // Log detailed error information
+  logger.error('Error processing document', { 
+    errorId,
+    requestId: req.id,
+    error: {
+      message: error.message,
+      stack: error.stack
+    }
+  });
+  
+  // Documents always need Claude, so there is no degraded answer
+  if (error.code === 'CLAUDE_UNAVAILABLE') {
+    return { 
+      error: 'Claude unavailable',
+      message: 'The AI assistant is temporarily unavailable. Please try again in a few minutes.',
+      degraded: true,
+      errorId
+    };
+  }
+  
+  return { 
+    error: 'Processing error',
+    message: 'An unexpected error occurred while processing your document.',
+    errorId
+  };
+}
+
+/**
+ * Process a document with Claude
+ * 
+ * Repeats with the same Idempotency-Key header replay the first response. The
+ * request cannot be cancelled, as its request ID only reaches the client with
+ * the response; use the streaming route for that.
+ */
+app.post('/api/process-document', processDocumentValidators, requireIdempotency, requireQuota, async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Invalid request data', 
+        details: errors.array() 
+      });
+    }
+    
+    const { document, action } = req.body;
+    const route = await modelRouter.getModelForAccount(req.auth.accountId, 'document', { requestId: req.id });
+    const prompt = buildDocumentPrompt(action, document);
+    
+    // Process with Claude, unless the same document action was answered recently
+    const { value: claudeResponse, cached } = await responseCache.getOrCompute({
+      task: 'document',
+      accountId: req.auth.accountId,
+      prompt,
+      model: route.model
+    }, () => claudeAPI.sendMessage({
+      prompt,
+      model: route.model,
+      usageContext: { accountId: req.auth.accountId, userId: req.auth.userId, endpoint: '/api/process-document' },
+      maxTokens: 1500
+    }), { shouldCache: hasDocumentResult });
+    
+    return res.json({
+      result: getDocumentResult(claudeResponse),
+      action,
+      cached
     });
     
+  } catch (error) {
     // Return appropriate error response
-    return res.status(500).json({ 
-      error: 'Processing error',
-      message: 'An unexpected error occurred while processing your document.',
-      errorId
+    return res.status(error.code === 'CLAUDE_UNAVAILABLE' ? 503 : 500).json(describeDocumentError(req, error));
+  }
+});
+
+/**
+ * Process a document with Claude, streaming the result as server-sent events
+ * 
+ * Emits a `started` event with the request ID to cancel it with, a `progress`
+ * event, `token` events with result text, then a final `result` or `error` event.
+ * Repeats with the same Idempotency-Key header replay the first result as a
+ * one-event stream.
+ */
+app.post('/api/process-document/stream', processDocumentValidators, requireIdempotency, requireQuota, async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      error: 'Invalid request data', 
+      details: errors.array() 
+    });
+  }
+  
+  const { document, action } = req.body;
+  const send = openEventStream(res);
+  const signal = requestCancellation.registerRequest(req.id, req.auth);
+  send('started', { requestId: req.id });
+  
+  try {
+    send('progress', { stage: 'processing' });
+    
+    const route = await modelRouter.getModelForAccount(req.auth.accountId, 'document', { requestId: req.id });
+    const prompt = buildDocumentPrompt(action, document);
+    const { value: claudeResponse, cached } = await responseCache.getOrCompute({
+      task: 'document',
+      accountId: req.auth.accountId,
+      prompt,
+      model: route.model
+    }, () => claudeAPI.streamMessage({
+      prompt,
+      model: route.model,
+      usageContext: { accountId: req.auth.accountId, userId: req.auth.userId, endpoint: '/api/process-document/stream' },
+      signal,
+      maxTokens: 1500
+    }, (text) => send('token', { text })), { shouldCache: hasDocumentResult, signal });
+    
+    // A cached result arrives as a single token
+    if (cached) {
+      send('token', { text: getDocumentResult(claudeResponse) });
+    }
+    
+    const result = {
+      result: getDocumentResult(claudeResponse),
+      action,
+      cached
+    };
+    recordStreamResult(res, result);
+    send('result', result);
+  } catch (error) {
+    markQuotaFailed(res);
+    send('error', describeDocumentError(req, signal.aborted ? requestCancellation.createCancellationError() : error));
+  } finally {
+    requestCancellation.unregisterRequest(req.id);
+  }
+  
+  res.end();
+});
+
+/**
+ * Cancel a running streamed request or job of the caller
+ * 
+ * The request stops before its next Claude call or monday.com change and ends
+ * its stream, or its job, with what already ran. Jobs are cancelled by their
+ * job ID. Requests to the JSON routes cannot be cancelled, as their request ID
+ * only reaches the client with the response. Only the user who started a
+ * request can cancel it.
+ */
+app.post('/api/requests/:requestId/cancel', (req, res) => {
+  const { requestId } = req.params;
+  
+  if (!requestCancellation.cancelRequest(requestId, req.auth)) {
+    return res.status(404).json({ 
+      error: 'Request not found',
+      message: 'The request has already finished or is not running.'
     });
   }
+  
+  return res.status(202).json({ requestId, cancelling: true });
 });
 
 /**
@@ -449,19 +1594,96 @@ app.get('/api/workflow-templates/:templateName', (req, res) => {
   }
 });
 
+// Undo requests for one conversation are claimed one at a time so its changes are reverted once
+const runUndoExclusive = createKeyedQueue();
+
 /**
- * Get conversation history for a user
+ * Undo the monday.com changes made by a saved conversation
+ * 
+ * The conversation is marked undone before its inverse operations run, and
+ * repeats for the same conversation wait for that mark, so a double click
+ * reverts the changes once.
  */
-app.get('/api/conversation-history/:userId', async (req, res) => {
+app.post('/api/conversations/:conversationId/undo', async (req, res) => {
   try {
-    const { userId } = req.params;
+    const { conversationId } = req.params;
+    const { userId, accountId } = req.auth;
+    
+    const token = await tokenProvider.getAccountToken(accountId);
+    
+    const claim = await runUndoExclusive(`${userId}:${conversationId}`, async () => {
+      const history = await claudeAPI.getConversationHistory(userId);
+      const conversation = history.find(entry => entry.id === conversationId);
+      
+      if (!conversation) {
+        return { status: 404, body: { error: 'Conversation not found' } };
+      }
+      
+      if (conversation.undoneAt) {
+        return {
+          status: 409,
+          body: { 
+            error: 'Already undone',
+            message: 'The changes from this request have already been undone.'
+          }
+        };
+      }
+      
+      if (!conversation.undo || conversation.undo.length === 0) {
+        return {
+          status: 400,
+          body: { 
+            error: 'Nothing to undo',
+            message: 'This request did not make any changes that can be undone.'
+          }
+        };
+      }
+      
+      await claudeAPI.updateConversationHistoryEntry(userId, conversationId, {
+        undoneAt: new Date().toISOString()
+      });
+      
+      return { conversation };
+    });
     
-    // Validate session token
-    const sessionToken = req.headers['x-monday-session-token'];
-    if (!sessionToken) {
-      return res.status(401).json({ error: 'Missing session token' });
+    if (!claim.conversation) {
+      return res.status(claim.status).json(claim.body);
     }
     
+    const { undo } = claim.conversation;
+    
+    logger.info('Undoing conversation changes', { 
+      requestId: req.id,
+      userId,
+      conversationId,
+      operationCount: undo.length
+    });
+    
+    const results = await undoUtils.executeInverseActions(undo, token);
+    const failed = results.filter(result => result.error);
+    
+    await claudeAPI.updateConversationHistoryEntry(userId, conversationId, {
+      undoResults: results
+    });
+    
+    return res.json({
+      requestId: req.id,
+      conversationId,
+      success: failed.length === 0,
+      results
+    });
+  } catch (error) {
+    return sendProcessingError(req, res, error);
+  }
+});
+
+/**
+ * Get conversation history for a user
+ */
+app.get('/api/conversation-history/:userId', requireMatchingParams, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
     // Get conversation history
     const history = await claudeAPI.getConversationHistory(userId);
     
@@ -481,16 +1703,10 @@ app.get('/api/conversation-history/:userId', async (req, res) => {
 /**
  * Clear conversation history for a user
  */
-app.delete('/api/conversation-history/:userId', async (req, res) => {
+app.delete('/api/conversation-history/:userId', requireMatchingParams, async (req, res) => {
   try {
     const { userId } = req.params;
     
-    // Validate session token
-    const sessionToken = req.headers['x-monday-session-token'];
-    if (!sessionToken) {
-      return res.status(401).json({ error: 'Missing session token' });
-    }
-    
     // Clear history (set empty array)
     const historyKey = `conversation_history_${userId}`;
     await storage.set(historyKey, []);
@@ -515,11 +1731,21 @@ app.use(express.static('client/build', {
   lastModified: true // Enable Last-Modified header
 }));
 
-// Start the server
+// Start the server when run directly; tests use the exported app
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  logger.info(`Server running on port ${PORT} in ${REGION} region`);
-});
+if (require.main === module) {
+  app.listen(PORT, () => {
+    logger.info(`Server running on port ${PORT} in ${REGION} region`);
+    
+    // Continue jobs that were queued or running before the last restart
+    jobQueue.resumePendingJobs().catch((error) => {
+      logger.error('Error resuming pending jobs', { error: error.message });
+    });
+    
+    // Run scheduled requests as they come due
+    scheduler.start();
+  });
+}
 
 // Export for testing
 module.exports = {
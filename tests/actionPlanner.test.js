@@ -0,0 +1,132 @@
+// Shared storage mock so the module-level Storage instance can be inspected
+const mockStorage = {
+  get: jest.fn(),
+  set: jest.fn(),
+  delete: jest.fn()
+};
+
+// Mock the external dependencies
+jest.mock('@mondaycom/apps-sdk', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })),
+  Storage: jest.fn().mockImplementation(() => mockStorage),
+  Environment: jest.fn().mockImplementation(() => ({
+    get: jest.fn()
+  }))
+}));
+
+// Import the module to test
+const actionPlanner = require('../monday-claude-utils/actionPlanner');
+
+describe('Action Planner', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockStorage.get.mockReset();
+    mockStorage.delete.mockReset();
+  });
+
+  describe('summarizeAction', () => {
+    test('should describe a mutation and its variables', () => {
+      const summary = actionPlanner.summarizeAction({
+        operationType: 'mutation',
+        graphqlString: 'mutation ($id: ID!) { delete_item(item_id: $id) { id } }',
+        variables: { id: '123' }
+      });
+
+      expect(summary).toContain('will change your account');
+      expect(summary).toContain('Delete an item');
+      expect(summary).toContain('id = "123"');
+    });
+  });
+
+  describe('createPlan and consumePlan', () => {
+    // User who previewed the stored plans
+    const owner = { userId: 'user123', accountId: 'account456' };
+
+    test('should store a plan with required scopes', async () => {
+      const plan = await actionPlanner.createPlan({
+        userId: 'user123',
+        accountId: 'account456',
+        userPrompt: 'Create an item called Launch',
+        actions: [
+          {
+            operationType: 'mutation',
+            graphqlString: 'mutation { create_item(board_id: 1, item_name: "Launch") { id } }',
+            variables: {}
+          }
+        ]
+      });
+
+      expect(plan.confirmationToken).toMatch(/^[0-9a-f]{32}$/);
+      expect(plan.requiredScopes).toEqual(['items:create']);
+      expect(plan.destructiveFields).toEqual([]);
+      expect(mockStorage.set).toHaveBeenCalledWith(
+        `action_plan_${plan.confirmationToken}`,
+        expect.objectContaining({
+          userId: 'user123',
+          accountId: 'account456',
+          expiresAt: plan.expiresAt
+        })
+      );
+    });
+
+    test('should only allow a plan to be consumed once', async () => {
+      mockStorage.get.mockResolvedValueOnce({
+        userId: 'user123',
+        accountId: 'account456',
+        expiresAt: new Date(Date.now() + 60000).toISOString()
+      });
+
+      const plan = await actionPlanner.consumePlan('token123', owner);
+
+      expect(plan).toMatchObject({ userId: 'user123' });
+      expect(mockStorage.delete).toHaveBeenCalledWith('action_plan_token123');
+    });
+
+    test('should give a plan to only one of two concurrent confirmations', async () => {
+      const store = {
+        action_plan_token123: { userId: 'user123', accountId: 'account456', expiresAt: new Date(Date.now() + 60000).toISOString() }
+      };
+      mockStorage.get.mockImplementation(async key => store[key]);
+      mockStorage.delete.mockImplementation(async (key) => {
+        delete store[key];
+      });
+
+      // Call the function
+      const plans = await Promise.all([
+        actionPlanner.consumePlan('token123', owner),
+        actionPlanner.consumePlan('token123', owner)
+      ]);
+
+      expect(plans.filter(Boolean)).toHaveLength(1);
+      expect(mockStorage.delete).toHaveBeenCalledTimes(1);
+    });
+
+    test('should leave a plan in place when another user tries to confirm it', async () => {
+      mockStorage.get.mockResolvedValueOnce({
+        userId: 'user123',
+        accountId: 'account456',
+        expiresAt: new Date(Date.now() + 60000).toISOString()
+      });
+
+      await expect(actionPlanner.consumePlan('token123', { userId: 'intruder', accountId: 'account456' }))
+        .rejects.toMatchObject({ code: 'PLAN_NOT_OWNED' });
+      expect(mockStorage.delete).not.toHaveBeenCalled();
+    });
+
+    test('should return null for an expired plan', async () => {
+      mockStorage.get.mockResolvedValueOnce({
+        userId: 'user123',
+        accountId: 'account456',
+        expiresAt: new Date(Date.now() - 1000).toISOString()
+      });
+
+      const plan = await actionPlanner.consumePlan('token123', owner);
+
+      expect(plan).toBeNull();
+    });
+  });
+});
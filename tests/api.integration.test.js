@@ -50,6 +50,17 @@ jest.mock('../monday-claude-utils/mondayAPI', () => ({
   executeGraphQL: jest.fn()
 }));
 
+// Mock board schema fetching
+jest.mock('../monday-claude-utils/boardSchema', () => ({
+  fetchBoardSchema: jest.fn().mockResolvedValue(null),
+  formatBoardSchemaForPrompt: jest.fn()
+}));
+
+// Mock the account token lookup
+jest.mock('../monday-claude-utils/tokenProvider', () => ({
+  getAccountToken: jest.fn().mockResolvedValue('account-token')
+}));
+
 // Mock monetizationHandler
 jest.mock('../monday-claude-utils/monetizationHandler', () => ({
   verifySessionToken: jest.fn(),
@@ -68,6 +79,9 @@ jest.mock('../monday-claude-utils/monetizationHandler', () => ({
   },
   isWithinRequestLimit: jest.fn(),
   incrementUsage: jest.fn(),
+  reserveUsage: jest.fn().mockResolvedValue({ reserved: true, reservationId: 'reservation-1' }),
+  commitUsage: jest.fn(),
+  releaseUsage: jest.fn(),
   hasFeature: jest.fn()
 }));
 
@@ -116,18 +130,19 @@ describe('API Integration Tests', () => {
     test('should process a valid request successfully', async () => {
       // Mock Claude API response
       const claudeAPI = require('../monday-claude-utils/enhanced-claudeAPI');
-      claudeAPI.processMondayRequest.mockResolvedValueOnce({
-        content: [{ type: 'text', text: 'Response content' }],
-        tool_calls: [
-          {
-            name: 'monday_action',
-            input: {
-              operation_type: 'query',
-              graphql_string: '{ boards { id name } }',
-              variables: {}
-            }
-          }
-        ]
+      claudeAPI.processMondayRequest.mockImplementationOnce(async (prompt, { executeAction }) => {
+        const action = {
+          operationType: 'query',
+          graphqlString: '{ boards { id name } }',
+          variables: {}
+        };
+        const { result } = await executeAction(action);
+        
+        return {
+          content: [{ type: 'text', text: 'Response content' }],
+          steps: [{ toolUseId: 'toolu_1', action, result }],
+          stopReason: 'completed'
+        };
       });
       
       // Mock Monday API response
@@ -165,13 +180,21 @@ describe('API Integration Tests', () => {
         explanation: 'Fetched your boards successfully.'
       });
       
+      // Verify the board schema was fetched for grounding
+      const boardSchema = require('../monday-claude-utils/boardSchema');
+      expect(boardSchema.fetchBoardSchema).toHaveBeenCalledWith('board789', {}, 'account-token');
+      
       // Verify Claude API was called
-      expect(claudeAPI.processMondayRequest).toHaveBeenCalledWith('Show me my boards');
+      expect(claudeAPI.processMondayRequest).toHaveBeenCalledWith(
+        'Show me my boards',
+        expect.objectContaining({ executeAction: expect.any(Function) })
+      );
       
       // Verify Monday API was called
       expect(mondayAPI.executeGraphQL).toHaveBeenCalledWith(
         '{ boards { id name } }',
-        {}
+        {},
+        'account-token'
       );
       
       // Verify conversation was saved
@@ -200,7 +223,8 @@ describe('API Integration Tests', () => {
       const claudeAPI = require('../monday-claude-utils/enhanced-claudeAPI');
       claudeAPI.processMondayRequest.mockResolvedValueOnce({
         content: [{ type: 'text', text: 'I cannot process this request' }],
-        tool_calls: [] // No tool calls
+        steps: [], // No tool calls
+        stopReason: 'completed'
       });
       
       // Send request
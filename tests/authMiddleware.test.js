@@ -0,0 +1,141 @@
+// Mock the external dependencies
+jest.mock('@mondaycom/apps-sdk', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }))
+}));
+
+jest.mock('../monday-claude-utils/monetizationHandler', () => ({
+  verifySessionToken: jest.fn()
+}));
+
+const monetizationHandler = require('../monday-claude-utils/monetizationHandler');
+
+// Import the module to test
+const { authenticate, requireMatchingParams, getIdentityFromPayload } = require('../auth-middleware');
+
+/**
+ * Create a minimal Express response double
+ */
+const createResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+describe('Auth Middleware', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getIdentityFromPayload', () => {
+    test('should read the identity from monday.com session token data', () => {
+      const identity = getIdentityFromPayload({ dat: { user_id: 123, account_id: 456 } });
+
+      expect(identity).toEqual({ userId: '123', accountId: '456', isAdmin: false });
+    });
+
+    test('should fall back to top-level fields', () => {
+      const identity = getIdentityFromPayload({ userId: 'user123', accountId: 'account123' });
+
+      expect(identity).toEqual({ userId: 'user123', accountId: 'account123', isAdmin: false });
+    });
+
+    test('should read whether the user is an account admin', () => {
+      const identity = getIdentityFromPayload({ dat: { user_id: 123, account_id: 456, is_admin: true } });
+
+      expect(identity.isAdmin).toBe(true);
+    });
+  });
+
+  describe('authenticate', () => {
+    test('should reject requests without a session token', () => {
+      const req = { headers: {}, body: {} };
+      const res = createResponse();
+      const next = jest.fn();
+
+      // Call the middleware
+      authenticate(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should reject tokens that fail verification', () => {
+      monetizationHandler.verifySessionToken.mockReturnValueOnce(null);
+
+      const req = { headers: { 'x-monday-session-token': 'bad-token' }, body: {} };
+      const res = createResponse();
+      const next = jest.fn();
+
+      // Call the middleware
+      authenticate(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Invalid session token' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should set req.auth for a valid token with matching body IDs', () => {
+      monetizationHandler.verifySessionToken.mockReturnValueOnce({ dat: { user_id: 1, account_id: 2 } });
+
+      const req = {
+        headers: { 'x-monday-session-token': 'valid-token' },
+        body: { userId: '1', accountId: 2 }
+      };
+      const res = createResponse();
+      const next = jest.fn();
+
+      // Call the middleware
+      authenticate(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.auth).toEqual({ userId: '1', accountId: '2', isAdmin: false });
+    });
+
+    test('should reject a body naming another account', () => {
+      monetizationHandler.verifySessionToken.mockReturnValueOnce({ dat: { user_id: 1, account_id: 2 } });
+
+      const req = {
+        headers: { 'x-monday-session-token': 'valid-token' },
+        body: { userId: '1', accountId: '999' }
+      };
+      const res = createResponse();
+      const next = jest.fn();
+
+      // Call the middleware
+      authenticate(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requireMatchingParams', () => {
+    test('should reject a path naming another user', () => {
+      const req = { auth: { userId: '1', accountId: '2' }, params: { userId: '3' } };
+      const res = createResponse();
+      const next = jest.fn();
+
+      // Call the middleware
+      requireMatchingParams(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should allow a path naming the signed-in user', () => {
+      const req = { auth: { userId: '1', accountId: '2' }, params: { userId: '1' } };
+      const res = createResponse();
+      const next = jest.fn();
+
+      // Call the middleware
+      requireMatchingParams(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+  });
+});
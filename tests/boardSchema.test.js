@@ -0,0 +1,101 @@
+// Mock the external dependencies
+jest.mock('@mondaycom/apps-sdk', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }))
+}));
+
+// Mock mondayAPI
+jest.mock('../monday-claude-utils/mondayAPI', () => ({
+  executeGraphQL: jest.fn()
+}));
+
+const mondayAPI = require('../monday-claude-utils/mondayAPI');
+
+// Import the module to test
+const boardSchema = require('../monday-claude-utils/boardSchema');
+
+describe('Board Schema Utilities', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('fetchBoardSchema', () => {
+    test('should normalize columns, labels, groups and sample items', async () => {
+      mondayAPI.executeGraphQL.mockResolvedValueOnce({
+        data: {
+          boards: [{
+            id: '123',
+            name: 'Marketing',
+            columns: [
+              { id: 'name', title: 'Name', type: 'name', settings_str: '{}' },
+              { id: 'status', title: 'Status', type: 'status', settings_str: '{"labels":{"0":"Working on it","1":"Done","2":"Stuck"}}' },
+              { id: 'dropdown', title: 'Channel', type: 'dropdown', settings_str: '{"labels":[{"id":1,"name":"Email"},{"id":2,"name":"Social"}]}' }
+            ],
+            groups: [{ id: 'topics', title: 'This week' }],
+            items_page: {
+              items: [{
+                id: '456',
+                name: 'Launch campaign',
+                group: { id: 'topics' },
+                column_values: [
+                  { id: 'status', text: 'Stuck' },
+                  { id: 'dropdown', text: '' }
+                ]
+              }]
+            }
+          }]
+        }
+      });
+
+      // Call the function
+      const schema = await boardSchema.fetchBoardSchema('123');
+
+      // Verify the query was scoped to the board
+      expect(mondayAPI.executeGraphQL).toHaveBeenCalledWith(
+        expect.stringContaining('GetBoardSchema'),
+        { boardId: ['123'], limit: 10 },
+        null,
+        {}
+      );
+
+      // Verify the normalized schema
+      expect(schema.columns[1].labels).toEqual(['Working on it', 'Done', 'Stuck']);
+      expect(schema.columns[2].labels).toEqual(['Email', 'Social']);
+      expect(schema.groups).toEqual([{ id: 'topics', title: 'This week' }]);
+      expect(schema.sampleItems[0]).toEqual({
+        id: '456',
+        name: 'Launch campaign',
+        groupId: 'topics',
+        values: { status: 'Stuck' }
+      });
+    });
+
+    test('should return null when the board does not exist', async () => {
+      mondayAPI.executeGraphQL.mockResolvedValueOnce({ data: { boards: [] } });
+
+      const schema = await boardSchema.fetchBoardSchema('999');
+
+      expect(schema).toBeNull();
+    });
+  });
+
+  describe('formatBoardSchemaForPrompt', () => {
+    test('should list column IDs, labels and groups', () => {
+      const prompt = boardSchema.formatBoardSchemaForPrompt({
+        id: '123',
+        name: 'Marketing',
+        columns: [{ id: 'status', title: 'Status', type: 'status', labels: ['Done', 'Stuck'] }],
+        groups: [{ id: 'topics', title: 'This week' }],
+        sampleItems: [{ id: '456', name: 'Launch campaign', groupId: 'topics', values: { status: 'Stuck' } }]
+      });
+
+      expect(prompt).toContain('"Marketing" (ID: 123)');
+      expect(prompt).toContain('- status | status | Status | labels: "Done", "Stuck"');
+      expect(prompt).toContain('- topics | This week');
+      expect(prompt).toContain('- 456 | Launch campaign | group topics | status=Stuck');
+    });
+  });
+});
@@ -0,0 +1,240 @@
+// Mock the external dependencies
+jest.mock('@mondaycom/apps-sdk', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }))
+}));
+
+jest.mock('../monday-claude-utils/mondayAPI', () => ({
+  executeGraphQL: jest.fn()
+}));
+
+const mondayAPI = require('../monday-claude-utils/mondayAPI');
+
+// Import the module to test
+const bulkOperations = require('../monday-claude-utils/bulkOperations');
+
+describe('Bulk Operations', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('buildBatchMutation', () => {
+    test('should alias one mutation per item and report complexity', () => {
+      const { query, itemVariables } = bulkOperations.buildBatchMutation([{ id: '1' }, { id: '2' }]);
+
+      expect(query).toContain('item_0: change_multiple_column_values(board_id: $boardId, item_id: $item_0');
+      expect(query).toContain('item_1: change_multiple_column_values(board_id: $boardId, item_id: $item_1');
+      expect(query).toContain('complexity { query after reset_in_x_seconds }');
+      expect(itemVariables).toEqual({ item_0: '1', item_1: '2' });
+    });
+  });
+
+  describe('fetchMatchingItems', () => {
+    test('should follow items_page cursors until the last page', async () => {
+      mondayAPI.executeGraphQL
+        .mockResolvedValueOnce({
+          data: {
+            boards: [{
+              items_page: {
+                cursor: 'cursor-1',
+                items: [{ id: '1', name: 'First', column_values: [{ id: 'priority', value: '{"index":1}' }] }]
+              }
+            }]
+          }
+        })
+        .mockResolvedValueOnce({
+          data: {
+            next_items_page: {
+              cursor: null,
+              items: [{ id: '2', name: 'Second', column_values: [] }]
+            }
+          }
+        });
+
+      // Call the function
+      const { items, truncated } = await bulkOperations.fetchMatchingItems({
+        boardId: '123',
+        rules: [{ column_id: 'date', compare_value: ['THIS_WEEK'], operator: 'any_of' }],
+        columnIds: ['priority']
+      }, 'token');
+
+      expect(items.map(item => item.id)).toEqual(['1', '2']);
+      expect(items[0].columnValues).toEqual({ priority: '{"index":1}' });
+      expect(truncated).toBe(false);
+
+      // Verify the filter was sent on the first page and the cursor on the next
+      expect(mondayAPI.executeGraphQL.mock.calls[0][1]).toMatchObject({
+        boardId: ['123'],
+        queryParams: { rules: [{ column_id: 'date', compare_value: ['THIS_WEEK'], operator: 'any_of' }], operator: 'and' }
+      });
+      expect(mondayAPI.executeGraphQL.mock.calls[1][1]).toMatchObject({ cursor: 'cursor-1' });
+    });
+  });
+
+  describe('runBulkUpdate', () => {
+    test('should update items in batches and build undo operations', async () => {
+      mondayAPI.executeGraphQL
+        .mockResolvedValueOnce({
+          data: {
+            boards: [{
+              items_page: {
+                cursor: null,
+                items: [
+                  { id: '1', name: 'First', column_values: [{ id: 'priority', value: '{"label":"Low"}' }] },
+                  { id: '2', name: 'Second', column_values: [{ id: 'priority', value: null }] }
+                ]
+              }
+            }]
+          }
+        })
+        .mockResolvedValueOnce({
+          data: { item_0: { id: '1' }, item_1: { id: '2' }, complexity: { query: 100, after: 100000, reset_in_x_seconds: 30 } }
+        });
+
+      const onProgress = jest.fn();
+
+      // Call the function
+      const result = await bulkOperations.runBulkUpdate({
+        boardId: '123',
+        rules: [],
+        columnValues: { priority: { label: 'High' } }
+      }, 'token', { onProgress });
+
+      expect(result).toMatchObject({ total: 2, updated: 2, failed: [], truncated: false });
+      expect(onProgress).toHaveBeenCalledWith({ processed: 2, total: 2, failed: 0 });
+
+      // Verify the batch mutation shared one column value payload
+      expect(mondayAPI.executeGraphQL.mock.calls[1][1]).toMatchObject({
+        boardId: '123',
+        columnValues: JSON.stringify({ priority: { label: 'High' } }),
+        item_0: '1',
+        item_1: '2'
+      });
+
+      // Verify undo restores the previous values
+      expect(result.undo).toHaveLength(2);
+      expect(JSON.parse(result.undo[1].variables.columnValues)).toEqual({ priority: { label: 'Low' } });
+      expect(JSON.parse(result.undo[0].variables.columnValues)).toEqual({ priority: '' });
+    });
+
+    test('should retry a failed batch item by item and report failures', async () => {
+      mondayAPI.executeGraphQL
+        .mockResolvedValueOnce({
+          data: {
+            boards: [{
+              items_page: {
+                cursor: null,
+                items: [
+                  { id: '1', name: 'First', column_values: [] },
+                  { id: '2', name: 'Second', column_values: [] }
+                ]
+              }
+            }]
+          }
+        })
+        .mockRejectedValueOnce(new Error('Item 2 is locked'))
+        .mockResolvedValueOnce({ data: { change_multiple_column_values: { id: '1' } } })
+        .mockRejectedValueOnce(new Error('Item 2 is locked'));
+
+      // Call the function
+      const result = await bulkOperations.runBulkUpdate({
+        boardId: '123',
+        columnValues: { priority: { label: 'High' } }
+      }, 'token');
+
+      expect(result.updated).toBe(1);
+      expect(result.failed).toEqual([{ itemId: '2', name: 'Second', error: 'Item 2 is locked' }]);
+    });
+
+    test('should wait for the complexity budget before retrying items one by one', async () => {
+      jest.useFakeTimers();
+      try {
+        mondayAPI.executeGraphQL
+          .mockResolvedValueOnce({
+            data: { boards: [{ items_page: { cursor: null, items: [{ id: '1', name: 'First', column_values: [] }] } }] }
+          })
+          .mockRejectedValueOnce(Object.assign(
+            new Error('Complexity budget exhausted, query cost 30001 budget remaining 10 out of 1000000 reset in 20 seconds'),
+            { extensions: { code: 'ComplexityException' } }
+          ))
+          .mockResolvedValueOnce({ data: { change_multiple_column_values: { id: '1' } } });
+
+        // Call the function
+        const pending = bulkOperations.runBulkUpdate({
+          boardId: '123',
+          columnValues: { priority: { label: 'High' } }
+        }, 'token');
+
+        await jest.advanceTimersByTimeAsync(19000);
+        expect(mondayAPI.executeGraphQL).toHaveBeenCalledTimes(2);
+
+        await jest.advanceTimersByTimeAsync(1000);
+        const result = await pending;
+
+        expect(mondayAPI.executeGraphQL).toHaveBeenCalledTimes(3);
+        expect(result).toMatchObject({ updated: 1, failed: [] });
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test('should skip the remaining batches once the request is cancelled', async () => {
+      const items = Array.from({ length: 30 }, (_, index) => ({ id: String(index + 1), name: `Item ${index + 1}`, column_values: [] }));
+      mondayAPI.executeGraphQL
+        .mockResolvedValueOnce({ data: { boards: [{ items_page: { cursor: null, items } }] } })
+        .mockResolvedValueOnce({ data: {} });
+
+      const controller = new AbortController();
+
+      // Call the function, cancelling once the first batch is done
+      const result = await bulkOperations.runBulkUpdate({
+        boardId: '123',
+        columnValues: { priority: { label: 'High' } }
+      }, 'token', { signal: controller.signal, onProgress: () => controller.abort() });
+
+      expect(result).toMatchObject({ total: 30, updated: 25, cancelled: true });
+      expect(result.undo).toHaveLength(25);
+      expect(mondayAPI.executeGraphQL).toHaveBeenCalledTimes(2);
+    });
+
+    test('should stop retrying items one by one once the request is cancelled', async () => {
+      const controller = new AbortController();
+      mondayAPI.executeGraphQL
+        .mockResolvedValueOnce({
+          data: {
+            boards: [{
+              items_page: {
+                cursor: null,
+                items: [
+                  { id: '1', name: 'First', column_values: [] },
+                  { id: '2', name: 'Second', column_values: [] }
+                ]
+              }
+            }]
+          }
+        })
+        .mockRejectedValueOnce(new Error('Item 2 is locked'))
+        .mockImplementationOnce(async () => {
+          controller.abort();
+          return { data: { change_multiple_column_values: { id: '1' } } };
+        });
+
+      // Call the function, cancelling while the first item is retried
+      const result = await bulkOperations.runBulkUpdate({
+        boardId: '123',
+        columnValues: { priority: { label: 'High' } }
+      }, 'token', { signal: controller.signal });
+
+      expect(result).toMatchObject({ updated: 1, failed: [], cancelled: true });
+      expect(mondayAPI.executeGraphQL).toHaveBeenCalledTimes(3);
+    });
+
+    test('should require column values', async () => {
+      await expect(bulkOperations.runBulkUpdate({ boardId: '123', columnValues: {} }, 'token'))
+        .rejects.toThrow('at least one column value');
+    });
+  });
+});
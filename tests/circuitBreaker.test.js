@@ -0,0 +1,129 @@
+// Mock the external dependencies
+jest.mock('@mondaycom/apps-sdk', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }))
+}));
+
+// Import the module to test
+const { CircuitBreaker } = require('../monday-claude-utils/circuitBreaker');
+
+const serverError = Object.assign(new Error('Overloaded'), { response: { status: 529 } });
+const clientError = Object.assign(new Error('Bad request'), { response: { status: 400 } });
+const cancelledError = Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' });
+
+/**
+ * Create a breaker that counts 5xx responses as failures
+ *
+ * @returns {CircuitBreaker} - Breaker opening after two failures
+ */
+function createBreaker() {
+  return new CircuitBreaker('claude', {
+    failureThreshold: 2,
+    resetTimeoutMs: 1000,
+    errorCode: 'CLAUDE_UNAVAILABLE',
+    isIgnored: error => error.code === 'ERR_CANCELED',
+    isFailure: error => error.response?.status >= 500
+  });
+}
+
+describe('Circuit Breaker', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should open after repeated failures and fail fast while open', async () => {
+    const breaker = createBreaker();
+    const call = jest.fn().mockRejectedValue(serverError);
+
+    await expect(breaker.call(call)).rejects.toThrow('Overloaded');
+    await expect(breaker.call(call)).rejects.toThrow('Overloaded');
+
+    // Call the function while open
+    await expect(breaker.call(call)).rejects.toMatchObject({ code: 'CLAUDE_UNAVAILABLE', retryAfterMs: 1000 });
+
+    expect(call).toHaveBeenCalledTimes(2);
+    expect(breaker.getStatus()).toMatchObject({ state: 'open', failures: 2, lastFailure: { status: 529 } });
+  });
+
+  test('should not count errors that mean the dependency answered', async () => {
+    const breaker = createBreaker();
+
+    await expect(breaker.call(() => Promise.reject(serverError))).rejects.toThrow();
+    await expect(breaker.call(() => Promise.reject(clientError))).rejects.toThrow('Bad request');
+    await expect(breaker.call(() => Promise.reject(serverError))).rejects.toThrow();
+
+    expect(breaker.getStatus().state).toBe('closed');
+  });
+
+  test('should let one probe through after the cool-down and close when it succeeds', async () => {
+    const breaker = createBreaker();
+    await expect(breaker.call(() => Promise.reject(serverError))).rejects.toThrow();
+    await expect(breaker.call(() => Promise.reject(serverError))).rejects.toThrow();
+
+    now += 1000;
+    expect(breaker.isAvailable()).toBe(true);
+
+    let finishProbe;
+    const probe = breaker.call(() => new Promise((resolve) => {
+      finishProbe = resolve;
+    }));
+
+    // Other calls fail fast while the probe is running
+    expect(breaker.getStatus().state).toBe('half_open');
+    await expect(breaker.call(() => Promise.resolve('other'))).rejects.toMatchObject({ code: 'CLAUDE_UNAVAILABLE' });
+
+    finishProbe('ok');
+    await expect(probe).resolves.toBe('ok');
+    expect(breaker.getStatus()).toMatchObject({ state: 'closed', failures: 0, openedAt: null });
+  });
+
+  test('should open again when the probe fails', async () => {
+    const breaker = createBreaker();
+    await expect(breaker.call(() => Promise.reject(serverError))).rejects.toThrow();
+    await expect(breaker.call(() => Promise.reject(serverError))).rejects.toThrow();
+
+    now += 1000;
+    await expect(breaker.call(() => Promise.reject(serverError))).rejects.toThrow('Overloaded');
+
+    expect(breaker.getStatus()).toMatchObject({
+      state: 'open',
+      openedAt: new Date(now).toISOString(),
+      retryAt: new Date(now + 1000).toISOString()
+    });
+  });
+
+  test('should count a cancelled call as neither a success nor a failure', async () => {
+    const breaker = createBreaker();
+    await expect(breaker.call(() => Promise.reject(serverError))).rejects.toThrow();
+
+    // Call the function with a call the caller cancelled
+    await expect(breaker.call(() => Promise.reject(cancelledError))).rejects.toThrow('canceled');
+
+    expect(breaker.getStatus()).toMatchObject({ state: 'closed', failures: 1 });
+  });
+
+  test('should free the probe slot without closing when the probe is cancelled', async () => {
+    const breaker = createBreaker();
+    await expect(breaker.call(() => Promise.reject(serverError))).rejects.toThrow();
+    await expect(breaker.call(() => Promise.reject(serverError))).rejects.toThrow();
+
+    now += 1000;
+    await expect(breaker.call(() => Promise.reject(cancelledError))).rejects.toThrow('canceled');
+
+    // The breaker is still half-open and lets the next probe through
+    expect(breaker.getStatus()).toMatchObject({ state: 'half_open', failures: 2 });
+    expect(breaker.isAvailable()).toBe(true);
+    await expect(breaker.call(() => Promise.resolve('ok'))).resolves.toBe('ok');
+    expect(breaker.getStatus().state).toBe('closed');
+  });
+});
@@ -0,0 +1,111 @@
+// Mock the external dependencies
+jest.mock('@mondaycom/apps-sdk', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }))
+}));
+
+// Import the module to test
+const clarification = require('../monday-claude-utils/clarification');
+
+const boardSchema = {
+  id: '123',
+  name: 'Projects',
+  columns: [{ id: 'status', title: 'Status', type: 'status' }],
+  groups: [{ id: 'topics', title: 'This week' }],
+  sampleItems: [{ id: '1', name: 'Marketing Plan' }]
+};
+
+describe('Clarification', () => {
+  describe('buildClarification', () => {
+    test('should mark options that refer to real board entities as grounded', () => {
+      // Call the function
+      const result = clarification.buildClarification({
+        question: 'Which marketing item do you mean?',
+        options: [
+          { label: 'Marketing Plan', value: 'Move Marketing Plan (ID 1) to Done', entity_type: 'item', entity_id: '1' },
+          { label: 'Something else' }
+        ]
+      }, { boardSchema });
+
+      expect(result).toEqual({
+        question: 'Which marketing item do you mean?',
+        options: [
+          {
+            label: 'Marketing Plan',
+            value: 'Move Marketing Plan (ID 1) to Done',
+            entityType: 'item',
+            entityId: '1',
+            grounded: true
+          },
+          {
+            label: 'Something else',
+            value: 'Something else',
+            entityType: null,
+            entityId: null,
+            grounded: false
+          }
+        ]
+      });
+    });
+
+    test('should accept entities found in earlier step results', () => {
+      const steps = [{
+        result: {
+          data: {
+            boards: [{
+              id: '123',
+              items_page: { items: [{ id: '456', name: 'Marketing Budget' }] }
+            }]
+          }
+        }
+      }];
+
+      // Call the function
+      const result = clarification.buildClarification({
+        question: 'Which item?',
+        options: [{ label: 'Marketing Budget', entity_type: 'item', entity_id: 456 }]
+      }, { boardSchema, steps });
+
+      expect(result.options[0]).toMatchObject({ entityId: '456', grounded: true });
+    });
+
+    test('should drop options that refer to unknown entities', () => {
+      // Call the function
+      const result = clarification.buildClarification({
+        question: 'Which group?',
+        options: [
+          { label: 'This week', entity_type: 'group', entity_id: 'topics' },
+          { label: 'Made up', entity_type: 'group', entity_id: 'missing' }
+        ]
+      }, { boardSchema });
+
+      expect(result.options.map(option => option.label)).toEqual(['This week']);
+    });
+
+    test('should limit the number of options', () => {
+      const options = Array.from({ length: 10 }, (value, index) => ({ label: `Option ${index}` }));
+
+      // Call the function
+      const result = clarification.buildClarification({ question: 'Which one?', options });
+
+      expect(result.options).toHaveLength(clarification.MAX_CLARIFICATION_OPTIONS);
+    });
+  });
+
+  describe('formatClarificationText', () => {
+    test('should list the options after the question', () => {
+      const text = clarification.formatClarificationText({
+        question: 'Which item?',
+        options: [
+          { label: 'Marketing Plan', entityType: 'item', entityId: '1', grounded: true },
+          { label: 'Something else', grounded: false }
+        ]
+      });
+
+      expect(text).toBe('Which item?\n1. Marketing Plan (item 1)\n2. Something else');
+    });
+  });
+});
@@ -1,4 +1,5 @@
 const axios = require('axios');
+const { Readable } = require('stream');
 const { Logger, Environment, Storage } = require('@mondaycom/apps-sdk');
 
 // Mock the external dependencies
@@ -24,8 +25,13 @@ jest.mock('@mondaycom/apps-sdk', () => ({
   }))
 }));
 
+jest.mock('../monday-claude-utils/usageMeter', () => ({
+  recordUsage: jest.fn()
+}));
+
 // Import the module to test
 const claudeAPI = require('../monday-claude-utils/enhanced-claudeAPI');
+const usageMeter = require('../monday-claude-utils/usageMeter');
 
 describe('Claude API Utilities', () => {
   beforeEach(() => {
@@ -116,15 +122,43 @@ describe('Claude API Utilities', () => {
       expect(result).toEqual(mockResponse.data);
     });
     
-    test('should handle context window errors by truncating the prompt', async () => {
-      // Mock context window error then success
-      const contextWindowError = {
-        response: {
-          status: 400,
-          data: { error: { type: 'context_window_exceeded', message: 'Context window exceeded' } }
+    test('should trim oversized board data up front and keep the instructions', async () => {
+      const mockResponse = {
+        data: {
+          id: 'msg_123',
+          content: [{ type: 'text', text: 'This is a response' }]
         }
       };
       
+      // The exact count confirms the message is too large
+      axios.post.mockResolvedValueOnce({ data: { input_tokens: 300000 } })
+             .mockResolvedValueOnce(mockResponse);
+      
+      // Call the function with board data larger than the context window
+      const boardData = 'item | Done\n'.repeat(80000);
+      const result = await claudeAPI.sendMessage({
+        prompt: [
+          { type: 'text', text: 'How many items are done?' },
+          { type: 'text', text: boardData, trimmable: true }
+        ]
+      });
+      
+      // Verify a single message was sent with the board data cut and the question intact
+      expect(axios.post).toHaveBeenCalledTimes(2);
+      expect(axios.post.mock.calls[0][0]).toBe('https://api.anthropic.com/v1/messages/count_tokens');
+      const content = axios.post.mock.calls[1][1].messages[0].content;
+      expect(content[0]).toEqual({ type: 'text', text: 'How many items are done?' });
+      expect(content[1].text.length).toBeLessThan(boardData.length);
+      expect(content[1].text).toContain('omitted to fit the context window');
+      expect(content[1]).not.toHaveProperty('trimmable');
+      
+      // Verify the decision is reported with the response
+      expect(result.contextWindow.decisions).toEqual([
+        expect.objectContaining({ type: 'trimmed_board_data', location: 'prompt' })
+      ]);
+    });
+    
+    test('should send an oversized estimate unchanged when the exact count fits', async () => {
       const mockResponse = {
         data: {
           id: 'msg_123',
@@ -132,31 +166,69 @@ describe('Claude API Utilities', () => {
         }
       };
       
-      axios.post.mockRejectedValueOnce(contextWindowError)
+      axios.post.mockResolvedValueOnce({ data: { input_tokens: 150000 } })
              .mockResolvedValueOnce(mockResponse);
       
-      // Call the function with a long prompt
-      const longPrompt = 'A'.repeat(1000);
+      // Call the function with board data the estimate puts just over the budget
+      const boardData = 'item | Done\n'.repeat(57000);
       const result = await claudeAPI.sendMessage({
-        prompt: longPrompt
+        prompt: [
+          { type: 'text', text: 'How many items are done?' },
+          { type: 'text', text: boardData, trimmable: true }
+        ]
       });
       
-      // Verify axios was called twice (first failure, then retry with shorter prompt)
-      expect(axios.post).toHaveBeenCalledTimes(2);
+      // Verify the board data was sent whole
+      expect(axios.post.mock.calls[1][1].messages[0].content[1].text).toBe(boardData);
+      expect(result).toEqual(mockResponse.data);
+    });
+    
+    test('should stop retrying and fail fast once Claude keeps failing', async () => {
+      // Load a fresh copy so the open breaker does not affect other tests
+      let isolatedAPI;
+      jest.isolateModules(() => {
+        isolatedAPI = require('../monday-claude-utils/enhanced-claudeAPI');
+      });
       
-      // Verify the second call used a shortened prompt
-      const secondCallArgs = axios.post.mock.calls[1][0];
-      expect(secondCallArgs).toEqual('https://api.anthropic.com/v1/messages');
+      const overloadedError = { response: { status: 529, data: { error: { type: 'overloaded_error' } } } };
+      for (let attempt = 0; attempt < 20; attempt++) {
+        axios.post.mockRejectedValueOnce(overloadedError);
+      }
+      jest.spyOn(global, 'setTimeout').mockImplementation(callback => callback());
       
-      const requestBody = axios.post.mock.calls[1][1];
-      const promptInRequest = requestBody.messages[0].content[0].text;
+      // Each request uses all its retries and counts once, so the fifth opens the breaker
+      for (let request = 0; request < 5; request++) {
+        await expect(isolatedAPI.sendMessage({ prompt: 'Hello, Claude!' })).rejects.toThrow('Claude API Error');
+      }
+      await expect(isolatedAPI.sendMessage({ prompt: 'Hello, Claude!' }))
+        .rejects.toMatchObject({ code: 'CLAUDE_UNAVAILABLE' });
+      
+      // Verify no call was made once the breaker opened
+      expect(axios.post).toHaveBeenCalledTimes(20);
+      expect(isolatedAPI.getCircuitStatus().state).toBe('open');
+      expect(isolatedAPI.isClaudeAvailable()).toBe(false);
+    });
+    
+    test('should count a retried request as one breaker failure', async () => {
+      // Load a fresh copy so the recorded failure does not affect other tests
+      let isolatedAPI;
+      jest.isolateModules(() => {
+        isolatedAPI = require('../monday-claude-utils/enhanced-claudeAPI');
+      });
       
-      // Check that prompt was truncated and has the truncation notice
-      expect(promptInRequest.length).toBeLessThan(longPrompt.length);
-      expect(promptInRequest).toContain('[Note: Original message was truncated');
+      const overloadedError = { response: { status: 529, data: { error: { type: 'overloaded_error' } } } };
+      for (let attempt = 0; attempt < 4; attempt++) {
+        axios.post.mockRejectedValueOnce(overloadedError);
+      }
+      jest.spyOn(global, 'setTimeout').mockImplementation(callback => callback());
       
-      // Verify the result
-      expect(result).toEqual(mockResponse.data);
+      // Call the function
+      await expect(isolatedAPI.sendMessage({ prompt: 'Hello, Claude!' })).rejects.toThrow('Claude API Error');
+      
+      // Verify the request was retried three times and the breaker stayed closed
+      expect(axios.post).toHaveBeenCalledTimes(4);
+      expect(isolatedAPI.getCircuitStatus()).toMatchObject({ state: 'closed', failures: 1 });
+      expect(isolatedAPI.isClaudeAvailable()).toBe(true);
     });
     
     test('should throw enhanced error for non-retryable errors', async () => {
@@ -180,6 +252,44 @@ describe('Claude API Utilities', () => {
     });
   });
   
+  describe('streamMessage', () => {
+    test('should assemble streamed text and pass each delta to the callback', async () => {
+      // Mock a server-sent event stream split across chunks
+      const events = [
+        { type: 'message_start', message: { id: 'msg_123', role: 'assistant', content: [] } },
+        { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hello' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: ' there' } },
+        { type: 'content_block_stop', index: 0 },
+        { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 2 } }
+      ];
+      const body = events.map(event => `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`).join('');
+      
+      axios.post.mockResolvedValueOnce({
+        data: Readable.from([body.slice(0, 50), body.slice(50)])
+      });
+      
+      const onText = jest.fn();
+      
+      // Call the function
+      const result = await claudeAPI.streamMessage({ prompt: 'Hello, Claude!' }, onText);
+      
+      // Verify the request asked for a stream
+      expect(axios.post).toHaveBeenCalledWith(
+        'https://api.anthropic.com/v1/messages',
+        expect.objectContaining({ stream: true }),
+        expect.objectContaining({ responseType: 'stream' })
+      );
+      
+      // Verify the assembled message
+      expect(onText).toHaveBeenNthCalledWith(1, 'Hello');
+      expect(onText).toHaveBeenNthCalledWith(2, ' there');
+      expect(result.id).toBe('msg_123');
+      expect(result.content).toEqual([{ type: 'text', text: 'Hello there' }]);
+      expect(result.stop_reason).toBe('end_turn');
+    });
+  });
+  
   describe('processMondayRequest', () => {
     test('should process a monday.com request successfully', async () => {
       // Mock successful API response
@@ -212,14 +322,274 @@ describe('Claude API Utilities', () => {
       const requestBody = axios.post.mock.calls[0][1];
       expect(requestBody).toHaveProperty('tools');
       expect(requestBody).toHaveProperty('system');
-      expect(requestBody.tools[0].name).toBe('monday_action');
+      expect(requestBody.tools[0].name).toBe('get_board_items');
       
-      // Verify tool choice was set correctly
+      // Verify a tool call is required on the first turn
       expect(requestBody).toHaveProperty('tool_choice');
-      expect(requestBody.tool_choice.name).toBe('monday_action');
+      expect(requestBody.tool_choice).toEqual({ type: 'any' });
       
       // Verify the result
-      expect(result).toEqual(mockResponse.data);
+      expect(result).toMatchObject(mockResponse.data);
+      expect(result.steps).toEqual([]);
+    });
+    
+    test('should send earlier thread messages before the new request', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: { content: [{ type: 'text', text: 'Done' }] }
+      });
+      
+      const history = [
+        { role: 'user', content: [{ type: 'text', text: 'Create an item called Launch' }] },
+        { role: 'assistant', content: [{ type: 'text', text: 'Created the item Launch.' }] }
+      ];
+      
+      // Call the function
+      await claudeAPI.processMondayRequest('Now assign it to Dana', { history });
+      
+      // Verify the thread comes first and the new prompt last
+      const requestBody = axios.post.mock.calls[0][1];
+      expect(requestBody.messages).toHaveLength(3);
+      expect(requestBody.messages.slice(0, 2)).toEqual(history);
+      expect(requestBody.messages[2].content[0].text).toBe('Now assign it to Dana');
+    });
+    
+    test('should count an oversized turn only once', async () => {
+      axios.post.mockResolvedValueOnce({ data: { input_tokens: 150000 } })
+             .mockResolvedValueOnce({ data: { content: [{ type: 'text', text: 'Done' }] } });
+      
+      // Call the function with a request the estimate puts over the budget
+      await claudeAPI.processMondayRequest('item | Done\n'.repeat(57000));
+      
+      // Verify one exact count before the message itself
+      expect(axios.post).toHaveBeenCalledTimes(2);
+      expect(axios.post.mock.calls[0][0]).toBe('https://api.anthropic.com/v1/messages/count_tokens');
+      expect(axios.post.mock.calls[1][0]).toBe('https://api.anthropic.com/v1/messages');
+    });
+    
+    test('should mark the instructions, board schema and tools for prompt caching', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: { content: [{ type: 'text', text: 'Done' }] }
+      });
+      
+      // Call the function
+      await claudeAPI.processMondayRequest('Show me my items', {
+        boardSchema: { id: '1', name: 'Roadmap', columns: [], groups: [], sampleItems: [] }
+      });
+      
+      // Verify the shared instructions and the board are cached separately
+      const requestBody = axios.post.mock.calls[0][1];
+      expect(requestBody.system).toHaveLength(2);
+      expect(requestBody.system[0].cache_control).toEqual({ type: 'ephemeral' });
+      expect(requestBody.system[1].text).toContain('Roadmap');
+      expect(requestBody.system[1].cache_control).toEqual({ type: 'ephemeral' });
+      
+      // Verify only the last tool definition carries the breakpoint
+      const cachedTools = requestBody.tools.filter(tool => tool.cache_control);
+      expect(cachedTools).toEqual([requestBody.tools[requestBody.tools.length - 1]]);
+    });
+    
+    test('should send each tool result back to Claude until it stops calling tools', async () => {
+      // First turn queries items, second turn mutates, third turn answers in text
+      axios.post
+        .mockResolvedValueOnce({
+          data: {
+            content: [{
+              type: 'tool_use',
+              id: 'toolu_1',
+              name: 'monday_action',
+              input: { operation_type: 'query', graphql_string: '{ items(ids: [1]) { id } }' }
+            }]
+          }
+        })
+        .mockResolvedValueOnce({
+          data: {
+            content: [{
+              type: 'tool_use',
+              id: 'toolu_2',
+              name: 'monday_action',
+              input: { operation_type: 'mutation', graphql_string: 'mutation { archive_item(item_id: 1) { id } }' }
+            }]
+          }
+        })
+        .mockResolvedValueOnce({
+          data: {
+            content: [{ type: 'text', text: 'Archived the item.' }]
+          }
+        });
+      
+      const executeAction = jest.fn()
+        .mockResolvedValueOnce({ result: { data: { items: [{ id: '1' }] } } })
+        .mockResolvedValueOnce({ result: { data: { archive_item: { id: '1' } } } });
+      
+      // Call the function; archive_item has no typed tool, so raw GraphQL is enabled
+      const result = await claudeAPI.processMondayRequest('Archive item 1', { executeAction, allowRawGraphql: true });
+      
+      // Verify every step was executed and reported
+      expect(executeAction).toHaveBeenCalledTimes(2);
+      expect(result.steps).toHaveLength(2);
+      expect(result.steps[1].action.operationType).toBe('mutation');
+      expect(result.stopReason).toBe('completed');
+      
+      // Verify the first tool result was sent back to Claude
+      const secondRequest = axios.post.mock.calls[1][1];
+      const lastMessage = secondRequest.messages[secondRequest.messages.length - 1];
+      expect(lastMessage.content[0]).toMatchObject({
+        type: 'tool_result',
+        tool_use_id: 'toolu_1'
+      });
+      expect(secondRequest.tool_choice).toEqual({ type: 'auto' });
+    });
+    
+    test('should stop the tool loop at the step limit', async () => {
+      axios.post.mockResolvedValue({
+        data: {
+          content: [{
+            type: 'tool_use',
+            id: 'toolu_1',
+            name: 'get_board_items',
+            input: { board_id: '123' }
+          }]
+        }
+      });
+      
+      const executeAction = jest.fn().mockResolvedValue({ result: { data: {} } });
+      
+      // Call the function
+      const result = await claudeAPI.processMondayRequest('Loop forever', { executeAction, maxSteps: 2 });
+      
+      expect(executeAction).toHaveBeenCalledTimes(2);
+      expect(result.stopReason).toBe('max_steps');
+      
+      axios.post.mockReset();
+    });
+    
+    test('should dispatch typed tool calls as typed actions', async () => {
+      axios.post
+        .mockResolvedValueOnce({
+          data: {
+            content: [{
+              type: 'tool_use',
+              id: 'toolu_create',
+              name: 'create_item',
+              input: { board_id: '123', item_name: 'Launch', column_values: { status: { label: 'Done' } } }
+            }]
+          }
+        })
+        .mockResolvedValueOnce({
+          data: { content: [{ type: 'text', text: 'Created the item.' }] }
+        });
+      
+      const executeAction = jest.fn().mockResolvedValue({ result: { data: { create_item: { id: '1' } } } });
+      
+      // Call the function
+      const result = await claudeAPI.processMondayRequest('Create Launch', { executeAction });
+      
+      expect(executeAction).toHaveBeenCalledWith({
+        operationType: 'mutation',
+        tool: 'create_item',
+        input: { board_id: '123', item_name: 'Launch', column_values: { status: { label: 'Done' } } }
+      });
+      expect(result.steps).toHaveLength(1);
+      
+      // Raw GraphQL is not offered unless enabled
+      const requestBody = axios.post.mock.calls[0][1];
+      expect(requestBody.tools.map(tool => tool.name)).not.toContain('monday_action');
+      expect(requestBody.tools.map(tool => tool.name)).toEqual(expect.arrayContaining([
+        'get_board_items', 'bulk_update_items', 'create_item', 'update_column_value', 'move_item_to_group',
+        'create_subitem', 'create_board', 'delete_item'
+      ]));
+    });
+    
+    test('should run bulk tools as bulk updates', async () => {
+      axios.post
+        .mockResolvedValueOnce({
+          data: {
+            content: [{
+              type: 'tool_use',
+              id: 'toolu_bulk',
+              name: 'bulk_update_items',
+              input: { board_id: '123', column_values: { priority: { label: 'High' } } }
+            }]
+          }
+        })
+        .mockResolvedValueOnce({
+          data: { content: [{ type: 'text', text: 'Updated the items.' }] }
+        });
+      
+      const executeAction = jest.fn().mockResolvedValue({ result: { processed: 2, failed: [] } });
+      
+      // Call the function
+      await claudeAPI.processMondayRequest('Set every item to High', { executeAction });
+      
+      expect(executeAction).toHaveBeenCalledWith({
+        operationType: 'bulk_update',
+        tool: 'bulk_update_items',
+        input: { board_id: '123', column_values: { priority: { label: 'High' } } },
+        bulk: { boardId: '123', rules: [], operator: 'and', columnValues: { priority: { label: 'High' } } }
+      });
+    });
+    
+    test('should reject raw GraphQL unless it is allowed', async () => {
+      axios.post
+        .mockResolvedValueOnce({
+          data: {
+            content: [{
+              type: 'tool_use',
+              id: 'toolu_raw',
+              name: 'monday_action',
+              input: { operation_type: 'query', graphql_string: '{ boards { id } }' }
+            }]
+          }
+        })
+        .mockResolvedValueOnce({
+          data: { content: [{ type: 'text', text: 'I could not do that.' }] }
+        });
+      
+      const executeAction = jest.fn();
+      
+      // Call the function
+      const result = await claudeAPI.processMondayRequest('Delete item 1', { executeAction });
+      
+      expect(executeAction).not.toHaveBeenCalled();
+      expect(result.steps[0].error).toMatch(/Raw GraphQL is disabled/);
+    });
+    
+    test('should stop and return the question when Claude asks for clarification', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: {
+          content: [{
+            type: 'tool_use',
+            id: 'toolu_ask',
+            name: 'ask_clarification',
+            input: {
+              question: 'Which marketing item do you mean?',
+              options: [
+                { label: 'Marketing Plan', entity_type: 'item', entity_id: '1' },
+                { label: 'Marketing Budget', entity_type: 'item', entity_id: '2' }
+              ]
+            }
+          }]
+        }
+      });
+      
+      const executeAction = jest.fn();
+      
+      // Call the function
+      const result = await claudeAPI.processMondayRequest('Move the marketing item', { executeAction });
+      
+      expect(executeAction).not.toHaveBeenCalled();
+      expect(result.stopReason).toBe('clarification');
+      expect(result.clarification).toEqual({
+        toolUseId: 'toolu_ask',
+        question: 'Which marketing item do you mean?',
+        options: [
+          { label: 'Marketing Plan', entity_type: 'item', entity_id: '1' },
+          { label: 'Marketing Budget', entity_type: 'item', entity_id: '2' }
+        ]
+      });
+      
+      const requestBody = axios.post.mock.calls[0][1];
+      expect(requestBody.tools.map(tool => tool.name)).toContain('ask_clarification');
     });
     
     test('should provide specific error message for rate limit errors', async () => {
@@ -271,6 +641,40 @@ describe('Claude API Utilities', () => {
       expect(result).toBe('I created a new board called "Project X".');
     });
     
+    test('should use the routed model when one is given', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: { content: [{ type: 'text', text: 'Done.' }] }
+      });
+      
+      // Call the function
+      await claudeAPI.explainMondayResult('Show items', { data: {} }, { model: 'claude-3-5-haiku-20241022' });
+      
+      expect(axios.post.mock.calls[0][1].model).toBe('claude-3-5-haiku-20241022');
+    });
+    
+    test('should meter the tokens against the usage context', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: {
+          model: 'claude-3-5-haiku-20241022',
+          content: [{ type: 'text', text: 'Done.' }],
+          usage: { input_tokens: 120, output_tokens: 30 }
+        }
+      });
+      
+      // Call the function
+      await claudeAPI.explainMondayResult('Show items', { data: {} }, {
+        usageContext: { accountId: 'account123', userId: 'user123', endpoint: '/api/process-request' }
+      });
+      
+      expect(usageMeter.recordUsage).toHaveBeenCalledWith({
+        accountId: 'account123',
+        userId: 'user123',
+        endpoint: '/api/process-request',
+        model: 'claude-3-5-haiku-20241022',
+        usage: { input_tokens: 120, output_tokens: 30 }
+      });
+    });
+    
     test('should return generic explanation if API call fails', async () => {
       // Mock API error
       axios.post.mockRejectedValueOnce(new Error('API Error'));
@@ -284,6 +688,22 @@ describe('Claude API Utilities', () => {
       // Verify the result is a generic explanation
       expect(result).toContain('The operation completed with the following result');
       expect(result).toContain('Test Board');
+      expect(claudeAPI.isFallbackExplanation(result)).toBe(true);
+    });
+    
+    test('should give the generic explanation when the request is cancelled', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      
+      // Call the function
+      const result = await claudeAPI.explainMondayResult(
+        'How many items are done?',
+        { data: { boards: [] } },
+        { signal: controller.signal }
+      );
+      
+      expect(claudeAPI.isFallbackExplanation(result)).toBe(true);
+      expect(claudeAPI.isFallbackExplanation('You have 3 items done.')).toBe(false);
     });
   });
   
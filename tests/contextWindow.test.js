@@ -0,0 +1,144 @@
+// Mock the external dependencies
+jest.mock('@mondaycom/apps-sdk', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })),
+  Environment: jest.fn().mockImplementation(() => ({
+    get: jest.fn()
+  }))
+}));
+
+// Import the module to test
+const contextWindow = require('../monday-claude-utils/contextWindow');
+
+const text = (value) => [{ type: 'text', text: value }];
+
+// Ten turns of a thread, each question and answer about 100 tokens
+const threadHistory = Array.from({ length: 10 }, (value, index) => ({
+  role: index % 2 === 0 ? 'user' : 'assistant',
+  content: text(`${index % 2 === 0 ? 'Question' : 'Answer'} ${index} `.padEnd(350, '.'))
+}));
+
+describe('Context Window', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('estimateTokens', () => {
+    test('should estimate text and JSON by length', () => {
+      expect(contextWindow.estimateTokens('a'.repeat(35))).toBe(10);
+      expect(contextWindow.estimateTokens({ key: 'value' })).toBe(5);
+      expect(contextWindow.estimateTokens(null)).toBe(0);
+    });
+  });
+
+  describe('fitMessage', () => {
+    test('should leave a message that fits unchanged', async () => {
+      const message = { prompt: 'Show my items', history: threadHistory };
+
+      // Call the function
+      const { message: fitted, report } = await contextWindow.fitMessage(message, { contextTokens: 10000 });
+
+      expect(fitted).toBe(message);
+      expect(report.decisions).toEqual([]);
+    });
+
+    test('should leave a message unchanged when the exact count shows it fits', async () => {
+      const message = { prompt: 'Show my items', history: threadHistory };
+      const countTokens = jest.fn().mockResolvedValue(800);
+      const summarize = jest.fn();
+
+      // Call the function
+      const { message: fitted, report } = await contextWindow.fitMessage(message, { contextTokens: 900, countTokens, summarize });
+
+      expect(countTokens).toHaveBeenCalledWith(message);
+      expect(fitted).toBe(message);
+      expect(report).toMatchObject({ estimatedTokens: 800, decisions: [] });
+      expect(summarize).not.toHaveBeenCalled();
+    });
+
+    test('should summarize older turns into the system prompt and keep recent ones', async () => {
+      const summarize = jest.fn().mockResolvedValue('The user asked about items 0 to 3.');
+
+      // Call the function
+      const { message: fitted, report } = await contextWindow.fitMessage({
+        prompt: 'And the next one?',
+        systemPrompt: 'You are a monday.com assistant.',
+        history: threadHistory
+      }, { contextTokens: 900, summarize });
+
+      expect(summarize).toHaveBeenCalledWith(expect.stringContaining('user: Question 0'));
+      expect(fitted.history).toEqual(threadHistory.slice(4));
+      expect(fitted.systemPrompt).toEqual([
+        { type: 'text', text: 'You are a monday.com assistant.' },
+        { type: 'text', text: 'EARLIER CONVERSATION (summarized):\nThe user asked about items 0 to 3.' }
+      ]);
+      expect(report.decisions).toEqual([{ type: 'compacted_history', messages: 4 }]);
+    });
+
+    test('should keep the start of older turns when summarizing fails', async () => {
+      const summarize = jest.fn().mockRejectedValue(new Error('Claude unavailable'));
+
+      const { message: fitted } = await contextWindow.fitMessage({
+        prompt: 'And the next one?',
+        history: threadHistory
+      }, { contextTokens: 900, summarize });
+
+      expect(fitted.systemPrompt[0].text).toMatch(/^EARLIER CONVERSATION \(start of transcript\):\nuser: Question 0/);
+      expect(fitted.history).toEqual(threadHistory.slice(4));
+    });
+
+    test('should never split a tool call from its result', async () => {
+      const history = [
+        { role: 'user', content: text('Find overdue items '.padEnd(700, '.')) },
+        { role: 'assistant', content: [{ type: 'tool_use', id: 'tool_1', name: 'monday_action', input: {} }] },
+        { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'tool_1', content: 'x'.repeat(3000) }] },
+        { role: 'assistant', content: [{ type: 'tool_use', id: 'tool_2', name: 'monday_action', input: {} }] }
+      ];
+
+      const { message: fitted } = await contextWindow.fitMessage({
+        prompt: [{ type: 'tool_result', tool_use_id: 'tool_2', content: '{}' }],
+        history
+      }, { contextTokens: 1000, summarize: jest.fn() });
+
+      // The first question is the only place history can start, so nothing is compacted
+      expect(fitted.history[0]).toEqual(history[0]);
+      expect(fitted.history[2].content[0].content).toContain('omitted to fit the context window');
+    });
+
+    test('should trim the largest board data first and keep the request', async () => {
+      const message = {
+        systemPrompt: [
+          { type: 'text', text: 'Instructions' },
+          { type: 'text', text: 'Board line\n'.repeat(400), trimmable: true }
+        ],
+        prompt: [
+          { type: 'text', text: 'Summarize this result' },
+          { type: 'text', text: 'small result', trimmable: true }
+        ]
+      };
+
+      // Call the function
+      const { message: fitted, report } = await contextWindow.fitMessage(message, { contextTokens: 1000 });
+
+      expect(fitted.systemPrompt[0]).toEqual({ type: 'text', text: 'Instructions' });
+      expect(fitted.systemPrompt[1].text).toMatch(/^Board line\n/);
+      expect(fitted.systemPrompt[1].text).toContain('omitted to fit the context window');
+      expect(fitted.prompt).toEqual(message.prompt);
+      expect(report.decisions).toEqual([
+        expect.objectContaining({ type: 'trimmed_board_data', location: 'system' })
+      ]);
+      expect(report.estimatedTokens).toBeLessThanOrEqual(report.budgetTokens);
+
+      // Verify the original message was not changed
+      expect(message.systemPrompt[1].text).toBe('Board line\n'.repeat(400));
+    });
+
+    test('should refuse a request that does not fit without its board data', async () => {
+      await expect(contextWindow.fitMessage({ prompt: 'x'.repeat(4000) }, { contextTokens: 1000 }))
+        .rejects.toMatchObject({ code: 'CONTEXT_WINDOW_EXCEEDED' });
+    });
+  });
+});
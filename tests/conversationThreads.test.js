@@ -0,0 +1,104 @@
+// Mock the external dependencies
+jest.mock('@mondaycom/apps-sdk', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }))
+}));
+
+jest.mock('../monday-claude-utils/enhanced-claudeAPI', () => ({
+  getConversationHistory: jest.fn()
+}));
+
+const claudeAPI = require('../monday-claude-utils/enhanced-claudeAPI');
+
+// Import the module to test
+const conversationThreads = require('../monday-claude-utils/conversationThreads');
+
+describe('Conversation Threads', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getThreadTurns', () => {
+    test('should return the turns of a thread oldest first', async () => {
+      // History is stored newest first
+      claudeAPI.getConversationHistory.mockResolvedValueOnce([
+        { id: 'c3', threadId: 'thread_1', prompt: 'Third' },
+        { id: 'c2', threadId: 'thread_2', prompt: 'Other thread' },
+        { id: 'c1', threadId: 'thread_1', prompt: 'First' }
+      ]);
+
+      // Call the function
+      const turns = await conversationThreads.getThreadTurns('user123', 'thread_1');
+
+      expect(claudeAPI.getConversationHistory).toHaveBeenCalledWith('user123');
+      expect(turns.map(turn => turn.id)).toEqual(['c1', 'c3']);
+    });
+
+    test('should not load history without a thread ID', async () => {
+      // Call the function
+      const turns = await conversationThreads.getThreadTurns('user123', null);
+
+      expect(turns).toEqual([]);
+      expect(claudeAPI.getConversationHistory).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('buildThreadMessages', () => {
+    test('should replay prompts, tool calls, tool results and explanations', () => {
+      const messages = conversationThreads.buildThreadMessages([
+        {
+          prompt: 'Create an item called Launch',
+          steps: [{
+            toolUseId: 'toolu_1',
+            action: {
+              operationType: 'mutation',
+              graphqlString: 'mutation { create_item(board_id: 1, item_name: "Launch") { id } }',
+              variables: {}
+            },
+            result: { data: { create_item: { id: '42' } } }
+          }],
+          explanation: 'Created the item Launch.'
+        }
+      ]);
+
+      expect(messages.map(message => message.role)).toEqual(['user', 'assistant', 'user', 'assistant']);
+      expect(messages[0].content[0].text).toBe('Create an item called Launch');
+      expect(messages[1].content[0]).toMatchObject({
+        type: 'tool_use',
+        id: 'toolu_1',
+        name: 'monday_action',
+        input: { operation_type: 'mutation' }
+      });
+      expect(messages[2].content[0]).toMatchObject({
+        type: 'tool_result',
+        tool_use_id: 'toolu_1'
+      });
+      expect(messages[2].content[0].content).toContain('"42"');
+      expect(messages[3].content[0].text).toBe('Created the item Launch.');
+    });
+
+    test('should generate tool use IDs for confirmed steps and mark errors', () => {
+      const messages = conversationThreads.buildThreadMessages([
+        {
+          prompt: 'Delete item 1',
+          steps: [{
+            action: { operationType: 'mutation', graphqlString: 'mutation { delete_item(item_id: 1) { id } }' },
+            error: 'Item not found'
+          }],
+          explanation: 'The item could not be deleted.'
+        }
+      ]);
+
+      const toolUse = messages[1].content[0];
+      const toolResult = messages[2].content[0];
+
+      expect(toolUse.id).toBeTruthy();
+      expect(toolResult.tool_use_id).toBe(toolUse.id);
+      expect(toolResult.is_error).toBe(true);
+      expect(toolResult.content).toBe('Error: Item not found');
+    });
+  });
+});
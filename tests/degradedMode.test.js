@@ -0,0 +1,95 @@
+// Mock the external dependencies
+jest.mock('@mondaycom/apps-sdk', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }))
+}));
+
+// Import the module to test
+const degradedMode = require('../monday-claude-utils/degradedMode');
+
+const boardSchema = {
+  id: '123',
+  name: 'Roadmap',
+  columns: [
+    { id: 'status', title: 'Status', type: 'status', labels: ['Working on it', 'Done', 'Stuck'] },
+    { id: 'date4', title: 'Due date', type: 'date', labels: [] }
+  ],
+  groups: [
+    { id: 'topics', title: 'This week' },
+    { id: 'later', title: 'Later' }
+  ],
+  sampleItems: []
+};
+
+const itemsResult = {
+  data: {
+    boards: [{
+      id: '123',
+      name: 'Roadmap',
+      items_page: {
+        cursor: null,
+        items: [
+          { id: '1', name: 'Launch', group: { id: 'topics', title: 'This week' }, column_values: [{ id: 'status', text: 'Done' }] },
+          { id: '2', name: 'Pricing', group: { id: 'topics', title: 'This week' }, column_values: [{ id: 'status', text: 'Stuck' }] },
+          { id: '3', name: 'Hiring', group: { id: 'later', title: 'Later' }, column_values: [{ id: 'status', text: 'Done' }] }
+        ]
+      }
+    }]
+  }
+};
+
+describe('Degraded Mode', () => {
+  describe('matchTemplate', () => {
+    test('should read items with the group and label the request names', () => {
+      // Call the function
+      const plan = degradedMode.matchTemplate('Show the items in This week that are done', boardSchema);
+
+      expect(plan).toMatchObject({
+        template: 'list_items',
+        action: { operationType: 'query', variables: { boardId: ['123'], limit: 100 } },
+        group: { id: 'topics' },
+        filter: { columnId: 'status', label: 'Done' }
+      });
+    });
+
+    test('should never answer a request for a change', () => {
+      expect(degradedMode.matchTemplate('Move the items that are Done to Later', boardSchema)).toBeNull();
+    });
+
+    test('should list boards without a board and skip other questions', () => {
+      expect(degradedMode.matchTemplate('Which boards do I have?').template).toBe('list_boards');
+      expect(degradedMode.matchTemplate('What items are stuck?')).toBeNull();
+    });
+
+    test('should describe the board from its schema without a query', () => {
+      const plan = degradedMode.matchTemplate('What columns does this board have?', boardSchema);
+
+      expect(plan).toEqual({ template: 'board_structure', action: null });
+    });
+  });
+
+  describe('buildAnswer', () => {
+    test('should show only the matching items', () => {
+      const plan = degradedMode.matchTemplate('List items with status Done', boardSchema);
+
+      // Call the function
+      const { table, explanation } = degradedMode.buildAnswer(plan, itemsResult, boardSchema);
+
+      expect(table.rows.map(row => row.name)).toEqual(['Launch', 'Hiring']);
+      expect(table.pagination.returned).toBe(2);
+      expect(explanation).toBe(`${degradedMode.DEGRADED_NOTICE} Found 2 items on "Roadmap" with Status "Done".`);
+    });
+
+    test('should count items in a group without a table', () => {
+      const plan = degradedMode.matchTemplate('How many items are in Later?', boardSchema);
+
+      const { table, explanation } = degradedMode.buildAnswer(plan, itemsResult, boardSchema);
+
+      expect(table).toBeNull();
+      expect(explanation).toContain('Found 1 item on "Roadmap" in the group "Later".');
+    });
+  });
+});
@@ -0,0 +1,182 @@
+// Mock the external dependencies
+jest.mock('@mondaycom/apps-sdk', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })),
+  Environment: jest.fn().mockImplementation(() => ({
+    get: jest.fn()
+  }))
+}));
+
+// Import the module to test
+const graphqlSafety = require('../monday-claude-utils/graphqlSafety');
+
+describe('GraphQL Safety Analyzer', () => {
+  describe('analyzeOperation', () => {
+    test('should list root fields with resolved arguments and scopes', () => {
+      const analysis = graphqlSafety.analyzeOperation(
+        `mutation CreateItem($boardId: ID!, $name: String!) {
+          create_item(board_id: $boardId, item_name: $name, group_id: "topics") { id }
+        }`,
+        'mutation',
+        { boardId: '123', name: 'Launch' }
+      );
+
+      expect(analysis.valid).toBe(true);
+      expect(analysis.rootFields).toEqual([
+        {
+          name: 'create_item',
+          alias: null,
+          args: { board_id: '123', item_name: 'Launch', group_id: 'topics' }
+        }
+      ]);
+      expect(analysis.requiredScopes).toEqual(['items:create']);
+      expect(analysis.requiresConfirmation).toBe(false);
+    });
+
+    test('should map read-only root fields to read scopes', () => {
+      const analysis = graphqlSafety.analyzeOperation(
+        '{ first: boards(ids: [1]) { id items_page { items { id } } } items(ids: [2]) { id } }',
+        'query'
+      );
+
+      expect(analysis.valid).toBe(true);
+      expect(analysis.rootFields.map(field => field.name)).toEqual(['boards', 'items']);
+      expect(analysis.rootFields[0].alias).toBe('first');
+      expect(analysis.requiredScopes).toEqual(['boards:read', 'items:read']);
+    });
+
+    test('should reject a mutation declared as a query', () => {
+      const analysis = graphqlSafety.analyzeOperation(
+        'mutation { delete_board(board_id: 1) { id } }',
+        'query'
+      );
+
+      expect(analysis.valid).toBe(false);
+      expect(analysis.errors[0]).toContain('does not match');
+    });
+
+    test('should reject invalid GraphQL and multiple operations', () => {
+      expect(graphqlSafety.analyzeOperation('mutation { create_item(', 'mutation').valid).toBe(false);
+
+      const analysis = graphqlSafety.analyzeOperation(
+        'query A { boards { id } } query B { items { id } }',
+        'query'
+      );
+      expect(analysis.valid).toBe(false);
+      expect(analysis.errors[0]).toContain('exactly one operation');
+    });
+
+    test('should require confirmation for destructive fields', () => {
+      const analysis = graphqlSafety.analyzeOperation(
+        'mutation { archive_board(board_id: 1) { id } delete_item(item_id: 2) { id } }',
+        'mutation'
+      );
+
+      expect(analysis.valid).toBe(true);
+      expect(analysis.destructiveFields).toEqual(['archive_board', 'delete_item']);
+      expect(analysis.requiredScopes).toEqual(['boards:delete', 'items:delete']);
+      expect(analysis.requiresConfirmation).toBe(true);
+    });
+
+    test('should report fields without a scope mapping', () => {
+      const analysis = graphqlSafety.analyzeOperation(
+        'mutation { like_update(update_id: 1) { id } }',
+        'mutation'
+      );
+
+      expect(analysis.unmappedFields).toEqual(['like_update']);
+    });
+
+    test('should hold mutations that are not known to be safe', () => {
+      const analysis = graphqlSafety.analyzeOperation(
+        'mutation { create_item(board_id: 1, item_name: "Launch") { id } deactivate_users(user_ids: [5]) { deactivated_users { id } } }',
+        'mutation'
+      );
+
+      expect(analysis.valid).toBe(true);
+      expect(analysis.destructiveFields).toEqual([]);
+      expect(analysis.unreviewedFields).toEqual(['deactivate_users']);
+      expect(analysis.requiresConfirmation).toBe(true);
+    });
+  });
+
+  describe('analyzeAction', () => {
+    test('should analyze bulk updates without GraphQL', () => {
+      const analysis = graphqlSafety.analyzeAction({
+        operationType: 'bulk_update',
+        bulk: { boardId: '123', rules: [], columnValues: { priority: { label: 'High' } } }
+      });
+
+      expect(analysis.valid).toBe(true);
+      expect(analysis.operationType).toBe('bulk_update');
+      expect(analysis.requiredScopes).toEqual(['items:read', 'columns:write']);
+      expect(analysis.requiresConfirmation).toBe(false);
+    });
+
+    test('should reject bulk updates without column values', () => {
+      const analysis = graphqlSafety.analyzeAction({
+        operationType: 'bulk_update',
+        bulk: { boardId: '123', columnValues: {} }
+      });
+
+      expect(analysis.valid).toBe(false);
+      expect(analysis.errors[0]).toContain('at least one column value');
+    });
+
+    test('should hold bulk tools to their schema', () => {
+      const analysis = graphqlSafety.analyzeAction({
+        operationType: 'bulk_update',
+        tool: 'bulk_update_items',
+        input: { board_id: '123', column_values: { priority: { label: 'High' } }, board_kind: 'public' },
+        bulk: { boardId: '123', rules: [], columnValues: { priority: { label: 'High' } } }
+      });
+
+      expect(analysis.valid).toBe(false);
+      expect(analysis.errors).toEqual(['bulk_update_items does not accept board_kind']);
+    });
+
+    test('should take the read scopes of typed reads', () => {
+      const analysis = graphqlSafety.analyzeAction({
+        operationType: 'query',
+        tool: 'get_board_items',
+        input: { board_id: '123' }
+      });
+
+      expect(analysis.valid).toBe(true);
+      expect(analysis.requiredScopes).toEqual(['boards:read', 'items:read']);
+      expect(analysis.requiresConfirmation).toBe(false);
+    });
+
+    test('should take scopes and destructive fields from typed tools', () => {
+      const analysis = graphqlSafety.analyzeAction({
+        operationType: 'mutation',
+        tool: 'delete_item',
+        input: { item_id: '456' }
+      });
+
+      expect(analysis.valid).toBe(true);
+      expect(analysis.rootFields).toEqual([{ name: 'delete_item', alias: null, args: { item_id: '456' } }]);
+      expect(analysis.requiredScopes).toEqual(['items:delete']);
+      expect(analysis.destructiveFields).toEqual(['delete_item']);
+      expect(analysis.requiresConfirmation).toBe(true);
+    });
+
+    test('should reject typed tool input that does not match the schema', () => {
+      const analysis = graphqlSafety.analyzeAction({
+        operationType: 'mutation',
+        tool: 'update_column_value',
+        input: { board_id: '123', item_id: 456, column_id: 'status', extra: true }
+      });
+
+      expect(analysis.valid).toBe(false);
+      expect(analysis.errors).toEqual(expect.arrayContaining([
+        'update_column_value requires value',
+        'update_column_value.item_id must be of type string',
+        'update_column_value does not accept extra'
+      ]));
+    });
+  });
+});
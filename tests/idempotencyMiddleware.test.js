@@ -0,0 +1,194 @@
+const { EventEmitter } = require('events');
+
+// In-memory storage so records written by one request are seen by the next
+const mockStore = {};
+const mockStorage = {
+  get: jest.fn(async key => mockStore[key]),
+  set: jest.fn(async (key, value) => {
+    mockStore[key] = value;
+  }),
+  delete: jest.fn(async key => {
+    delete mockStore[key];
+  })
+};
+
+// Mock the external dependencies
+jest.mock('@mondaycom/apps-sdk', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })),
+  Storage: jest.fn().mockImplementation(() => mockStorage)
+}));
+
+// Import the module to test
+const { requireIdempotency, recordStreamResult } = require('../idempotency-middleware');
+
+/**
+ * Create a minimal Express request double
+ */
+const createRequest = (idempotencyKey, body = { userPrompt: 'Create an item' }) => ({
+  id: 'test-request-id',
+  method: 'POST',
+  baseUrl: '',
+  path: '/api/process-request',
+  body,
+  auth: { userId: 'user123', accountId: 'account123' },
+  get: jest.fn().mockImplementation(name => (name === 'Idempotency-Key' ? idempotencyKey : undefined))
+});
+
+/**
+ * Create a minimal Express response double that can emit finish
+ */
+const createResponse = () => {
+  const res = new EventEmitter();
+  res.locals = {};
+  res.statusCode = 200;
+  res.status = jest.fn().mockImplementation(code => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn().mockReturnValue(res);
+  res.set = jest.fn();
+  res.write = jest.fn();
+  res.end = jest.fn();
+  return res;
+};
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Idempotency Middleware', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.keys(mockStore).forEach(key => delete mockStore[key]);
+  });
+
+  test('should reject requests without an idempotency key', async () => {
+    const res = createResponse();
+    const next = jest.fn();
+
+    // Call the middleware
+    await requireIdempotency(createRequest(undefined), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(mockStorage.set).not.toHaveBeenCalled();
+  });
+
+  test('should replay the stored response for a repeated key', async () => {
+    const firstRes = createResponse();
+    const next = jest.fn();
+
+    // Call the middleware and let the route respond
+    await requireIdempotency(createRequest('key-1'), firstRes, next);
+    firstRes.json({ requestId: 'req-1', explanation: 'Created the item' });
+    await flushPromises();
+
+    const secondRes = createResponse();
+    const secondNext = jest.fn();
+    await requireIdempotency(createRequest('key-1'), secondRes, secondNext);
+
+    expect(next).toHaveBeenCalled();
+    expect(secondNext).not.toHaveBeenCalled();
+    expect(secondRes.set).toHaveBeenCalledWith('Idempotent-Replayed', 'true');
+    expect(secondRes.status).toHaveBeenCalledWith(200);
+    expect(secondRes.json).toHaveBeenCalledWith({ requestId: 'req-1', explanation: 'Created the item' });
+  });
+
+  test('should return 409 for a duplicate while the first request is in flight', async () => {
+    const next = jest.fn();
+
+    // Call the middleware twice before the first request responds
+    await requireIdempotency(createRequest('key-2'), createResponse(), next);
+    const duplicateRes = createResponse();
+    await requireIdempotency(createRequest('key-2'), duplicateRes, jest.fn());
+
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(duplicateRes.status).toHaveBeenCalledWith(409);
+    expect(duplicateRes.json).toHaveBeenCalledWith(expect.objectContaining({
+      error: 'Request in progress'
+    }));
+  });
+
+  test('should return 409 when another server is still running the request', async () => {
+    // First request on this server to learn the record key
+    const firstRes = createResponse();
+    await requireIdempotency(createRequest('key-3'), firstRes, jest.fn());
+    const recordKey = mockStorage.set.mock.calls[0][0];
+    const inProgress = mockStore[recordKey];
+    firstRes.json({ ok: true });
+    await flushPromises();
+
+    // Another process wrote an in-flight record for the same key
+    mockStore[recordKey] = inProgress;
+
+    const duplicateRes = createResponse();
+    await requireIdempotency(createRequest('key-3'), duplicateRes, jest.fn());
+
+    expect(duplicateRes.status).toHaveBeenCalledWith(409);
+  });
+
+  test('should forget failed responses so the request can be retried', async () => {
+    const firstRes = createResponse();
+
+    // Call the middleware and let the route fail
+    await requireIdempotency(createRequest('key-4'), firstRes, jest.fn());
+    firstRes.status(502).json({ error: 'Bad gateway' });
+    await flushPromises();
+
+    const retryNext = jest.fn();
+    await requireIdempotency(createRequest('key-4'), createResponse(), retryNext);
+
+    expect(mockStorage.delete).toHaveBeenCalled();
+    expect(retryNext).toHaveBeenCalled();
+  });
+
+  test('should return 422 when a key is reused for a different request', async () => {
+    const firstRes = createResponse();
+
+    await requireIdempotency(createRequest('key-5'), firstRes, jest.fn());
+    firstRes.json({ ok: true });
+    await flushPromises();
+
+    const otherRes = createResponse();
+    await requireIdempotency(createRequest('key-5', { userPrompt: 'Delete an item' }), otherRes, jest.fn());
+
+    expect(otherRes.status).toHaveBeenCalledWith(422);
+  });
+
+  test('should replay a streamed result as a stream', async () => {
+    const firstRes = createResponse();
+
+    // Call the middleware and let the route stream its result
+    await requireIdempotency(createRequest('key-6'), firstRes, jest.fn());
+    recordStreamResult(firstRes, { requestId: 'req-6', explanation: 'Created the item' });
+    firstRes.end();
+    await flushPromises();
+
+    const secondRes = createResponse();
+    const secondNext = jest.fn();
+    await requireIdempotency(createRequest('key-6'), secondRes, secondNext);
+
+    expect(secondNext).not.toHaveBeenCalled();
+    expect(secondRes.set).toHaveBeenCalledWith(expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+    expect(secondRes.write).toHaveBeenCalledWith(
+      `event: result\ndata: ${JSON.stringify({ requestId: 'req-6', explanation: 'Created the item' })}\n\n`
+    );
+    expect(secondRes.end).toHaveBeenCalled();
+  });
+
+  test('should forget streams that end without a result', async () => {
+    const firstRes = createResponse();
+
+    // Call the middleware and let the stream end after an error event
+    await requireIdempotency(createRequest('key-7'), firstRes, jest.fn());
+    firstRes.end();
+    await flushPromises();
+
+    const retryNext = jest.fn();
+    await requireIdempotency(createRequest('key-7'), createResponse(), retryNext);
+
+    expect(retryNext).toHaveBeenCalled();
+  });
+});
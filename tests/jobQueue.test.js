@@ -0,0 +1,281 @@
+// In-memory storage so jobs can be read back after they are saved
+const mockStore = {};
+const mockStorage = {
+  get: jest.fn(async key => mockStore[key]),
+  set: jest.fn(async (key, value) => {
+    mockStore[key] = value;
+  })
+};
+
+// Mock the external dependencies
+jest.mock('@mondaycom/apps-sdk', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })),
+  Storage: jest.fn().mockImplementation(() => mockStorage)
+}));
+jest.mock('../monday-claude-utils/monetizationHandler', () => ({
+  commitUsage: jest.fn(),
+  releaseUsage: jest.fn()
+}));
+
+// Import the module to test
+const jobQueue = require('../monday-claude-utils/jobQueue');
+const monetizationHandler = require('../monday-claude-utils/monetizationHandler');
+
+/**
+ * Wait until every queued setImmediate callback has run
+ */
+const flushImmediate = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Job Queue', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.keys(mockStore).forEach(key => delete mockStore[key]);
+  });
+
+  describe('createJob', () => {
+    test('should store a queued job and add it to the pending list', async () => {
+      jobQueue.registerHandler('test-create', jest.fn().mockResolvedValue({ ok: true }));
+
+      // Call the function
+      const job = await jobQueue.createJob({
+        type: 'test-create',
+        payload: { userPrompt: 'Do something' },
+        userId: 'user123',
+        accountId: 'account123'
+      });
+
+      expect(job.status).toBe('queued');
+      expect(mockStorage.set).toHaveBeenCalledWith(`job_${job.id}`, expect.objectContaining({
+        status: 'queued',
+        payload: { userPrompt: 'Do something' }
+      }));
+      expect(mockStorage.set).toHaveBeenCalledWith('job_queue_pending', [job.id]);
+
+      await flushImmediate();
+    });
+
+    test('should reject unknown job types', async () => {
+      await expect(jobQueue.createJob({
+        type: 'unknown',
+        payload: {},
+        userId: 'user123',
+        accountId: 'account123'
+      })).rejects.toThrow('Unknown job type: unknown');
+    });
+  });
+
+  describe('drainQueue', () => {
+    test('should run a job, record progress and steps, and commit its reservation', async () => {
+      const handler = jest.fn(async (payload, { onProgress, onStep }) => {
+        await onProgress({ stage: 'executing' });
+        await onStep({ operationType: 'query', result: { data: {} } });
+        return { explanation: 'Done' };
+      });
+      jobQueue.registerHandler('test-success', handler);
+
+      const job = await jobQueue.createJob({
+        type: 'test-success',
+        payload: { userPrompt: 'Show items' },
+        userId: 'user123',
+        accountId: 'account123',
+        reservation: { accountId: 'account123', reservationId: 'res123' }
+      });
+
+      // Call the function
+      await jobQueue.drainQueue();
+      await flushImmediate();
+
+      const stored = await jobQueue.getJob(job.id);
+      expect(handler).toHaveBeenCalledWith({ userPrompt: 'Show items' }, expect.objectContaining({
+        jobId: job.id,
+        attempt: 1,
+        previousSteps: []
+      }));
+      expect(stored.status).toBe('completed');
+      expect(stored.result).toEqual({ explanation: 'Done' });
+      expect(stored.steps).toEqual([{ operationType: 'query', result: { data: {} } }]);
+      expect(mockStore.job_queue_pending).toEqual([]);
+      expect(monetizationHandler.commitUsage).toHaveBeenCalledWith('account123', 'res123');
+    });
+
+    test('should schedule a retry when an attempt fails', async () => {
+      jobQueue.registerHandler('test-retry', jest.fn().mockRejectedValue(new Error('Temporary failure')));
+
+      const job = await jobQueue.createJob({
+        type: 'test-retry',
+        payload: {},
+        userId: 'user123',
+        accountId: 'account123'
+      });
+
+      // Call the function
+      await jobQueue.drainQueue();
+      await flushImmediate();
+
+      const stored = await jobQueue.getJob(job.id);
+      expect(stored.status).toBe('queued');
+      expect(stored.attempts).toBe(1);
+      expect(stored.error).toBe('Temporary failure');
+      expect(stored.nextAttemptAt).toBeGreaterThan(Date.now());
+      expect(mockStore.job_queue_pending).toEqual([job.id]);
+    });
+
+    test('should fail without retrying when the error is not retryable', async () => {
+      const error = new Error('Reconnect required');
+      error.retryable = false;
+      error.code = 'MONDAY_RECONNECT_REQUIRED';
+      jobQueue.registerHandler('test-fatal', jest.fn().mockRejectedValue(error));
+
+      const job = await jobQueue.createJob({
+        type: 'test-fatal',
+        payload: {},
+        userId: 'user123',
+        accountId: 'account123',
+        reservation: { accountId: 'account123', reservationId: 'res456' }
+      });
+
+      // Call the function
+      await jobQueue.drainQueue();
+      await flushImmediate();
+
+      const stored = await jobQueue.getJob(job.id);
+      expect(stored.status).toBe('failed');
+      expect(stored.errorCode).toBe('MONDAY_RECONNECT_REQUIRED');
+      expect(mockStore.job_queue_pending).toEqual([]);
+      expect(monetizationHandler.releaseUsage).toHaveBeenCalledWith('account123', 'res456');
+      expect(monetizationHandler.commitUsage).not.toHaveBeenCalled();
+    });
+
+    test('should call the finish callback with the finished job', async () => {
+      const onFinish = jest.fn();
+      jobQueue.registerHandler('test-finish', jest.fn().mockResolvedValue({ explanation: 'Done' }), { onFinish });
+
+      const job = await jobQueue.createJob({
+        type: 'test-finish',
+        payload: {},
+        userId: 'user123',
+        accountId: 'account123'
+      });
+
+      // Call the function
+      await jobQueue.drainQueue();
+      await flushImmediate();
+
+      expect(onFinish).toHaveBeenCalledWith(expect.objectContaining({
+        id: job.id,
+        status: 'completed',
+        result: { explanation: 'Done' }
+      }));
+    });
+  });
+
+  describe('pending list', () => {
+    test('should keep a job queued while another one finishes', async () => {
+      let finishFirst = null;
+      jobQueue.registerHandler('test-interleave', jest.fn()
+        .mockImplementationOnce(() => new Promise((resolve) => {
+          finishFirst = () => resolve({ explanation: 'First' });
+        }))
+        .mockResolvedValue({ explanation: 'Second' }));
+
+      // Hold the read of the pending list made when the first job finishes
+      let holdPendingRead = false;
+      let releasePendingRead = null;
+      mockStorage.get.mockImplementation(async (key) => {
+        const value = mockStore[key];
+        if (key === 'job_queue_pending' && holdPendingRead) {
+          holdPendingRead = false;
+          await new Promise((resolve) => {
+            releasePendingRead = resolve;
+          });
+        }
+        return value;
+      });
+
+      try {
+        await jobQueue.createJob({ type: 'test-interleave', payload: {}, userId: 'user123', accountId: 'account123' });
+        while (!finishFirst) {
+          await flushImmediate();
+        }
+
+        holdPendingRead = true;
+        finishFirst();
+        while (!releasePendingRead) {
+          await flushImmediate();
+        }
+
+        // Call the function while the first job is being removed from the list
+        const creating = jobQueue.createJob({ type: 'test-interleave', payload: {}, userId: 'user123', accountId: 'account123' });
+        await flushImmediate();
+        releasePendingRead();
+        const second = await creating;
+        for (let i = 0; i < 10; i++) {
+          await flushImmediate();
+        }
+
+        expect(mockStore[`job_${second.id}`].status).toBe('completed');
+        expect(mockStore.job_queue_pending).toEqual([]);
+      } finally {
+        mockStorage.get.mockImplementation(async key => mockStore[key]);
+      }
+    });
+  });
+
+  describe('resumePendingJobs', () => {
+    test('should requeue jobs that were running when the server stopped', async () => {
+      const handler = jest.fn().mockResolvedValue({ explanation: 'Done' });
+      jobQueue.registerHandler('test-resume', handler);
+
+      mockStore.job_queue_pending = ['job123'];
+      mockStore.job_job123 = {
+        id: 'job123',
+        type: 'test-resume',
+        status: 'running',
+        attempts: 1,
+        maxAttempts: 3,
+        payload: { userPrompt: 'Show items' },
+        steps: [{ operationType: 'query', result: {} }],
+        reservation: null
+      };
+
+      // Call the function
+      const count = await jobQueue.resumePendingJobs();
+      await flushImmediate();
+      await jobQueue.drainQueue();
+
+      expect(count).toBe(1);
+      expect(handler).toHaveBeenCalledWith({ userPrompt: 'Show items' }, expect.objectContaining({
+        attempt: 2,
+        previousSteps: [{ operationType: 'query', result: {} }]
+      }));
+      expect(mockStore.job_job123.status).toBe('completed');
+    });
+  });
+
+  describe('toJobStatus', () => {
+    test('should leave out the payload and quota reservation', () => {
+      const status = jobQueue.toJobStatus({
+        id: 'job123',
+        type: 'process-request',
+        status: 'running',
+        attempts: 1,
+        payload: { userPrompt: 'secret' },
+        reservation: { reservationId: 'res123' },
+        progress: { stage: 'executing', processed: 25, total: 100 },
+        steps: []
+      });
+
+      expect(status).toEqual(expect.objectContaining({
+        jobId: 'job123',
+        status: 'running',
+        progress: { stage: 'executing', processed: 25, total: 100 }
+      }));
+      expect(status.payload).toBeUndefined();
+      expect(status.reservation).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,233 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Environment values read by the modules under test
+const mockEnv = {};
+
+// Mock the external dependencies
+jest.mock('@mondaycom/apps-sdk', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })),
+  Environment: jest.fn().mockImplementation(() => ({
+    get: jest.fn().mockImplementation(key => mockEnv[key] || null)
+  }))
+}));
+
+jest.mock('../monday-claude-utils/usageMeter', () => ({
+  recordUsage: jest.fn()
+}));
+
+// Import the modules to test
+const llmProvider = require('../monday-claude-utils/llmProvider');
+const { ScriptedProvider, fixtureKey } = require('../monday-claude-utils/scriptedProvider');
+
+/**
+ * Build a request body with a single user message
+ *
+ * @param {string|Object[]} content - Text or content blocks of the message
+ * @param {Object} extra - Other request fields
+ * @returns {Object} - Messages API request body
+ */
+function request(content, extra = {}) {
+  return {
+    model: 'claude-test',
+    max_tokens: 1000,
+    messages: [{ role: 'user', content: typeof content === 'string' ? [{ type: 'text', text: content }] : content }],
+    ...extra
+  };
+}
+
+/**
+ * Collect the events of a stream
+ *
+ * @param {AsyncIterable<Object>} events - Stream events
+ * @returns {Promise<Object[]>} - The events
+ */
+async function collect(events) {
+  const collected = [];
+  for await (const event of events) {
+    collected.push(event);
+  }
+  return collected;
+}
+
+describe('LLM Providers', () => {
+  afterEach(() => {
+    Object.keys(mockEnv).forEach(key => delete mockEnv[key]);
+  });
+
+  describe('ScriptedProvider', () => {
+    const provider = new ScriptedProvider({
+      rules: [
+        { match: { prompt: 'overdue' }, reply: { text: 'Two items are overdue.' } },
+        { match: { prompt: 'overloaded' }, reply: { error: { status: 529, type: 'overloaded_error' } } }
+      ]
+    });
+
+    test('should answer from the first matching rule', async () => {
+      // Call the function
+      const response = await provider.sendMessage(request('Which items are OVERDUE?'));
+
+      expect(response).toMatchObject({
+        role: 'assistant',
+        model: 'claude-test',
+        content: [{ type: 'text', text: 'Two items are overdue.' }],
+        stop_reason: 'end_turn'
+      });
+      expect(response.usage.input_tokens).toBeGreaterThan(0);
+    });
+
+    test('should give the same answer to the same request', async () => {
+      const first = await provider.sendMessage(request('Which items are overdue?'));
+      const second = await provider.sendMessage(request('Which items are overdue?'));
+
+      expect(second).toEqual(first);
+    });
+
+    test('should fail like the API when a rule asks for an error', async () => {
+      await expect(provider.sendMessage(request('pretend Claude is overloaded')))
+        .rejects.toMatchObject({ response: { status: 529, data: { error: { type: 'overloaded_error' } } } });
+    });
+
+    test('should plan a read-only query when the monday_action tool is offered', async () => {
+      const response = await provider.sendMessage(request('Show my boards', {
+        tools: [{ name: 'monday_action', input_schema: { type: 'object' } }]
+      }));
+
+      expect(response.stop_reason).toBe('tool_use');
+      expect(response.content[0]).toMatchObject({
+        type: 'tool_use',
+        name: 'monday_action',
+        input: { operation_type: 'query' }
+      });
+    });
+
+    test('should read the sample board when the typed tools are offered', async () => {
+      const response = await provider.sendMessage(request('Show my items', {
+        tools: [{ name: 'get_board_items', input_schema: { type: 'object' } }]
+      }));
+
+      expect(response.content[0]).toMatchObject({
+        type: 'tool_use',
+        name: 'get_board_items',
+        input: { board_id: '1' }
+      });
+    });
+
+    test('should match a rule against the text of the tool results', async () => {
+      const planning = new ScriptedProvider({
+        rules: [
+          { match: { toolResult: 'create_item' }, reply: { text: 'Created the item.' } },
+          { match: { toolResult: true }, reply: { text: 'Something else ran.' } }
+        ]
+      });
+      const toolResult = content => request([{ type: 'tool_result', tool_use_id: 'toolu_1', content }]);
+
+      // Call the function
+      const created = await planning.sendMessage(toolResult('{"data":{"create_item":{"id":"1"}}}'));
+      const other = await planning.sendMessage(toolResult('{"data":{"boards":[]}}'));
+
+      expect(created.content[0].text).toBe('Created the item.');
+      expect(other.content[0].text).toBe('Something else ran.');
+    });
+
+    test('should replay a recorded fixture for the exact request', async () => {
+      const recorded = { id: 'msg_recorded', content: [{ type: 'text', text: 'Recorded answer' }] };
+      const replaying = new ScriptedProvider({
+        fixtures: [{ key: fixtureKey(request('Which items are overdue?')), response: recorded }]
+      });
+
+      await expect(replaying.sendMessage(request('Which items are overdue?'))).resolves.toBe(recorded);
+      await expect(replaying.sendMessage(request('Which items are late?'))).resolves.not.toBe(recorded);
+    });
+
+    test('should stream a scripted answer as server-sent events', async () => {
+      // Call the function
+      const events = await collect(await provider.stream(request('Which items are overdue?')));
+
+      expect(events.map(event => event.type)).toEqual([
+        'message_start',
+        'content_block_start',
+        'content_block_delta',
+        'content_block_stop',
+        'message_delta',
+        'message_stop'
+      ]);
+      expect(events[2].delta).toEqual({ type: 'text_delta', text: 'Two items are overdue.' });
+    });
+  });
+
+  describe('createProvider', () => {
+    test('should use Anthropic unless the environment picks another provider', () => {
+      expect(llmProvider.createProvider().name).toBe('anthropic');
+
+      mockEnv.LLM_PROVIDER = 'scripted';
+      expect(llmProvider.createProvider().name).toBe('scripted');
+    });
+
+    test('should refuse an unknown provider', () => {
+      expect(() => llmProvider.createProvider('openai')).toThrow(expect.objectContaining({ code: 'LLM_PROVIDER_UNKNOWN' }));
+    });
+
+    test('should record exchanges as fixtures the scripted provider replays', async () => {
+      const scriptPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'llm-script-')), 'script.json');
+      const recorded = { id: 'msg_live', content: [{ type: 'text', text: 'Live answer' }] };
+      const recording = llmProvider.createRecordingProvider({
+        name: 'anthropic',
+        sendMessage: jest.fn().mockResolvedValue(recorded)
+      }, scriptPath);
+
+      // Call the function
+      await recording.sendMessage(request('Which items are overdue?'));
+
+      const replaying = ScriptedProvider.fromFile(scriptPath);
+      await expect(replaying.sendMessage(request('Which items are overdue?'))).resolves.toEqual(recorded);
+    });
+  });
+
+  describe('offline Claude calls', () => {
+    test('should run a monday.com request end to end with the scripted provider', async () => {
+      mockEnv.LLM_PROVIDER = 'scripted';
+
+      let claudeAPI;
+      jest.isolateModules(() => {
+        claudeAPI = require('../monday-claude-utils/enhanced-claudeAPI');
+      });
+
+      const executeAction = jest.fn().mockResolvedValue({ result: { data: { boards: [] } } });
+
+      // Call the function
+      const result = await claudeAPI.processMondayRequest('Show my boards', { executeAction });
+
+      expect(executeAction).toHaveBeenCalledWith(expect.objectContaining({ operationType: 'query' }));
+      expect(result.steps).toHaveLength(1);
+      expect(result.content[0].text).toContain('scripted provider');
+    });
+
+    test('should stop a cancelled request and keep the steps it already ran', async () => {
+      mockEnv.LLM_PROVIDER = 'scripted';
+
+      let claudeAPI;
+      jest.isolateModules(() => {
+        claudeAPI = require('../monday-claude-utils/enhanced-claudeAPI');
+      });
+
+      const controller = new AbortController();
+      const executeAction = jest.fn().mockImplementation(async () => {
+        controller.abort();
+        return { result: { data: { boards: [] } } };
+      });
+
+      // Call the function
+      const result = await claudeAPI.processMondayRequest('Show my boards', { executeAction, signal: controller.signal });
+
+      expect(result.stopReason).toBe('cancelled');
+      expect(result.steps).toHaveLength(1);
+      expect(executeAction).toHaveBeenCalledTimes(1);
+    });
+  });
+});
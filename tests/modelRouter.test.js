@@ -0,0 +1,88 @@
+// Mock the external dependencies
+jest.mock('@mondaycom/apps-sdk', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })),
+  Environment: jest.fn().mockImplementation(() => ({
+    get: jest.fn().mockImplementation(key => {
+      if (key === 'CLAUDE_TIER_DOCUMENT') return 'fast';
+      if (key === 'CLAUDE_TIER_EXPLANATION') return 'premium';
+      return null;
+    })
+  }))
+}));
+jest.mock('../monday-claude-utils/monetizationHandler', () => ({
+  getSubscription: jest.fn(),
+  getPlanConfig: jest.fn()
+}));
+
+// Import the module to test
+const modelRouter = require('../monday-claude-utils/modelRouter');
+const monetizationHandler = require('../monday-claude-utils/monetizationHandler');
+
+const { TIER_MODELS } = modelRouter;
+
+describe('Model Router', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('resolveModel', () => {
+    test('should use the default tier for each task', () => {
+      expect(modelRouter.resolveModel('planning')).toEqual({
+        task: 'planning',
+        tier: 'standard',
+        model: TIER_MODELS.standard
+      });
+    });
+
+    test('should read task tiers from the environment and ignore unknown tiers', () => {
+      expect(modelRouter.resolveModel('document').tier).toBe('fast');
+      expect(modelRouter.resolveModel('explanation').tier).toBe('fast');
+    });
+
+    test('should apply the plan\'s task tiers within the tiers it allows', () => {
+      const enterprise = { modelTiers: ['fast', 'standard', 'advanced'], taskModelTiers: { planning: 'advanced' } };
+      const capped = { modelTiers: ['fast', 'standard'], taskModelTiers: { planning: 'advanced' } };
+
+      expect(modelRouter.resolveModel('planning', enterprise).model).toBe(TIER_MODELS.advanced);
+      expect(modelRouter.resolveModel('planning', capped).tier).toBe('standard');
+      expect(modelRouter.resolveModel('planning', { modelTiers: ['fast'] }).tier).toBe('fast');
+    });
+
+    test('should reject unknown tasks', () => {
+      expect(() => modelRouter.resolveModel('translation')).toThrow('Unknown model task: translation');
+    });
+  });
+
+  describe('getModelForAccount', () => {
+    test('should route with the account\'s plan', async () => {
+      monetizationHandler.getSubscription.mockResolvedValueOnce({ planId: 'enterprise_plan' });
+      monetizationHandler.getPlanConfig.mockReturnValueOnce({
+        modelTiers: ['fast', 'standard', 'advanced'],
+        taskModelTiers: { planning: 'advanced' }
+      });
+
+      // Call the function
+      const route = await modelRouter.getModelForAccount('account123', 'planning');
+
+      expect(route).toEqual({
+        task: 'planning',
+        tier: 'advanced',
+        model: TIER_MODELS.advanced,
+        planId: 'enterprise_plan'
+      });
+    });
+
+    test('should fall back to the defaults when the plan cannot be read', async () => {
+      monetizationHandler.getSubscription.mockRejectedValueOnce(new Error('Storage unavailable'));
+
+      // Call the function
+      const route = await modelRouter.getModelForAccount('account123', 'planning');
+
+      expect(route).toMatchObject({ tier: 'standard', planId: null });
+    });
+  });
+});
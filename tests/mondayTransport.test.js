@@ -0,0 +1,135 @@
+const axios = require('axios');
+
+// Environment values read by the modules under test
+const mockEnv = {};
+
+// Shared secure storage mock so the module-level SecureStorage instance can be inspected
+const mockSecureStorage = {
+  get: jest.fn(),
+  set: jest.fn()
+};
+
+// Mock the external dependencies
+jest.mock('axios');
+jest.mock('@mondaycom/apps-sdk', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })),
+  Environment: jest.fn().mockImplementation(() => ({
+    get: jest.fn().mockImplementation(key => mockEnv[key] || null)
+  })),
+  SecureStorage: jest.fn().mockImplementation(() => mockSecureStorage)
+}));
+
+// Import the modules to test
+const mondayTransport = require('../monday-claude-utils/mondayTransport');
+const { ScriptedMondayTransport } = require('../monday-claude-utils/scriptedMondayTransport');
+
+describe('monday.com Transports', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    Object.keys(mockEnv).forEach(key => delete mockEnv[key]);
+  });
+
+  describe('ScriptedMondayTransport', () => {
+    const transport = new ScriptedMondayTransport({
+      rules: [
+        { match: { field: 'items' }, reply: { data: { items: [{ id: '7', name: 'Launch' }] } } },
+        { match: { query: 'complexity' }, reply: { errors: [{ message: 'Complexity budget exhausted', extensions: { retry_in_seconds: 5 } }] } },
+        { match: { field: 'delete_board' }, reply: { error: { status: 503, message: 'Unavailable' } } }
+      ]
+    });
+
+    test('should answer from the first matching rule', async () => {
+      // Call the function
+      const response = await transport.execute({ query: 'query { items(ids: [7]) { id name } }', variables: {} });
+
+      expect(response).toEqual({ data: { items: [{ id: '7', name: 'Launch' }] } });
+    });
+
+    test('should return the GraphQL errors a rule asks for', async () => {
+      const response = await transport.execute({ query: 'query { complexity { before } }' });
+
+      expect(response.errors[0]).toMatchObject({ extensions: { retry_in_seconds: 5 } });
+    });
+
+    test('should fail like the API when a rule asks for an error', async () => {
+      await expect(transport.execute({ query: 'mutation { delete_board(board_id: 1) { id } }' }))
+        .rejects.toMatchObject({ response: { status: 503 } });
+    });
+
+    test('should answer uncovered operations from the sample account', async () => {
+      const query = 'mutation { created: create_item(board_id: 1, item_name: "Launch") { id } }';
+
+      const boards = await transport.execute({ query: 'query { boards(limit: 10) { id name } me { id } tags { id } }' });
+      const created = await transport.execute({ query });
+
+      expect(boards.data.boards[0]).toMatchObject({ id: '1', name: 'Offline Board' });
+      expect(boards.data.me).toMatchObject({ id: '1' });
+      expect(boards.data.tags).toBeNull();
+      expect(created.data.created.id).toMatch(/^scripted_/);
+      await expect(transport.execute({ query })).resolves.toEqual(created);
+    });
+
+    test('should send the OAuth flow straight back with a code and issue offline tokens', async () => {
+      const authUrl = new URL(transport.getAuthorizationUrl({
+        client_id: 'client',
+        redirect_uri: 'http://localhost:8080/oauth/callback',
+        state: 'state-123'
+      }));
+
+      expect(authUrl.pathname).toBe('/oauth/callback');
+      expect(authUrl.searchParams.get('state')).toBe('state-123');
+      await expect(transport.requestToken({ code: authUrl.searchParams.get('code') })).resolves.toMatchObject({
+        access_token: expect.stringMatching(/^scripted-access-/),
+        account_id: 'scripted-account'
+      });
+    });
+  });
+
+  describe('createTransport', () => {
+    test('should use monday.com unless the environment picks another transport', () => {
+      expect(mondayTransport.createTransport().name).toBe('monday');
+
+      mockEnv.MONDAY_TRANSPORT = 'scripted';
+      expect(mondayTransport.createTransport().name).toBe('scripted');
+    });
+
+    test('should refuse an unknown transport', () => {
+      expect(() => mondayTransport.createTransport('carrier-pigeon'))
+        .toThrow(expect.objectContaining({ code: 'MONDAY_TRANSPORT_UNKNOWN' }));
+    });
+  });
+
+  describe('offline monday.com calls', () => {
+    test('should run operations and token refreshes without the network', async () => {
+      mockEnv.MONDAY_TRANSPORT = 'scripted';
+
+      let mondayAPI;
+      let tokenProvider;
+      jest.isolateModules(() => {
+        mondayAPI = require('../monday-claude-utils/mondayAPI');
+        tokenProvider = require('../monday-claude-utils/tokenProvider');
+      });
+
+      mockSecureStorage.get.mockResolvedValueOnce({
+        accessToken: 'expired',
+        refreshToken: 'refresh-123',
+        expiresAt: Date.now() - 1000
+      });
+
+      // Call the functions
+      const token = await tokenProvider.getAccountToken('scripted-account');
+      const result = await mondayAPI.getBoards({}, token);
+
+      expect(token).toMatch(/^scripted-access-/);
+      expect(result.data.boards[0].name).toBe('Offline Board');
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+  });
+});
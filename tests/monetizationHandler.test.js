@@ -0,0 +1,94 @@
+// In-memory secure storage whose reads and writes yield, so concurrent updates interleave
+const mockStore = {};
+const mockSecureStorage = {
+  get: jest.fn(async (key) => {
+    await new Promise(resolve => setImmediate(resolve));
+    return mockStore[key] && JSON.parse(JSON.stringify(mockStore[key]));
+  }),
+  set: jest.fn(async (key, value) => {
+    await new Promise(resolve => setImmediate(resolve));
+    mockStore[key] = JSON.parse(JSON.stringify(value));
+  })
+};
+
+// Mock the external dependencies
+jest.mock('@mondaycom/apps-sdk', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })),
+  Environment: jest.fn().mockImplementation(() => ({
+    get: jest.fn()
+  })),
+  SecureStorage: jest.fn().mockImplementation(() => mockSecureStorage)
+}));
+
+// Import the module to test
+const monetizationHandler = require('../monday-claude-utils/monetizationHandler');
+
+const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+describe('Monetization Handler', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.keys(mockStore).forEach(key => delete mockStore[key]);
+  });
+
+  describe('reserveUsage', () => {
+    test('should let only one of two concurrent requests take the last unit', async () => {
+      mockStore.subscription_account123 = { planId: 'free_trial', isActive: true, expiresAt, usageCount: 24 };
+
+      // Call the function
+      const results = await Promise.all([
+        monetizationHandler.reserveUsage('account123'),
+        monetizationHandler.reserveUsage('account123')
+      ]);
+
+      expect(results.map(result => result.reserved).sort()).toEqual([false, true]);
+      expect(Object.keys(mockStore.subscription_account123.reservations)).toHaveLength(1);
+    });
+
+    test('should count pending reservations against token-metered plans', async () => {
+      monetizationHandler.SUBSCRIPTION_PLANS.token_test_plan = {
+        meterBy: 'tokens',
+        maxTokens: 6000,
+        featureFlags: {}
+      };
+      mockStore.subscription_account123 = { planId: 'token_test_plan', isActive: true, expiresAt, usageCount: 0, tokenCount: 3000 };
+
+      try {
+        // Call the function
+        const results = await Promise.all([
+          monetizationHandler.reserveUsage('account123'),
+          monetizationHandler.reserveUsage('account123')
+        ]);
+
+        expect(results.map(result => result.reserved).sort()).toEqual([false, true]);
+      } finally {
+        delete monetizationHandler.SUBSCRIPTION_PLANS.token_test_plan;
+      }
+    });
+  });
+
+  describe('commitUsage and addTokenUsage', () => {
+    test('should keep every concurrent update to the subscription', async () => {
+      mockStore.subscription_account123 = { planId: 'pro_plan', isActive: true, expiresAt, usageCount: 0, tokenCount: 0 };
+
+      const [first, second] = await Promise.all([
+        monetizationHandler.reserveUsage('account123'),
+        monetizationHandler.reserveUsage('account123')
+      ]);
+
+      // Call the functions
+      await Promise.all([
+        monetizationHandler.commitUsage('account123', first.reservationId),
+        monetizationHandler.releaseUsage('account123', second.reservationId),
+        monetizationHandler.addTokenUsage('account123', 1200),
+        monetizationHandler.addTokenUsage('account123', 300)
+      ]);
+
+      expect(mockStore.subscription_account123).toMatchObject({ usageCount: 1, tokenCount: 1500, reservations: {} });
+    });
+  });
+});
@@ -0,0 +1,137 @@
+// In-memory storage so prompts can be read back after they are saved
+const mockStore = {};
+const mockStorage = {
+  get: jest.fn(async key => mockStore[key]),
+  set: jest.fn(async (key, value) => {
+    mockStore[key] = value;
+  })
+};
+
+// Mock the external dependencies
+jest.mock('@mondaycom/apps-sdk', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })),
+  Storage: jest.fn().mockImplementation(() => mockStorage)
+}));
+
+// Import the module to test
+const promptLibrary = require('../monday-claude-utils/promptLibrary');
+
+const owner = { userId: '1', accountId: '100', isAdmin: false };
+const teammate = { userId: '2', accountId: '100', isAdmin: false };
+const admin = { userId: '3', accountId: '100', isAdmin: true };
+
+describe('Prompt Library', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.keys(mockStore).forEach(key => delete mockStore[key]);
+  });
+
+  describe('extractVariables', () => {
+    test('should list each placeholder once in order of use', () => {
+      const variables = promptLibrary.extractVariables('Onboard {{name}} starting {{ date }}, assign {{name}}');
+
+      expect(variables).toEqual(['name', 'date']);
+    });
+  });
+
+  describe('fillPrompt', () => {
+    test('should replace every placeholder with its value', () => {
+      const text = promptLibrary.fillPrompt('Create onboarding item for {{name}} starting {{date}}', {
+        name: 'Dana',
+        date: '2024-05-01'
+      });
+
+      expect(text).toBe('Create onboarding item for Dana starting 2024-05-01');
+    });
+
+    test('should name the variables without values', () => {
+      expect(() => promptLibrary.fillPrompt('{{name}} on {{date}}', { name: 'Dana', date: ' ' }))
+        .toThrow(expect.objectContaining({ code: 'PROMPT_VARIABLES_MISSING', missing: ['date'] }));
+    });
+  });
+
+  describe('createPrompt', () => {
+    test('should save a private prompt with its variables', async () => {
+      // Call the function
+      const prompt = await promptLibrary.createPrompt(owner, {
+        title: 'Onboarding',
+        text: 'Create onboarding item for {{name}}'
+      });
+
+      expect(prompt).toMatchObject({
+        title: 'Onboarding',
+        visibility: 'private',
+        ownerId: '1',
+        variables: ['name'],
+        editable: true
+      });
+      expect(mockStore.prompt_library_100).toHaveLength(1);
+    });
+
+    test('should only let admins publish to the account', async () => {
+      await expect(promptLibrary.createPrompt(owner, { title: 'Shared', text: 'Hi', visibility: 'account' }))
+        .rejects.toMatchObject({ code: 'PROMPT_FORBIDDEN' });
+
+      const prompt = await promptLibrary.createPrompt(admin, { title: 'Shared', text: 'Hi', visibility: 'account' });
+
+      expect(prompt.visibility).toBe('account');
+    });
+  });
+
+  describe('listPrompts', () => {
+    test('should show published prompts and the user\'s own private prompts', async () => {
+      await promptLibrary.createPrompt(owner, { title: 'Mine', text: 'Mine' });
+      await promptLibrary.createPrompt(teammate, { title: 'Theirs', text: 'Theirs' });
+      await promptLibrary.createPrompt(admin, { title: 'Shared', text: 'Shared', visibility: 'account' });
+
+      // Call the function
+      const prompts = await promptLibrary.listPrompts(owner);
+
+      expect(prompts.map(prompt => prompt.title)).toEqual(['Shared', 'Mine']);
+      expect(prompts[0].editable).toBe(false);
+    });
+  });
+
+  describe('updatePrompt', () => {
+    test('should not let other users change a private prompt', async () => {
+      const prompt = await promptLibrary.createPrompt(owner, { title: 'Mine', text: 'Mine' });
+
+      await expect(promptLibrary.updatePrompt(teammate, prompt.id, { title: 'Changed' }))
+        .rejects.toMatchObject({ code: 'PROMPT_NOT_FOUND' });
+    });
+
+    test('should let admins change published prompts but not owners publish them', async () => {
+      const prompt = await promptLibrary.createPrompt(owner, { title: 'Mine', text: 'Mine' });
+
+      await expect(promptLibrary.updatePrompt(owner, prompt.id, { visibility: 'account' }))
+        .rejects.toMatchObject({ code: 'PROMPT_FORBIDDEN' });
+
+      const published = await promptLibrary.createPrompt(admin, { title: 'Shared', text: 'Shared', visibility: 'account' });
+      const updated = await promptLibrary.updatePrompt({ ...admin, userId: '4' }, published.id, { title: 'Team' });
+
+      expect(updated.title).toBe('Team');
+    });
+  });
+
+  describe('deletePrompt', () => {
+    test('should remove the prompt', async () => {
+      const prompt = await promptLibrary.createPrompt(owner, { title: 'Mine', text: 'Mine' });
+
+      // Call the function
+      await promptLibrary.deletePrompt(owner, prompt.id);
+
+      expect(mockStore.prompt_library_100).toEqual([]);
+    });
+
+    test('should not let teammates delete published prompts', async () => {
+      const prompt = await promptLibrary.createPrompt(admin, { title: 'Shared', text: 'Shared', visibility: 'account' });
+
+      await expect(promptLibrary.deletePrompt(teammate, prompt.id))
+        .rejects.toMatchObject({ code: 'PROMPT_FORBIDDEN' });
+    });
+  });
+});
@@ -0,0 +1,145 @@
+const { EventEmitter } = require('events');
+
+// Mock the external dependencies
+jest.mock('@mondaycom/apps-sdk', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }))
+}));
+
+jest.mock('../monday-claude-utils/monetizationHandler', () => ({
+  reserveUsage: jest.fn(),
+  commitUsage: jest.fn(),
+  releaseUsage: jest.fn()
+}));
+
+const monetizationHandler = require('../monday-claude-utils/monetizationHandler');
+
+// Import the module to test
+const { requireQuota, markQuotaFailed, handOffQuota } = require('../quota-middleware');
+
+/**
+ * Create a minimal Express response double that can emit finish/close
+ */
+const createResponse = () => {
+  const res = new EventEmitter();
+  res.locals = {};
+  res.statusCode = 200;
+  res.status = jest.fn().mockImplementation(code => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Quota Middleware', () => {
+  let req;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = { id: 'test-request-id', body: {}, auth: { userId: 'user123', accountId: 'account123' } };
+  });
+
+  test('should return 402 with plan details when the limit is reached', async () => {
+    monetizationHandler.reserveUsage.mockResolvedValueOnce({
+      reserved: false,
+      reservationId: null,
+      subscription: { planId: 'free_trial', isActive: true, isOnTrial: true, usageCount: 25 },
+      planConfig: { maxRequests: 25 }
+    });
+
+    const res = createResponse();
+    const next = jest.fn();
+
+    // Call the middleware
+    await requireQuota(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(402);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      error: 'Request limit exceeded',
+      plan: expect.objectContaining({ planId: 'free_trial', maxRequests: 25, usageCount: 25 })
+    }));
+  });
+
+  test('should commit the reservation when the request succeeds', async () => {
+    monetizationHandler.reserveUsage.mockResolvedValueOnce({ reserved: true, reservationId: 'res-1' });
+
+    const res = createResponse();
+    const next = jest.fn();
+
+    // Call the middleware and finish the response
+    await requireQuota(req, res, next);
+    res.emit('finish');
+    res.emit('close');
+    await flushPromises();
+
+    expect(next).toHaveBeenCalled();
+    expect(monetizationHandler.commitUsage).toHaveBeenCalledWith('account123', 'res-1');
+    expect(monetizationHandler.releaseUsage).not.toHaveBeenCalled();
+  });
+
+  test('should release the reservation when the request fails', async () => {
+    monetizationHandler.reserveUsage.mockResolvedValueOnce({ reserved: true, reservationId: 'res-1' });
+
+    const res = createResponse();
+
+    // Call the middleware and fail the response
+    await requireQuota(req, res, jest.fn());
+    res.statusCode = 502;
+    res.emit('finish');
+    await flushPromises();
+
+    expect(monetizationHandler.releaseUsage).toHaveBeenCalledWith('account123', 'res-1');
+    expect(monetizationHandler.commitUsage).not.toHaveBeenCalled();
+  });
+
+  test('should release the reservation when a stream reports an error', async () => {
+    monetizationHandler.reserveUsage.mockResolvedValueOnce({ reserved: true, reservationId: 'res-1' });
+
+    const res = createResponse();
+
+    // Call the middleware; the stream ends with a 200 status but failed
+    await requireQuota(req, res, jest.fn());
+    markQuotaFailed(res);
+    res.emit('finish');
+    await flushPromises();
+
+    expect(monetizationHandler.releaseUsage).toHaveBeenCalledWith('account123', 'res-1');
+  });
+
+  test('should release the reservation when the client disconnects', async () => {
+    monetizationHandler.reserveUsage.mockResolvedValueOnce({ reserved: true, reservationId: 'res-1' });
+
+    const res = createResponse();
+
+    // Call the middleware and close the connection before finishing
+    await requireQuota(req, res, jest.fn());
+    res.emit('close');
+    await flushPromises();
+
+    expect(monetizationHandler.releaseUsage).toHaveBeenCalledWith('account123', 'res-1');
+  });
+
+  test('should leave a handed off reservation for the caller to settle', async () => {
+    monetizationHandler.reserveUsage.mockResolvedValueOnce({ reserved: true, reservationId: 'res-1' });
+
+    const res = createResponse();
+
+    // Call the middleware and hand the reservation to a queued job
+    await requireQuota(req, res, jest.fn());
+    const reservation = handOffQuota(res);
+    res.emit('finish');
+    res.emit('close');
+    await flushPromises();
+
+    expect(reservation).toEqual({ accountId: 'account123', reservationId: 'res-1' });
+    expect(monetizationHandler.commitUsage).not.toHaveBeenCalled();
+    expect(monetizationHandler.releaseUsage).not.toHaveBeenCalled();
+  });
+});
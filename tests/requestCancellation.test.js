@@ -0,0 +1,52 @@
+// Mock the external dependencies
+jest.mock('@mondaycom/apps-sdk', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }))
+}));
+
+// Import the module to test
+const requestCancellation = require('../monday-claude-utils/requestCancellation');
+
+describe('Request Cancellation', () => {
+  const owner = { userId: 'user-1', accountId: 'account-1' };
+
+  afterEach(() => {
+    requestCancellation.unregisterRequest('req-1');
+  });
+
+  test('should abort the signal of a running request', () => {
+    const signal = requestCancellation.registerRequest('req-1', owner);
+
+    // Call the function
+    const cancelled = requestCancellation.cancelRequest('req-1', owner);
+
+    expect(cancelled).toBe(true);
+    expect(signal.aborted).toBe(true);
+    expect(() => requestCancellation.throwIfCancelled(signal)).toThrow(expect.objectContaining({ code: 'REQUEST_CANCELLED' }));
+  });
+
+  test('should only let the user running a request cancel it', () => {
+    const signal = requestCancellation.registerRequest('req-1', owner);
+
+    expect(requestCancellation.cancelRequest('req-1', { userId: 'user-2', accountId: 'account-1' })).toBe(false);
+    expect(signal.aborted).toBe(false);
+  });
+
+  test('should not find requests that have finished', () => {
+    requestCancellation.registerRequest('req-1', owner);
+    requestCancellation.unregisterRequest('req-1');
+
+    expect(requestCancellation.cancelRequest('req-1', owner)).toBe(false);
+    expect(requestCancellation.cancelRequest('req-unknown', owner)).toBe(false);
+  });
+
+  test('should recognize cancellations, including aborted HTTP calls', () => {
+    expect(requestCancellation.isCancellation(requestCancellation.createCancellationError())).toBe(true);
+    expect(requestCancellation.isCancellation(Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' }))).toBe(true);
+    expect(requestCancellation.isCancellation(new Error('Request failed'))).toBe(false);
+    expect(() => requestCancellation.throwIfCancelled(null)).not.toThrow();
+  });
+});
@@ -0,0 +1,118 @@
+// In-memory storage behind the persistent cache
+const mockStore = {};
+const mockStorage = {
+  get: jest.fn(async key => mockStore[key]),
+  set: jest.fn(async (key, value) => {
+    mockStore[key] = value;
+  }),
+  delete: jest.fn(async (key) => {
+    delete mockStore[key];
+  })
+};
+
+// Mock the external dependencies
+jest.mock('@mondaycom/apps-sdk', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })),
+  Environment: jest.fn().mockImplementation(() => ({
+    get: jest.fn().mockImplementation(key => (key === 'CLAUDE_RESPONSE_CACHE' ? 'true' : null))
+  })),
+  Storage: jest.fn().mockImplementation(() => mockStorage)
+}));
+
+// Import the module to test
+const responseCache = require('../monday-claude-utils/responseCache');
+const cacheUtils = require('../monday-claude-utils/cacheUtils');
+const performanceMonitoring = require('../monday-claude-utils/performanceMonitoring');
+
+const schema = { id: '1', name: 'Roadmap', columns: [], groups: [], sampleItems: [] };
+
+describe('Response Cache', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.keys(mockStore).forEach(key => delete mockStore[key]);
+    cacheUtils.flushMemoryCache();
+    performanceMonitoring.resetMetrics();
+  });
+
+  describe('getOrCompute', () => {
+    test('should answer a repeated question from the cache and report the hit', async () => {
+      const compute = jest.fn().mockResolvedValue({ explanation: 'You have 3 items' });
+      const entry = { task: 'query', accountId: '100', prompt: 'How many items?', boardSchema: schema, model: 'claude' };
+
+      // Call the function
+      const first = await responseCache.getOrCompute(entry, compute);
+      const second = await responseCache.getOrCompute(entry, compute);
+
+      expect(compute).toHaveBeenCalledTimes(1);
+      expect(first).toEqual({ value: { explanation: 'You have 3 items' }, cached: false });
+      expect(second).toEqual({ value: { explanation: 'You have 3 items' }, cached: true });
+      expect(performanceMonitoring.getMetrics().cache).toEqual({ hits: 1, misses: 1, ratio: 0.5 });
+    });
+
+    test('should share entries between questions that differ in case and spacing only', async () => {
+      const compute = jest.fn().mockResolvedValue({ explanation: 'Done' });
+      const entry = { task: 'query', accountId: '100', boardSchema: schema, model: 'claude' };
+
+      await responseCache.getOrCompute({ ...entry, prompt: 'How many  items?' }, compute);
+      const { cached } = await responseCache.getOrCompute({ ...entry, prompt: ' how many items? ' }, compute);
+
+      expect(cached).toBe(true);
+      expect(compute).toHaveBeenCalledTimes(1);
+    });
+
+    test('should compute again when the board schema changes', async () => {
+      const compute = jest.fn().mockResolvedValue({ explanation: 'Done' });
+      const entry = { task: 'query', accountId: '100', prompt: 'How many items?', model: 'claude' };
+
+      await responseCache.getOrCompute({ ...entry, boardSchema: schema }, compute);
+      await responseCache.getOrCompute({ ...entry, boardSchema: { ...schema, name: 'Launch' } }, compute);
+
+      expect(compute).toHaveBeenCalledTimes(2);
+    });
+
+    test('should keep the case of document prompts', async () => {
+      const compute = jest.fn().mockResolvedValue({ content: [{ type: 'text', text: 'Summary' }] });
+      const entry = { task: 'document', accountId: '100', model: 'claude' };
+
+      await responseCache.getOrCompute({ ...entry, prompt: 'Summarize: ACME launch' }, compute);
+      await responseCache.getOrCompute({ ...entry, prompt: 'Summarize: acme launch' }, compute);
+
+      expect(compute).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not cache responses rejected by shouldCache', async () => {
+      const compute = jest.fn().mockResolvedValue({ requiresConfirmation: true });
+      const entry = { task: 'query', accountId: '100', prompt: 'Delete the item', model: 'claude' };
+      const shouldCache = response => !response.requiresConfirmation;
+
+      await responseCache.getOrCompute(entry, compute, { shouldCache });
+      const { cached } = await responseCache.getOrCompute(entry, compute, { shouldCache });
+
+      expect(cached).toBe(false);
+      expect(compute).toHaveBeenCalledTimes(2);
+      expect(mockStorage.set).not.toHaveBeenCalled();
+    });
+
+    test('should answer a repeat of a cancelled request afresh', async () => {
+      const controller = new AbortController();
+      const entry = { task: 'query', accountId: '100', prompt: 'How many items?', boardSchema: schema, model: 'claude' };
+      const compute = jest.fn()
+        .mockImplementationOnce(async () => {
+          controller.abort();
+          return { explanation: 'You have 3 items' };
+        })
+        .mockResolvedValueOnce({ explanation: 'You have 4 items' });
+
+      // Call the function for a request cancelled while it was answered, then repeat it
+      await responseCache.getOrCompute(entry, compute, { signal: controller.signal });
+      const repeat = await responseCache.getOrCompute(entry, compute, { signal: new AbortController().signal });
+
+      expect(compute).toHaveBeenCalledTimes(2);
+      expect(repeat).toEqual({ value: { explanation: 'You have 4 items' }, cached: false });
+    });
+  });
+});
@@ -0,0 +1,106 @@
+// Mock the external dependencies
+jest.mock('@mondaycom/apps-sdk', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }))
+}));
+
+// Import the module to test
+const resultFormatter = require('../monday-claude-utils/resultFormatter');
+
+describe('Result Formatter', () => {
+  describe('formatQueryResult', () => {
+    test('should turn items_page items into rows with column titles and types', () => {
+      const result = {
+        data: {
+          boards: [{
+            id: '123',
+            items_page: {
+              cursor: 'next-page',
+              items: [
+                {
+                  id: '1',
+                  name: 'Website Redesign',
+                  group: { id: 'topics', title: 'This week' },
+                  column_values: [
+                    { id: 'status', text: 'Stuck', type: 'status', column: { title: 'Status' } },
+                    { id: 'numbers', text: '5', type: 'numbers', column: { title: 'Estimate' } }
+                  ]
+                },
+                {
+                  id: '2',
+                  name: 'Launch',
+                  group: { id: 'topics', title: 'This week' },
+                  column_values: [
+                    { id: 'status', text: null, type: 'status', column: { title: 'Status' } }
+                  ]
+                }
+              ]
+            }
+          }]
+        }
+      };
+
+      // Call the function
+      const table = resultFormatter.formatQueryResult(result);
+
+      expect(table.columns).toEqual([
+        { id: 'status', title: 'Status', type: 'status' },
+        { id: 'numbers', title: 'Estimate', type: 'numbers' }
+      ]);
+      expect(table.rows[0]).toEqual({
+        id: '1',
+        name: 'Website Redesign',
+        boardId: '123',
+        group: 'This week',
+        values: { status: 'Stuck', numbers: '5' }
+      });
+      expect(table.rows[1].values).toEqual({ status: '' });
+      expect(table.pagination).toEqual({
+        returned: 2,
+        paged: true,
+        hasMore: true,
+        cursor: 'next-page'
+      });
+    });
+
+    test('should use the board schema for columns missing titles', () => {
+      const result = {
+        data: {
+          items: [
+            { id: '1', name: 'Task', column_values: [{ id: 'date4', value: '{"date":"2024-05-01"}' }] }
+          ]
+        }
+      };
+
+      // Call the function
+      const table = resultFormatter.formatQueryResult(result, {
+        boardSchema: { columns: [{ id: 'date4', title: 'Due date', type: 'date' }] }
+      });
+
+      expect(table.columns).toEqual([{ id: 'date4', title: 'Due date', type: 'date' }]);
+      expect(table.rows[0].values).toEqual({ date4: '2024-05-01' });
+      expect(table.rows[0].boardId).toBeNull();
+      expect(table.pagination.hasMore).toBe(false);
+    });
+
+    test('should return null when the result has no items', () => {
+      expect(resultFormatter.formatQueryResult({ data: { boards: [{ id: '123', name: 'Board' }] } })).toBeNull();
+      expect(resultFormatter.formatQueryResult({})).toBeNull();
+    });
+  });
+
+  describe('getDisplayText', () => {
+    test('should prefer the rendered text', () => {
+      expect(resultFormatter.getDisplayText({ text: 'Done', value: '{"index":1}' })).toBe('Done');
+    });
+
+    test('should read labels and plain values from the raw value', () => {
+      expect(resultFormatter.getDisplayText({ value: '{"label":"High"}' })).toBe('High');
+      expect(resultFormatter.getDisplayText({ value: '"42"' })).toBe('42');
+      expect(resultFormatter.getDisplayText({ value: null })).toBe('');
+    });
+  });
+});
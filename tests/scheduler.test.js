@@ -0,0 +1,279 @@
+// In-memory storage so schedules can be read back after they are saved
+const mockStore = {};
+const mockStorage = {
+  get: jest.fn(async key => mockStore[key]),
+  set: jest.fn(async (key, value) => {
+    mockStore[key] = value;
+  })
+};
+
+// Mock the external dependencies
+jest.mock('@mondaycom/apps-sdk', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })),
+  Storage: jest.fn().mockImplementation(() => mockStorage)
+}));
+jest.mock('../monday-claude-utils/jobQueue', () => ({
+  createJob: jest.fn()
+}));
+jest.mock('../monday-claude-utils/monetizationHandler', () => ({
+  reserveUsage: jest.fn()
+}));
+jest.mock('../monday-claude-utils/enhanced-claudeAPI', () => ({
+  saveConversationHistory: jest.fn(),
+  updateConversationHistoryEntry: jest.fn()
+}));
+
+// Import the module to test
+const scheduler = require('../monday-claude-utils/scheduler');
+const jobQueue = require('../monday-claude-utils/jobQueue');
+const monetizationHandler = require('../monday-claude-utils/monetizationHandler');
+const claudeAPI = require('../monday-claude-utils/enhanced-claudeAPI');
+
+const owner = { userId: '1', accountId: '100', isAdmin: false };
+const teammate = { userId: '2', accountId: '100', isAdmin: false };
+
+describe('Scheduler', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.keys(mockStore).forEach(key => delete mockStore[key]);
+  });
+
+  describe('getNextRunTime', () => {
+    // Wednesday
+    const after = new Date('2024-05-01T10:00:00Z');
+
+    test('should find the next matching weekday and hour', () => {
+      expect(scheduler.getNextRunTime('0 9 * * 1', 0, after).toISOString()).toBe('2024-05-06T09:00:00.000Z');
+    });
+
+    test('should read the schedule in the user\'s time zone', () => {
+      expect(scheduler.getNextRunTime('0 9 * * 1', 120, after).toISOString()).toBe('2024-05-06T07:00:00.000Z');
+    });
+
+    test('should support steps and leap days', () => {
+      expect(scheduler.getNextRunTime('30 */6 * * *', 0, after).toISOString()).toBe('2024-05-01T12:30:00.000Z');
+      expect(scheduler.getNextRunTime('0 0 29 2 *', 0, after).toISOString()).toBe('2028-02-29T00:00:00.000Z');
+    });
+
+    test('should return null for a schedule that never runs', () => {
+      expect(scheduler.getNextRunTime('0 0 31 2 *', 0, after)).toBeNull();
+    });
+  });
+
+  describe('validateSchedule', () => {
+    test('should reject invalid fields and schedules that run more than hourly', () => {
+      expect(() => scheduler.validateSchedule('0 25 * * *', 0)).toThrow('Invalid hour in schedule: 25');
+      expect(() => scheduler.validateSchedule('*/5 * * * *', 0)).toThrow('at most once an hour');
+      expect(() => scheduler.validateSchedule('0 9 * *', 0)).toThrow(expect.objectContaining({ code: 'INVALID_SCHEDULE' }));
+    });
+  });
+
+  describe('createSchedule', () => {
+    test('should store an active schedule and index the account', async () => {
+      // Call the function
+      const schedule = await scheduler.createSchedule(owner, {
+        userPrompt: 'Post an update summarizing Stuck items',
+        boardId: 123,
+        cron: '0 9 * * 1'
+      });
+
+      expect(schedule).toMatchObject({
+        status: 'active',
+        boardId: '123',
+        userId: '1',
+        lastRun: null
+      });
+      expect(new Date(schedule.nextRunAt).getUTCDay()).toBe(1);
+      expect(mockStore.schedules_100).toHaveLength(1);
+      expect(mockStore.schedule_accounts).toEqual(['100']);
+    });
+  });
+
+  describe('setSchedulePaused and deleteSchedule', () => {
+    test('should pause, resume and delete a schedule', async () => {
+      const schedule = await scheduler.createSchedule(owner, { userPrompt: 'Summarize', cron: '0 9 * * *' });
+
+      const paused = await scheduler.setSchedulePaused(owner, schedule.id, true);
+      expect(paused).toMatchObject({ status: 'paused', nextRunAt: null });
+
+      const resumed = await scheduler.setSchedulePaused(owner, schedule.id, false);
+      expect(resumed.status).toBe('active');
+      expect(resumed.nextRunAt).not.toBeNull();
+
+      await scheduler.deleteSchedule(owner, schedule.id);
+      expect(mockStore.schedules_100).toEqual([]);
+      expect(mockStore.schedule_accounts).toEqual([]);
+    });
+
+    test('should hide schedules from other users', async () => {
+      const schedule = await scheduler.createSchedule(owner, { userPrompt: 'Summarize', cron: '0 9 * * *' });
+
+      await expect(scheduler.setSchedulePaused(teammate, schedule.id, true))
+        .rejects.toMatchObject({ code: 'SCHEDULE_NOT_FOUND' });
+      expect(await scheduler.listSchedules(teammate)).toEqual([]);
+      expect(await scheduler.listSchedules({ ...teammate, isAdmin: true })).toHaveLength(1);
+    });
+  });
+
+  describe('runDueSchedules', () => {
+    test('should queue a job for a due schedule and move it to the next run', async () => {
+      const schedule = await scheduler.createSchedule(owner, { userPrompt: 'Summarize', boardId: '123', cron: '0 9 * * *' });
+      monetizationHandler.reserveUsage.mockResolvedValueOnce({ reserved: true, reservationId: 'res123' });
+      jobQueue.createJob.mockResolvedValueOnce({ id: 'job123' });
+
+      // Call the function
+      const started = await scheduler.runDueSchedules(new Date(schedule.nextRunAt));
+
+      expect(started).toBe(1);
+      expect(jobQueue.createJob).toHaveBeenCalledWith({
+        type: 'scheduled-request',
+        payload: {
+          scheduleId: schedule.id,
+          userPrompt: 'Summarize',
+          boardId: '123',
+          userId: '1',
+          accountId: '100'
+        },
+        userId: '1',
+        accountId: '100',
+        reservation: { accountId: '100', reservationId: 'res123' }
+      });
+
+      const [stored] = mockStore.schedules_100;
+      expect(stored.lastRun).toMatchObject({ jobId: 'job123', status: 'queued' });
+      expect(new Date(stored.nextRunAt).getTime() - new Date(schedule.nextRunAt).getTime()).toBe(24 * 60 * 60 * 1000);
+    });
+
+    test('should skip the run when the plan limit is reached', async () => {
+      const schedule = await scheduler.createSchedule(owner, { userPrompt: 'Summarize', cron: '0 9 * * *' });
+      monetizationHandler.reserveUsage.mockResolvedValueOnce({ reserved: false, reservationId: null });
+
+      // Call the function
+      await scheduler.runDueSchedules(new Date(schedule.nextRunAt));
+
+      expect(jobQueue.createJob).not.toHaveBeenCalled();
+      expect(mockStore.schedules_100[0].lastRun.status).toBe('skipped');
+    });
+
+    test('should not run schedules that are paused or not due', async () => {
+      const schedule = await scheduler.createSchedule(owner, { userPrompt: 'Summarize', cron: '0 9 * * *' });
+      await scheduler.createSchedule(owner, { userPrompt: 'Later', cron: '0 9 * * *' });
+      await scheduler.setSchedulePaused(owner, schedule.id, true);
+
+      // Call the function
+      const started = await scheduler.runDueSchedules(new Date());
+
+      expect(started).toBe(0);
+      expect(monetizationHandler.reserveUsage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordRun', () => {
+    test('should tag the saved conversation of a successful run', async () => {
+      const schedule = await scheduler.createSchedule(owner, { userPrompt: 'Summarize', cron: '0 9 * * *' });
+
+      // Call the function
+      await scheduler.recordRun({
+        id: 'job123',
+        status: 'completed',
+        userId: '1',
+        accountId: '100',
+        payload: { scheduleId: schedule.id, userPrompt: 'Summarize' },
+        result: { conversationId: 'conv123' }
+      });
+
+      expect(claudeAPI.updateConversationHistoryEntry).toHaveBeenCalledWith('1', 'conv123', { scheduleId: schedule.id });
+      expect(mockStore.schedules_100[0].lastRun).toMatchObject({
+        jobId: 'job123',
+        status: 'succeeded',
+        conversationId: 'conv123',
+        error: null
+      });
+    });
+
+    test('should save failed runs to history', async () => {
+      const schedule = await scheduler.createSchedule(owner, { userPrompt: 'Summarize', cron: '0 9 * * *' });
+
+      // Call the function
+      await scheduler.recordRun({
+        id: 'job123',
+        status: 'failed',
+        error: 'Monday.com connection required',
+        userId: '1',
+        accountId: '100',
+        payload: { scheduleId: schedule.id, userPrompt: 'Summarize' },
+        result: null
+      });
+
+      expect(claudeAPI.saveConversationHistory).toHaveBeenCalledWith('1', '100', expect.objectContaining({
+        scheduleId: schedule.id,
+        prompt: 'Summarize',
+        error: 'Monday.com connection required'
+      }));
+      expect(mockStore.schedules_100[0].lastRun).toMatchObject({ status: 'failed', error: 'Monday.com connection required' });
+    });
+
+    test('should flag runs that wait for confirmation', async () => {
+      const schedule = await scheduler.createSchedule(owner, { userPrompt: 'Delete done items', cron: '0 9 * * *' });
+
+      // Call the function
+      await scheduler.recordRun({
+        id: 'job123',
+        status: 'completed',
+        userId: '1',
+        accountId: '100',
+        payload: { scheduleId: schedule.id, userPrompt: 'Delete done items' },
+        result: { requiresConfirmation: true }
+      });
+
+      expect(mockStore.schedules_100[0].lastRun.status).toBe('needs_confirmation');
+    });
+
+    test('should not bring back a schedule deleted while its run is recorded', async () => {
+      const schedule = await scheduler.createSchedule(owner, { userPrompt: 'Summarize', cron: '0 9 * * *' });
+
+      // Hold the read made while recording the run
+      let holdScheduleRead = true;
+      let releaseScheduleRead = null;
+      mockStorage.get.mockImplementation(async (key) => {
+        const value = mockStore[key];
+        if (key === 'schedules_100' && holdScheduleRead) {
+          holdScheduleRead = false;
+          await new Promise((resolve) => {
+            releaseScheduleRead = resolve;
+          });
+        }
+        return value;
+      });
+
+      try {
+        // Call the functions
+        const recording = scheduler.recordRun({
+          id: 'job123',
+          status: 'completed',
+          userId: '1',
+          accountId: '100',
+          payload: { scheduleId: schedule.id, userPrompt: 'Summarize' },
+          result: { conversationId: 'conv123' }
+        });
+        while (!releaseScheduleRead) {
+          await new Promise(resolve => setImmediate(resolve));
+        }
+
+        const deleting = scheduler.deleteSchedule(owner, schedule.id);
+        await new Promise(resolve => setImmediate(resolve));
+        releaseScheduleRead();
+        await Promise.all([recording, deleting]);
+
+        expect(mockStore.schedules_100).toEqual([]);
+        expect(mockStore.schedule_accounts).toEqual([]);
+      } finally {
+        mockStorage.get.mockImplementation(async key => mockStore[key]);
+      }
+    });
+  });
+});
@@ -0,0 +1,440 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+
+// Environment values read by the server: Claude and monday.com run offline
+const mockEnv = {
+  LLM_PROVIDER: 'scripted',
+  MONDAY_TRANSPORT: 'scripted',
+  MONDAY_SIGNING_SECRET: 'test-signing-secret'
+};
+
+// In-memory storage shared by every module, so routes see what others saved
+const mockStore = {};
+const mockSecureStore = {};
+
+// Time reads of keys with each prefix take, so a test can make concurrent requests overlap
+const mockReadDelays = {};
+
+/**
+ * Build an in-memory storage mock
+ *
+ * @param {Object} store - Object holding the stored values
+ * @returns {Object} - Storage with get, set and delete
+ */
+function mockStorageFor(store) {
+  return {
+    get: jest.fn(async (key) => {
+      const value = store[key];
+      const prefix = Object.keys(mockReadDelays).find(candidate => key.startsWith(candidate));
+      if (prefix) {
+        await new Promise(resolve => setTimeout(resolve, mockReadDelays[prefix]));
+      }
+      return value;
+    }),
+    set: jest.fn(async (key, value) => {
+      store[key] = value;
+    }),
+    delete: jest.fn(async (key) => {
+      delete store[key];
+    })
+  };
+}
+
+// Mock the external dependencies
+jest.mock('@mondaycom/apps-sdk', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })),
+  Environment: jest.fn().mockImplementation(() => ({
+    get: jest.fn().mockImplementation(key => mockEnv[key] || null)
+  })),
+  Storage: jest.fn().mockImplementation(() => mockStorageFor(mockStore)),
+  SecureStorage: jest.fn().mockImplementation(() => mockStorageFor(mockSecureStore))
+}));
+
+// Claude's turns, matched against the last message of each request
+const scriptDir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-test-'));
+mockEnv.LLM_SCRIPT_PATH = path.join(scriptDir, 'script.json');
+fs.writeFileSync(mockEnv.LLM_SCRIPT_PATH, JSON.stringify({
+  rules: [
+    { match: { prompt: 'Please explain in clear' }, reply: { text: 'Your board was updated.' } },
+    { match: { toolResult: 'change_column_value' }, reply: { text: 'Marked the item done.' } },
+    {
+      match: { toolResult: 'create_item' },
+      reply: { toolUse: { name: 'update_column_value', input: { board_id: '1', item_id: '11', column_id: 'status', value: { label: 'Done' } } } }
+    },
+    {
+      match: { toolResult: 'create_board' },
+      reply: { toolUse: { name: 'delete_item', input: { item_id: '11' } } }
+    },
+    {
+      match: { prompt: 'create a board' },
+      reply: { toolUse: { name: 'create_board', input: { board_name: 'Launch plan' } } }
+    },
+    {
+      match: { prompt: 'add a launch item' },
+      reply: { toolUse: { name: 'create_item', input: { board_id: '1', item_name: 'Launch' } } }
+    },
+    {
+      match: { prompt: 'mark the sample item done', system: 'Offline Board' },
+      reply: { toolUse: { name: 'update_column_value', input: { board_id: '1', item_id: '11', column_id: 'status', value: { label: 'Done' } } } }
+    }
+  ]
+}));
+
+// Import the modules to test
+const { app } = require('../server');
+const mondayTransport = require('../monday-claude-utils/mondayTransport');
+const requestCancellation = require('../monday-claude-utils/requestCancellation');
+
+/**
+ * Sign a session token the way monday.com does
+ *
+ * @param {string} userId - User ID
+ * @param {string} accountId - Account ID
+ * @returns {string} - Session token
+ */
+function sessionToken(userId = 'user-1', accountId = 'account-1') {
+  return jwt.sign({ dat: { user_id: userId, account_id: accountId } }, mockEnv.MONDAY_SIGNING_SECRET);
+}
+
+// Each request gets its own idempotency key
+let idempotencyKeyCount = 0;
+
+/**
+ * Start a signed-in POST with a new idempotency key
+ *
+ * @param {string} route - Route path
+ * @param {string} userId - User ID
+ * @param {string} accountId - Account ID
+ * @returns {Object} - supertest request
+ */
+function post(route, userId = 'user-1', accountId = 'account-1') {
+  idempotencyKeyCount += 1;
+
+  return request(app)
+    .post(route)
+    .set('x-monday-session-token', sessionToken(userId, accountId))
+    .set('Idempotency-Key', `test-key-${idempotencyKeyCount}`);
+}
+
+/**
+ * Wait until a condition holds, for state settled after the response is sent
+ *
+ * @param {Function} condition - Returns true once the state is reached
+ */
+async function waitFor(condition) {
+  for (let attempt = 0; attempt < 50 && !condition(); attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Read the events of a server-sent events response
+ *
+ * @param {Object} response - supertest response
+ * @returns {Object} - Data of the last event of each name, keyed by event name
+ */
+function streamEvents(response) {
+  return response.text.split('\n\n').filter(Boolean).reduce((events, chunk) => {
+    const [, name] = chunk.match(/^event: (.+)$/m);
+    const [, data] = chunk.match(/^data: (.+)$/m);
+    events[name] = JSON.parse(data);
+    return events;
+  }, {});
+}
+
+/**
+ * Cancel every running request through the cancel route as soon as monday.com
+ * has run a mutation of the given field
+ *
+ * @param {string} field - Mutation root field
+ * @returns {Function} - Restores the spies
+ */
+function cancelAfterMutation(field) {
+  const registerRequest = requestCancellation.registerRequest;
+  const running = [];
+  const register = jest.spyOn(requestCancellation, 'registerRequest').mockImplementation((requestId, auth) => {
+    running.push({ requestId, auth });
+    return registerRequest(requestId, auth);
+  });
+
+  const transport = mondayTransport.getTransport();
+  const executeOperation = transport.execute.bind(transport);
+  const execute = jest.spyOn(transport, 'execute').mockImplementation(async (body, options) => {
+    const result = await executeOperation(body, options);
+    if (body.query.trim().startsWith('mutation') && body.query.includes(`${field}(`)) {
+      await Promise.all(running.map(({ requestId, auth }) => post(`/api/requests/${requestId}/cancel`, auth.userId, auth.accountId)));
+    }
+    return result;
+  });
+
+  return () => {
+    register.mockRestore();
+    execute.mockRestore();
+  };
+}
+
+/**
+ * Get the requests counted against an account
+ *
+ * @param {string} accountId - Account ID
+ * @returns {number} - Usage count of the account's subscription
+ */
+function usageCount(accountId = 'account-1') {
+  return mockSecureStore[`subscription_${accountId}`]?.usageCount || 0;
+}
+
+/**
+ * Preview a request and get the token that confirms its plan
+ *
+ * @param {string} userId - User ID
+ * @param {string} accountId - Account ID
+ * @returns {Promise<string>} - Confirmation token
+ */
+async function previewPlan(userId = 'user-1', accountId = 'account-1') {
+  const response = await post('/api/process-request', userId, accountId)
+    .send({ userPrompt: 'add a launch item', preview: true });
+
+  return response.body.confirmationToken;
+}
+
+describe('Server routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.keys(mockStore).forEach(key => delete mockStore[key]);
+    Object.keys(mockSecureStore).forEach(key => delete mockSecureStore[key]);
+    Object.keys(mockReadDelays).forEach(key => delete mockReadDelays[key]);
+
+    // Each account has authorized the app with its own OAuth token
+    mockSecureStore['oauth_tokens_account-1'] = { accessToken: 'account-1-token' };
+    mockSecureStore['oauth_tokens_account-2'] = { accessToken: 'account-2-token' };
+    mockSecureStore['oauth_tokens_account-3'] = { accessToken: 'account-3-token' };
+  });
+
+  afterAll(() => {
+    fs.rmSync(scriptDir, { recursive: true, force: true });
+  });
+
+  describe('POST /api/process-request', () => {
+    test('should reject requests without a session token', async () => {
+      const response = await request(app)
+        .post('/api/process-request')
+        .send({ userPrompt: 'add a launch item' });
+
+      expect(response.status).toBe(401);
+    });
+
+    test('should reject requests without an idempotency key before anything runs', async () => {
+      const response = await request(app)
+        .post('/api/process-request')
+        .set('x-monday-session-token', sessionToken('user-3', 'account-3'))
+        .send({ userPrompt: 'add a launch item' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Missing idempotency key');
+      expect(mockSecureStore['subscription_account-3']).toBeUndefined();
+    });
+
+    test('should run each step Claude plans and feed its result into the next turn', async () => {
+      // Call the route
+      const response = await post('/api/process-request')
+        .send({ userPrompt: 'add a launch item and mark the sample item done' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.steps.map(step => step.action.tool)).toEqual(['create_item', 'update_column_value']);
+      expect(response.body.explanation).toBe('Your board was updated.');
+      expect(response.body.undoAvailable).toBe(true);
+
+      const history = await request(app)
+        .get('/api/conversation-history/user-1')
+        .set('x-monday-session-token', sessionToken());
+
+      expect(history.body).toEqual([expect.objectContaining({ id: response.body.conversationId })]);
+    });
+
+    test('should ground Claude in the board the user is on', async () => {
+      const onBoard = await post('/api/process-request')
+        .send({ userPrompt: 'mark the sample item done', boardId: '1' });
+      const offBoard = await post('/api/process-request')
+        .send({ userPrompt: 'mark the sample item done' });
+
+      expect(onBoard.body.steps.map(step => step.action.tool)).toEqual(['update_column_value']);
+      expect((offBoard.body.steps || []).map(step => step.action.tool)).not.toContain('update_column_value');
+    });
+
+    test('should call monday.com with the OAuth token of the caller\'s account', async () => {
+      const execute = jest.spyOn(mondayTransport.getTransport(), 'execute');
+
+      await post('/api/process-request', 'user-2', 'account-2')
+        .send({ userPrompt: 'mark the sample item done', boardId: '1' });
+
+      const tokens = execute.mock.calls.map(([, options]) => options.token);
+      execute.mockRestore();
+
+      expect(tokens.length).toBeGreaterThan(0);
+      expect(new Set(tokens)).toEqual(new Set(['account-2-token']));
+    });
+
+    test('should save the steps that ran before a destructive action was held, so they can be undone', async () => {
+      // Call the route
+      const response = await post('/api/process-request')
+        .send({ userPrompt: 'create a board then delete the sample item' });
+
+      expect(response.body).toMatchObject({ requiresConfirmation: true, undoAvailable: true });
+      expect(response.body.actions.map(action => action.tool)).toEqual(['delete_item']);
+      expect(response.body.steps.map(step => step.action.tool)).toEqual(['create_board']);
+
+      const history = await request(app)
+        .get('/api/conversation-history/user-1')
+        .set('x-monday-session-token', sessionToken());
+
+      expect(history.body).toEqual([expect.objectContaining({
+        id: response.body.conversationId,
+        undo: [expect.objectContaining({ operationType: 'mutation' })]
+      })]);
+    });
+
+    test('should count a successful request against the account\'s quota', async () => {
+      await post('/api/process-request', 'user-3', 'account-3')
+        .send({ userPrompt: 'mark the sample item done', boardId: '1' });
+
+      await waitFor(() => usageCount('account-3') === 1);
+
+      expect(usageCount('account-3')).toBe(1);
+    });
+
+    test('should refuse requests once the plan\'s limit is reached', async () => {
+      mockSecureStore['subscription_account-3'] = { planId: 'free_trial', isActive: true, usageCount: 25 };
+
+      const response = await post('/api/process-request', 'user-3', 'account-3')
+        .send({ userPrompt: 'add a launch item' });
+
+      expect(response.status).toBe(402);
+      expect(response.body.plan).toMatchObject({ maxRequests: 25, usageCount: 25 });
+    });
+  });
+
+  describe('POST /api/process-request/stream', () => {
+    test('should count a request cancelled after it changed the board and return the steps that ran', async () => {
+      const restore = cancelAfterMutation('create_item');
+
+      // Call the route
+      const response = await post('/api/process-request/stream', 'user-3', 'account-3')
+        .send({ userPrompt: 'add a launch item and mark the sample item done' });
+      restore();
+
+      const { result } = streamEvents(response);
+      expect(result).toMatchObject({ cancelled: true, undoAvailable: true });
+      expect(result.steps.map(step => step.action.tool)).toEqual(['create_item']);
+
+      await waitFor(() => usageCount('account-3') === 1);
+      expect(usageCount('account-3')).toBe(1);
+    });
+  });
+
+  describe('POST /api/jobs', () => {
+    test('should stop a running job when it is cancelled by its job ID', async () => {
+      const restore = cancelAfterMutation('create_item');
+
+      // Call the route
+      const queued = await post('/api/jobs')
+        .send({ userPrompt: 'add a launch item and mark the sample item done' });
+
+      await waitFor(() => ['completed', 'failed'].includes(mockStore[`job_${queued.body.jobId}`]?.status));
+      restore();
+
+      const { body: job } = await request(app)
+        .get(`/api/jobs/${queued.body.jobId}`)
+        .set('x-monday-session-token', sessionToken());
+
+      expect(job).toMatchObject({ status: 'completed', attempts: 1 });
+      expect(job.result).toMatchObject({ cancelled: true, undoAvailable: true });
+      expect(job.result.steps.map(step => step.action.tool)).toEqual(['create_item']);
+    });
+  });
+
+  describe('POST /api/process-request/confirm', () => {
+    test('should run a confirmed plan only once when it is confirmed twice at the same time', async () => {
+      const confirmationToken = await previewPlan();
+      const execute = jest.spyOn(mondayTransport.getTransport(), 'execute');
+      mockReadDelays.action_plan_ = 50;
+
+      // Call the route
+      const responses = await Promise.all([1, 2].map(() => post('/api/process-request/confirm')
+        .send({ confirmationToken })));
+
+      const mutations = execute.mock.calls.filter(([body]) => body.query.trim().startsWith('mutation'));
+      execute.mockRestore();
+
+      expect(responses.map(response => response.status).sort()).toEqual([200, 404]);
+      expect(mutations).toHaveLength(1);
+    });
+
+    test('should leave a plan for its owner when another user tries to confirm it', async () => {
+      const confirmationToken = await previewPlan();
+
+      const foreign = await post('/api/process-request/confirm', 'user-2', 'account-1')
+        .send({ confirmationToken });
+      const owned = await post('/api/process-request/confirm')
+        .send({ confirmationToken });
+
+      expect(foreign.status).toBe(403);
+      expect(owned.status).toBe(200);
+      expect(owned.body.steps.map(step => step.action.tool)).toEqual(['create_item']);
+    });
+
+    test('should count a previewed request once, however its confirmation ends', async () => {
+      const confirmationToken = await previewPlan('user-3', 'account-3');
+      await waitFor(() => usageCount('account-3') === 1);
+
+      const unknown = await post('/api/process-request/confirm', 'user-3', 'account-3')
+        .send({ confirmationToken: 'no-such-plan' });
+      const foreign = await post('/api/process-request/confirm', 'user-4', 'account-3')
+        .send({ confirmationToken });
+      const confirmed = await post('/api/process-request/confirm', 'user-3', 'account-3')
+        .send({ confirmationToken });
+
+      // Give a second charge time to land
+      await waitFor(() => usageCount('account-3') > 1);
+
+      expect([unknown.status, foreign.status, confirmed.status]).toEqual([404, 403, 200]);
+      expect(usageCount('account-3')).toBe(1);
+      expect(mockSecureStore['subscription_account-3'].reservations).toEqual({});
+    });
+  });
+
+  describe('POST /api/conversations/:conversationId/undo', () => {
+    test('should revert a conversation\'s changes once when undo is clicked twice', async () => {
+      mockStore['conversation_history_user-1'] = [{
+        id: 'conversation-1',
+        undo: [{
+          operationType: 'mutation',
+          graphqlString: 'mutation { delete_item(item_id: 11) { id } }',
+          variables: {},
+          description: 'Delete the created item'
+        }]
+      }];
+      mockReadDelays.conversation_history_ = 50;
+      const execute = jest.spyOn(mondayTransport.getTransport(), 'execute');
+
+      // Call the route
+      const responses = await Promise.all([1, 2].map(() => post('/api/conversations/conversation-1/undo')));
+
+      const inverses = execute.mock.calls.filter(([body]) => body.query.includes('delete_item'));
+      execute.mockRestore();
+
+      expect(responses.map(response => response.status).sort()).toEqual([200, 409]);
+      expect(inverses).toHaveLength(1);
+      expect(mockStore['conversation_history_user-1'][0]).toMatchObject({
+        undoneAt: expect.any(String),
+        undoResults: [expect.objectContaining({ description: 'Delete the created item' })]
+      });
+    });
+  });
+});
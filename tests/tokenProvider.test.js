@@ -0,0 +1,103 @@
+const axios = require('axios');
+
+// Shared secure storage mock so the module-level SecureStorage instance can be inspected
+const mockSecureStorage = {
+  get: jest.fn(),
+  set: jest.fn()
+};
+
+// Mock the external dependencies
+jest.mock('axios');
+jest.mock('@mondaycom/apps-sdk', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })),
+  Environment: jest.fn().mockImplementation(() => ({
+    get: jest.fn().mockImplementation(key => {
+      if (key === 'MONDAY_CLIENT_ID') return 'test-client-id';
+      if (key === 'MONDAY_CLIENT_SECRET') return 'test-client-secret';
+      return null;
+    })
+  })),
+  SecureStorage: jest.fn().mockImplementation(() => mockSecureStorage)
+}));
+
+// Import the module to test
+const tokenProvider = require('../monday-claude-utils/tokenProvider');
+
+describe('Token Provider', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getAccountToken', () => {
+    test('should return a stored token that has not expired', async () => {
+      mockSecureStorage.get.mockResolvedValueOnce({
+        accessToken: 'access-123',
+        refreshToken: 'refresh-123',
+        expiresAt: Date.now() + 3600 * 1000
+      });
+
+      // Call the function
+      const token = await tokenProvider.getAccountToken('account123');
+
+      expect(token).toBe('access-123');
+      expect(mockSecureStorage.get).toHaveBeenCalledWith('oauth_tokens_account123');
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    test('should refresh an expired token and store the new one', async () => {
+      mockSecureStorage.get.mockResolvedValueOnce({
+        accessToken: 'old-access',
+        refreshToken: 'refresh-123',
+        expiresAt: Date.now() - 1000
+      });
+      axios.post.mockResolvedValueOnce({
+        data: { access_token: 'new-access', refresh_token: 'new-refresh', expires_in: 3600 }
+      });
+
+      // Call the function
+      const token = await tokenProvider.getAccountToken('account123');
+
+      expect(token).toBe('new-access');
+      expect(axios.post).toHaveBeenCalledWith(
+        'https://auth.monday.com/oauth2/token',
+        null,
+        expect.objectContaining({
+          params: expect.objectContaining({
+            refresh_token: 'refresh-123',
+            grant_type: 'refresh_token'
+          })
+        })
+      );
+      expect(mockSecureStorage.set).toHaveBeenCalledWith(
+        'oauth_tokens_account123',
+        expect.objectContaining({ accessToken: 'new-access', refreshToken: 'new-refresh' })
+      );
+    });
+
+    test('should require a reconnect when the account has no tokens', async () => {
+      mockSecureStorage.get.mockResolvedValueOnce(null);
+
+      // Call the function and expect it to throw
+      await expect(tokenProvider.getAccountToken('account123'))
+        .rejects.toMatchObject({ code: 'MONDAY_RECONNECT_REQUIRED' });
+    });
+
+    test('should require a reconnect when the refresh fails', async () => {
+      mockSecureStorage.get.mockResolvedValueOnce({
+        accessToken: 'old-access',
+        refreshToken: 'refresh-123',
+        expiresAt: Date.now() - 1000
+      });
+      axios.post.mockRejectedValueOnce({ response: { status: 400 }, message: 'invalid_grant' });
+
+      // Call the function and expect it to throw
+      await expect(tokenProvider.getAccountToken('account123'))
+        .rejects.toMatchObject({ code: 'MONDAY_RECONNECT_REQUIRED' });
+      expect(mockSecureStorage.set).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,120 @@
+// Mock the external dependencies
+jest.mock('@mondaycom/apps-sdk', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })),
+  Environment: jest.fn().mockImplementation(() => ({
+    get: jest.fn()
+  }))
+}));
+jest.mock('../monday-claude-utils/mondayAPI');
+
+const mondayAPI = require('../monday-claude-utils/mondayAPI');
+
+// Import the module to test
+const toolCatalog = require('../monday-claude-utils/toolCatalog');
+
+describe('Tool Catalog', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getToolDefinitions', () => {
+    test('should define strict schemas for every typed tool', () => {
+      const definitions = toolCatalog.getToolDefinitions();
+
+      expect(definitions.map(definition => definition.name)).toEqual([
+        'get_board_items',
+        'bulk_update_items',
+        'create_item',
+        'create_subitem',
+        'update_column_value',
+        'move_item_to_group',
+        'create_board',
+        'delete_item'
+      ]);
+      definitions.forEach(definition => {
+        expect(definition.input_schema.additionalProperties).toBe(false);
+        expect(definition.input_schema.required.length).toBeGreaterThan(0);
+      });
+    });
+  });
+
+  describe('validateToolInput', () => {
+    test('should accept valid input', () => {
+      expect(toolCatalog.validateToolInput('move_item_to_group', { item_id: '1', group_id: 'done' })).toEqual([]);
+    });
+
+    test('should reject unknown tools and enum values', () => {
+      expect(toolCatalog.validateToolInput('drop_board', {})).toEqual(['Unknown tool: drop_board']);
+      expect(toolCatalog.validateToolInput('create_board', { board_name: 'Launch', board_kind: 'secret' }))
+        .toEqual(['create_board.board_kind must be one of public, private, share']);
+    });
+  });
+
+  describe('executeTool', () => {
+    test('should call the matching mondayAPI function with its arguments', async () => {
+      mondayAPI.createItem.mockResolvedValueOnce({ data: { create_item: { id: '1' } } });
+
+      // Call the function
+      const result = await toolCatalog.executeTool({
+        tool: 'create_item',
+        input: { board_id: '123', item_name: 'Launch', column_values: { status: { label: 'Done' } } }
+      }, 'token-123');
+
+      expect(mondayAPI.createItem).toHaveBeenCalledWith({
+        boardId: '123',
+        itemName: 'Launch',
+        groupId: undefined,
+        columnValues: { status: { label: 'Done' } }
+      }, 'token-123');
+      expect(result).toEqual({ data: { create_item: { id: '1' } } });
+    });
+
+    test('should pass the request signal to reads', async () => {
+      const controller = new AbortController();
+      mondayAPI.getBoardItems.mockResolvedValueOnce({ data: { boards: [] } });
+
+      // Call the function
+      await toolCatalog.executeTool({
+        tool: 'get_board_items',
+        input: { board_id: '123', rules: [{ column_id: 'status', compare_value: [1] }], limit: 500 }
+      }, 'token-123', { signal: controller.signal });
+
+      expect(mondayAPI.getBoardItems).toHaveBeenCalledWith({
+        boardId: '123',
+        rules: [{ column_id: 'status', compare_value: [1] }],
+        operator: undefined,
+        limit: 100
+      }, 'token-123', { signal: controller.signal });
+    });
+
+    test('should pass the item ID to deleteItem', async () => {
+      // Call the function
+      await toolCatalog.executeTool({ tool: 'delete_item', input: { item_id: '456' } }, 'token-123');
+
+      expect(mondayAPI.deleteItem).toHaveBeenCalledWith('456', 'token-123');
+    });
+
+    test('should not send a tool once the request is cancelled', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      // Call the function
+      await expect(toolCatalog.executeTool(
+        { tool: 'delete_item', input: { item_id: '456' } },
+        'token-123',
+        { signal: controller.signal }
+      )).rejects.toMatchObject({ code: 'REQUEST_CANCELLED' });
+
+      expect(mondayAPI.deleteItem).not.toHaveBeenCalled();
+    });
+
+    test('should reject unknown tools', async () => {
+      await expect(toolCatalog.executeTool({ tool: 'drop_board', input: {} }, 'token-123'))
+        .rejects.toThrow('Unknown tool: drop_board');
+    });
+  });
+});
@@ -0,0 +1,144 @@
+// Mock the external dependencies
+jest.mock('@mondaycom/apps-sdk', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }))
+}));
+
+// Mock mondayAPI
+jest.mock('../monday-claude-utils/mondayAPI', () => ({
+  executeGraphQL: jest.fn()
+}));
+
+const mondayAPI = require('../monday-claude-utils/mondayAPI');
+const graphqlSafety = require('../monday-claude-utils/graphqlSafety');
+
+// Import the module to test
+const undoUtils = require('../monday-claude-utils/undoUtils');
+
+describe('Undo Utilities', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('captureUndoSnapshot', () => {
+    test('should read the items a mutation changes', async () => {
+      mondayAPI.executeGraphQL.mockResolvedValueOnce({
+        data: {
+          items: [{
+            id: '456',
+            group: { id: 'topics' },
+            column_values: [{ id: 'status', value: '{"index":1}' }]
+          }]
+        }
+      });
+
+      const analysis = graphqlSafety.analyzeOperation(
+        'mutation { change_column_value(board_id: 1, item_id: 456, column_id: "status", value: "{}") { id } }',
+        'mutation'
+      );
+
+      // Call the function
+      const snapshot = await undoUtils.captureUndoSnapshot(analysis);
+
+      expect(mondayAPI.executeGraphQL).toHaveBeenCalledWith(
+        expect.stringContaining('GetItemsForUndo'),
+        { ids: ['456'] },
+        null,
+        {}
+      );
+      expect(snapshot).toEqual({
+        456: { groupId: 'topics', columnValues: { status: '{"index":1}' } }
+      });
+    });
+
+    test('should not query anything for mutations without previous state', async () => {
+      const analysis = graphqlSafety.analyzeOperation(
+        'mutation { create_item(board_id: 1, item_name: "New") { id } }',
+        'mutation'
+      );
+
+      const snapshot = await undoUtils.captureUndoSnapshot(analysis);
+
+      expect(snapshot).toEqual({});
+      expect(mondayAPI.executeGraphQL).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('buildInverseActions', () => {
+    test('should restore the previous column value', () => {
+      const analysis = graphqlSafety.analyzeOperation(
+        'mutation { change_column_value(board_id: 1, item_id: 456, column_id: "status", value: "{\\"index\\":2}") { id } }',
+        'mutation'
+      );
+
+      const [inverse] = undoUtils.buildInverseActions(analysis, {
+        456: { groupId: 'topics', columnValues: { status: '{"index":1}' } }
+      }, {});
+
+      expect(inverse.graphqlString).toContain('change_multiple_column_values');
+      expect(inverse.variables).toEqual({
+        boardId: '1',
+        itemId: '456',
+        columnValues: JSON.stringify({ status: { index: 1 } })
+      });
+    });
+
+    test('should move an item back to its original group', () => {
+      const analysis = graphqlSafety.analyzeOperation(
+        'mutation { move_item_to_group(item_id: 456, group_id: "done") { id } }',
+        'mutation'
+      );
+
+      const [inverse] = undoUtils.buildInverseActions(analysis, {
+        456: { groupId: 'topics', columnValues: {} }
+      }, {});
+
+      expect(inverse.graphqlString).toContain('move_item_to_group');
+      expect(inverse.variables).toEqual({ item_id: '456', group_id: 'topics' });
+    });
+
+    test('should archive an item that was created', () => {
+      const analysis = graphqlSafety.analyzeOperation(
+        'mutation { create_item(board_id: 1, item_name: "New") { id } }',
+        'mutation'
+      );
+
+      const [inverse] = undoUtils.buildInverseActions(analysis, {}, {
+        data: { create_item: { id: '789' } }
+      });
+
+      expect(inverse.graphqlString).toContain('archive_item');
+      expect(inverse.variables).toEqual({ item_id: '789' });
+    });
+
+    test('should skip mutations that cannot be reversed', () => {
+      const analysis = graphqlSafety.analyzeOperation(
+        'mutation { delete_item(item_id: 456) { id } }',
+        'mutation'
+      );
+
+      expect(undoUtils.buildInverseActions(analysis, {}, {})).toEqual([]);
+    });
+  });
+
+  describe('executeInverseActions', () => {
+    test('should keep going when an inverse fails', async () => {
+      mondayAPI.executeGraphQL
+        .mockRejectedValueOnce(new Error('Item not found'))
+        .mockResolvedValueOnce({ data: { archive_item: { id: '789' } } });
+
+      const results = await undoUtils.executeInverseActions([
+        { graphqlString: 'mutation A', variables: {}, description: 'First' },
+        { graphqlString: 'mutation B', variables: {}, description: 'Second' }
+      ]);
+
+      expect(results).toEqual([
+        { description: 'First', error: 'Item not found' },
+        { description: 'Second', result: { data: { archive_item: { id: '789' } } } }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+// In-memory storage so daily records can be read back after they are saved
+const mockStore = {};
+const mockStorage = {
+  get: jest.fn(async key => mockStore[key]),
+  set: jest.fn(async (key, value) => {
+    mockStore[key] = value;
+  })
+};
+
+// Mock the external dependencies
+jest.mock('@mondaycom/apps-sdk', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })),
+  Storage: jest.fn().mockImplementation(() => mockStorage)
+}));
+jest.mock('../monday-claude-utils/monetizationHandler', () => ({
+  addTokenUsage: jest.fn()
+}));
+
+// Import the module to test
+const usageMeter = require('../monday-claude-utils/usageMeter');
+const monetizationHandler = require('../monday-claude-utils/monetizationHandler');
+
+const today = new Date().toISOString().substring(0, 10);
+
+describe('Usage Meter', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.keys(mockStore).forEach(key => delete mockStore[key]);
+  });
+
+  describe('recordUsage', () => {
+    test('should aggregate concurrent calls into the day\'s record', async () => {
+      // Call the function
+      await Promise.all([
+        usageMeter.recordUsage({
+          accountId: 'account123',
+          userId: 'user1',
+          endpoint: '/api/process-request',
+          model: 'claude-3-5-sonnet-20240307',
+          usage: { input_tokens: 1000, output_tokens: 200 }
+        }),
+        usageMeter.recordUsage({
+          accountId: 'account123',
+          userId: 'user2',
+          endpoint: '/api/process-document',
+          model: 'claude-3-5-haiku-20241022',
+          usage: { input_tokens: 300, output_tokens: 100 }
+        })
+      ]);
+
+      const record = mockStore[`usage_account123_${today}`];
+      expect(record.totals).toEqual({ calls: 2, inputTokens: 1300, outputTokens: 300 });
+      expect(record.byModel['claude-3-5-haiku-20241022']).toEqual({ calls: 1, inputTokens: 300, outputTokens: 100 });
+      expect(record.byEndpoint['/api/process-request']).toEqual({ calls: 1, inputTokens: 1000, outputTokens: 200 });
+      expect(record.byUser.user2.calls).toBe(1);
+      expect(monetizationHandler.addTokenUsage).toHaveBeenCalledWith('account123', 1200);
+      expect(monetizationHandler.addTokenUsage).toHaveBeenCalledWith('account123', 400);
+    });
+
+    test('should ignore calls without an account or usage', async () => {
+      await usageMeter.recordUsage({ accountId: null, usage: { input_tokens: 10 } });
+      await usageMeter.recordUsage({ accountId: 'account123', usage: undefined });
+
+      expect(mockStorage.set).not.toHaveBeenCalled();
+    });
+
+    test('should not throw when storage fails', async () => {
+      mockStorage.get.mockRejectedValueOnce(new Error('Storage unavailable'));
+
+      await expect(usageMeter.recordUsage({
+        accountId: 'account123',
+        usage: { input_tokens: 10, output_tokens: 5 }
+      })).resolves.toBeUndefined();
+    });
+  });
+
+  describe('getUsageReport', () => {
+    test('should merge daily records in the range', async () => {
+      mockStore['usage_account123_2024-05-01'] = {
+        totals: { calls: 2, inputTokens: 500, outputTokens: 100 },
+        byModel: { sonnet: { calls: 2, inputTokens: 500, outputTokens: 100 } },
+        byEndpoint: {},
+        byUser: { user1: { calls: 2, inputTokens: 500, outputTokens: 100 } }
+      };
+      mockStore['usage_account123_2024-05-03'] = {
+        totals: { calls: 1, inputTokens: 50, outputTokens: 10 },
+        byModel: { sonnet: { calls: 1, inputTokens: 50, outputTokens: 10 } },
+        byEndpoint: {},
+        byUser: { user2: { calls: 1, inputTokens: 50, outputTokens: 10 } }
+      };
+
+      // Call the function
+      const report = await usageMeter.getUsageReport('account123', { from: '2024-05-01', to: '2024-05-03' });
+
+      expect(report.totals).toEqual({ calls: 3, inputTokens: 550, outputTokens: 110 });
+      expect(report.byModel.sonnet.calls).toBe(3);
+      expect(Object.keys(report.byUser)).toEqual(['user1', 'user2']);
+      expect(report.daily).toEqual([
+        { date: '2024-05-01', calls: 2, inputTokens: 500, outputTokens: 100 },
+        { date: '2024-05-02', calls: 0, inputTokens: 0, outputTokens: 0 },
+        { date: '2024-05-03', calls: 1, inputTokens: 50, outputTokens: 10 }
+      ]);
+    });
+
+    test('should default to the last 30 days', async () => {
+      const report = await usageMeter.getUsageReport('account123');
+
+      expect(report.to).toBe(today);
+      expect(report.daily).toHaveLength(30);
+    });
+
+    test('should reject ranges that are reversed or too long', async () => {
+      await expect(usageMeter.getUsageReport('account123', { from: '2024-05-03', to: '2024-05-01' }))
+        .rejects.toMatchObject({ code: 'INVALID_USAGE_RANGE' });
+      await expect(usageMeter.getUsageReport('account123', { from: '2024-01-01', to: '2024-12-31' }))
+        .rejects.toMatchObject({ code: 'INVALID_USAGE_RANGE' });
+    });
+  });
+});